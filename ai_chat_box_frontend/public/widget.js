@@ -0,0 +1,45 @@
+/*
+ * SmartChatGPT widget loader. Add it to any page:
+ *
+ *   <script src="https://your-host/widget.js" data-title="Help" data-theme="dark" async></script>
+ *
+ * It loads the widget bundle (found through widget-manifest.json next to this file),
+ * which only registers <smart-chat-widget>. Unless the page already has one, a widget
+ * is added to <body> with this tag's data-* attributes as its attributes.
+ */
+(function () {
+  var script = document.currentScript;
+  if (!script || window.__smartChatWidgetLoader) return;
+  window.__smartChatWidgetLoader = true;
+  var base = script.src;
+
+  function addWidget() {
+    if (document.querySelector('smart-chat-widget')) return;
+    var widget = document.createElement('smart-chat-widget');
+    for (var i = 0; i < script.attributes.length; i++) {
+      var attr = script.attributes[i];
+      if (attr.name.indexOf('data-') === 0) widget.setAttribute(attr.name.slice(5), attr.value);
+    }
+    document.body.appendChild(widget);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', addWidget);
+  } else {
+    addWidget();
+  }
+
+  fetch(new URL('widget-manifest.json', base).href)
+    .then(function (response) {
+      if (!response.ok) throw new Error('HTTP ' + response.status);
+      return response.json();
+    })
+    .then(function (manifest) {
+      var bundle = document.createElement('script');
+      bundle.src = new URL(manifest.files['widget.js'], base).href;
+      document.head.appendChild(bundle);
+    })
+    .catch(function (e) {
+      window.dispatchEvent(new CustomEvent('smartchat:error', { detail: { message: 'Widget failed to load: ' + e.message } }));
+    });
+})();
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Build the embeddable widget bundle into build/, next to the app.
+ *
+ *   npm run build          (runs `react-scripts build`, then this script)
+ *
+ * The widget has its own entry (src/widget/entry.js) that only registers
+ * <smart-chat-widget>, so embedding it never mounts the app or adds its global
+ * CSS to the host page. This reuses the webpack config of react-scripts with that
+ * entry and without the page plugins, and writes widget-manifest.json, which
+ * public/widget.js reads to find the bundle. It must run after the app build,
+ * which empties build/ first.
+ */
+process.env.BABEL_ENV = 'production';
+process.env.NODE_ENV = 'production';
+
+// Reads .env files the same way the app build does (PUBLIC_URL, REACT_APP_*)
+require('react-scripts/config/env');
+
+const path = require('path');
+const webpack = require('webpack');
+const { WebpackManifestPlugin } = require('webpack-manifest-plugin');
+const paths = require('react-scripts/config/paths');
+const configFactory = require('react-scripts/config/webpack.config');
+
+// Plugins that build index.html and the app's asset manifest
+const PAGE_PLUGINS = ['HtmlWebpackPlugin', 'InlineChunkHtmlPlugin', 'InterpolateHtmlPlugin', 'WebpackManifestPlugin'];
+
+const config = configFactory('production');
+config.entry = { widget: path.join(paths.appSrc, 'widget', 'entry.js') };
+config.output = {
+  ...config.output,
+  // its own chunk loading global, so it can share a page with the app's bundle
+  uniqueName: 'smartChatWidget',
+  chunkFilename: 'static/js/widget-[name].[contenthash:8].chunk.js',
+};
+config.plugins = [
+  ...config.plugins.filter(plugin => !PAGE_PLUGINS.includes(plugin.constructor.name)),
+  new WebpackManifestPlugin({
+    fileName: 'widget-manifest.json',
+    publicPath: paths.publicUrlOrPath,
+    generate: (seed, files, entrypoints) => ({
+      files: Object.fromEntries(files.map(file => [file.name, file.path])),
+      entrypoints: entrypoints.widget.filter(name => !name.endsWith('.map')),
+    }),
+  }),
+];
+
+webpack(config).run((err, stats) => {
+  if (err) {
+    console.error(err.stack || err.message);
+    process.exit(1);
+  }
+  const info = stats.toJson({ all: false, errors: true, warnings: true });
+  if (stats.hasErrors()) {
+    info.errors.forEach(e => console.error(e.message || e));
+    process.exit(1);
+  }
+  info.warnings.forEach(w => console.warn(w.message || w));
+  console.log(`Built the widget bundle into ${path.relative(process.cwd(), paths.appBuild) || '.'}/static/js.`);
+});
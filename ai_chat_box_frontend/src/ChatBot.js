@@ -1,16 +1,21 @@
 import React, { useEffect, useMemo, useRef, useState } from 'react';
-import * as tf from '@tensorflow/tfjs';
+import { createTfjsEngine } from './engines';
+import { useI18n } from './i18n';
+import MarkdownView from './markdown/MarkdownView';
 
 /**
  * SmartTalk ChatBot implemented purely in React using TensorFlow.js.
  * - No backend calls or external APIs.
- * - Uses a tiny placeholder TF.js model pipeline to "process" messages on-device.
+ * - Replies are chosen by a small TF.js text classifier (bag-of-words -> dense softmax)
+ *   trained in the browser on the CPU backend and saved to IndexedDB via tf.io.
+ * - Shows training progress and validation accuracy, with a Retrain button.
  * - Styled with the Ocean Professional theme palette.
+ * - UI strings follow the surrounding I18nProvider (English without one), and the
+ *   layout mirrors for right-to-left languages.
  *
- * Note: This is a demonstrative, client-only chatbot. The "ML" here is a lightweight
- * placeholder using TensorFlow.js tensors to simulate tokenization/embedding and a
- * simple rule-based response. Real models would be much heavier and likely require
- * a dedicated model file or WebGL/WASM backends.
+ * Note: This is a demonstrative, client-only chatbot. The classifier only knows the
+ * handful of intents in src/classifier/trainingData.json; anything it is unsure
+ * about gets a generic follow-up reply.
  */
 
 // Ocean Professional palette
@@ -24,47 +29,31 @@ const COLORS = {
   border: '#E5E7EB',
 };
 
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
 // PUBLIC_INTERFACE
 export default function ChatBot() {
   /**
    * PUBLIC_INTERFACE
    * SmartTalk component renders a simple chat UI and runs a minimal TFJS-based processor.
    */
-  const [messages, setMessages] = useState([
-    { from: 'bot', text: 'Hello! I am SmartTalk 🤖. How can I help you today?' },
+  const { t, dir, locale } = useI18n();
+  const [messages, setMessages] = useState(() => [
+    { from: 'bot', text: t('smarttalk.greeting') },
   ]);
   const [input, setInput] = useState('');
   const [loading, setLoading] = useState(false);
+  const [modelStatus, setModelStatus] = useState({ phase: 'loading' });
   const inputRef = useRef(null);
   const listRef = useRef(null);
 
-  // "Initialize" a trivial model-like object once.
-  const model = useMemo(() => {
-    // This is a fake demo "model": maps characters to numbers and computes a soft score.
-    // In a real use-case, load a tfjs model via tf.loadLayersModel or tf.loadGraphModel.
-    const charIndex = new Map();
-    const alphabet = 'abcdefghijklmnopqrstuvwxyz ';
-    [...alphabet].forEach((ch, i) => charIndex.set(ch, i + 1));
+  // TF.js pipeline engine, created once; it lazily loads tfjs and the classifier.
+  const engine = useMemo(() => createTfjsEngine({ onTrainingProgress: setModelStatus }), []);
 
-    return {
-      // Naive "tokenizer"
-      tokenize: (text) => {
-        const lower = (text || '').toLowerCase();
-        const tokens = Array.from(lower).map((ch) => charIndex.get(ch) || 0);
-        return tokens.length ? tokens : [0];
-      },
-      // Naive "inference": create a tensor, do a simple reduction to simulate "understanding"
-      infer: (tokens) => {
-        const t = tf.tensor1d(tokens, 'float32');
-        const sum = t.sum(); // simplistic
-        const mean = t.mean();
-        const score = tf.add(sum, mean).dataSync()[0]; // number
-        t.dispose();
-        mean.dispose?.(); // mean is a Tensor
-        return score;
-      },
-    };
-  }, []);
+  // Load the saved classifier (or train a new one) as soon as the chat opens
+  useEffect(() => {
+    engine.prepare().catch(() => {});
+  }, [engine]);
 
   // Keep scroll at bottom when messages change
   useEffect(() => {
@@ -73,38 +62,6 @@ export default function ChatBot() {
     }
   }, [messages]);
 
-  // Simulated "thinking" with TensorFlow.js
-  const generateBotResponse = async (userText) => {
-    // Simple safety check
-    const text = (userText || '').trim();
-    if (!text) return "I'm here whenever you're ready.";
-
-    // Lightweight async to avoid blocking UI
-    await tf.nextFrame();
-
-    const tokens = model.tokenize(text);
-    const score = model.infer(tokens);
-
-    // Very naive rule-based responses guided by score and keywords
-    const lower = text.toLowerCase();
-    if (lower.includes('hello') || lower.includes('hi')) {
-      return 'Hi there! 👋 What would you like to chat about?';
-    }
-    if (lower.includes('help')) {
-      return 'Sure! Tell me a bit more about what you need help with.';
-    }
-    if (lower.includes('color') || lower.includes('theme')) {
-      return 'We are using the Ocean Professional theme: blue (#2563EB), amber (#F59E0B), and a clean surface.';
-    }
-
-    if (score < 50) {
-      return 'Interesting! Could you elaborate a bit more?';
-    } else if (score < 150) {
-      return 'Got it. That makes sense. Do you have any follow-up questions?';
-    }
-    return 'Thanks for the details! If you want, I can summarize or suggest next steps.';
-  };
-
   const handleSend = async () => {
     const trimmed = input.trim();
     if (!trimmed || loading) return;
@@ -113,12 +70,13 @@ export default function ChatBot() {
     setInput('');
     setLoading(true);
     try {
-      const reply = await generateBotResponse(trimmed);
-      setMessages((prev) => [...prev, { from: 'bot', text: reply }]);
+      const history = messages.map((m) => ({ role: m.from === 'user' ? 'user' : 'assistant', content: m.text }));
+      const reply = await engine.respond({ text: trimmed, context: {}, history, locale });
+      setMessages((prev) => [...prev, { from: 'bot', text: reply.content }]);
     } catch (e) {
       setMessages((prev) => [
         ...prev,
-        { from: 'bot', text: 'Oops! I ran into an issue processing that. Please try again.' },
+        { from: 'bot', text: t('smarttalk.error') },
       ]);
     } finally {
       setLoading(false);
@@ -126,6 +84,10 @@ export default function ChatBot() {
     }
   };
 
+  const handleRetrain = () => {
+    engine.retrain().catch(() => {});
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -189,25 +151,25 @@ export default function ChatBot() {
       marginBottom: '12px',
     },
     bubbleUser: {
-      marginLeft: 'auto',
+      marginInlineStart: 'auto',
       background: COLORS.primary,
       color: '#ffffff',
       padding: '10px 14px',
       borderRadius: '14px',
-      borderTopRightRadius: '4px',
+      borderStartEndRadius: '4px',
       maxWidth: '75%',
       lineHeight: 1.45,
       boxShadow: '0 6px 16px rgba(37,99,235,0.2)',
       wordBreak: 'break-word',
     },
     bubbleBot: {
-      marginRight: 'auto',
+      marginInlineEnd: 'auto',
       background: '#ffffff',
       color: COLORS.text,
       border: `1px solid ${COLORS.border}`,
       padding: '10px 14px',
       borderRadius: '14px',
-      borderTopLeftRadius: '4px',
+      borderStartStartRadius: '4px',
       maxWidth: '75%',
       lineHeight: 1.45,
       boxShadow: '0 6px 16px rgba(17,24,39,0.06)',
@@ -252,10 +214,43 @@ export default function ChatBot() {
     hint: {
       fontSize: '12px',
       color: COLORS.subtleText,
-      marginLeft: '4px',
+      marginInlineStart: '4px',
+    },
+    modelBar: {
+      display: 'flex',
+      alignItems: 'center',
+      gap: '10px',
+      padding: '8px 16px',
+      borderBottom: `1px solid ${COLORS.border}`,
+      fontSize: '12px',
+      color: COLORS.subtleText,
+      background: COLORS.surface,
+    },
+    progressTrack: {
+      flex: 1,
+      maxWidth: '220px',
+      height: '6px',
+      borderRadius: '9999px',
+      background: COLORS.border,
+      overflow: 'hidden',
+    },
+    progressFill: {
+      height: '100%',
+      background: COLORS.primary,
+      transition: 'width 0.2s ease',
+    },
+    linkButton: {
+      marginInlineStart: 'auto',
+      fontSize: '12px',
+      padding: '4px 10px',
+      borderRadius: '8px',
+      border: `1px solid ${COLORS.border}`,
+      background: '#ffffff',
+      color: COLORS.primary,
+      cursor: 'pointer',
     },
     badge: {
-      marginLeft: '8px',
+      marginInlineStart: '8px',
       background: COLORS.secondary,
       color: '#111827',
       fontSize: '11px',
@@ -267,24 +262,67 @@ export default function ChatBot() {
   };
 
   return (
-    <div style={styles.page}>
-      <section style={styles.card} aria-label="SmartTalk chat window">
+    <div style={styles.page} dir={dir} lang={locale}>
+      <section style={styles.card} aria-label={t('smarttalk.windowLabel')}>
         <header style={styles.header}>
           <h1 style={styles.title}>
             SmartTalk
-            <span style={styles.badge}>Beta</span>
+            <span style={styles.badge}>{t('smarttalk.badge')}</span>
           </h1>
           <p style={styles.subtitle}>
-            Ocean Professional theme • On-device demo with TensorFlow.js
+            {t('smarttalk.subtitle')}
           </p>
         </header>
 
+        <div style={styles.modelBar} role="status" aria-label={t('smarttalk.status')}>
+          {modelStatus.phase === 'loading' ? <span>{t('smarttalk.loading')}</span> : null}
+          {modelStatus.phase === 'training' ? (
+            <>
+              <span>
+                {t('smarttalk.training', { epoch: modelStatus.epoch || 0, epochs: modelStatus.epochs || '?' })}
+                {modelStatus.valAccuracy != null
+                  ? ` • ${t('smarttalk.valAccuracy', { accuracy: formatPercent(modelStatus.valAccuracy) })}`
+                  : ''}
+              </span>
+              <div style={styles.progressTrack}>
+                <div
+                  style={{
+                    ...styles.progressFill,
+                    width: `${modelStatus.epochs ? Math.round(100 * (modelStatus.epoch || 0) / modelStatus.epochs) : 0}%`,
+                  }}
+                />
+              </div>
+            </>
+          ) : null}
+          {modelStatus.phase === 'ready' ? (
+            <span>
+              {t(modelStatus.source === 'storage' ? 'smarttalk.readyStorage' : 'smarttalk.readyTrained')}
+              {modelStatus.valAccuracy != null
+                ? ` • ${t('smarttalk.validationAccuracy', { accuracy: formatPercent(modelStatus.valAccuracy) })}`
+                : ''}
+            </span>
+          ) : null}
+          {modelStatus.phase === 'error' ? (
+            <span style={{ color: '#EF4444' }}>{t('smarttalk.unavailable', { error: modelStatus.error })}</span>
+          ) : null}
+          <button
+            type="button"
+            style={styles.linkButton}
+            onClick={handleRetrain}
+            disabled={modelStatus.phase === 'loading' || modelStatus.phase === 'training'}
+          >
+            {t('smarttalk.retrain')}
+          </button>
+        </div>
+
         <div style={styles.content}>
           <div ref={listRef} style={styles.messages} aria-live="polite">
             {messages.map((m, idx) => (
               <div key={idx} style={styles.row}>
                 <div style={m.from === 'user' ? styles.bubbleUser : styles.bubbleBot}>
-                  {m.text}
+                  <div dir="auto">
+                    {m.from === 'user' ? m.text : <MarkdownView text={m.text} />}
+                  </div>
                 </div>
               </div>
             ))}
@@ -294,12 +332,12 @@ export default function ChatBot() {
             <input
               ref={inputRef}
               type="text"
-              placeholder="Type your message and press Enter…"
+              placeholder={t('smarttalk.placeholder')}
               value={input}
               onChange={(e) => setInput(e.target.value)}
               onKeyDown={handleKeyDown}
               style={styles.input}
-              aria-label="Message input"
+              aria-label={t('chat.input')}
             />
             <button
               type="button"
@@ -309,11 +347,11 @@ export default function ChatBot() {
                 ...styles.button,
                 ...(loading || !input.trim() ? styles.buttonDisabled : {}),
               }}
-              aria-label="Send message"
+              aria-label={t('chat.sendLabel')}
             >
-              {loading ? 'Thinking…' : 'Send'}
+              {loading ? t('smarttalk.thinking') : t('chat.send')}
             </button>
-            <span style={styles.hint}>Powered by tfjs</span>
+            <span style={styles.hint}>{t('smarttalk.poweredBy')}</span>
           </footer>
         </div>
       </section>
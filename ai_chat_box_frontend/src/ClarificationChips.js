@@ -0,0 +1,77 @@
+import React from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * ClarificationChips - the candidate intents offered under a clarifying question.
+ * Each chip shows the intent label and its calibrated probability; once one is
+ * picked the chips lock and the pick stays highlighted.
+ */
+
+const styles = {
+  bar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 8,
+    whiteSpace: 'normal',
+  },
+  chip: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: 6,
+    background: '#ffffff',
+    border: '1px solid #2563EB',
+    color: '#2563EB',
+    borderRadius: 9999,
+    padding: '3px 10px',
+    fontSize: 13,
+    cursor: 'pointer',
+  },
+  chipChosen: {
+    background: '#2563EB',
+    color: '#ffffff',
+  },
+  chipLocked: {
+    opacity: 0.55,
+    cursor: 'default',
+  },
+  probability: {
+    fontSize: 11,
+    opacity: 0.8,
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function ClarificationChips({ clarification, labelFor, onPick }) {
+  /** PUBLIC_INTERFACE
+   * Renders one chip per option in `clarification.options`; `onPick(intent)` fires on click.
+   */
+  const { t } = useI18n();
+  const { options, chosen } = clarification;
+
+  return (
+    <div style={styles.bar} role="group" aria-label={t('clarify.label')}>
+      {options.map(({ intent, probability }) => {
+        const isChosen = chosen === intent;
+        return (
+          <button
+            key={intent}
+            type="button"
+            style={{
+              ...styles.chip,
+              ...(isChosen ? styles.chipChosen : {}),
+              ...(chosen && !isChosen ? styles.chipLocked : {}),
+            }}
+            onClick={() => onPick(intent)}
+            disabled={!!chosen}
+            aria-pressed={isChosen}
+          >
+            {labelFor(intent)}
+            <span style={styles.probability}>{Math.round(probability * 100)}%</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import React from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * CommandMenu - autocomplete list of slash commands shown above the composer.
+ * The input keeps focus and drives the active item; see suggestSlashCommands.
+ */
+
+const styles = {
+  menu: {
+    width: '100%',
+    listStyle: 'none',
+    margin: 0,
+    padding: 4,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    borderRadius: 10,
+    background: 'var(--bg-secondary, #ffffff)',
+    boxShadow: '0 8px 20px rgba(17,24,39,0.08)',
+    maxHeight: 200,
+    overflowY: 'auto',
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'baseline',
+    gap: 10,
+    padding: '6px 8px',
+    borderRadius: 6,
+    fontSize: 13,
+    cursor: 'pointer',
+  },
+  active: {
+    background: 'rgba(37,99,235,0.1)',
+  },
+  usage: {
+    fontFamily: 'ui-monospace, SFMono-Regular, Menlo, monospace',
+    color: '#2563EB',
+    fontWeight: 600,
+  },
+  description: {
+    color: 'var(--text-secondary, #6B7280)',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function CommandMenu({ id, suggestions, activeIndex, onPick }) {
+  /** PUBLIC_INTERFACE
+   * `suggestions` come from suggestSlashCommands; `onPick(suggestion)` fires on click.
+   * Options have ids `${id}-<index>` for the input's aria-activedescendant.
+   */
+  const { t } = useI18n();
+  if (!suggestions.length) return null;
+
+  return (
+    <ul id={id} role="listbox" aria-label={t('commands.menu')} style={styles.menu}>
+      {suggestions.map((s, i) => (
+        <li
+          key={s.text}
+          id={`${id}-${i}`}
+          role="option"
+          aria-selected={i === activeIndex}
+          style={{ ...styles.item, ...(i === activeIndex ? styles.active : {}) }}
+          // keep focus in the input
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onPick(s)}
+        >
+          <span style={styles.usage}>{s.text.trim() === `/${s.command.name}` ? s.command.usage : s.text}</span>
+          <span style={styles.description}>{t(`commands.${s.command.name}`)}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { DEFAULT_TITLE } from './conversationStore';
+import { useI18n } from './i18n';
+
+/**
+ * ConversationSidebar - list of saved conversations for SmartChatGPT.
+ * Create, switch, rename (inline), pin and delete conversations.
+ * Purely presentational: the parent owns the conversation list and persistence.
+ */
+
+const styles = {
+  sidebar: {
+    width: 220,
+    flexShrink: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    borderInlineEnd: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    height: '100%',
+    minHeight: 0,
+  },
+  newButton: {
+    margin: 10,
+    fontSize: 13,
+    fontWeight: 600,
+    padding: '8px 10px',
+    borderRadius: 10,
+    border: 'none',
+    background: '#2563EB',
+    color: '#ffffff',
+    cursor: 'pointer',
+  },
+  list: {
+    listStyle: 'none',
+    margin: 0,
+    padding: '0 6px 10px',
+    overflowY: 'auto',
+    flex: 1,
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 4,
+    borderRadius: 8,
+    padding: '4px 6px',
+    marginBottom: 2,
+  },
+  itemActive: {
+    background: 'rgba(37,99,235,0.1)',
+  },
+  titleButton: {
+    flex: 1,
+    minWidth: 0,
+    textAlign: 'start',
+    background: 'none',
+    border: 'none',
+    padding: '4px 2px',
+    fontSize: 13,
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  iconButton: {
+    background: 'none',
+    border: 'none',
+    padding: 2,
+    fontSize: 12,
+    cursor: 'pointer',
+    opacity: 0.7,
+  },
+  renameInput: {
+    flex: 1,
+    minWidth: 0,
+    fontSize: 13,
+    padding: '3px 6px',
+    borderRadius: 6,
+    border: '1px solid var(--border-color, #E5E7EB)',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function ConversationSidebar({
+  conversations,
+  activeId,
+  disabled = false,
+  onCreate,
+  onSelect,
+  onRename,
+  onTogglePin,
+  onDelete,
+}) {
+  /** PUBLIC_INTERFACE
+   * Renders the conversation list; `conversations` is already sorted for display.
+   */
+  const { t } = useI18n();
+  const [renamingId, setRenamingId] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const startRename = (c) => {
+    setRenamingId(c.id);
+    setDraft(titleOf(c));
+  };
+
+  // Untitled conversations are stored under the English default title
+  const titleOf = (c) => (c.title === DEFAULT_TITLE ? t('sidebar.untitled') : c.title);
+
+  const commitRename = () => {
+    const title = draft.trim();
+    const current = conversations.find(c => c.id === renamingId);
+    if (current && title && title !== titleOf(current)) onRename(renamingId, title);
+    setRenamingId(null);
+  };
+
+  return (
+    <nav style={styles.sidebar} aria-label={t('sidebar.label')}>
+      <button type="button" style={styles.newButton} onClick={onCreate} disabled={disabled}>
+        {t('sidebar.new')}
+      </button>
+      <ul style={styles.list}>
+        {conversations.map((c) => (
+          <li key={c.id} style={{ ...styles.item, ...(c.id === activeId ? styles.itemActive : {}) }}>
+            {renamingId === c.id ? (
+              <input
+                autoFocus
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') commitRename();
+                  if (e.key === 'Escape') setRenamingId(null);
+                }}
+                style={styles.renameInput}
+                aria-label={t('sidebar.titleInput')}
+              />
+            ) : (
+              <button
+                type="button"
+                style={styles.titleButton}
+                onClick={() => onSelect(c.id)}
+                disabled={disabled}
+                title={titleOf(c)}
+                aria-current={c.id === activeId ? 'true' : undefined}
+              >
+                {c.pinned ? '📌 ' : ''}{titleOf(c)}
+              </button>
+            )}
+            <button
+              type="button"
+              style={styles.iconButton}
+              onClick={() => onTogglePin(c.id)}
+              aria-label={t(c.pinned ? 'sidebar.unpinLabel' : 'sidebar.pinLabel', { title: titleOf(c) })}
+              title={t(c.pinned ? 'sidebar.unpin' : 'sidebar.pin')}
+            >
+              {c.pinned ? '📍' : '📌'}
+            </button>
+            <button
+              type="button"
+              style={styles.iconButton}
+              onClick={() => startRename(c)}
+              aria-label={t('sidebar.renameLabel', { title: titleOf(c) })}
+              title={t('sidebar.rename')}
+            >
+              ✏️
+            </button>
+            <button
+              type="button"
+              style={styles.iconButton}
+              onClick={() => onDelete(c.id)}
+              disabled={disabled}
+              aria-label={t('sidebar.deleteLabel', { title: titleOf(c) })}
+              title={t('sidebar.delete')}
+            >
+              🗑️
+            </button>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+}
@@ -0,0 +1,90 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from './i18n';
+import { createDictation } from './speech';
+
+/**
+ * DictationButton - microphone button that fills the chat input by voice.
+ * Renders nothing without a SpeechRecognition constructor.
+ */
+
+const styles = {
+  button: {
+    padding: '10px 12px',
+    borderRadius: 10,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    fontSize: 16,
+    cursor: 'pointer',
+  },
+  listening: {
+    border: '1px solid #EF4444',
+    background: 'rgba(239,68,68,0.1)',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function DictationButton({ Recognition, lang, onText, onFinal, onError }) {
+  /** PUBLIC_INTERFACE
+   * `onText(text)` receives the transcript while the user speaks and `onFinal(text)`
+   * the finished utterance. Failures show on the button and go to `onError(message)`;
+   * hearing nothing or being stopped is not a failure.
+   */
+  const { t } = useI18n();
+  const [listening, setListening] = useState(false);
+  const [error, setError] = useState('');
+  const dictationRef = useRef(null);
+  const callbacksRef = useRef(null);
+  callbacksRef.current = { onText, onFinal, onError };
+
+  useEffect(() => () => dictationRef.current?.stop(), []);
+
+  if (!Recognition) return null;
+
+  const fail = (reason) => {
+    const message = t('voice.error', { error: reason });
+    setError(message);
+    callbacksRef.current.onError?.(message);
+  };
+
+  const toggle = () => {
+    if (listening) {
+      dictationRef.current?.stop();
+      return;
+    }
+    const dictation = createDictation(Recognition, {
+      lang,
+      onText: (text, isFinal) => {
+        callbacksRef.current.onText?.(text);
+        if (isFinal && text) callbacksRef.current.onFinal?.(text);
+      },
+      onError: (code) => {
+        if (code !== 'no-speech' && code !== 'aborted') fail(code);
+      },
+      onEnd: () => {
+        dictationRef.current = null;
+        setListening(false);
+      },
+    });
+    try {
+      dictation.start();
+      dictationRef.current = dictation;
+      setListening(true);
+      setError('');
+    } catch (e) {
+      fail(e.message);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={toggle}
+      style={{ ...styles.button, ...(listening ? styles.listening : {}) }}
+      aria-pressed={listening}
+      aria-label={listening ? t('voice.stopDictation') : t('voice.dictate')}
+      title={error || (listening ? t('voice.stopDictation') : t('voice.dictate'))}
+    >
+      🎤
+    </button>
+  );
+}
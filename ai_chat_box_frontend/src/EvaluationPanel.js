@@ -0,0 +1,227 @@
+import React, { useRef } from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * EvaluationPanel - "Run eval" bar and the report of the last run: accuracy,
+ * per-intent precision/recall/F1, the confusion matrix and misclassified
+ * examples. The parent reads the file and evaluates it (see evaluation/).
+ */
+
+// misclassified examples listed under the report
+const MAX_ERRORS = 10;
+
+const styles = {
+  panel: {
+    width: '100%',
+    marginTop: 8,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+  },
+  bar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    flexWrap: 'wrap',
+  },
+  button: {
+    fontSize: 13,
+    fontWeight: 600,
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+  },
+  status: {
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+  },
+  report: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 8,
+    padding: 10,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    borderRadius: 10,
+    background: '#ffffff',
+    fontSize: 12,
+    color: 'var(--text-primary, #111827)',
+  },
+  summary: {
+    fontSize: 13,
+    fontWeight: 600,
+  },
+  scroll: {
+    overflowX: 'auto',
+  },
+  table: {
+    borderCollapse: 'collapse',
+    fontVariantNumeric: 'tabular-nums',
+  },
+  th: {
+    textAlign: 'start',
+    padding: '2px 6px',
+    borderBottom: '1px solid var(--border-color, #E5E7EB)',
+    whiteSpace: 'nowrap',
+  },
+  td: {
+    textAlign: 'end',
+    padding: '2px 6px',
+  },
+  caption: {
+    textAlign: 'start',
+    fontWeight: 600,
+    paddingBottom: 4,
+  },
+  errors: {
+    margin: 0,
+    paddingInlineStart: 16,
+    color: 'var(--text-secondary, #374151)',
+  },
+};
+
+const fixed = (x) => x.toFixed(3);
+
+// Diagonal cells are correct predictions; other non-zero cells are confusions
+const confusionCell = (count, diagonal) => {
+  if (!count) return styles.td;
+  return { ...styles.td, background: diagonal ? 'rgba(37,99,235,0.15)' : 'rgba(239,68,68,0.15)', fontWeight: 600 };
+};
+
+// PUBLIC_INTERFACE
+export default function EvaluationPanel({ result, status, busy, labelFor, onRun, onClose }) {
+  /** PUBLIC_INTERFACE
+   * `result` is `{ name, packName, report }` (report from evaluateIntents) or null;
+   * `onRun(file)` receives the chosen dataset file and `onClose()` hides the report.
+   */
+  const { t } = useI18n();
+  const fileRef = useRef(null);
+  const report = result?.report;
+  // rows and columns for labels that occur in the dataset or the predictions
+  const shown = report ? report.labels.filter(key => report.intents[key].support || report.intents[key].predicted) : [];
+
+  return (
+    <div style={styles.panel} role="group" aria-label={t('eval.label')}>
+      <div style={styles.bar}>
+        <button
+          type="button"
+          style={styles.button}
+          onClick={() => fileRef.current?.click()}
+          disabled={busy}
+          aria-label={t('eval.runLabel')}
+          title={t('eval.runTitle')}
+        >
+          {t('eval.run')}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".jsonl,.ndjson,.csv,application/x-ndjson,text/csv"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) onRun(file);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+          aria-label={t('eval.file')}
+        />
+        {report ? (
+          <button type="button" style={styles.button} onClick={onClose}>
+            {t('eval.close')}
+          </button>
+        ) : null}
+        {status ? <span style={styles.status} aria-live="polite">{status}</span> : null}
+      </div>
+      {report ? (
+        <div style={styles.report} aria-label={t('eval.report')}>
+          <div style={styles.status}>{t('eval.dataset', { name: result.name, pack: result.packName })}</div>
+          <div style={styles.summary}>
+            {t('eval.summary', {
+              accuracy: `${(report.accuracy * 100).toFixed(1)}%`,
+              correct: report.correct,
+              total: report.total,
+              f1: fixed(report.macroF1),
+            })}
+          </div>
+
+          <div style={styles.scroll}>
+            <table style={styles.table}>
+              <caption style={styles.caption}>{t('eval.perIntent')}</caption>
+              <thead>
+                <tr>
+                  <th scope="col" style={styles.th}>{t('eval.intent')}</th>
+                  <th scope="col" style={styles.th}>{t('eval.precision')}</th>
+                  <th scope="col" style={styles.th}>{t('eval.recall')}</th>
+                  <th scope="col" style={styles.th}>{t('eval.f1')}</th>
+                  <th scope="col" style={styles.th}>{t('eval.support')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map(key => (
+                  <tr key={key}>
+                    <th scope="row" style={styles.th}>{labelFor(key)}</th>
+                    <td style={styles.td}>{fixed(report.intents[key].precision)}</td>
+                    <td style={styles.td}>{fixed(report.intents[key].recall)}</td>
+                    <td style={styles.td}>{fixed(report.intents[key].f1)}</td>
+                    <td style={styles.td}>{report.intents[key].support}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={styles.scroll}>
+            <table style={styles.table}>
+              <caption style={styles.caption}>{t('eval.confusion')}</caption>
+              <thead>
+                <tr>
+                  <th style={styles.th} />
+                  {shown.map((key, c) => (
+                    <th key={key} scope="col" style={styles.th} title={labelFor(key)}>{c + 1}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((expected, r) => (
+                  <tr key={expected}>
+                    <th scope="row" style={styles.th}>{r + 1}. {labelFor(expected)}</th>
+                    {shown.map(predicted => {
+                      const count = report.confusion[report.labels.indexOf(expected)][report.labels.indexOf(predicted)];
+                      return (
+                        <td
+                          key={predicted}
+                          style={confusionCell(count, expected === predicted)}
+                          title={t('eval.cell', { expected: labelFor(expected), predicted: labelFor(predicted), count })}
+                        >
+                          {count}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {report.unknownLabels.length ? (
+            <div style={styles.status}>{t('eval.unknownLabels', { labels: report.unknownLabels.join(', ') })}</div>
+          ) : null}
+          {report.errors.length ? (
+            <>
+              <div style={styles.caption}>{t('eval.errors', { count: report.errors.length })}</div>
+              <ul style={styles.errors}>
+                {report.errors.slice(0, MAX_ERRORS).map((e, i) => (
+                  <li key={i} dir="auto">
+                    {t('eval.error', { text: e.text, expected: labelFor(e.expected), predicted: labelFor(e.predicted) })}
+                  </li>
+                ))}
+              </ul>
+            </>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
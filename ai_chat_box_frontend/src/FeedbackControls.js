@@ -0,0 +1,89 @@
+import React from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * FeedbackControls - 👍 / 👎 and "correct the intent" controls under an assistant bubble.
+ * Emits { rating: 'up' | 'down' } or { correctedIntent } through `onFeedback`;
+ * the parent decides what is allowed and applies the learning update.
+ */
+
+const styles = {
+  bar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 8,
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+    whiteSpace: 'normal',
+  },
+  button: {
+    background: 'none',
+    border: '1px solid var(--border-color, #E5E7EB)',
+    borderRadius: 8,
+    padding: '1px 6px',
+    fontSize: 13,
+    cursor: 'pointer',
+  },
+  buttonActive: {
+    background: 'rgba(37,99,235,0.12)',
+    borderColor: '#2563EB',
+  },
+  select: {
+    fontSize: 12,
+    padding: '2px 4px',
+    borderRadius: 6,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: '#ffffff',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function FeedbackControls({ message, intents, onFeedback }) {
+  /** PUBLIC_INTERFACE
+   * Renders feedback controls for one assistant message carrying `intent` and `feedback`.
+   */
+  const { t } = useI18n();
+  const feedback = message.feedback || {};
+  const rated = !!(feedback.rating || feedback.correctedIntent);
+  const canCorrect = !feedback.correctedIntent && feedback.rating !== 'up';
+
+  return (
+    <div style={styles.bar} role="group" aria-label={t('feedback.label')}>
+      <button
+        type="button"
+        style={{ ...styles.button, ...(feedback.rating === 'up' ? styles.buttonActive : {}) }}
+        onClick={() => onFeedback({ rating: 'up' })}
+        disabled={rated}
+        aria-label={t('feedback.good')}
+        aria-pressed={feedback.rating === 'up'}
+      >
+        👍
+      </button>
+      <button
+        type="button"
+        style={{ ...styles.button, ...(feedback.rating === 'down' ? styles.buttonActive : {}) }}
+        onClick={() => onFeedback({ rating: 'down' })}
+        disabled={rated}
+        aria-label={t('feedback.bad')}
+        aria-pressed={feedback.rating === 'down'}
+      >
+        👎
+      </button>
+      <label>
+        {t('feedback.intent')}{' '}
+        <select
+          value={feedback.correctedIntent || message.intent}
+          onChange={(e) => onFeedback({ correctedIntent: e.target.value })}
+          disabled={!canCorrect}
+          style={styles.select}
+          aria-label={t('feedback.correct')}
+        >
+          {intents.map((key) => (
+            <option key={key} value={key}>{key}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useRef, useState } from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * KnowledgePanel - manage the local knowledge base: upload Markdown, text and
+ * JSON documents, and list, re-index or delete them. The parent chunks, indexes
+ * and stores the documents.
+ */
+
+const styles = {
+  panel: {
+    width: '100%',
+    marginTop: 8,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+  },
+  bar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    flexWrap: 'wrap',
+  },
+  label: {
+    fontSize: 13,
+    color: 'var(--text-secondary, #374151)',
+  },
+  button: {
+    fontSize: 13,
+    fontWeight: 600,
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+  },
+  danger: {
+    color: '#EF4444',
+  },
+  list: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    borderRadius: 10,
+    background: '#ffffff',
+    maxHeight: 180,
+    overflowY: 'auto',
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    padding: '6px 10px',
+    borderTop: '1px solid var(--border-color, #E5E7EB)',
+    fontSize: 13,
+  },
+  name: {
+    fontWeight: 600,
+    color: 'var(--text-primary, #111827)',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  meta: {
+    flex: 1,
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+  },
+  empty: {
+    padding: '8px 10px',
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+  },
+  status: {
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+  },
+};
+
+const formatSize = (chars) => (chars >= 1024 ? `${(chars / 1024).toFixed(1)} KB` : `${chars} B`);
+
+// PUBLIC_INTERFACE
+export default function KnowledgePanel({ documents, busy, status, onUpload, onReindex, onDelete }) {
+  /** PUBLIC_INTERFACE
+   * Renders the knowledge base bar with its collapsible document list.
+   */
+  const { t, locale } = useI18n();
+  const [open, setOpen] = useState(false);
+  const fileRef = useRef(null);
+
+  const handleFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    if (files.length) onUpload(files);
+    e.target.value = '';
+  };
+
+  return (
+    <div style={styles.panel} role="group" aria-label={t('knowledge.label')}>
+      <div style={styles.bar}>
+        <button
+          type="button"
+          style={styles.button}
+          onClick={() => setOpen(o => !o)}
+          aria-expanded={open}
+          aria-controls="knowledge-documents"
+        >
+          {open ? '▾' : '▸'} {t('knowledge.toggle', { count: documents.length })}
+        </button>
+        <button type="button" style={styles.button} onClick={() => fileRef.current?.click()} disabled={busy}>
+          {t('knowledge.add')}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          multiple
+          accept=".md,.markdown,.txt,.json,text/markdown,text/plain,application/json"
+          onChange={handleFiles}
+          style={{ display: 'none' }}
+          aria-label={t('knowledge.files')}
+        />
+        {status ? <span style={styles.status} aria-live="polite">{status}</span> : null}
+      </div>
+      {open ? (
+        <ul id="knowledge-documents" style={styles.list}>
+          {documents.length === 0 ? (
+            <li style={styles.empty}>
+              {t('knowledge.empty')}
+            </li>
+          ) : documents.map((doc, i) => (
+            <li key={doc.id} style={{ ...styles.item, ...(i === 0 ? { borderTop: 'none' } : {}) }}>
+              <span style={styles.name} title={doc.name}>{doc.name}</span>
+              <span style={styles.meta}>
+                {t('knowledge.passages', { count: doc.chunkCount })} • {formatSize(doc.size)} •{' '}
+                {t('knowledge.indexed', { date: new Date(doc.indexedAt).toLocaleString(locale) })}
+              </span>
+              <button
+                type="button"
+                style={styles.button}
+                onClick={() => onReindex(doc.id)}
+                disabled={busy}
+                aria-label={t('knowledge.reindexLabel', { name: doc.name })}
+              >
+                {t('knowledge.reindex')}
+              </button>
+              <button
+                type="button"
+                style={{ ...styles.button, ...styles.danger }}
+                onClick={() => onDelete(doc.id)}
+                disabled={busy}
+                aria-label={t('knowledge.deleteLabel', { name: doc.name })}
+              >
+                {t('knowledge.delete')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
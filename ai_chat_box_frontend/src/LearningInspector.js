@@ -0,0 +1,294 @@
+import React, { useMemo, useState } from 'react';
+import { useI18n } from './i18n';
+import { clampedWeights, topFeatures, weightHeatmap } from './inspector';
+
+/**
+ * LearningInspector - collapsible view of what online learning has done: the
+ * weights as an intent × feature heatmap, each intent's most influential
+ * features, and charts of the intents chosen and the weight norms over time
+ * from the snapshot history (see inspector/learningHistory.js).
+ */
+
+// one colour per intent, by its position in the pack
+const INTENT_COLORS = ['#2563EB', '#F59E0B', '#EF4444', '#10B981', '#8B5CF6', '#EC4899', '#14B8A6', '#6B7280', '#84CC16'];
+const intentColor = (i) => INTENT_COLORS[i % INTENT_COLORS.length];
+
+// chart size in SVG units; the SVG scales to the panel width
+const CHART = { width: 320, height: 90 };
+// most recent snapshots shown in the charts
+const CHART_SNAPSHOTS = 40;
+
+const styles = {
+  panel: {
+    width: '100%',
+    marginTop: 8,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+  },
+  bar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    flexWrap: 'wrap',
+  },
+  button: {
+    fontSize: 13,
+    fontWeight: 600,
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+  },
+  body: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 10,
+    padding: 10,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    borderRadius: 10,
+    background: '#ffffff',
+    fontSize: 12,
+    color: 'var(--text-primary, #111827)',
+  },
+  heading: {
+    margin: 0,
+    fontSize: 13,
+    fontWeight: 600,
+  },
+  note: {
+    color: 'var(--text-secondary, #6B7280)',
+  },
+  warning: {
+    color: '#EF4444',
+    fontWeight: 600,
+  },
+  scroll: {
+    overflowX: 'auto',
+  },
+  table: {
+    borderCollapse: 'collapse',
+  },
+  featureHead: {
+    writingMode: 'vertical-rl',
+    transform: 'rotate(180deg)',
+    fontWeight: 400,
+    padding: '2px 0',
+    maxHeight: 90,
+    overflow: 'hidden',
+    color: 'var(--text-secondary, #6B7280)',
+  },
+  intentHead: {
+    textAlign: 'start',
+    fontWeight: 600,
+    paddingInlineEnd: 6,
+    whiteSpace: 'nowrap',
+  },
+  cell: {
+    width: 14,
+    height: 14,
+    border: '1px solid #ffffff',
+  },
+  topList: {
+    margin: 0,
+    paddingInlineStart: 16,
+  },
+  legend: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  swatch: {
+    display: 'inline-block',
+    width: 10,
+    height: 10,
+    borderRadius: 2,
+    marginInlineEnd: 4,
+  },
+  chart: {
+    width: '100%',
+    height: 'auto',
+    background: 'var(--bg-primary, #F9FAFB)',
+    borderRadius: 6,
+  },
+  axis: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    color: 'var(--text-secondary, #6B7280)',
+  },
+};
+
+// Blue for positive weights, red for negative, stronger with the size of the weight
+const cellColor = (value, max) => {
+  if (!value || !max) return 'rgba(229,231,235,0.6)';
+  const alpha = (0.15 + 0.85 * Math.min(1, Math.abs(value) / max)).toFixed(2);
+  return value > 0 ? `rgba(37,99,235,${alpha})` : `rgba(239,68,68,${alpha})`;
+};
+
+const formatWeight = (w) => (w > 0 ? `+${w.toFixed(3)}` : w.toFixed(3));
+
+// PUBLIC_INTERFACE
+export default function LearningInspector({ pack, weights, history, clampRange, labelFor, onClearHistory }) {
+  /** PUBLIC_INTERFACE
+   * `weights` are the active pack's weight matrix and `history` the snapshot
+   * history (snapshots of other packs are skipped). `labelFor(intentKey)` names
+   * intents; `onClearHistory()` empties the history.
+   */
+  const { t, locale } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  const heatmap = useMemo(() => (open ? weightHeatmap(weights, pack) : null), [open, weights, pack]);
+  const top = useMemo(() => (open ? topFeatures(weights, pack) : null), [open, weights, pack]);
+  const snapshots = useMemo(
+    () => history.filter(s => s.packId === pack.id).slice(-CHART_SNAPSHOTS),
+    [history, pack.id],
+  );
+  const intents = pack.intents.map(d => d.key);
+  const clamped = open ? clampedWeights(weights, clampRange) : 0;
+
+  const legend = (
+    <div style={styles.legend}>
+      {intents.map((key, i) => (
+        <span key={key}>
+          <span style={{ ...styles.swatch, background: intentColor(i) }} />
+          {labelFor(key)}
+        </span>
+      ))}
+    </div>
+  );
+
+  const timeAxis = snapshots.length ? (
+    <div style={styles.axis}>
+      <span>{new Date(snapshots[0].at).toLocaleString(locale)}</span>
+      <span>{new Date(snapshots[snapshots.length - 1].at).toLocaleString(locale)}</span>
+    </div>
+  ) : null;
+
+  // Stacked bars of the intents chosen in each snapshot interval
+  const renderDistribution = () => {
+    const totals = snapshots.map(s => intents.reduce((sum, key) => sum + (s.intents[key] || 0), 0));
+    const maxTotal = Math.max(0, ...totals);
+    if (!maxTotal) return <div style={styles.note}>{t('inspector.noChoices')}</div>;
+    const slot = CHART.width / snapshots.length;
+    return (
+      <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} style={styles.chart} role="img" aria-label={t('inspector.distributionChart')}>
+        {snapshots.map((s, i) => {
+          let y = CHART.height;
+          return intents.map((key, k) => {
+            const count = s.intents[key] || 0;
+            if (!count) return null;
+            const h = (count / maxTotal) * (CHART.height - 4);
+            y -= h;
+            return (
+              <rect key={`${s.at}-${key}`} x={i * slot + slot * 0.1} y={y} width={slot * 0.8} height={h} fill={intentColor(k)}>
+                <title>{`${labelFor(key)}: ${count}`}</title>
+              </rect>
+            );
+          });
+        })}
+      </svg>
+    );
+  };
+
+  // One line per intent with the norm of its weights
+  const renderNorms = () => {
+    const maxNorm = Math.max(0, ...snapshots.flatMap(s => intents.map(key => s.norms[key] || 0)));
+    if (snapshots.length < 2 || !maxNorm) return <div style={styles.note}>{t('inspector.noDrift')}</div>;
+    const x = (i) => (i / (snapshots.length - 1)) * CHART.width;
+    const y = (norm) => CHART.height - 2 - (norm / maxNorm) * (CHART.height - 4);
+    return (
+      <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} style={styles.chart} role="img" aria-label={t('inspector.driftChart')}>
+        {intents.map((key, k) => (
+          <polyline
+            key={key}
+            points={snapshots.map((s, i) => `${x(i).toFixed(1)},${y(s.norms[key] || 0).toFixed(1)}`).join(' ')}
+            fill="none"
+            stroke={intentColor(k)}
+            strokeWidth={1.5}
+          >
+            <title>{`${labelFor(key)}: ${(snapshots[snapshots.length - 1].norms[key] || 0).toFixed(3)}`}</title>
+          </polyline>
+        ))}
+      </svg>
+    );
+  };
+
+  return (
+    <div style={styles.panel} role="group" aria-label={t('inspector.label')}>
+      <div style={styles.bar}>
+        <button
+          type="button"
+          style={styles.button}
+          onClick={() => setOpen(o => !o)}
+          aria-expanded={open}
+          aria-controls="learning-inspector"
+        >
+          {open ? '▾' : '▸'} {t('inspector.toggle')}
+        </button>
+        {open ? (
+          <button type="button" style={styles.button} onClick={onClearHistory} disabled={!history.length}>
+            {t('inspector.clearHistory')}
+          </button>
+        ) : null}
+      </div>
+      {open ? (
+        <div id="learning-inspector" style={styles.body}>
+          <h3 style={styles.heading}>{t('inspector.heatmap')}</h3>
+          {heatmap.features.length ? (
+            <div style={styles.scroll}>
+              <table style={styles.table} aria-label={t('inspector.heatmap')}>
+                <thead>
+                  <tr>
+                    <th />
+                    {heatmap.features.map(f => (
+                      <th key={f.index} scope="col" style={styles.featureHead} title={f.name}>{f.name}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {heatmap.intents.map((key, r) => (
+                    <tr key={key}>
+                      <th scope="row" style={styles.intentHead}>{labelFor(key)}</th>
+                      {heatmap.values[r].map((value, c) => (
+                        <td
+                          key={heatmap.features[c].index}
+                          style={{ ...styles.cell, background: cellColor(value, heatmap.max) }}
+                          title={`${labelFor(key)} × ${heatmap.features[c].name}: ${formatWeight(value)}`}
+                        />
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div style={styles.note}>{t('inspector.noWeights')}</div>
+          )}
+          {clamped ? <div style={styles.warning}>{t('inspector.clamped', { count: clamped, range: clampRange })}</div> : null}
+
+          <h3 style={styles.heading}>{t('inspector.topFeatures')}</h3>
+          <ul style={styles.topList}>
+            {intents.filter(key => top[key].length).map(key => (
+              <li key={key}>
+                <strong>{labelFor(key)}</strong>: {top[key].map(f => `${f.name} ${formatWeight(f.weight)}`).join(', ')}
+              </li>
+            ))}
+          </ul>
+
+          <h3 style={styles.heading}>{t('inspector.distribution')}</h3>
+          {renderDistribution()}
+          <h3 style={styles.heading}>{t('inspector.drift')}</h3>
+          {renderNorms()}
+          {snapshots.length ? (
+            <>
+              {timeAxis}
+              {legend}
+            </>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
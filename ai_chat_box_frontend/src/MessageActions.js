@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { useI18n } from './i18n';
+import { copyToClipboard } from './clipboard';
+
+/**
+ * MessageActions - small action row inside a message bubble: switch between the
+ * branches of a fork ("‹ 1/2 ›"), edit (user messages), regenerate (replies),
+ * copy and delete. Actions without a handler are left out.
+ */
+
+const styles = {
+  bar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 4,
+    marginTop: 6,
+    fontSize: 12,
+    opacity: 0.85,
+    whiteSpace: 'normal',
+  },
+  button: {
+    background: 'none',
+    border: 'none',
+    color: 'inherit',
+    padding: '1px 4px',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer',
+  },
+  branch: {
+    fontVariantNumeric: 'tabular-nums',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function MessageActions({
+  message,
+  branch,
+  disabled = false,
+  onSwitchBranch,
+  onEdit,
+  onRegenerate,
+  onDelete,
+}) {
+  /** PUBLIC_INTERFACE
+   * `branch` is `{ index, count }` (see branchOf) and `onSwitchBranch(index)` shows
+   * another branch. `disabled` turns off everything except copy, e.g. while a
+   * reply is streaming.
+   */
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    const ok = await copyToClipboard(message.content);
+    setCopied(ok);
+    if (ok) setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    <div style={styles.bar} role="group" aria-label={t('actions.label')}>
+      {branch ? (
+        <>
+          <button
+            type="button"
+            style={styles.button}
+            onClick={() => onSwitchBranch(branch.index - 1)}
+            disabled={disabled || branch.index === 0}
+            aria-label={t('actions.previous')}
+          >
+            ‹
+          </button>
+          <span style={styles.branch} aria-label={t('actions.branch', { index: branch.index + 1, count: branch.count })}>
+            {branch.index + 1}/{branch.count}
+          </span>
+          <button
+            type="button"
+            style={styles.button}
+            onClick={() => onSwitchBranch(branch.index + 1)}
+            disabled={disabled || branch.index === branch.count - 1}
+            aria-label={t('actions.next')}
+          >
+            ›
+          </button>
+        </>
+      ) : null}
+      {onEdit ? (
+        <button type="button" style={styles.button} onClick={onEdit} disabled={disabled} aria-label={t('actions.editLabel')}>
+          ✎ {t('actions.edit')}
+        </button>
+      ) : null}
+      {onRegenerate ? (
+        <button type="button" style={styles.button} onClick={onRegenerate} disabled={disabled} aria-label={t('actions.regenerateLabel')}>
+          ↻ {t('actions.regenerate')}
+        </button>
+      ) : null}
+      <button type="button" style={styles.button} onClick={handleCopy} aria-label={t('actions.copyLabel')}>
+        {copied ? t('actions.copied') : t('actions.copy')}
+      </button>
+      {onDelete ? (
+        <button type="button" style={styles.button} onClick={onDelete} disabled={disabled} aria-label={t('actions.deleteLabel')}>
+          {t('actions.delete')}
+        </button>
+      ) : null}
+    </div>
+  );
+}
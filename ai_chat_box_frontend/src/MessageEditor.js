@@ -0,0 +1,90 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * MessageEditor - inline editor replacing a user message's text. Saving re-runs
+ * the conversation from that message as a new branch; the parent does that.
+ */
+
+const styles = {
+  form: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    minWidth: 220,
+  },
+  textarea: {
+    fontFamily: 'inherit',
+    fontSize: 14,
+    padding: '6px 8px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: '#ffffff',
+    color: '#111827',
+    resize: 'vertical',
+  },
+  buttons: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: 6,
+  },
+  button: {
+    fontSize: 12,
+    fontWeight: 600,
+    padding: '4px 10px',
+    borderRadius: 8,
+    border: '1px solid rgba(255,255,255,0.6)',
+    background: 'rgba(255,255,255,0.15)',
+    color: 'inherit',
+    cursor: 'pointer',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function MessageEditor({ initialText, onSave, onCancel }) {
+  /** PUBLIC_INTERFACE
+   * `onSave(text)` receives the trimmed text when it is not empty. Enter saves,
+   * Shift+Enter adds a line and Escape cancels.
+   */
+  const { t } = useI18n();
+  const [text, setText] = useState(initialText);
+  const textareaRef = useRef(null);
+
+  useEffect(() => {
+    textareaRef.current?.focus();
+  }, []);
+
+  const save = () => {
+    if (text.trim()) onSave(text.trim());
+  };
+
+  return (
+    <div style={styles.form}>
+      <textarea
+        ref={textareaRef}
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            save();
+          } else if (e.key === 'Escape') {
+            e.preventDefault();
+            onCancel();
+          }
+        }}
+        rows={Math.min(6, text.split('\n').length + 1)}
+        style={styles.textarea}
+        aria-label={t('actions.editInput')}
+      />
+      <div style={styles.buttons}>
+        <button type="button" style={styles.button} onClick={onCancel}>
+          {t('actions.cancel')}
+        </button>
+        <button type="button" style={styles.button} onClick={save} disabled={!text.trim()} aria-label={t('actions.saveLabel')}>
+          {t('actions.save')}
+        </button>
+      </div>
+    </div>
+  );
+}
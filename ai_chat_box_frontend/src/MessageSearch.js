@@ -0,0 +1,212 @@
+import React, { useMemo, useState } from 'react';
+import { DEFAULT_TITLE } from './conversationStore';
+import { useI18n } from './i18n';
+import { highlightMatches, searchMessages } from './search';
+
+/**
+ * MessageSearch - full-text search across the messages of every conversation,
+ * with role, intent and date filters. Results show the matching words in
+ * context; choosing one asks the parent to open its conversation and scroll to
+ * the message. The parent keeps the index up to date (see search/).
+ */
+
+const ROLES = ['user', 'assistant', 'system'];
+
+const styles = {
+  panel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    padding: '10px 16px',
+    borderBottom: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+  },
+  bar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    flexWrap: 'wrap',
+  },
+  query: {
+    flex: 1,
+    minWidth: 160,
+    fontSize: 14,
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+  },
+  label: {
+    fontSize: 12,
+    color: 'var(--text-secondary, #374151)',
+  },
+  control: {
+    fontSize: 12,
+    padding: '3px 6px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+  },
+  button: {
+    fontSize: 12,
+    fontWeight: 600,
+    padding: '4px 10px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+  },
+  status: {
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+  },
+  results: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    maxHeight: 220,
+    overflowY: 'auto',
+  },
+  result: {
+    display: 'block',
+    width: '100%',
+    textAlign: 'start',
+    padding: '6px 8px',
+    marginBottom: 4,
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-primary, #f9fafb)',
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+    fontSize: 13,
+  },
+  meta: {
+    display: 'block',
+    fontSize: 11,
+    color: 'var(--text-secondary, #6B7280)',
+    marginBottom: 2,
+  },
+  mark: {
+    background: 'rgba(245,158,11,0.35)',
+    color: 'inherit',
+    borderRadius: 3,
+    padding: '0 1px',
+  },
+};
+
+// Day inputs (yyyy-mm-dd, local time) to an inclusive timestamp range
+const dayStart = (value) => (value ? new Date(`${value}T00:00:00`).getTime() : null);
+const dayEnd = (value) => (value ? new Date(`${value}T23:59:59.999`).getTime() : null);
+
+// PUBLIC_INTERFACE
+export default function MessageSearch({ index, conversations, activeId, intents, labelFor, disabled, onJump, onClose }) {
+  /** PUBLIC_INTERFACE
+   * `index` is the search index and `conversations` the sidebar metadata (for titles);
+   * `intents` are the intent keys offered as a filter, shown with `labelFor(key)`.
+   * `onJump({ conversationId, index })` opens a result; `disabled` holds results outside
+   * the open conversation (`activeId`) while a reply is in progress.
+   */
+  const { t, locale } = useI18n();
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ role: '', intent: '', from: '', to: '' });
+
+  const results = useMemo(() => searchMessages(index, query, {
+    role: filters.role || null,
+    intent: filters.intent || null,
+    from: dayStart(filters.from),
+    to: dayEnd(filters.to),
+  }), [index, query, filters]);
+
+  const active = !!query.trim() || Object.values(filters).some(Boolean);
+  const setFilter = (patch) => setFilters(prev => ({ ...prev, ...patch }));
+  const titleOf = (id) => {
+    const meta = conversations.find(c => c.id === id);
+    if (!meta) return '';
+    return meta.title === DEFAULT_TITLE ? t('sidebar.untitled') : meta.title;
+  };
+
+  return (
+    <div style={styles.panel} role="search" aria-label={t('search.label')}>
+      <div style={styles.bar}>
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Escape') onClose();
+          }}
+          placeholder={t('search.placeholder')}
+          aria-label={t('search.query')}
+          style={styles.query}
+          autoFocus
+        />
+        <button type="button" style={styles.button} onClick={onClose}>
+          {t('search.close')}
+        </button>
+      </div>
+      <div style={styles.bar}>
+        <label style={styles.label}>
+          {t('search.role')}{' '}
+          <select value={filters.role} onChange={(e) => setFilter({ role: e.target.value })} style={styles.control}>
+            <option value="">{t('search.anyRole')}</option>
+            {ROLES.map(role => <option key={role} value={role}>{t(`search.${role}`)}</option>)}
+          </select>
+        </label>
+        <label style={styles.label}>
+          {t('search.intent')}{' '}
+          <select value={filters.intent} onChange={(e) => setFilter({ intent: e.target.value })} style={styles.control}>
+            <option value="">{t('search.anyIntent')}</option>
+            {intents.map(key => <option key={key} value={key}>{labelFor(key)}</option>)}
+          </select>
+        </label>
+        <label style={styles.label}>
+          {t('search.from')}{' '}
+          <input type="date" value={filters.from} onChange={(e) => setFilter({ from: e.target.value })} style={styles.control} />
+        </label>
+        <label style={styles.label}>
+          {t('search.to')}{' '}
+          <input type="date" value={filters.to} onChange={(e) => setFilter({ to: e.target.value })} style={styles.control} />
+        </label>
+      </div>
+
+      {active ? (
+        <>
+          <span style={styles.status} aria-live="polite">
+            {results.length ? t('search.results', { count: results.length }) : t('search.noResults')}
+          </span>
+          <ul style={styles.results} aria-label={t('search.resultsLabel')}>
+            {results.map(r => (
+              <li key={`${r.conversationId}#${r.index}`}>
+                <button
+                  type="button"
+                  style={styles.result}
+                  onClick={() => onJump({ conversationId: r.conversationId, index: r.index })}
+                  disabled={disabled && r.conversationId !== activeId}
+                >
+                  <span style={styles.meta}>
+                    {[
+                      titleOf(r.conversationId),
+                      t(`search.${r.role}`),
+                      r.intent ? labelFor(r.intent) : '',
+                      r.createdAt ? new Date(r.createdAt).toLocaleString(locale) : '',
+                    ].filter(Boolean).join(' · ')}
+                  </span>
+                  <span dir="auto">
+                    {highlightMatches(r.content, query).map((segment, i) => (
+                      segment.match ? <mark key={i} style={styles.mark}>{segment.text}</mark> : segment.text
+                    ))}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <span style={styles.status}>{t('search.hint')}</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+import React, { useRef, useState } from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * SkillPackControls - pick the active skill pack, import one from a file or URL,
+ * and remove imported packs. The parent validates, stores and activates packs.
+ */
+
+const styles = {
+  bar: {
+    width: '100%',
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+    flexWrap: 'wrap',
+  },
+  label: {
+    fontSize: 13,
+    color: 'var(--text-secondary, #374151)',
+  },
+  control: {
+    fontSize: 13,
+    padding: '6px 8px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: '#ffffff',
+    color: 'var(--text-primary, #111827)',
+  },
+  urlInput: {
+    flex: 1,
+    minWidth: 140,
+  },
+  button: {
+    fontSize: 13,
+    fontWeight: 600,
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+  },
+  status: {
+    width: '100%',
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function SkillPackControls({
+  packs,
+  activeId,
+  builtinIds,
+  status,
+  onSelect,
+  onImportFile,
+  onImportUrl,
+  onRemove,
+}) {
+  /** PUBLIC_INTERFACE
+   * Renders the skill pack bar shown under the chat input.
+   */
+  const { t } = useI18n();
+  const [url, setUrl] = useState('');
+  const fileRef = useRef(null);
+  const isImported = !builtinIds.includes(activeId);
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onImportFile(file);
+    e.target.value = '';
+  };
+
+  const handleLoadUrl = () => {
+    if (url.trim()) onImportUrl(url.trim());
+  };
+
+  return (
+    <div style={styles.bar} role="group" aria-label={t('packs.label')}>
+      <label style={styles.label}>
+        {t('packs.pack')}{' '}
+        <select
+          value={activeId}
+          onChange={(e) => onSelect(e.target.value)}
+          style={styles.control}
+          aria-label={t('packs.select')}
+        >
+          {packs.map((p) => (
+            <option key={p.id} value={p.id}>{p.name} (v{p.version})</option>
+          ))}
+        </select>
+      </label>
+      {isImported ? (
+        <button type="button" style={styles.button} onClick={() => onRemove(activeId)} aria-label={t('packs.removeLabel')}>
+          {t('packs.remove')}
+        </button>
+      ) : null}
+      <button type="button" style={styles.button} onClick={() => fileRef.current?.click()}>
+        {t('packs.importFile')}
+      </button>
+      <input
+        ref={fileRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={handleFile}
+        style={{ display: 'none' }}
+        aria-label={t('packs.file')}
+      />
+      <input
+        type="url"
+        value={url}
+        onChange={(e) => setUrl(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') handleLoadUrl();
+        }}
+        placeholder="https://…/pack.json"
+        style={{ ...styles.control, ...styles.urlInput }}
+        aria-label={t('packs.url')}
+      />
+      <button type="button" style={styles.button} onClick={handleLoadUrl} disabled={!url.trim()}>
+        {t('packs.loadUrl')}
+      </button>
+      {status ? <span style={styles.status} aria-live="polite">{status}</span> : null}
+    </div>
+  );
+}
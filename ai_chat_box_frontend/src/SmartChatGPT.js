@@ -1,260 +1,450 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { forwardRef, useState, useEffect, useId, useImperativeHandle, useMemo, useRef } from 'react';
+import {
+  DEFAULT_CLARIFICATION,
+  DEFAULT_LEARNING,
+  generateResponseForIntent,
+  updateContext,
+  resolveClarification,
+  resolveFeedback,
+} from './intentModel';
+import {
+  createEmptyMemory,
+  createMemoryDocument,
+  loadMemory,
+  memoryFromDocument,
+  parseMemoryDocument,
+  persistMemory,
+  switchMemoryPack,
+} from './memory';
+import { downloadTextFile, fileTimestamp, readFileText } from './fileUtils';
+import {
+  BUILTIN_SKILL_PACKS,
+  DEFAULT_SKILL_PACK,
+  compileSkillPack,
+  fetchSkillPack,
+  intentLabel,
+  readSkillPackFile,
+} from './skillPack';
+import { createEngine, ENGINE_OPTIONS } from './engines';
+import { DEFAULT_OPENAI_SETTINGS } from './engines/openAIEngine';
+import { delay, isAbortError, simulateStream } from './engines/streaming';
+import { getIntelligenceClient } from './worker/client';
+import ClarificationChips from './ClarificationChips';
+import ConversationSidebar from './ConversationSidebar';
+import FeedbackControls from './FeedbackControls';
+import KnowledgePanel from './KnowledgePanel';
+import LearningInspector from './LearningInspector';
+import EvaluationPanel from './EvaluationPanel';
+import { datasetFormat, evaluateIntents, parseEvalDataset } from './evaluation';
+import TrainingPanel from './TrainingPanel';
+import { DEFAULT_BATCH_TRAINING, mergeWeights } from './training';
+import TranscriptControls from './TranscriptControls';
+import MessageSearch from './MessageSearch';
+import { createSearchIndex, indexConversation, removeConversationFromIndex } from './search';
+import {
+  DEFAULT_TRANSCRIPT_LABELS,
+  conversationFromTranscript,
+  createTranscript,
+  parseTranscript,
+  transcriptToHtml,
+  transcriptToMarkdown,
+} from './transcript';
+import { loadLearningHistory, persistLearningHistory, recordSnapshot } from './inspector';
+import { BUILTIN_FLOWS, advanceFlow, applyFlowAction, findFlowForIntent, startFlow } from './flows';
+import {
+  addDocument,
+  listDocuments,
+  loadKnowledgeIndex,
+  reindexDocument,
+  removeDocument,
+} from './knowledge';
+import {
+  I18nProvider,
+  SUPPORTED_LOCALES,
+  createTranslator,
+  detectLanguage,
+  localeDirection,
+  resolveLocale,
+  translate,
+} from './i18n';
+import MarkdownView from './markdown/MarkdownView';
+import SkillPackControls from './SkillPackControls';
+import CommandMenu from './CommandMenu';
+import MessageActions from './MessageActions';
+import MessageEditor from './MessageEditor';
+import { branchOf, forkMessages, learningAdjustments, recordLearning, switchBranch } from './branches';
+import { SLASH_COMMANDS, parseSlashCommand, suggestSlashCommands } from './commands';
+import DictationButton from './DictationButton';
+import VoiceSettings from './VoiceSettings';
+import { createSpeaker, getSpeechSupport, normalizeVoiceSettings } from './speech';
+import { namespacedKey } from './storage';
+import {
+  DEFAULT_TITLE,
+  createConversation,
+  deleteConversation,
+  getConversation,
+  listConversations,
+  saveConversation,
+  sortConversations,
+  titleFromMessages,
+} from './conversationStore';
 
 /**
  * SmartChatGPT - A React-only chatbot component enhanced with live in-browser learning.
- * - Animated typing for the assistant (unchanged)
+ * - Streamed assistant replies with a Stop button (local replies optionally animated)
+ * - Assistant replies rendered as sanitised Markdown with highlighted, copyable code blocks
  * - Lightweight intent classifier with online-updatable weights (perceptron-like)
- * - Feature extraction over user text (keywords, cues, length buckets)
+ * - Feature extraction over tokenised user text (keywords, cues, length buckets) plus
+ *   hashed word and character n-grams, so any vocabulary can be learned
+ * - Intents, features and rules loaded from JSON skill packs, switchable at runtime
  * - Online learning step after each exchange (reinforce chosen intent)
- * - Persistence of weights and stats to localStorage
+ * - Scoring and learning run in a Web Worker (in-thread fallback without workers)
+ * - User feedback (👍/👎, intent correction) applying positive and negative updates
+ * - Calibrated intent probabilities; a clarifying question with intent chips when unsure
+ * - Entity extraction (names, dates, times, numbers, emails, URLs, pack lists) filling
+ *   {slot} response templates; entities kept on messages and slots in the context
+ * - Multi-turn dialog flows (project intake) started by intents, with validation,
+ *   re-prompts, back/cancel and a summary; a running flow takes over the input
+ * - Local knowledge base (Markdown/TXT/JSON uploads, BM25 index in IndexedDB)
+ *   answering questions no intent is sure about, with cited sources
+ * - Persistence of weights (keyed by feature name) and stats to localStorage
+ * - Versioned memory export/import with migrations from older storage formats
+ * - Multiple conversations (messages + context) persisted to IndexedDB, with a sidebar
+ * - Full-text search across every conversation's messages with role, intent and date
+ *   filters; matches highlighted in context, and a result opens and scrolls to its
+ *   message. The index is updated incrementally as messages arrive
+ * - Transcripts: the open conversation exported as Markdown, standalone HTML or JSON
+ *   (roles, timestamps, decided intents, feedback); JSON transcripts import back as
+ *   a conversation to resume or review
  * - UI controls to toggle learning and reset memory
+ * - Learning inspector: weight heatmap, top features per intent, and charts of the
+ *   intents chosen and weight norms over time from a history of snapshots
+ * - "Run eval": accuracy, per-intent precision/recall/F1 and a confusion matrix for a
+ *   labelled JSONL/CSV file, scored with the current weights
+ * - Batch training from a labelled file (perceptron or logistic regression, epochs,
+ *   validation split) with an accuracy preview before replacing or merging the weights
+ * - Pluggable response engines (intent classifier, TF.js pipeline, OpenAI-compatible HTTP)
+ * - Translated UI (English, Spanish, Arabic) with right-to-left layout; replies in the
+ *   language detected in each message, using the pack's localized intents and keywords
+ * - Embeddable: a compact panel layout, configurable title/greeting/skill pack, an
+ *   onMessage callback and a `send` handle (used by the widget in src/widget)
+ * - Message actions: edit a sent message or regenerate a reply as a new branch
+ *   ("‹ 1/2 ›" to switch), copy and delete; learning from a branch that is left
+ *   is taken back, and applied again when the branch is shown
+ * - Slash commands (/help, /reset, /learn, /export, /clear, /intent, /stats) with
+ *   autocomplete in the composer; their results show as system messages
+ * - Voice: dictation into the input (optionally sent right away) and replies read
+ *   aloud sentence by sentence as they are typed, where the browser supports it
+ * - Reusable: starting messages, badge, learning defaults, callbacks for intents,
+ *   learning updates and errors, a controlled `messages` mode, and a storage
+ *   namespace so several instances on one page keep separate state
  *
- * No backend or external services; all computation in-browser.
+ * With the default intent engine there is no backend; all computation is in-browser.
  */
 
-// Intent space kept small and rule-friendly; includes baseline rules and trainable bias
-const INTENT_DEFS = [
-  { key: 'greeting', baseBias: 0.3, response: 'Hi there! 👋 How can I help you today?' },
-  { key: 'smalltalk_status', baseBias: 0.1, response: 'I’m doing great! How about you?' },
-  { key: 'weather', baseBias: 0.0, response: 'I don’t pull live weather, but it looks like a great day to build something cool! 🌤️' },
-  { key: 'name', baseBias: 0.05, response: 'I’m SmartChatGPT — a lightweight assistant running entirely in your browser.' },
-  { key: 'farewell', baseBias: 0.2, response: 'Goodbye! 👋 Have a great day!' },
-  { key: 'project_context', baseBias: 0.1, response: 'We’re using an Ocean Professional theme with a modern React UI. What would you like to build?' },
-  { key: 'generic_followup', baseBias: 0.15, response: 'Got it. Would you like a summary, suggestions, or examples to move forward?' },
-];
-
-// Token groups and cues for feature extraction
-const FEATURE_SPECS = [
-  // keyword groups
-  { name: 'kw_hello', tokens: ['hello', 'hi', 'hey', 'yo'], weight: 1 },
-  { name: 'kw_how_are_you', tokens: ['how are you', 'hows it going', 'how r u'], weight: 1 },
-  { name: 'kw_weather', tokens: ['weather', 'rain', 'sunny', 'forecast'], weight: 1 },
-  { name: 'kw_name', tokens: ['name', 'who are you', 'what are you'], weight: 1 },
-  { name: 'kw_thanks', tokens: ['thanks', 'thank you', 'thx', 'appreciate'], weight: 1 },
-  { name: 'kw_bye', tokens: ['bye', 'goodbye', 'see you', 'cya'], weight: 1 },
-  { name: 'kw_project', tokens: ['project', 'build', 'tech', 'react', 'frontend', 'design', 'theme'], weight: 1 },
-  { name: 'kw_help', tokens: ['help', 'assist', 'support'], weight: 1 },
-
-  // punctuation cues
-  { name: 'cue_question', tokens: ['?'], weight: 1 },
-  { name: 'cue_exclaim', tokens: ['!'], weight: 1 },
-
-  // sentiment-ish cues
-  { name: 'sent_pos', tokens: [':)', '🙂', '😊', '👍', 'great', 'awesome'], weight: 1 },
-  { name: 'sent_neg', tokens: [':(', '🙁', '😔', 'bad', 'terrible'], weight: 1 },
-
-  // message length buckets (computed in extractor)
-  { name: 'len_short', tokens: [], weight: 1 },  // <= 3 words
-  { name: 'len_medium', tokens: [], weight: 1 }, // 4-12 words
-  { name: 'len_long', tokens: [], weight: 1 },   // > 12 words
-];
-
-// Map from features to baseline bias per intent (rule-ish nudges)
-const BASE_RULES = {
-  greeting: ['kw_hello', 'sent_pos', 'len_short'],
-  smalltalk_status: ['kw_how_are_you', 'sent_pos'],
-  weather: ['kw_weather', 'cue_question'],
-  name: ['kw_name', 'cue_question'],
-  farewell: ['kw_bye', 'sent_pos', 'len_short'],
-  project_context: ['kw_project', 'kw_help'],
-  generic_followup: ['cue_question', 'len_long', 'kw_help'],
-};
-
 // Storage keys
 const LS_KEYS = {
-  weights: 'smartgpt_intent_weights_v1',
-  stats: 'smartgpt_stats_v1',
-  learnEnabled: 'smartgpt_learning_enabled_v1',
+  engine: 'smartgpt_engine_v1',
+  activeConversation: 'smartgpt_active_conversation_v1',
+  skillPacks: 'smartgpt_skill_packs_v1',
+  activeSkillPack: 'smartgpt_active_skill_pack_v1',
+  locale: 'smartgpt_locale_v1',
+  voice: 'smartgpt_voice_v1',
 };
 
-// Utility: clamp a number
-const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+// The storage keys of one namespace (see namespacedKey)
+const storageKeys = (namespace) => Object.fromEntries(
+  Object.entries(LS_KEYS).map(([name, key]) => [name, namespacedKey(key, namespace)]),
+);
 
-/**
- * Create zero-initialized weight matrix: { intentKey: number[featureCount] }
- */
-function createZeroWeights() {
-  const size = FEATURE_SPECS.length;
-  const w = {};
-  for (const intent of INTENT_DEFS) {
-    w[intent.key] = Array(size).fill(0);
-  }
-  return w;
-}
+const defaultMessages = (locale, greeting) => [
+  { role: 'assistant', content: greeting || translate(locale, 'chat.greeting'), createdAt: Date.now() },
+];
+const initialContext = () => ({ lastIntent: null, history: [], slots: {} });
+
+// Sidebar metadata of a conversation record (messages stay in IndexedDB)
+const toMeta = ({ id, title, createdAt, updatedAt, pinned }) => ({ id, title, createdAt, updatedAt, pinned });
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
 
 /**
- * Load weights and stats from localStorage; returns safe defaults if absent or invalid.
+ * Load imported skill packs and the active pack id. Packs that no longer
+ * validate are skipped. `initialPack` (a pack id, or a compiled pack to install)
+ * overrides the saved active pack.
  */
-function loadMemory() {
+function loadSkillPacks(keys, initialPack) {
+  const state = { imported: [], activeId: DEFAULT_SKILL_PACK.id };
   try {
-    const weightsJson = localStorage.getItem(LS_KEYS.weights);
-    const statsJson = localStorage.getItem(LS_KEYS.stats);
-    const learnJson = localStorage.getItem(LS_KEYS.learnEnabled);
-
-    const weights = weightsJson ? JSON.parse(weightsJson) : createZeroWeights();
-    const stats = statsJson ? JSON.parse(statsJson) : { messages: 0, updates: 0 };
-    const learningEnabled = learnJson ? JSON.parse(learnJson) : true;
-
-    // Validate shape
-    const featureCount = FEATURE_SPECS.length;
-    for (const intent of INTENT_DEFS) {
-      if (!Array.isArray(weights[intent.key]) || weights[intent.key].length !== featureCount) {
-        weights[intent.key] = Array(featureCount).fill(0);
+    const packsJson = localStorage.getItem(keys.skillPacks);
+    for (const source of packsJson ? JSON.parse(packsJson) : []) {
+      try {
+        state.imported.push(compileSkillPack(source));
+      } catch {
+        // skip packs that fail validation
       }
     }
-    return { weights, stats, learningEnabled };
+    state.activeId = localStorage.getItem(keys.activeSkillPack) || state.activeId;
   } catch {
-    return { weights: createZeroWeights(), stats: { messages: 0, updates: 0 }, learningEnabled: true };
+    // fall back to the built-in packs
+  }
+  if (initialPack?.id && !BUILTIN_SKILL_PACKS.some(p => p.id === initialPack.id)) {
+    state.imported = [...state.imported.filter(p => p.id !== initialPack.id), initialPack];
   }
+  if (initialPack) state.activeId = initialPack.id || initialPack;
+  return state;
 }
 
 /**
- * Persist weights and stats to localStorage.
+ * Persist imported skill packs (as their source JSON) and the active pack id.
  */
-function persistMemory(weights, stats, learningEnabled) {
+function persistSkillPacks(keys, { imported, activeId }) {
   try {
-    localStorage.setItem(LS_KEYS.weights, JSON.stringify(weights));
-    localStorage.setItem(LS_KEYS.stats, JSON.stringify(stats));
-    localStorage.setItem(LS_KEYS.learnEnabled, JSON.stringify(learningEnabled));
+    localStorage.setItem(keys.skillPacks, JSON.stringify(imported.map(p => p.source)));
+    localStorage.setItem(keys.activeSkillPack, activeId);
   } catch {
     // ignore quota or serialization errors for this demo
   }
 }
 
-/**
- * Extract a dense binary feature vector for the input text.
- * Returns Float32Array length = FEATURE_SPECS.length
- */
-function extractFeatures(textRaw) {
-  const text = (textRaw || '').toLowerCase().trim();
-  const words = text.split(/\s+/).filter(Boolean);
-  const vec = new Float32Array(FEATURE_SPECS.length);
-
-  FEATURE_SPECS.forEach((spec, idx) => {
-    if (spec.name.startsWith('len_')) {
-      // handle later after base token features
-      return;
-    }
-    const hit = spec.tokens.some(tok => text.includes(tok));
-    vec[idx] = hit ? 1 : 0;
-  });
-
-  // length buckets
-  const lenShortIdx = FEATURE_SPECS.findIndex(f => f.name === 'len_short');
-  const lenMediumIdx = FEATURE_SPECS.findIndex(f => f.name === 'len_medium');
-  const lenLongIdx = FEATURE_SPECS.findIndex(f => f.name === 'len_long');
-  const wc = words.length;
-  if (wc <= 3 && lenShortIdx >= 0) vec[lenShortIdx] = 1;
-  else if (wc <= 12 && lenMediumIdx >= 0) vec[lenMediumIdx] = 1;
-  else if (lenLongIdx >= 0) vec[lenLongIdx] = 1;
+// Built-in packs followed by imported ones
+const allSkillPacks = ({ imported }) => [...BUILTIN_SKILL_PACKS, ...imported];
 
-  return vec;
-}
+// The active compiled pack, falling back to the default one
+const resolveActivePack = (state) => allSkillPacks(state).find(p => p.id === state.activeId) || DEFAULT_SKILL_PACK;
 
 /**
- * Compute score for each intent: dot(W_i, x) + baseBias + ruleBias(features)
- * Returns array of { key, score }
+ * Load the UI language: the saved choice, else the browser's preferred languages.
  */
-function scoreIntents(weights, features) {
-  const scores = [];
-  for (const intent of INTENT_DEFS) {
-    const w = weights[intent.key] || [];
-    let dot = 0;
-    for (let i = 0; i < features.length; i++) {
-      dot += (w[i] || 0) * features[i];
-    }
-
-    // rule bias: add small bumps for rule-aligned features
-    const ruleFeats = BASE_RULES[intent.key] || [];
-    let ruleBonus = 0;
-    for (const fname of ruleFeats) {
-      const idx = FEATURE_SPECS.findIndex(f => f.name === fname);
-      if (idx >= 0 && features[idx] > 0) {
-        ruleBonus += 0.15; // small nudge
-      }
-    }
-
-    const score = dot + (intent.baseBias || 0) + ruleBonus;
-    scores.push({ key: intent.key, score });
+function loadLocale(keys) {
+  try {
+    const saved = localStorage.getItem(keys.locale);
+    if (saved && SUPPORTED_LOCALES.some(l => l.code === saved)) return saved;
+  } catch {
+    // fall back to the browser languages
   }
-  return scores.sort((a, b) => b.score - a.score);
+  return resolveLocale(navigator.languages || [navigator.language]);
 }
 
 /**
- * Online update: perceptron-like reinforcement for chosen intent.
- * weights[intentChosen] += lr * features
- * Optional mild decay for others.
+ * Load engine selection and HTTP engine settings from localStorage.
  */
-function updateWeights(weights, intentKey, features, lr = 0.1, clampRange = 2.0, decay = 0.01) {
-  const featureCount = features.length;
-  const copy = { ...weights };
-
-  // reinforce chosen
-  const wChosen = (copy[intentKey] || Array(featureCount).fill(0)).slice();
-  for (let i = 0; i < featureCount; i++) {
-    const val = wChosen[i] + lr * features[i];
-    wChosen[i] = clamp(val, -clampRange, clampRange);
-  }
-  copy[intentKey] = wChosen;
-
-  // mild decay on others to avoid runaway bias
-  for (const intent of INTENT_DEFS) {
-    if (intent.key === intentKey) continue;
-    const w = (copy[intent.key] || Array(featureCount).fill(0)).slice();
-    for (let i = 0; i < featureCount; i++) {
-      const v = w[i] * (1 - decay);
-      w[i] = Math.abs(v) < 1e-4 ? 0 : v;
-    }
-    copy[intent.key] = w;
+function loadEngineSettings(keys) {
+  const defaults = {
+    engineId: 'intent',
+    baseUrl: DEFAULT_OPENAI_SETTINGS.baseUrl,
+    model: DEFAULT_OPENAI_SETTINGS.model,
+    animate: true,
+    clarify: DEFAULT_CLARIFICATION.enabled,
+    clarifyConfidence: DEFAULT_CLARIFICATION.minConfidence,
+    clarifyMargin: DEFAULT_CLARIFICATION.minMargin,
+    detectLanguage: true,
+  };
+  try {
+    const json = localStorage.getItem(keys.engine);
+    return json ? { ...defaults, ...JSON.parse(json) } : defaults;
+  } catch {
+    return defaults;
   }
-  return copy;
 }
 
 /**
- * Generate a response string for the chosen intent, with slight variants from context.
+ * Persist engine selection and HTTP engine settings.
  */
-function generateResponseForIntent(intentKey, context) {
-  const def = INTENT_DEFS.find(d => d.key === intentKey) || INTENT_DEFS.find(d => d.key === 'generic_followup');
-
-  // Tiny contextual variation
-  if (context.lastIntent === intentKey) {
-    return `${def.response} By the way, I recall we were on the same topic earlier.`;
-  }
-  if (intentKey === 'greeting' && context.history?.length > 0) {
-    return `${def.response} I remember our recent chat—ready to continue?`;
-  }
-  if (intentKey === 'generic_followup' && (context.lastIntent === 'project_context' || context.lastIntent === 'help')) {
-    return 'Makes sense. Would examples or a quick outline help you proceed?';
+function persistEngineSettings(keys, settings) {
+  try {
+    localStorage.setItem(keys.engine, JSON.stringify(settings));
+  } catch {
+    // ignore quota or serialization errors for this demo
   }
-  return def.response;
 }
 
-// Simple context tracker (short-lived) to slightly vary responses
-function updateContext(context, userText, decidedIntent) {
-  const next = { ...context };
-  next.lastIntent = decidedIntent || context.lastIntent || null;
-  const history = (next.history || []).slice(-2);
-  next.history = [...history, userText];
-  return next;
+/**
+ * Load voice input and spoken reply settings from localStorage.
+ */
+function loadVoiceSettings(keys) {
+  try {
+    const json = localStorage.getItem(keys.voice);
+    return normalizeVoiceSettings(json ? JSON.parse(json) : {});
+  } catch {
+    return normalizeVoiceSettings();
+  }
 }
 
 // PUBLIC_INTERFACE
-export default function SmartChatGPT() {
+const SmartChatGPT = forwardRef(function SmartChatGPT({
+  title = 'SmartChatGPT',
+  badge,
+  greeting,
+  initialMessages,
+  skillPack,
+  storageNamespace = '',
+  learning,
+  layout = 'page',
+  showSettings = true,
+  messages: controlledMessages,
+  onMessagesChange,
+  onMessage,
+  onIntentDecided,
+  onLearningUpdate,
+  onError,
+}, ref) {
   /** PUBLIC_INTERFACE
    * Main SmartChatGPT component rendering the chat UI with typing animation and adaptive learning.
+   * - `title` and `badge` head the chat (`badge={null}` hides the badge).
+   * - `initialMessages` start every new conversation; `greeting` is the shorthand for a
+   *   single assistant greeting. Both default to the translated greeting.
+   * - `skillPack` is the pack id (or a compiled pack) to start with.
+   * - `storageNamespace` keeps settings, learned memory and conversations apart from
+   *   other instances. It is read once, on mount.
+   * - `learning` overrides DEFAULT_LEARNING: whether learning starts enabled and its rates.
+   * - `layout="panel"` fills its container instead of centring a card on the page.
+   * - `showSettings={false}` hides the learning, knowledge, skill pack and engine bars.
+   * - `messages` with `onMessagesChange(messages)` makes the parent own the messages
+   *   (controlled mode, decided on mount); conversations are then not stored or listed.
+   * - `onMessage(message)` is called once for each user or assistant message when it is final.
+   * - `onIntentDecided({ intent, confidence, text, source })` fires when the engine decides
+   *   an intent (`source: 'engine'`) or the user picks one (`'clarification'`).
+   * - `onLearningUpdate({ reason, packId, weights })` fires after the weights change
+   *   (`reason`: 'message', 'feedback', 'clarification', 'command', 'branch', 'training', 'reset' or 'import').
+   * - `onError(error, { source })` reports engine, learning, skill pack, memory,
+   *   transcript, knowledge base, evaluation, training and voice input failures.
+   * - `ref` exposes `send(text)` once the chat is ready. Sends are queued behind any
+   *   reply in progress; each resolves after its own reply.
    */
-  const [messages, setMessages] = useState([
-    { role: 'assistant', content: 'Hello! I’m SmartChatGPT 🤖 — now with simple in-browser learning. How can I help?' },
-  ]);
+  const [namespace] = useState(storageNamespace);
+  const keys = useMemo(() => storageKeys(namespace), [namespace]);
+  const learningOptions = { ...DEFAULT_LEARNING, ...learning };
+  // UI language; replies may follow the language of each message instead
+  const [locale, setLocale] = useState(() => loadLocale(keys));
+  const t = useMemo(() => createTranslator(locale), [locale]);
+  // Messages a new conversation starts with
+  const startMessages = (lang) => (initialMessages ? [...initialMessages] : defaultMessages(lang, greeting));
+  // In controlled mode the parent owns the messages and receives every change
+  const [controlled] = useState(controlledMessages !== undefined);
+  const [ownMessages, setOwnMessages] = useState(() => (controlled ? [] : startMessages(locale)));
+  const messages = controlled ? controlledMessages : ownMessages;
   const [input, setInput] = useState('');
+  // slash command autocomplete: highlighted suggestion, and whether Escape closed the menu
+  const [commandIndex, setCommandIndex] = useState(0);
+  const [commandMenuOpen, setCommandMenuOpen] = useState(true);
+  const commandMenuId = useId();
+  // index of the user message being edited
+  const [editingIndex, setEditingIndex] = useState(null);
   const [isTyping, setIsTyping] = useState(false);
-  const [context, setContext] = useState({ lastIntent: null, history: [] });
+  const [context, setContext] = useState(initialContext);
+  // dialog flow currently asking its questions, if any
+  const runningFlow = context.flow ? BUILTIN_FLOWS.find(f => f.id === context.flow.id) || null : null;
+
+  // conversation sessions
+  const [conversations, setConversations] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  // full-text index of every conversation's messages, and the search panel
+  const [searchIndex, setSearchIndex] = useState(createSearchIndex);
+  const [showSearch, setShowSearch] = useState(false);
+  // message to scroll to once its conversation is open, and the one just found
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const [foundIndex, setFoundIndex] = useState(null);
+  const [showSidebar, setShowSidebar] = useState(layout !== 'panel' && !controlled);
+
+  // skill packs (intents, features, rules)
+  const [skillPacks, setSkillPacks] = useState(() => loadSkillPacks(keys, skillPack));
+  const [packStatus, setPackStatus] = useState('');
+  const [memoryStatus, setMemoryStatus] = useState('');
+  const [transcriptStatus, setTranscriptStatus] = useState('');
+  const pack = useMemo(() => resolveActivePack(skillPacks), [skillPacks]);
 
   // learning state
-  const [{ weights, stats, learningEnabled }, setMemory] = useState(() => loadMemory());
+  const [{ weights, stats, learningEnabled, carried }, setMemory] = useState(() => loadMemory(resolveActivePack(skillPacks), {
+    namespace,
+    learningEnabled: learningOptions.enabled,
+  }));
+  // snapshots of the learning state over time, for the inspector
+  const [learningHistory, setLearningHistory] = useState(() => loadLearningHistory(namespace));
+  // last offline evaluation: { name, packName, report }
+  const [evalResult, setEvalResult] = useState(null);
+  const [evalStatus, setEvalStatus] = useState('');
+  const [evalBusy, setEvalBusy] = useState(false);
+  // batch training: options, and the run in progress or awaiting a decision
+  const [trainingOptions, setTrainingOptions] = useState(() => {
+    const { algorithm, epochs, validationSplit } = DEFAULT_BATCH_TRAINING;
+    return { algorithm, epochs, validationSplit };
+  });
+  const [training, setTraining] = useState(null);
+  const [trainingStatus, setTrainingStatus] = useState('');
+  const trainingAbortRef = useRef(null);
+
+  // knowledge base documents; the index itself lives in knowledgeRef
+  const [knowledgeDocs, setKnowledgeDocs] = useState([]);
+  const [knowledgeStatus, setKnowledgeStatus] = useState('');
+  const [knowledgeBusy, setKnowledgeBusy] = useState(false);
+
+  // response engine selection
+  const [engineSettings, setEngineSettings] = useState(() => loadEngineSettings(keys));
+  // loading/training status of engines with their own model (the TF.js pipeline)
+  const [modelStatus, setModelStatus] = useState(null);
+
+  // speech APIs of this browser (fixed) and the voice settings
+  const [speech] = useState(() => getSpeechSupport());
+  const [voiceSettings, setVoiceSettings] = useState(() => loadVoiceSettings(keys));
 
   const listRef = useRef(null);
   const inputRef = useRef(null);
+  const abortRef = useRef(null);
+  const memoryFileRef = useRef(null);
+  // messages array last loaded from / saved to the store, to skip redundant saves
+  const savedMessagesRef = useRef(null);
+  const weightsRef = useRef(weights);
+  weightsRef.current = weights;
+  const packRef = useRef(pack);
+  packRef.current = pack;
+  // learning updates run on the worker one at a time, each starting from the last result
+  const learningQueueRef = useRef(Promise.resolve());
+  const knowledgeRef = useRef(null);
+  const startMessagesRef = useRef(startMessages);
+  startMessagesRef.current = startMessages;
+  const callbacksRef = useRef(null);
+  callbacksRef.current = { onMessagesChange, onMessage, onIntentDecided, onLearningUpdate, onError };
+  // messages before this index were passed to onMessage or loaded with the conversation
+  const reportedRef = useRef(messages.length);
+  const messagesRef = useRef(messages);
+  messagesRef.current = messages;
+  // replies from index `next` on have not been read aloud; `speaker` reads message `index`
+  const speechRef = useRef({ next: messages.length, index: -1, speaker: null });
+
+  // Same contract as a state setter. Controlled updates apply to the latest list,
+  // including changes the parent has not rendered yet.
+  const setMessages = (update) => {
+    if (!controlled) {
+      setOwnMessages(update);
+      return;
+    }
+    const next = typeof update === 'function' ? update(messagesRef.current) : update;
+    messagesRef.current = next;
+    callbacksRef.current.onMessagesChange?.(next);
+  };
+
+  const reportError = (error, source) => callbacksRef.current.onError?.(error, { source });
+
+  // Engines are cheap to build; rebuild when the selection or HTTP settings change
+  const engine = useMemo(() => createEngine(engineSettings.engineId, {
+    getWeights: () => weightsRef.current,
+    getPack: () => packRef.current,
+    getClarification: () => ({
+      enabled: engineSettings.clarify,
+      minConfidence: engineSettings.clarifyConfidence,
+      minMargin: engineSettings.clarifyMargin,
+    }),
+    getKnowledge: () => knowledgeRef.current,
+    baseUrl: engineSettings.baseUrl,
+    model: engineSettings.model,
+    onTrainingProgress: setModelStatus,
+  }), [engineSettings]);
+
+  // Load the engine's model (or train it) as soon as it is selected, so the status shows
+  useEffect(() => {
+    setModelStatus(null);
+    engine.prepare?.().catch(() => {});
+  }, [engine]);
 
   // Keep scroll pinned to bottom
   useEffect(() => {
@@ -263,19 +453,308 @@ export default function SmartChatGPT() {
     }
   }, [messages, isTyping]);
 
+  // Scroll a search result into view once its conversation is open
+  useEffect(() => {
+    if (!jumpTarget || jumpTarget.conversationId !== (controlled ? '' : activeId)) return;
+    listRef.current?.querySelector(`[data-message-index="${jumpTarget.index}"]`)?.scrollIntoView?.({ block: 'center' });
+    setFoundIndex(jumpTarget.index);
+    setJumpTarget(null);
+  }, [jumpTarget, controlled, activeId, messages]);
+
+  // The found message stays marked for a moment
+  useEffect(() => {
+    if (foundIndex === null) return undefined;
+    const timer = setTimeout(() => setFoundIndex(null), 2000);
+    return () => clearTimeout(timer);
+  }, [foundIndex]);
+
+  // Index the open conversation's messages as they change (only new or edited ones
+  // are tokenised). Controlled chats have a single, unstored conversation.
+  useEffect(() => {
+    const id = controlled ? '' : activeId;
+    if (id === null) return;
+    setSearchIndex(prev => indexConversation(prev, { id, messages }));
+  }, [controlled, activeId, messages]);
+
+  // Report messages to onMessage in order, each once it has stopped streaming
+  useEffect(() => {
+    let i = reportedRef.current;
+    for (; i < messages.length && !messages[i].typingId; i++) {
+      callbacksRef.current.onMessage?.(messages[i]);
+    }
+    reportedRef.current = i;
+  }, [messages]);
+
+  // Read assistant replies aloud as the typing animation reveals them
+  useEffect(() => {
+    const state = speechRef.current;
+    const speaking = speech.synthesis && voiceSettings.speakReplies && !voiceSettings.muted;
+    if (!speaking) state.speaker = null;
+    state.next = Math.min(state.next, messages.length);
+    for (let i = state.next; i < messages.length; i++) {
+      const m = messages[i];
+      if (m.role === 'assistant') {
+        if (state.index !== i) {
+          state.index = i;
+          state.speaker = speaking
+            ? createSpeaker(speech, { voiceURI: voiceSettings.voiceURI, rate: voiceSettings.rate, lang: m.locale || locale })
+            : null;
+        }
+        state.speaker?.update(m.content, !m.typingId);
+        if (m.typingId) break;
+      }
+      state.next = i + 1;
+    }
+  }, [messages, speech, voiceSettings, locale]);
+
+  // Silence queued speech when muted, turned off or unmounted
+  useEffect(() => {
+    if (!speech.synthesis) return undefined;
+    if (!voiceSettings.speakReplies || voiceSettings.muted) speech.synthesis.cancel();
+    return () => speech.synthesis.cancel();
+  }, [speech, voiceSettings.speakReplies, voiceSettings.muted]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(keys.voice, JSON.stringify(voiceSettings));
+    } catch {
+      // ignore quota or serialization errors for this demo
+    }
+  }, [keys, voiceSettings]);
+
   // Persist memory on change
   useEffect(() => {
-    persistMemory(weights, stats, learningEnabled);
-  }, [weights, stats, learningEnabled]);
+    persistMemory({ weights, stats, learningEnabled, carried }, pack, namespace);
+  }, [weights, stats, learningEnabled, carried, pack, namespace]);
+
+  useEffect(() => {
+    setLearningHistory(prev => recordSnapshot(prev, { packId: pack.id, weights, stats }));
+  }, [weights, stats, pack.id]);
+
+  useEffect(() => {
+    persistLearningHistory(learningHistory, namespace);
+  }, [learningHistory, namespace]);
+
+  useEffect(() => {
+    persistSkillPacks(keys, skillPacks);
+  }, [keys, skillPacks]);
+
+  useEffect(() => {
+    persistEngineSettings(keys, engineSettings);
+  }, [keys, engineSettings]);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(keys.locale, locale);
+    } catch {
+      // ignore quota or serialization errors for this demo
+    }
+  }, [keys, locale]);
+
+  // Load conversations once; reopen the last active one or start a fresh one
+  useEffect(() => {
+    if (controlled) return undefined;
+    let cancelled = false;
+    (async () => {
+      let list = [];
+      try {
+        list = await listConversations(namespace);
+      } catch {
+        // storage unavailable; start with a fresh in-memory conversation
+      }
+      if (cancelled) return;
+
+      let lastActiveId = null;
+      try {
+        lastActiveId = localStorage.getItem(keys.activeConversation);
+      } catch {
+        // ignore
+      }
+      let active = list.find(c => c.id === lastActiveId) || list[0];
+      if (!active) {
+        active = createConversation({
+          messages: startMessagesRef.current(loadLocale(keys)),
+          context: initialContext(),
+          namespace,
+        });
+        list = [active];
+        saveConversation(active).catch(() => {});
+      }
+
+      setConversations(list.map(toMeta));
+      setSearchIndex(prev => list.reduce(indexConversation, prev));
+      savedMessagesRef.current = active.messages;
+      reportedRef.current = active.messages.length;
+      speechRef.current.next = active.messages.length;
+      setOwnMessages(active.messages);
+      setContext(active.context || initialContext());
+      setActiveId(active.id);
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [controlled, keys, namespace]);
+
+  // Load the knowledge base index and document list once
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([loadKnowledgeIndex(), listDocuments()])
+      .then(([index, docs]) => {
+        if (cancelled) return;
+        knowledgeRef.current = index;
+        setKnowledgeDocs(docs);
+      })
+      .catch(() => {
+        // storage unavailable; the knowledge base starts empty
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-  // Determine best intent given features and rule bias
-  const decideIntent = (text) => {
-    const feats = extractFeatures(text);
-    const ranked = scoreIntents(weights, feats);
+  // Remember which conversation was open
+  useEffect(() => {
+    if (!activeId) return;
+    try {
+      localStorage.setItem(keys.activeConversation, activeId);
+    } catch {
+      // ignore quota or serialization errors for this demo
+    }
+  }, [keys, activeId]);
+
+  // Save the active conversation once a reply has settled
+  useEffect(() => {
+    if (!activeId || isTyping || messages === savedMessagesRef.current) return;
+    const meta = conversations.find(c => c.id === activeId);
+    if (!meta) return;
+    savedMessagesRef.current = messages;
+
+    const title = meta.title === DEFAULT_TITLE ? titleFromMessages(messages) : meta.title;
+    const record = { ...meta, title, updatedAt: Date.now(), messages, context };
+    setConversations(prev => prev.map(c => (c.id === activeId ? toMeta(record) : c)));
+    saveConversation(record).catch(() => {});
+  }, [messages, context, isTyping, activeId, conversations]);
+
+  const openConversation = (conversation) => {
+    savedMessagesRef.current = conversation.messages;
+    reportedRef.current = conversation.messages.length;
+    speechRef.current = { next: conversation.messages.length, index: -1, speaker: null };
+    speech.synthesis?.cancel();
+    setEditingIndex(null);
+    setMessages(conversation.messages);
+    setContext(conversation.context || initialContext());
+    setActiveId(conversation.id);
+  };
+
+  const handleNewConversation = () => {
+    const conversation = createConversation({ messages: startMessages(locale), context: initialContext(), namespace });
+    setConversations(prev => [toMeta(conversation), ...prev]);
+    saveConversation(conversation).catch(() => {});
+    openConversation(conversation);
+  };
+
+  const handleSelectConversation = async (id) => {
+    if (id === activeId || isTyping) return;
+    const conversation = await getConversation(id).catch(() => null);
+    if (conversation) openConversation(conversation);
+  };
+
+  // Apply a metadata change (title, pinned) to the list and the stored record
+  const patchConversation = async (id, patch) => {
+    setConversations(prev => prev.map(c => (c.id === id ? { ...c, ...patch } : c)));
+    const record = await getConversation(id).catch(() => null);
+    if (record) saveConversation({ ...record, ...patch }).catch(() => {});
+  };
+
+  const handleRenameConversation = (id, title) => patchConversation(id, { title });
+
+  const handleTogglePin = (id) => {
+    const meta = conversations.find(c => c.id === id);
+    if (meta) patchConversation(id, { pinned: !meta.pinned });
+  };
+
+  const handleDeleteConversation = async (id) => {
+    const meta = conversations.find(c => c.id === id);
+    if (!meta || isTyping) return;
+    const title = meta.title === DEFAULT_TITLE ? t('sidebar.untitled') : meta.title;
+    if (!window.confirm(t('sidebar.confirmDelete', { title }))) return;
+    await deleteConversation(id).catch(() => {});
+    setSearchIndex(prev => removeConversationFromIndex(prev, id));
+    const remaining = conversations.filter(c => c.id !== id);
+    setConversations(remaining);
+    if (id !== activeId) return;
+
+    const next = sortConversations(remaining)[0];
+    const conversation = next ? await getConversation(next.id).catch(() => null) : null;
+    if (conversation) {
+      openConversation(conversation);
+    } else {
+      handleNewConversation();
+    }
+  };
+
+  // Open a search result: switch to its conversation if needed, then scroll to it
+  const handleJumpToMessage = async ({ conversationId, index }) => {
+    if (!controlled && conversationId !== activeId) {
+      if (isTyping) return;
+      const conversation = await getConversation(conversationId).catch(() => null);
+      if (!conversation) return;
+      openConversation(conversation);
+    }
+    setJumpTarget({ conversationId, index });
+  };
+
+  // Switch to another pack, carrying learned weights over by feature name (and
+  // keeping the ones it has no place for until a pack that has them is back)
+  const activatePack = (nextPack, imported = skillPacks.imported) => {
+    setMemory((prev) => switchMemoryPack(prev, pack, nextPack));
+    setSkillPacks({ imported, activeId: nextPack.id });
+  };
+
+  const handleSelectPack = (id) => {
+    const nextPack = allSkillPacks(skillPacks).find(p => p.id === id);
+    if (nextPack && nextPack.id !== pack.id) {
+      activatePack(nextPack);
+      setPackStatus(t('packs.using', { name: nextPack.name, version: nextPack.version }));
+    }
+  };
+
+  // Add (or replace by id) an imported pack and make it active
+  const installPack = (nextPack) => {
+    if (BUILTIN_SKILL_PACKS.some(p => p.id === nextPack.id)) {
+      throw new Error(`"${nextPack.id}" is a built-in pack id`);
+    }
+    const imported = [...skillPacks.imported.filter(p => p.id !== nextPack.id), nextPack];
+    activatePack(nextPack, imported);
+    setPackStatus(t('packs.loaded', { name: nextPack.name, version: nextPack.version }));
+  };
+
+  const handleImportPackFile = async (file) => {
+    try {
+      installPack(await readSkillPackFile(file));
+    } catch (e) {
+      setPackStatus(e.message);
+      reportError(e, 'skillPack');
+    }
+  };
+
+  const handleImportPackUrl = async (url) => {
+    try {
+      installPack(await fetchSkillPack(url));
+    } catch (e) {
+      setPackStatus(e.message);
+      reportError(e, 'skillPack');
+    }
+  };
 
-    // Soft check: If multiple tied, prefer ones that match explicit keyword rules
-    const top = ranked[0];
-    return { topIntent: top.key, features: feats, ranked };
+  const handleRemovePack = (id) => {
+    const imported = skillPacks.imported.filter(p => p.id !== id);
+    if (id === pack.id) {
+      activatePack(DEFAULT_SKILL_PACK, imported);
+    } else {
+      setSkillPacks((prev) => ({ ...prev, imported }));
+    }
+    setPackStatus(t('packs.removed'));
   };
 
   // Handle learning toggle
@@ -285,78 +764,719 @@ export default function SmartChatGPT() {
 
   // Handle reset learning
   const resetLearning = () => {
-    const fresh = createZeroWeights();
-    const newStats = { messages: 0, updates: 0 };
-    setMemory({ weights: fresh, stats: newStats, learningEnabled: true });
+    const memory = createEmptyMemory(pack, learningOptions.enabled);
+    setMemory(memory);
+    callbacksRef.current.onLearningUpdate?.({ reason: 'reset', packId: pack.id, weights: memory.weights });
+  };
+
+  // Download weights, stats and settings as a versioned memory document
+  const handleExportMemory = () => {
+    const {
+      engineId, baseUrl, model, animate, clarify, clarifyConfidence, clarifyMargin, detectLanguage: detect,
+    } = engineSettings;
+    const doc = createMemoryDocument({ weights, stats, learningEnabled, carried }, pack, {
+      engine: { engineId, baseUrl, model, animate, clarify, clarifyConfidence, clarifyMargin, detectLanguage: detect },
+    });
+    downloadTextFile(`smartgpt-memory-${fileTimestamp()}.json`, JSON.stringify(doc, null, 2));
+    setMemoryStatus(t('memory.exported'));
+  };
+
+  // Restore a memory document (any supported schema version) and its settings
+  const handleImportMemory = async (file) => {
+    try {
+      const doc = parseMemoryDocument(await readFileText(file));
+      const targetPack = allSkillPacks(skillPacks).find(p => p.id === doc.settings.skillPackId) || pack;
+      setSkillPacks(prev => ({ ...prev, activeId: targetPack.id }));
+      const memory = memoryFromDocument(doc, targetPack);
+      setMemory(memory);
+      callbacksRef.current.onLearningUpdate?.({ reason: 'import', packId: targetPack.id, weights: memory.weights });
+      if (doc.settings.engine) setEngineSettings(prev => ({ ...prev, ...doc.settings.engine }));
+      setMemoryStatus(doc.settings.skillPackId && doc.settings.skillPackId !== targetPack.id
+        ? t('memory.importedMapped', { pack: doc.settings.skillPackId, target: targetPack.name })
+        : t('memory.imported'));
+    } catch (e) {
+      setMemoryStatus(t('memory.importFailed', { error: e.message }));
+      reportError(e, 'memory');
+    }
+  };
+
+  // Download the open conversation as a Markdown, HTML or JSON transcript
+  const handleExportTranscript = (format) => {
+    const meta = conversations.find(c => c.id === activeId);
+    const doc = createTranscript({ ...meta, messages, context }, pack);
+    const name = `smartgpt-transcript-${fileTimestamp()}`;
+    if (format === 'json') {
+      downloadTextFile(`${name}.json`, JSON.stringify(doc, null, 2));
+    } else {
+      const options = {
+        labels: Object.fromEntries(Object.keys(DEFAULT_TRANSCRIPT_LABELS).map(key => [key, t(`transcript.page.${key}`)])),
+        intentLabel: (key) => intentLabel(pack, key, locale),
+        formatDate: (iso) => new Date(iso).toLocaleString(locale),
+        lang: locale,
+        dir: localeDirection(locale),
+      };
+      if (format === 'html') {
+        downloadTextFile(`${name}.html`, transcriptToHtml(doc, options), 'text/html');
+      } else {
+        downloadTextFile(`${name}.md`, transcriptToMarkdown(doc, options), 'text/markdown');
+      }
+    }
+    setTranscriptStatus(t('transcript.exported', { format: t(`transcript.${format}`) }));
   };
 
-  const handleSend = async () => {
-    const text = input.trim();
+  // Open a JSON transcript as a new conversation (controlled mode: replace the messages)
+  const handleImportTranscript = async (file) => {
+    try {
+      const restored = conversationFromTranscript(parseTranscript(await readFileText(file)));
+      const conversation = createConversation({
+        messages: restored.messages,
+        context: restored.context || initialContext(),
+        ...(restored.title ? { title: restored.title } : {}),
+        namespace,
+      });
+      if (!controlled) {
+        setConversations(prev => [toMeta(conversation), ...prev]);
+        saveConversation(conversation).catch(() => {});
+      }
+      openConversation(conversation);
+      setTranscriptStatus(t('transcript.imported', { count: restored.messages.length, name: file.name }));
+    } catch (e) {
+      setTranscriptStatus(t('transcript.importFailed', { error: e.message }));
+      reportError(e, 'transcript');
+    }
+  };
+
+  // Score a labelled utterance file with the current weights (nothing is learned)
+  const handleRunEval = async (file) => {
+    setEvalBusy(true);
+    setEvalStatus(t('eval.running', { name: file.name }));
+    try {
+      const examples = parseEvalDataset(await readFileText(file), { format: datasetFormat(file.name) });
+      setEvalResult({ name: file.name, packName: pack.name, report: evaluateIntents(examples, weights, pack) });
+      setEvalStatus(t('eval.done', { name: file.name }));
+    } catch (e) {
+      setEvalStatus(t('eval.failed', { error: e.message }));
+      reportError(e, 'eval');
+    } finally {
+      setEvalBusy(false);
+    }
+  };
+
+  // Train weights on a labelled file in the worker; the result waits for onApplyTraining
+  const handleTrainFile = async (file) => {
+    const controller = new AbortController();
+    trainingAbortRef.current = controller;
+    setTraining({ name: file.name, packId: pack.id, progress: null, result: null });
+    setTrainingStatus('');
+    try {
+      const examples = parseEvalDataset(await readFileText(file), { format: datasetFormat(file.name) });
+      const result = await getIntelligenceClient().call('intent.train', {
+        examples,
+        pack,
+        weights,
+        options: { ...trainingOptions, clampRange: learningOptions.clampRange },
+      }, {
+        signal: controller.signal,
+        onProgress: (progress) => setTraining(prev => (prev ? { ...prev, progress } : prev)),
+      });
+      setTraining(prev => (prev ? { ...prev, result } : prev));
+      if (result.skipped.length) setTrainingStatus(t('training.skipped', { labels: result.skipped.join(', ') }));
+    } catch (e) {
+      setTraining(null);
+      if (isAbortError(e)) {
+        setTrainingStatus(t('training.cancelled'));
+      } else {
+        setTrainingStatus(t('training.failed', { error: e.message }));
+        reportError(e, 'training');
+      }
+    } finally {
+      trainingAbortRef.current = null;
+    }
+  };
+
+  // Replace the weights with the trained ones, or add those onto the current ones.
+  // Queued behind running learning updates so none of them overwrites the result.
+  const handleApplyTraining = (mode) => {
+    const { packId, result } = training;
+    setTraining(null);
+    if (packId !== pack.id) {
+      setTrainingStatus(t('training.packChanged'));
+      return;
+    }
+    learningQueueRef.current = learningQueueRef.current.then(() => {
+      if (packRef.current.id !== packId) return;
+      const next = mode === 'merge'
+        ? mergeWeights(weightsRef.current, result.weights, learningOptions.clampRange)
+        : result.weights;
+      weightsRef.current = next;
+      setMemory(prev => ({ ...prev, weights: next, stats: { ...prev.stats, updates: (prev.stats?.updates || 0) + 1 } }));
+      callbacksRef.current.onLearningUpdate?.({ reason: 'training', packId, weights: next });
+      setTrainingStatus(t(mode === 'merge' ? 'training.merged' : 'training.replaced'));
+    });
+  };
+
+  // Run one knowledge base change, then refresh the index and document list
+  const updateKnowledge = async (change) => {
+    setKnowledgeBusy(true);
+    try {
+      const message = await change();
+      knowledgeRef.current = await loadKnowledgeIndex();
+      setKnowledgeDocs(await listDocuments());
+      setKnowledgeStatus(message);
+    } catch (e) {
+      setKnowledgeStatus(e.message);
+      reportError(e, 'knowledge');
+    } finally {
+      setKnowledgeBusy(false);
+    }
+  };
+
+  const handleUploadKnowledge = (files) => updateKnowledge(async () => {
+    const failed = [];
+    for (const file of files) {
+      try {
+        await addDocument({ name: file.name, text: await readFileText(file) });
+      } catch (e) {
+        failed.push(e.message);
+      }
+    }
+    const added = files.length - failed.length;
+    const summary = t('knowledge.added', { count: added });
+    return failed.length ? `${summary}. ${failed.join('; ')}` : summary;
+  });
+
+  const handleReindexKnowledge = (id) => updateKnowledge(async () => {
+    const doc = knowledgeDocs.find(d => d.id === id);
+    await reindexDocument(id);
+    return t('knowledge.reindexed', { name: doc?.name || id });
+  });
+
+  const handleDeleteKnowledge = (id) => {
+    const doc = knowledgeDocs.find(d => d.id === id);
+    if (!doc || !window.confirm(t('knowledge.confirmDelete', { name: doc.name }))) return;
+    updateKnowledge(async () => {
+      await removeDocument(id);
+      return t('knowledge.deleted', { name: doc.name });
+    });
+  };
+
+  // Send the input box, or `message` when it comes through the ref API (the draft is then kept)
+  const handleSend = async (message) => {
+    const typed = typeof message !== 'string';
+    const text = (typed ? input : message).trim();
     if (!text || isTyping) return;
 
-    setMessages(prev => [...prev, { role: 'user', content: text }]);
-    setInput('');
+    // Slash commands are handled here and never reach the engine
+    const command = parseSlashCommand(text);
+    if (command) {
+      runSlashCommand(command, text);
+      if (typed) setInput('');
+      return;
+    }
+
+    await sendText(text, { clearInput: typed });
+  };
+
+  // Where an exchange starts: after the last message, or at an earlier user message
+  // (`fork`) with the messages and context from before it
+  const exchangeBase = (fork) => (fork === null
+    ? { before: messages, context }
+    : { before: messages.slice(0, fork), context: messages[fork].contextBefore || initialContext() });
+
+  // Add the user's message (which keeps the context it was sent in). A fork replaces
+  // messages[fork] and what follows, keeping them as a branch whose learning is taken back.
+  const addUserMessage = (text, fork, baseContext) => {
+    const userMessage = { role: 'user', content: text, createdAt: Date.now(), contextBefore: baseContext };
+    if (fork === null) {
+      setMessages(prev => [...prev, userMessage]);
+      return;
+    }
+    applyLearning(messages.slice(fork), { undo: true });
+    reportedRef.current = Math.min(reportedRef.current, fork);
+    speechRef.current = { next: Math.min(speechRef.current.next, fork), index: -1, speaker: null };
+    speech.synthesis?.cancel();
+    setMessages(prev => forkMessages(prev, fork, userMessage, context));
+  };
+
+  // Send `text` as the user and answer it, after the last message or as a new
+  // branch at the user message `fork`
+  const sendText = async (text, { clearInput = false, fork = null } = {}) => {
+    if (isTyping) return;
+    const { before, context: baseContext } = exchangeBase(fork);
+
+    // A running dialog flow answers the message itself instead of the engine
+    const flowNow = baseContext.flow ? BUILTIN_FLOWS.find(f => f.id === baseContext.flow.id) : null;
+    if (flowNow) {
+      handleFlowTurn(flowNow, text, { clearInput, fork });
+      return;
+    }
+
+    const history = before.filter(m => m.role !== 'system').map(({ role, content }) => ({ role, content }));
+    const userIndex = before.length;
+    // Answer in the language of the message when it is clear, else in the UI language
+    const replyLocale = (engineSettings.detectLanguage && detectLanguage(text)?.locale) || locale;
+    addUserMessage(text, fork, baseContext);
+    if (clearInput) setInput('');
     setIsTyping(true);
 
-    // Simulate processing delay
-    await new Promise(r => setTimeout(r, 250));
+    const controller = new AbortController();
+    abortRef.current = controller;
+    const { signal } = controller;
+    const stream = startAssistantMessage();
+    // What the reply decided, kept on the message even when it is cut short, since its
+    // learning is already applied and editing or branching must be able to take it back
+    let decision = {};
+
+    try {
+      // Simulate processing delay
+      await delay(250, signal);
+
+      // Ask the active engine for a reply; only the intent engine reports intent/features
+      const reply = await engine.respond({ text, context: baseContext, history, signal, onToken: stream.append, locale: replyLocale });
 
-    // Decide intent using features + learned weights + baseline rules
-    const { topIntent, features } = decideIntent(text);
+      // Keep the entities found in the user's text on their message and in the context
+      const entities = reply.entities
+        || await getIntelligenceClient().call('entities.extract', { text, lists: packRef.current.entities }, { signal });
+      if (entities.length) {
+        setMessages(prev => prev.map((m, i) => (i === userIndex ? { ...m, entities } : m)));
+      }
+
+      // Intents that start a dialog flow append its intro and first question
+      const flow = !engine.streaming && !reply.clarification && findFlowForIntent(BUILTIN_FLOWS, reply.intent);
+      const started = flow ? startFlow(flow) : null;
+      const content = started ? `${reply.content}\n\n${started.reply}` : reply.content;
 
-    // Update context to include intent
-    const updatedContext = updateContext(context, text, topIntent);
-    setContext(updatedContext);
+      // Update context to include intent, slots and any flow just started
+      setContext({ ...updateContext(baseContext, text, reply.intent, entities), flow: started ? started.state : null });
 
-    // Generate response biased by chosen intent (keeping existing typing effect)
-    const reply = generateResponseForIntent(topIntent, updatedContext);
+      if (reply.intent) {
+        callbacksRef.current.onIntentDecided?.({
+          intent: reply.intent, confidence: reply.confidence ?? null, text, source: 'engine',
+        });
+        setLearningHistory(prev => recordSnapshot(prev, { packId: reply.packId || pack.id, intent: reply.intent }));
+      }
 
-    // Online update after the exchange (reinforce chosen intent)
-    setMemory((prev) => {
-      const nextStats = { messages: (prev.stats?.messages || 0) + 1, updates: prev.stats?.updates || 0 };
-      if (prev.learningEnabled) {
-        const nextWeights = updateWeights(prev.weights, topIntent, features, 0.1, 2.0, 0.01);
-        const incStats = { ...nextStats, updates: nextStats.updates + 1 };
-        return { ...prev, weights: nextWeights, stats: incStats };
+      // Online update after the exchange (reinforce chosen intent)
+      setMemory(prev => ({ ...prev, stats: { ...prev.stats, messages: (prev.stats?.messages || 0) + 1 } }));
+      const learned = learningEnabled && reply.intent && reply.features;
+      if (learned) {
+        const { rate, clampRange, decay } = learningOptions;
+        queueLearning(reply.packId, 'message', 'intent.update', {
+          intent: reply.intent, features: reply.features, lr: rate, clampRange, decay,
+        });
       }
-      return { ...prev, stats: nextStats };
+
+      // Keep what the classifier decided (or the options it asked about) so
+      // feedback and clarification picks can teach it later
+      if (reply.citations) {
+        decision = { citations: reply.citations };
+      } else if (reply.clarification && reply.features) {
+        decision = {
+          clarification: reply.clarification,
+          features: Array.from(reply.features),
+          packId: reply.packId,
+          locale: reply.locale,
+        };
+      } else {
+        const flowMark = started ? { flow: { id: flow.id, status: 'started' } } : {};
+        const learning = learned ? { learning: [{ intent: reply.intent, direction: 1, lr: learningOptions.rate }] } : {};
+        const decided = reply.intent && reply.features
+          ? { intent: reply.intent, confidence: reply.confidence, features: Array.from(reply.features), packId: reply.packId }
+          : {};
+        decision = { ...decided, ...learning, ...flowMark };
+      }
+
+      // Local engines answer all at once; optionally play the reply back word by word
+      if (!engine.streaming) {
+        if (engineSettings.animate) {
+          await simulateStream(content, stream.append, { signal });
+        } else {
+          stream.append(content);
+        }
+      }
+      stream.finish(decision);
+    } catch (e) {
+      if (isAbortError(e)) {
+        // Stopped by the user: keep whatever arrived and mark it as cut short
+        stream.finish({ ...decision, truncated: true });
+      } else if (stream.text) {
+        stream.finish({ ...decision, truncated: true, error: e.message });
+      } else {
+        stream.finish({ ...decision, content: translate(replyLocale, 'chat.error', { error: e.message }), error: e.message });
+      }
+      if (!isAbortError(e)) reportError(e, 'engine');
+    } finally {
+      abortRef.current = null;
+      setIsTyping(false);
+      inputRef.current?.focus();
+    }
+  };
+
+  // Feed a message to the running dialog flow (as of `fork`, see sendText). Completed
+  // flows copy their answers into the context slots so later templates can use them.
+  const handleFlowTurn = (flow, text, { clearInput = true, fork = null } = {}) => {
+    const { context: baseContext } = exchangeBase(fork);
+    const result = advanceFlow(flow, baseContext.flow, text, { locale });
+    addUserMessage(text, fork, baseContext);
+    setMessages(prev => [
+      ...prev,
+      { role: 'assistant', content: result.reply, createdAt: Date.now(), flow: { id: flow.id, status: result.status } },
+    ]);
+    if (clearInput) setInput('');
+    setContext({
+      ...baseContext,
+      flow: result.state,
+      history: [...(baseContext.history || []).slice(-2), text],
+      slots: result.status === 'completed' ? { ...baseContext.slots, ...result.values } : baseContext.slots,
     });
+    setMemory(prev => ({ ...prev, stats: { ...prev.stats, messages: (prev.stats?.messages || 0) + 1 } }));
+    inputRef.current?.focus();
+  };
 
-    // Typing animation for reply text
-    await typeOutAssistantMessage(reply);
-    setIsTyping(false);
+  // The flow bar's Back/Cancel buttons: answer the action without a user message
+  const handleFlowAction = (flow, action) => {
+    const result = applyFlowAction(flow, context.flow, action, { locale });
+    setMessages(prev => [
+      ...prev,
+      { role: 'assistant', content: result.reply, createdAt: Date.now(), flow: { id: flow.id, status: result.status } },
+    ]);
+    setContext(prev => ({ ...prev, flow: result.state }));
     inputRef.current?.focus();
   };
 
+  // Apply 👍/👎 or an intent correction to an assistant message
+  const handleFeedback = (index, action) => {
+    const message = messages[index];
+    // Feature vectors only line up with the pack that produced them
+    if ((message.packId || DEFAULT_SKILL_PACK.id) !== pack.id) return;
+    const resolved = resolveFeedback(message, action);
+    if (!resolved) return;
+
+    setMessages(prev => prev.map((m, i) => {
+      if (i !== index) return m;
+      const rated = { ...m, feedback: resolved.feedback };
+      return learningEnabled ? recordLearning(rated, resolved.updates, learningOptions.feedbackRate) : rated;
+    }));
+    setMemory(prev => ({ ...prev, stats: { ...prev.stats, feedback: (prev.stats?.feedback || 0) + 1 } }));
+    if (learningEnabled) {
+      queueLearning(message.packId || DEFAULT_SKILL_PACK.id, 'feedback', 'intent.adjust', {
+        features: message.features, updates: resolved.updates, lr: learningOptions.feedbackRate, clampRange: learningOptions.clampRange,
+      });
+    }
+  };
+
+  // Run a weight update on the intelligence worker and store the result. Updates
+  // are chained so none is computed from weights another is about to replace, and
+  // dropped if the pack changed in the meantime (features would not line up).
+  // `reason` is passed on to onLearningUpdate.
+  const queueLearning = (packId, reason, method, params) => {
+    learningQueueRef.current = learningQueueRef.current.then(async () => {
+      if (packRef.current.id !== packId) return;
+      try {
+        const nextWeights = await getIntelligenceClient().call(method, { ...params, weights: weightsRef.current });
+        if (packRef.current.id !== packId) return;
+        weightsRef.current = nextWeights;
+        setMemory(prev => ({ ...prev, weights: nextWeights, stats: { ...prev.stats, updates: (prev.stats?.updates || 0) + 1 } }));
+        callbacksRef.current.onLearningUpdate?.({ reason, packId, weights: nextWeights });
+      } catch (e) {
+        setMemoryStatus(t('learning.updateFailed', { error: e.message }));
+        reportError(e, 'learning');
+      }
+    });
+  };
+
+  // The user picked an intent from a clarifying question: record the pick on that
+  // message, answer for the picked intent and learn from it as a labelled example
+  const handleClarify = (index, intent) => {
+    const message = messages[index];
+    if (isTyping || (message.packId || DEFAULT_SKILL_PACK.id) !== pack.id) return;
+    const resolved = resolveClarification(message, intent);
+    if (!resolved) return;
+
+    const flow = findFlowForIntent(BUILTIN_FLOWS, intent);
+    const started = flow ? startFlow(flow) : null;
+    // Answer in the language the question was asked in
+    const response = generateResponseForIntent(intent, context, pack, message.locale || locale);
+    const nextContext = { ...context, lastIntent: intent, flow: started ? started.state : null };
+    const answer = {
+      role: 'assistant',
+      content: started ? `${response}\n\n${started.reply}` : response,
+      createdAt: Date.now(),
+      ...(started ? { flow: { id: flow.id, status: 'started' } } : {}),
+      intent,
+      features: message.features,
+      packId: message.packId,
+    };
+    setMessages(prev => [
+      ...prev.map((m, i) => {
+        if (i !== index) return m;
+        const answered = { ...m, clarification: resolved.clarification };
+        return learningEnabled ? recordLearning(answered, resolved.updates, learningOptions.feedbackRate) : answered;
+      }),
+      answer,
+    ]);
+    setContext(nextContext);
+    callbacksRef.current.onIntentDecided?.({
+      intent,
+      confidence: message.clarification.options.find(o => o.intent === intent)?.probability ?? null,
+      text: messages[index - 1]?.role === 'user' ? messages[index - 1].content : '',
+      source: 'clarification',
+    });
+    setLearningHistory(prev => recordSnapshot(prev, { packId: pack.id, intent }));
+    setMemory(prev => ({ ...prev, stats: { ...prev.stats, feedback: (prev.stats?.feedback || 0) + 1 } }));
+    if (learningEnabled) {
+      queueLearning(message.packId || DEFAULT_SKILL_PACK.id, 'clarification', 'intent.adjust', {
+        features: message.features, updates: resolved.updates, lr: learningOptions.feedbackRate, clampRange: learningOptions.clampRange,
+      });
+    }
+  };
+
+  // Apply (or with `undo`, take back) the learning recorded on messages
+  const applyLearning = (list, { undo = false } = {}) => {
+    for (const { packId, features, updates, lr } of learningAdjustments(list, { undo })) {
+      queueLearning(packId, 'branch', 'intent.adjust', { features, updates, lr, clampRange: learningOptions.clampRange });
+    }
+  };
+
+  // Re-run the conversation from an edited user message, as a new branch
+  const handleEditMessage = (index, text) => {
+    if (isTyping) return;
+    setEditingIndex(null);
+    sendText(text, { fork: index });
+  };
+
+  // Answer the user message before a reply again, as a new branch at that message
+  const handleRegenerate = (index) => {
+    if (isTyping || messages[index - 1]?.role !== 'user') return;
+    sendText(messages[index - 1].content, { fork: index - 1 });
+  };
+
+  // Show another branch of the fork at `index`, swapping the learning of the two paths
+  const handleSwitchBranch = (index, target) => {
+    if (isTyping) return;
+    const result = switchBranch(messages, index, target, context);
+    if (!result) return;
+    applyLearning(result.left, { undo: true });
+    applyLearning(result.entered);
+    reportedRef.current = result.messages.length;
+    speechRef.current = { next: result.messages.length, index: -1, speaker: null };
+    speech.synthesis?.cancel();
+    setEditingIndex(null);
+    setMessages(result.messages);
+    setContext(result.context);
+  };
+
+  // Remove one message; what a reply taught is taken back
+  const handleDeleteMessage = (index) => {
+    if (isTyping) return;
+    applyLearning([messages[index]], { undo: true });
+    if (index < reportedRef.current) reportedRef.current -= 1;
+    speechRef.current = { next: Math.min(speechRef.current.next, messages.length - 1), index: -1, speaker: null };
+    setEditingIndex(null);
+    setMessages(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Run a slash command and show its result as a system message
+  const runSlashCommand = ({ name, argument, command }, text) => {
+    const say = (content) => setMessages(prev => [...prev, { role: 'system', content, command: text, createdAt: Date.now() }]);
+    if (!command) {
+      say(t('commands.unknown', { command: `/${name}` }));
+      return;
+    }
+    switch (name) {
+      case 'help':
+        say([t('commands.helpTitle'), ...SLASH_COMMANDS.map(c => `- \`${c.usage}\` — ${t(`commands.${c.name}`)}`)].join('\n'));
+        break;
+      case 'reset':
+        resetLearning();
+        say(t('commands.resetDone'));
+        break;
+      case 'learn': {
+        const value = argument.toLowerCase();
+        if (value !== 'on' && value !== 'off') {
+          say(t('commands.learnUsage'));
+          break;
+        }
+        setMemory(prev => ({ ...prev, learningEnabled: value === 'on' }));
+        say(value === 'on' ? t('commands.learnOn') : t('commands.learnOff'));
+        break;
+      }
+      case 'export':
+        handleExportMemory();
+        say(t('memory.exported'));
+        break;
+      case 'clear': {
+        // Start over in the same conversation; this also ends a running flow
+        const fresh = startMessages(locale);
+        reportedRef.current = fresh.length;
+        speechRef.current = { next: fresh.length, index: -1, speaker: null };
+        speech.synthesis?.cancel();
+        setEditingIndex(null);
+        setMessages([...fresh, { role: 'system', content: t('commands.cleared'), command: text, createdAt: Date.now() }]);
+        setContext(initialContext());
+        break;
+      }
+      case 'intent':
+        say(trainLastMessageAs(argument));
+        break;
+      default:
+        say(t('commands.statsSummary', {
+          stats: t('learning.stats', {
+            messages: stats?.messages ?? 0,
+            updates: stats?.updates ?? 0,
+            feedback: stats?.feedback ?? 0,
+          }),
+          learning: learningEnabled ? t('learning.on') : t('learning.off'),
+          pack: `${pack.name} v${pack.version}`,
+        }));
+    }
+  };
+
+  // `/intent <name>`: learn the features of the latest classified reply as `name`,
+  // even when the classifier was sure. Returns the result text.
+  const trainLastMessageAs = (argument) => {
+    const list = pack.intents.map(d => d.key).join(', ');
+    if (!argument) return t('commands.intentUsage', { intents: list });
+    const wanted = argument.toLowerCase();
+    const intent = pack.intents.find(d => d.key.toLowerCase() === wanted
+      || intentLabel(pack, d.key, locale).toLowerCase() === wanted)?.key;
+    if (!intent) return t('commands.intentUnknown', { name: argument, intents: list });
+
+    let index = messages.length - 1;
+    while (index >= 0 && !(messages[index].role === 'assistant' && messages[index].features
+      && (messages[index].packId || DEFAULT_SKILL_PACK.id) === pack.id)) index -= 1;
+    if (index < 0) return t('commands.intentNothing');
+    if (!learningEnabled) return t('commands.intentLearningOff');
+
+    const message = messages[index];
+    const guess = message.intent || message.clarification?.options[0]?.intent;
+    const updates = [{ intent, direction: 1 }];
+    if (guess && guess !== intent) updates.push({ intent: guess, direction: -1 });
+    const feedback = message.intent
+      ? { feedback: { ...message.feedback, ...(intent === message.intent ? { rating: 'up' } : { rating: 'down', correctedIntent: intent }) } }
+      : {};
+    setMessages(prev => prev.map((m, i) => (
+      i === index ? recordLearning({ ...m, ...feedback }, updates, learningOptions.feedbackRate) : m
+    )));
+    setMemory(prev => ({ ...prev, stats: { ...prev.stats, feedback: (prev.stats?.feedback || 0) + 1 } }));
+    queueLearning(pack.id, 'command', 'intent.adjust', {
+      features: message.features, updates, lr: learningOptions.feedbackRate, clampRange: learningOptions.clampRange,
+    });
+    const text = messages[index - 1]?.role === 'user' ? messages[index - 1].content : '';
+    return t('commands.intentTrained', { text, intent: intentLabel(pack, intent, locale) });
+  };
+
+  // Cancel the in-flight reply (engine request and/or playback)
+  const handleStop = () => {
+    abortRef.current?.abort();
+    speech.synthesis?.cancel();
+  };
+
+  const commandSuggestions = commandMenuOpen && !isTyping
+    ? suggestSlashCommands(input, { intents: pack.intents.map(d => d.key) })
+    : [];
+  const activeCommand = Math.min(commandIndex, commandSuggestions.length - 1);
+
+  // A suggestion still needing its argument completes the input; a full command runs
+  const pickCommand = (suggestion) => {
+    setCommandIndex(0);
+    if (suggestion.text.endsWith(' ')) {
+      setInput(suggestion.text);
+      return;
+    }
+    setInput('');
+    handleSend(suggestion.text);
+  };
+
   const handleKeyDown = (e) => {
+    if (commandSuggestions.length) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        setCommandIndex((activeCommand + step + commandSuggestions.length) % commandSuggestions.length);
+        return;
+      }
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setCommandMenuOpen(false);
+        return;
+      }
+      if (e.key === 'Tab') {
+        e.preventDefault();
+        setCommandIndex(0);
+        setInput(commandSuggestions[activeCommand].text);
+        return;
+      }
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        pickCommand(commandSuggestions[activeCommand]);
+        return;
+      }
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleSend();
     }
   };
 
-  // Simulates animated typing by progressively appending characters
-  const typeOutAssistantMessage = async (fullText) => {
+  // Messages sent through the ref wait in the outbox until the chat is idle, then
+  // go out one at a time through the latest handleSend
+  const [outbox, setOutbox] = useState([]);
+  const sendRef = useRef(null);
+  sendRef.current = handleSend;
+  const ready = controlled || activeId !== null;
+  useEffect(() => {
+    if (!ready || isTyping || !outbox.length) return;
+    const [next, ...rest] = outbox;
+    setOutbox(rest);
+    sendRef.current(next.text).then(next.resolve);
+  }, [ready, isTyping, outbox]);
+  useImperativeHandle(ref, () => (ready ? {
+    send: (text) => new Promise(resolve => setOutbox(prev => [...prev, { text: String(text), resolve }])),
+  } : null), [ready]);
+
+  // Dictated text fills the input; with auto-send it joins the outbox once the user stops talking
+  const handleDictationFinal = (text) => {
+    if (!voiceSettings.autoSend) return;
+    setInput('');
+    setOutbox(prev => [...prev, { text, resolve: () => {} }]);
+  };
+
+  // Adds an empty assistant message and returns an appender for streamed text.
+  // Deltas are buffered and flushed at most once per animation frame.
+  const startAssistantMessage = () => {
     const typingId = Math.random().toString(36);
-    setMessages(prev => [...prev, { role: 'assistant', content: '', typingId }]);
-
-    let current = '';
-    for (let i = 0; i < fullText.length; i++) {
-      current += fullText[i];
-      const delay = 12 + Math.random() * 25;
-      // eslint-disable-next-line no-await-in-loop
-      await new Promise(r => setTimeout(r, delay));
+    setMessages(prev => [...prev, { role: 'assistant', content: '', createdAt: Date.now(), typingId }]);
+
+    let text = '';
+    let frame = null;
+    const flush = () => {
+      frame = null;
+      const current = text;
       setMessages(prev => prev.map(m => (m.typingId === typingId ? { ...m, content: current } : m)));
-    }
+    };
 
-    // Remove typingId flag at the end
-    setMessages(prev => prev.map(m => {
-      if (m.typingId === typingId) {
-        const { typingId: _omit, ...rest } = m;
-        return rest;
-      }
-      return m;
-    }));
+    return {
+      get text() {
+        return text;
+      },
+      append: (delta) => {
+        text += delta;
+        if (frame === null) frame = requestAnimationFrame(flush);
+      },
+      // Write the final content and remove the typingId flag
+      finish: (extra = {}) => {
+        if (frame !== null) cancelAnimationFrame(frame);
+        frame = null;
+        const current = text;
+        setMessages(prev => prev.map(m => {
+          if (m.typingId !== typingId) return m;
+          const done = { ...m, content: current, ...extra };
+          delete done.typingId;
+          return done;
+        }));
+      },
+    };
   };
 
   // Basic styles aligned with "Ocean Professional" and existing app theme approach
@@ -409,12 +1529,38 @@ export default function SmartChatGPT() {
       fontSize: 13,
       color: 'var(--text-secondary, #4B5563)',
     },
+    layout: {
+      display: 'flex',
+      height: '60vh',
+    },
     body: {
+      flex: 1,
+      minWidth: 0,
       display: 'flex',
       flexDirection: 'column',
-      height: '60vh',
+      height: '100%',
       background: 'var(--bg-primary, #f9fafb)',
     },
+    languageSelect: {
+      marginInlineStart: 'auto',
+      fontSize: 12,
+      fontWeight: 600,
+      padding: '4px 6px',
+      borderRadius: 8,
+      border: '1px solid var(--border-color, #E5E7EB)',
+      background: 'var(--bg-secondary, #ffffff)',
+      color: 'var(--text-primary, #111827)',
+    },
+    headerButton: {
+      fontSize: 12,
+      fontWeight: 600,
+      padding: '4px 10px',
+      borderRadius: 8,
+      border: '1px solid var(--border-color, #E5E7EB)',
+      background: 'var(--bg-secondary, #ffffff)',
+      color: 'var(--text-primary, #111827)',
+      cursor: 'pointer',
+    },
     messages: {
       flex: 1,
       overflowY: 'auto',
@@ -424,14 +1570,18 @@ export default function SmartChatGPT() {
       display: 'flex',
       marginBottom: 12,
     },
+    rowFound: {
+      background: 'rgba(245,158,11,0.15)',
+      borderRadius: 14,
+    },
     bubbleAssistant: {
-      marginRight: 'auto',
-      background: '#ffffff',
+      marginInlineEnd: 'auto',
+      background: 'var(--bg-secondary, #ffffff)',
       color: 'var(--text-primary, #111827)',
       border: '1px solid var(--border-color, #E5E7EB)',
       padding: '10px 14px',
       borderRadius: 14,
-      borderTopLeftRadius: 4,
+      borderStartStartRadius: 4,
       maxWidth: '75%',
       lineHeight: 1.45,
       boxShadow: '0 6px 16px rgba(17,24,39,0.06)',
@@ -439,12 +1589,12 @@ export default function SmartChatGPT() {
       whiteSpace: 'pre-wrap',
     },
     bubbleUser: {
-      marginLeft: 'auto',
+      marginInlineStart: 'auto',
       background: '#2563EB',
       color: '#ffffff',
       padding: '10px 14px',
       borderRadius: 14,
-      borderTopRightRadius: 4,
+      borderStartEndRadius: 4,
       maxWidth: '75%',
       lineHeight: 1.45,
       boxShadow: '0 6px 16px rgba(37,99,235,0.2)',
@@ -468,7 +1618,7 @@ export default function SmartChatGPT() {
       borderRadius: 12,
       border: '1px solid var(--border-color, #E5E7EB)',
       outline: 'none',
-      background: '#ffffff',
+      background: 'var(--bg-secondary, #ffffff)',
       color: 'var(--text-primary, #111827)',
       boxShadow: '0 1px 2px rgba(17,24,39,0.04) inset',
     },
@@ -506,7 +1656,73 @@ export default function SmartChatGPT() {
       gap: 4,
       color: 'var(--text-secondary, #6B7280)',
       fontSize: 13,
-      marginLeft: 2,
+      marginInlineStart: 2,
+    },
+    entities: {
+      display: 'flex',
+      flexWrap: 'wrap',
+      gap: 4,
+      marginTop: 6,
+      whiteSpace: 'normal',
+    },
+    entityTag: {
+      fontSize: 11,
+      padding: '1px 6px',
+      borderRadius: 9999,
+      background: 'rgba(255,255,255,0.2)',
+      border: '1px solid rgba(255,255,255,0.35)',
+    },
+    bubbleSystem: {
+      marginInline: 'auto',
+      background: 'rgba(245,158,11,0.08)',
+      color: 'var(--text-primary, #111827)',
+      border: '1px dashed #F59E0B',
+      padding: '8px 12px',
+      borderRadius: 10,
+      maxWidth: '85%',
+      fontSize: 13,
+      lineHeight: 1.45,
+      wordBreak: 'break-word',
+      whiteSpace: 'pre-wrap',
+    },
+    systemCommand: {
+      display: 'block',
+      marginBottom: 4,
+      fontSize: 12,
+      fontWeight: 700,
+      color: '#B45309',
+    },
+    truncatedNote: {
+      marginTop: 6,
+      fontSize: 12,
+      fontStyle: 'italic',
+      color: 'var(--text-secondary, #6B7280)',
+    },
+    flowBar: {
+      width: '100%',
+      display: 'flex',
+      alignItems: 'center',
+      gap: 8,
+      padding: '6px 10px',
+      borderRadius: 10,
+      background: 'rgba(245,158,11,0.1)',
+      border: '1px solid rgba(245,158,11,0.35)',
+      fontSize: 13,
+      color: 'var(--text-primary, #111827)',
+    },
+    flowActions: {
+      marginInlineStart: 'auto',
+      display: 'flex',
+      gap: 6,
+    },
+    flowButton: {
+      fontSize: 12,
+      padding: '4px 10px',
+      borderRadius: 8,
+      border: '1px solid var(--border-color, #E5E7EB)',
+      background: 'var(--bg-secondary, #ffffff)',
+      color: 'var(--text-primary, #111827)',
+      cursor: 'pointer',
     },
     learnBar: {
       width: '100%',
@@ -514,133 +1730,614 @@ export default function SmartChatGPT() {
       alignItems: 'center',
       gap: 8,
       marginTop: 8,
+      flexWrap: 'wrap',
+    },
+    memoryStatus: {
+      width: '100%',
+      fontSize: 12,
+      color: 'var(--text-secondary, #6B7280)',
     },
     statText: {
       fontSize: 12,
       color: 'var(--text-secondary, #6B7280)',
-      marginLeft: 'auto',
+      marginInlineStart: 'auto',
+    },
+    checkbox: {
+      marginInlineEnd: 6,
     },
     toggleLabel: {
       fontSize: 13,
       color: 'var(--text-secondary, #374151)',
     },
+    select: {
+      fontSize: 13,
+      padding: '6px 8px',
+      borderRadius: 8,
+      border: '1px solid var(--border-color, #E5E7EB)',
+      background: 'var(--bg-secondary, #ffffff)',
+      color: 'var(--text-primary, #111827)',
+    },
+    settingInput: {
+      flex: 1,
+      minWidth: 120,
+      fontSize: 13,
+      padding: '6px 8px',
+      borderRadius: 8,
+      border: '1px solid var(--border-color, #E5E7EB)',
+      background: 'var(--bg-secondary, #ffffff)',
+      color: 'var(--text-primary, #111827)',
+    },
+    modelProgress: {
+      width: 80,
+      verticalAlign: 'middle',
+    },
+    numberInput: {
+      width: 64,
+      fontSize: 13,
+      padding: '4px 6px',
+      borderRadius: 8,
+      border: '1px solid var(--border-color, #E5E7EB)',
+      background: 'var(--bg-secondary, #ffffff)',
+      color: 'var(--text-primary, #111827)',
+    },
   };
 
-  return (
-    <div style={styles.page}>
-      {/* Local style for animated typing dots */}
-      <style>{`
-        @keyframes blink {
-          0% { opacity: 0.2; }
-          20% { opacity: 1; }
-          100% { opacity: 0.2; }
-        }
-        .dot {
-          width: 6px;
-          height: 6px;
-          background: #6B7280;
-          border-radius: 50%;
-          display: inline-block;
-          animation: blink 1.2s infinite;
-        }
-        .dot:nth-child(2) { animation-delay: 0.2s; }
-        .dot:nth-child(3) { animation-delay: 0.4s; }
-      `}</style>
-
-      <section style={styles.card} aria-label="SmartChatGPT chat window">
-        <header style={styles.header}>
-          <h1 style={styles.title}>
-            SmartChatGPT
-            <span style={styles.badge}>React-only</span>
-          </h1>
-          <p style={styles.subtitle}>
-            Lightweight assistant with animated typing and adaptive, in-browser learning
-          </p>
-        </header>
-
-        <div style={styles.body}>
-          <div ref={listRef} style={styles.messages} aria-live="polite">
-            {messages.map((m, idx) => (
-              <div key={idx} style={styles.row}>
-                <div style={m.role === 'user' ? styles.bubbleUser : styles.bubbleAssistant}>
-                  {m.content}
-                  {m.role === 'assistant' && idx === messages.length - 1 && isTyping ? (
-                    <span style={styles.typing} aria-label="Assistant is typing">
-                      <span className="dot" />
-                      <span className="dot" />
-                      <span className="dot" />
-                    </span>
-                  ) : null}
-                </div>
-              </div>
-            ))}
-            {isTyping && messages[messages.length - 1]?.role !== 'assistant' ? (
-              <div style={styles.row}>
-                <div style={styles.bubbleAssistant}>
-                  <span style={styles.typing} aria-label="Assistant is typing">
-                    <span className="dot" />
-                    <span className="dot" />
-                    <span className="dot" />
-                  </span>
-                </div>
-              </div>
-            ) : null}
-          </div>
+  const badgeText = badge === undefined ? t('chat.badge') : badge;
 
-          <footer style={styles.footer}>
-            <input
-              ref={inputRef}
-              type="text"
-              placeholder="Type a message and press Enter…"
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              onKeyDown={handleKeyDown}
-              style={styles.input}
-              aria-label="Message input"
-            />
-            <button
-              type="button"
-              onClick={handleSend}
-              disabled={isTyping || !input.trim()}
-              style={{
-                ...styles.button,
-                ...(isTyping || !input.trim() ? styles.buttonDisabled : {}),
-              }}
-              aria-label="Send message"
-            >
-              {isTyping ? 'Thinking…' : 'Send'}
-            </button>
-
-            {/* Learning controls bar */}
-            <div style={styles.learnBar} role="group" aria-label="Learning controls">
-              <label style={styles.toggleLabel}>
-                <input
-                  type="checkbox"
-                  checked={learningEnabled}
-                  onChange={toggleLearning}
-                  aria-label="Toggle online learning"
-                  style={{ marginRight: 6 }}
-                />
-                Learning: {learningEnabled ? 'On' : 'Off'}
-              </label>
+  const bubbleStyle = (role) => {
+    if (role === 'user') return styles.bubbleUser;
+    return role === 'system' ? styles.bubbleSystem : styles.bubbleAssistant;
+  };
+
+  // Embedded panel: fill the container instead of centring a card on the page
+  if (layout === 'panel') {
+    styles.page = { ...styles.page, minHeight: 0, height: '100%', padding: 0 };
+    styles.card = { ...styles.card, maxWidth: 'none', height: '100%', border: 'none', borderRadius: 0, boxShadow: 'none' };
+    styles.layout = { ...styles.layout, flex: 1, minHeight: 0, height: 'auto' };
+  }
 
+  return (
+    <I18nProvider locale={locale}>
+      <div style={styles.page} dir={localeDirection(locale)} lang={locale}>
+        {/* Local style for animated typing dots */}
+        <style>{`
+          @keyframes blink {
+            0% { opacity: 0.2; }
+            20% { opacity: 1; }
+            100% { opacity: 0.2; }
+          }
+          .dot {
+            width: 6px;
+            height: 6px;
+            background: #6B7280;
+            border-radius: 50%;
+            display: inline-block;
+            animation: blink 1.2s infinite;
+          }
+          .dot:nth-child(2) { animation-delay: 0.2s; }
+          .dot:nth-child(3) { animation-delay: 0.4s; }
+        `}</style>
+
+        <section style={styles.card} aria-label={t('chat.windowLabel')}>
+          <header style={styles.header}>
+            <h1 style={styles.title}>
+              {title}
+              {badgeText ? <span style={styles.badge}>{badgeText}</span> : null}
+              <select
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                style={styles.languageSelect}
+                aria-label={t('chat.language')}
+              >
+                {SUPPORTED_LOCALES.map(({ code, label }) => (
+                  <option key={code} value={code} lang={code}>{label}</option>
+                ))}
+              </select>
+              {controlled ? null : (
+                <button
+                  type="button"
+                  style={styles.headerButton}
+                  onClick={() => setShowSidebar(v => !v)}
+                  aria-pressed={showSidebar}
+                  aria-label={t('chat.toggleSidebar')}
+                >
+                  {t('chat.chats')}
+                </button>
+              )}
               <button
                 type="button"
-                onClick={resetLearning}
-                style={{ ...styles.button, ...styles.buttonDanger }}
-                aria-label="Reset learning memory"
-                title="Clear learned weights and stats"
+                style={styles.headerButton}
+                onClick={() => setShowSearch(v => !v)}
+                aria-pressed={showSearch}
+                aria-label={t('chat.toggleSearch')}
               >
-                Reset Learning
+                {t('chat.search')}
               </button>
+            </h1>
+            <p style={styles.subtitle}>
+              {t('chat.subtitle')}
+            </p>
+          </header>
 
-              <span style={styles.statText} aria-live="polite">
-                Msgs: {stats?.messages ?? 0} • Updates: {stats?.updates ?? 0}
-              </span>
+          <div style={styles.layout}>
+            {showSidebar ? (
+              <ConversationSidebar
+                conversations={sortConversations(conversations)}
+                activeId={activeId}
+                disabled={isTyping}
+                onCreate={handleNewConversation}
+                onSelect={handleSelectConversation}
+                onRename={handleRenameConversation}
+                onTogglePin={handleTogglePin}
+                onDelete={handleDeleteConversation}
+              />
+            ) : null}
+
+            <div style={styles.body}>
+              {showSearch ? (
+                <MessageSearch
+                  index={searchIndex}
+                  conversations={conversations}
+                  activeId={controlled ? '' : activeId}
+                  intents={pack.intents.map(d => d.key)}
+                  labelFor={(key) => intentLabel(pack, key, locale)}
+                  disabled={isTyping}
+                  onJump={handleJumpToMessage}
+                  onClose={() => setShowSearch(false)}
+                />
+              ) : null}
+              <div ref={listRef} style={styles.messages} aria-live="polite">
+                {messages.map((m, idx) => (
+                  <div key={idx} style={foundIndex === idx ? { ...styles.row, ...styles.rowFound } : styles.row} data-message-index={idx}>
+                    <div
+                      style={bubbleStyle(m.role)}
+                      {...(m.role === 'system' ? { role: 'note', 'aria-label': t('commands.label') } : {})}
+                    >
+                      {m.role === 'system' && m.command ? <code style={styles.systemCommand}>{m.command}</code> : null}
+                      {/* Each message takes its own direction, so Arabic reads right to left in any UI language */}
+                      {editingIndex === idx ? (
+                        <MessageEditor
+                          initialText={m.content}
+                          onSave={(text) => handleEditMessage(idx, text)}
+                          onCancel={() => setEditingIndex(null)}
+                        />
+                      ) : (
+                        <div dir="auto">
+                          {m.role === 'user'
+                            ? m.content
+                            : <MarkdownView text={m.content} streaming={!!m.typingId} />}
+                        </div>
+                      )}
+                      {m.role === 'user' && m.entities?.length ? (
+                        <div style={styles.entities} aria-label={t('chat.entities')}>
+                          {m.entities.map((e, i) => (
+                            <span key={i} style={styles.entityTag} title={`"${e.text}"`}>
+                              {e.type}: {String(e.value)}
+                            </span>
+                          ))}
+                        </div>
+                      ) : null}
+                      {m.role === 'assistant' && idx === messages.length - 1 && isTyping ? (
+                        <span style={styles.typing} aria-label={t('chat.typing')}>
+                          <span className="dot" />
+                          <span className="dot" />
+                          <span className="dot" />
+                        </span>
+                      ) : null}
+                      {m.truncated ? (
+                        <div style={styles.truncatedNote}>
+                          {m.error ? t('chat.interrupted', { error: m.error }) : t('chat.truncated')}
+                        </div>
+                      ) : null}
+                      {m.role === 'assistant' && m.clarification && !m.typingId && (m.packId || DEFAULT_SKILL_PACK.id) === pack.id ? (
+                        <ClarificationChips
+                          clarification={m.clarification}
+                          labelFor={(key) => intentLabel(pack, key, m.locale || locale)}
+                          onPick={(intent) => handleClarify(idx, intent)}
+                        />
+                      ) : null}
+                      {m.role === 'assistant' && m.intent && !m.typingId && (m.packId || DEFAULT_SKILL_PACK.id) === pack.id ? (
+                        <FeedbackControls
+                          message={m}
+                          intents={pack.intents.map(d => d.key)}
+                          onFeedback={(action) => handleFeedback(idx, action)}
+                        />
+                      ) : null}
+                      {m.role !== 'system' && !m.typingId && editingIndex !== idx ? (
+                        <MessageActions
+                          message={m}
+                          branch={branchOf(m)}
+                          disabled={isTyping}
+                          onSwitchBranch={(target) => handleSwitchBranch(idx, target)}
+                          onEdit={m.role === 'user' ? () => setEditingIndex(idx) : null}
+                          onRegenerate={m.role === 'assistant' && messages[idx - 1]?.role === 'user' ? () => handleRegenerate(idx) : null}
+                          onDelete={() => handleDeleteMessage(idx)}
+                        />
+                      ) : null}
+                    </div>
+                  </div>
+                ))}
+                {isTyping && messages[messages.length - 1]?.role !== 'assistant' ? (
+                  <div style={styles.row}>
+                    <div style={styles.bubbleAssistant}>
+                      <span style={styles.typing} aria-label={t('chat.typing')}>
+                        <span className="dot" />
+                        <span className="dot" />
+                        <span className="dot" />
+                      </span>
+                    </div>
+                  </div>
+                ) : null}
+              </div>
+
+              <footer style={styles.footer}>
+                {runningFlow ? (
+                  <div style={styles.flowBar} role="group" aria-label={t('flow.label')}>
+                    <strong>{runningFlow.name}</strong>
+                    <span style={{ color: 'var(--text-secondary, #6B7280)' }}>
+                      {t('flow.progress', { step: context.flow.step + 1, total: runningFlow.steps.length })}
+                    </span>
+                    <span style={styles.flowActions}>
+                      <button
+                        type="button"
+                        onClick={() => handleFlowAction(runningFlow, 'back')}
+                        disabled={isTyping || context.flow.step === 0}
+                        style={styles.flowButton}
+                        aria-label={t('flow.backLabel')}
+                      >
+                        {t('flow.back')}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => handleFlowAction(runningFlow, 'cancel')}
+                        disabled={isTyping}
+                        style={styles.flowButton}
+                        aria-label={t('flow.cancelLabel')}
+                      >
+                        {t('flow.cancel')}
+                      </button>
+                    </span>
+                  </div>
+                ) : null}
+                <CommandMenu
+                  id={commandMenuId}
+                  suggestions={commandSuggestions}
+                  activeIndex={activeCommand}
+                  onPick={pickCommand}
+                />
+                <input
+                  ref={inputRef}
+                  type="text"
+                  placeholder={t('chat.placeholder')}
+                  value={input}
+                  onChange={(e) => {
+                    setInput(e.target.value);
+                    setCommandMenuOpen(true);
+                  }}
+                  onKeyDown={handleKeyDown}
+                  style={styles.input}
+                  aria-label={t('chat.input')}
+                  aria-autocomplete="list"
+                  aria-controls={commandSuggestions.length ? commandMenuId : undefined}
+                  aria-activedescendant={commandSuggestions.length ? `${commandMenuId}-${activeCommand}` : undefined}
+                />
+                <DictationButton
+                  Recognition={speech.Recognition}
+                  lang={locale}
+                  onText={setInput}
+                  onFinal={handleDictationFinal}
+                  onError={(message) => reportError(new Error(message), 'voice')}
+                />
+                {speech.synthesis && voiceSettings.speakReplies ? (
+                  <button
+                    type="button"
+                    onClick={() => setVoiceSettings(prev => ({ ...prev, muted: !prev.muted }))}
+                    style={{ ...styles.button, ...styles.buttonSecondary }}
+                    aria-pressed={voiceSettings.muted}
+                    aria-label={voiceSettings.muted ? t('voice.unmute') : t('voice.mute')}
+                    title={voiceSettings.muted ? t('voice.unmute') : t('voice.mute')}
+                  >
+                    {voiceSettings.muted ? '🔇' : '🔊'}
+                  </button>
+                ) : null}
+                {isTyping ? (
+                  <button
+                    type="button"
+                    onClick={handleStop}
+                    style={{ ...styles.button, ...styles.buttonDanger }}
+                    aria-label={t('chat.stopLabel')}
+                  >
+                    {t('chat.stop')}
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleSend}
+                    disabled={!input.trim()}
+                    style={{
+                      ...styles.button,
+                      ...(!input.trim() ? styles.buttonDisabled : {}),
+                    }}
+                    aria-label={t('chat.sendLabel')}
+                  >
+                    {t('chat.send')}
+                  </button>
+                )}
+
+                {showSettings ? (
+                  <>
+                    {/* Learning controls bar */}
+                    <div style={styles.learnBar} role="group" aria-label={t('learning.label')}>
+                      <label style={styles.toggleLabel}>
+                        <input
+                          type="checkbox"
+                          checked={learningEnabled}
+                          onChange={toggleLearning}
+                          aria-label={t('learning.toggle')}
+                          style={styles.checkbox}
+                        />
+                        {learningEnabled ? t('learning.on') : t('learning.off')}
+                      </label>
+
+                      <button
+                        type="button"
+                        onClick={resetLearning}
+                        style={{ ...styles.button, ...styles.buttonDanger }}
+                        aria-label={t('learning.resetLabel')}
+                        title={t('learning.resetTitle')}
+                      >
+                        {t('learning.reset')}
+                      </button>
+
+                      <button
+                        type="button"
+                        onClick={handleExportMemory}
+                        style={{ ...styles.button, ...styles.buttonSecondary }}
+                        aria-label={t('memory.exportLabel')}
+                        title={t('memory.exportTitle')}
+                      >
+                        {t('memory.export')}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => memoryFileRef.current?.click()}
+                        style={{ ...styles.button, ...styles.buttonSecondary }}
+                        aria-label={t('memory.importLabel')}
+                        title={t('memory.importTitle')}
+                      >
+                        {t('memory.import')}
+                      </button>
+                      <input
+                        ref={memoryFileRef}
+                        type="file"
+                        accept="application/json,.json"
+                        onChange={(e) => {
+                          const file = e.target.files?.[0];
+                          if (file) handleImportMemory(file);
+                          e.target.value = '';
+                        }}
+                        style={{ display: 'none' }}
+                        aria-label={t('memory.file')}
+                      />
+
+                      <span style={styles.statText} aria-live="polite">
+                        {t('learning.stats', {
+                          messages: stats?.messages ?? 0,
+                          updates: stats?.updates ?? 0,
+                          feedback: stats?.feedback ?? 0,
+                        })}
+                      </span>
+                      {memoryStatus ? (
+                        <span style={styles.memoryStatus} aria-live="polite">{memoryStatus}</span>
+                      ) : null}
+                    </div>
+
+                    {/* Conversation transcripts */}
+                    <TranscriptControls
+                      status={transcriptStatus}
+                      disabled={isTyping}
+                      onExport={handleExportTranscript}
+                      onImport={handleImportTranscript}
+                    />
+
+                    {/* Weights and learning history */}
+                    <LearningInspector
+                      pack={pack}
+                      weights={weights}
+                      history={learningHistory}
+                      clampRange={learningOptions.clampRange}
+                      labelFor={(key) => intentLabel(pack, key, locale)}
+                      onClearHistory={() => setLearningHistory([])}
+                    />
+
+                    {/* Offline evaluation on a labelled file */}
+                    <EvaluationPanel
+                      result={evalResult}
+                      status={evalStatus}
+                      busy={evalBusy}
+                      labelFor={(key) => intentLabel(pack, key, locale)}
+                      onRun={handleRunEval}
+                      onClose={() => {
+                        setEvalResult(null);
+                        setEvalStatus('');
+                      }}
+                    />
+
+                    {/* Batch training on a labelled file */}
+                    <TrainingPanel
+                      options={trainingOptions}
+                      onOptionsChange={(patch) => setTrainingOptions(prev => ({ ...prev, ...patch }))}
+                      training={training}
+                      status={trainingStatus}
+                      onTrain={handleTrainFile}
+                      onCancel={() => trainingAbortRef.current?.abort()}
+                      onApply={handleApplyTraining}
+                      onDiscard={() => setTraining(null)}
+                    />
+
+                    {/* Voice input and spoken replies */}
+                    <VoiceSettings
+                      support={speech}
+                      settings={voiceSettings}
+                      onChange={(patch) => setVoiceSettings(prev => normalizeVoiceSettings({ ...prev, ...patch }))}
+                    />
+
+                    {/* Knowledge base documents */}
+                    <KnowledgePanel
+                      documents={knowledgeDocs}
+                      busy={knowledgeBusy}
+                      status={knowledgeStatus}
+                      onUpload={handleUploadKnowledge}
+                      onReindex={handleReindexKnowledge}
+                      onDelete={handleDeleteKnowledge}
+                    />
+
+                    {/* Skill pack selection and import */}
+                    <SkillPackControls
+                      packs={allSkillPacks(skillPacks)}
+                      activeId={pack.id}
+                      builtinIds={BUILTIN_SKILL_PACKS.map(p => p.id)}
+                      status={packStatus}
+                      onSelect={handleSelectPack}
+                      onImportFile={handleImportPackFile}
+                      onImportUrl={handleImportPackUrl}
+                      onRemove={handleRemovePack}
+                    />
+
+                    {/* Response engine selection */}
+                    <div style={styles.learnBar} role="group" aria-label={t('engine.label')}>
+                      <label style={styles.toggleLabel}>
+                        {t('engine.engine')}{' '}
+                        <select
+                          value={engineSettings.engineId}
+                          onChange={(e) => setEngineSettings((prev) => ({ ...prev, engineId: e.target.value }))}
+                          style={styles.select}
+                          aria-label={t('engine.select')}
+                        >
+                          {ENGINE_OPTIONS.map((opt) => (
+                            <option key={opt.id} value={opt.id}>{t(`engine.${opt.id}`)}</option>
+                          ))}
+                        </select>
+                      </label>
+                      {!engine.streaming ? (
+                        <label style={styles.toggleLabel}>
+                          <input
+                            type="checkbox"
+                            checked={engineSettings.animate}
+                            onChange={() => setEngineSettings((prev) => ({ ...prev, animate: !prev.animate }))}
+                            aria-label={t('engine.animateLabel')}
+                            style={styles.checkbox}
+                          />
+                          {t('engine.animate')}
+                        </label>
+                      ) : null}
+                      {engineSettings.engineId === 'intent' ? (
+                        <>
+                          <label style={styles.toggleLabel}>
+                            <input
+                              type="checkbox"
+                              checked={engineSettings.clarify}
+                              onChange={() => setEngineSettings((prev) => ({ ...prev, clarify: !prev.clarify }))}
+                              aria-label={t('engine.clarify')}
+                              style={styles.checkbox}
+                            />
+                            {t('engine.clarify')}
+                          </label>
+                          <label style={styles.toggleLabel}>
+                            <input
+                              type="checkbox"
+                              checked={engineSettings.detectLanguage}
+                              onChange={() => setEngineSettings((prev) => ({ ...prev, detectLanguage: !prev.detectLanguage }))}
+                              aria-label={t('engine.detectLanguage')}
+                              style={styles.checkbox}
+                            />
+                            {t('engine.detectLanguage')}
+                          </label>
+                          {engineSettings.clarify ? (
+                            <>
+                              <label style={styles.toggleLabel}>
+                                {t('engine.minConfidence')}{' '}
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="1"
+                                  step="0.05"
+                                  value={engineSettings.clarifyConfidence}
+                                  onChange={(e) => setEngineSettings((prev) => ({ ...prev, clarifyConfidence: Number(e.target.value) }))}
+                                  style={styles.numberInput}
+                                  aria-label={t('engine.minConfidenceLabel')}
+                                />
+                              </label>
+                              <label style={styles.toggleLabel}>
+                                {t('engine.minMargin')}{' '}
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max="1"
+                                  step="0.05"
+                                  value={engineSettings.clarifyMargin}
+                                  onChange={(e) => setEngineSettings((prev) => ({ ...prev, clarifyMargin: Number(e.target.value) }))}
+                                  style={styles.numberInput}
+                                  aria-label={t('engine.minMarginLabel')}
+                                />
+                              </label>
+                            </>
+                          ) : null}
+                        </>
+                      ) : null}
+                      {engine.prepare && modelStatus ? (
+                        <span style={styles.toggleLabel} aria-live="polite">
+                          {modelStatus.phase === 'loading' ? t('engine.modelLoading') : null}
+                          {modelStatus.phase === 'training' ? (
+                            <>
+                              {t('engine.modelTraining', { epoch: modelStatus.epoch || 0, epochs: modelStatus.epochs || '?' })}
+                              {modelStatus.valAccuracy != null
+                                ? ` • ${t('engine.modelValAccuracy', { accuracy: formatPercent(modelStatus.valAccuracy) })}`
+                                : ''}{' '}
+                              <progress value={modelStatus.epoch || 0} max={modelStatus.epochs || 1} style={styles.modelProgress} />
+                            </>
+                          ) : null}
+                          {modelStatus.phase === 'ready' ? (
+                            <>
+                              {t(modelStatus.source === 'storage' ? 'engine.modelReadyStorage' : 'engine.modelReadyTrained')}
+                              {modelStatus.valAccuracy != null
+                                ? ` • ${t('engine.modelValAccuracy', { accuracy: formatPercent(modelStatus.valAccuracy) })}`
+                                : ''}
+                            </>
+                          ) : null}
+                          {modelStatus.phase === 'error' ? t('engine.modelUnavailable', { error: modelStatus.error }) : null}
+                        </span>
+                      ) : null}
+                      {engineSettings.engineId === 'openai' ? (
+                        <>
+                          <input
+                            type="url"
+                            value={engineSettings.baseUrl}
+                            onChange={(e) => setEngineSettings((prev) => ({ ...prev, baseUrl: e.target.value }))}
+                            placeholder="http://localhost:8000"
+                            style={styles.settingInput}
+                            aria-label={t('engine.baseUrl')}
+                          />
+                          <input
+                            type="text"
+                            value={engineSettings.model}
+                            onChange={(e) => setEngineSettings((prev) => ({ ...prev, model: e.target.value }))}
+                            placeholder={t('engine.model')}
+                            style={styles.settingInput}
+                            aria-label={t('engine.modelLabel')}
+                          />
+                        </>
+                      ) : null}
+                    </div>
+                  </>
+                ) : null}
+              </footer>
             </div>
-          </footer>
-        </div>
-      </section>
-    </div>
+          </div>
+        </section>
+      </div>
+    </I18nProvider>
   );
-}
+});
+
+export default SmartChatGPT;
@@ -0,0 +1,332 @@
+import React, { createRef, useState } from 'react';
+import { act, configure, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
+import SmartChatGPT from './SmartChatGPT';
+
+// replies are typed out, which takes longer than the default second
+configure({ asyncUtilTimeout: 4000 });
+
+// Globals replaced for one test; restored (or removed again) after it
+const stubbed = [];
+const stubGlobal = (target, key, value) => {
+  stubbed.push({ target, key, had: Object.prototype.hasOwnProperty.call(target, key), original: target[key] });
+  target[key] = value;
+};
+
+afterEach(() => {
+  while (stubbed.length) {
+    const { target, key, had, original } = stubbed.pop();
+    if (had) {
+      target[key] = original;
+    } else {
+      delete target[key];
+    }
+  }
+  jest.restoreAllMocks();
+  localStorage.clear();
+});
+
+// A parent that controls the chat's messages. `messages()` is the latest list and
+// `changes` every list reported through onMessagesChange.
+function renderChat({ initialMessages = [], ...props } = {}) {
+  const chat = createRef();
+  const changes = [];
+  let latest = initialMessages;
+  function Parent() {
+    const [messages, setMessages] = useState(initialMessages);
+    latest = messages;
+    return (
+      <SmartChatGPT
+        ref={chat}
+        messages={messages}
+        onMessagesChange={(next) => {
+          changes.push(next);
+          setMessages(next);
+        }}
+        {...props}
+      />
+    );
+  }
+  const view = render(<Parent />);
+  return { ...view, chat, changes, messages: () => latest };
+}
+
+// Send as the user through the ref, once the chat is ready, and wait for the reply
+const send = async (chat, text) => {
+  await waitFor(() => expect(chat.current).toBeTruthy());
+  let sent = false;
+  act(() => {
+    chat.current.send(text).then(() => {
+      sent = true;
+    });
+  });
+  await waitFor(() => expect(sent).toBe(true));
+};
+
+// The chat's last message is a finished reply
+const replied = (messages) => {
+  const last = messages[messages.length - 1];
+  return last?.role === 'assistant' && !last.typingId;
+};
+
+test('a controlled chat reports messages, intents and learning to its parent', async () => {
+  const intents = [];
+  const updates = [];
+  const { chat, changes } = renderChat({
+    initialMessages: [{ role: 'assistant', content: 'Hello from the parent' }],
+    badge: null,
+    storageNamespace: 'controlled-test',
+    learning: { rate: 0.5 },
+    onIntentDecided: (decision) => intents.push(decision),
+    onLearningUpdate: (update) => updates.push(update),
+  });
+
+  expect(await screen.findByText('Hello from the parent')).toBeInTheDocument();
+  // no conversation sidebar or badge in this setup
+  expect(screen.queryByLabelText('Toggle conversation list')).toBeNull();
+  expect(screen.queryByText(/React-only/)).toBeNull();
+
+  await send(chat, 'hello there');
+  await waitFor(() => expect(updates).toHaveLength(1));
+  const last = changes[changes.length - 1];
+  expect(last.map(m => m.role)).toEqual(['assistant', 'user', 'assistant']);
+  expect(last[2].intent).toBe('greeting');
+  expect(intents).toEqual([{ intent: 'greeting', confidence: expect.any(Number), text: 'hello there', source: 'engine' }]);
+  expect(updates[0]).toMatchObject({ reason: 'message', packId: 'default' });
+
+  // learned weights were stored under the namespace only
+  const stored = Object.keys(localStorage).filter(key => key.startsWith('controlled-test:'));
+  expect(stored).toContain('controlled-test:smartgpt_memory');
+});
+
+test('dictation auto-sends and the reply is read aloud with mocked speech APIs', async () => {
+  const spoken = [];
+  let recognition = null;
+  stubGlobal(window, 'SpeechSynthesisUtterance', function Utterance(text) {
+    this.text = text;
+  });
+  stubGlobal(window, 'speechSynthesis', { speak: (u) => spoken.push(u.text), cancel: () => {}, getVoices: () => [] });
+  stubGlobal(window, 'SpeechRecognition', function Recognition() {
+    recognition = this;
+    this.start = () => {};
+    this.stop = () => this.onend();
+  });
+  localStorage.setItem('voice-test:smartgpt_voice_v1', JSON.stringify({ speakReplies: true, autoSend: true }));
+  const { messages } = renderChat({ storageNamespace: 'voice-test' });
+
+  expect(await screen.findByLabelText('Mute spoken replies')).toBeInTheDocument();
+  fireEvent.click(screen.getByLabelText('Speak a message'));
+  expect(recognition).not.toBeNull();
+  act(() => {
+    recognition.onresult({ results: [Object.assign([{ transcript: 'hello there' }], { isFinal: true })] });
+    recognition.onend();
+  });
+
+  await waitFor(() => expect(messages()).toHaveLength(2));
+  await waitFor(() => expect(replied(messages())).toBe(true));
+  expect(messages()[0]).toMatchObject({ role: 'user', content: 'hello there' });
+  // the last sentence is spoken once the message has rendered as final
+  const expected = messages()[1].content.replace(/[*_`#>~|]+/g, '').replace(/\s+/g, ' ').trim();
+  await waitFor(() => expect(spoken.join(' ').replace(/\s+/g, ' ')).toBe(expected));
+});
+
+test('slash commands autocomplete in the composer and answer as system messages', async () => {
+  const updates = [];
+  const { chat, messages } = renderChat({
+    storageNamespace: 'commands-test',
+    onLearningUpdate: (update) => updates.push(update),
+  });
+  const input = await screen.findByLabelText('Message input');
+  const type = (value) => fireEvent.change(input, { target: { value } });
+  const press = (key) => fireEvent.keyDown(input, { key });
+  const menu = () => screen.queryByRole('listbox', { name: 'Commands' });
+  const menuItems = () => (menu() ? within(menu()).queryAllByRole('option').map(o => o.textContent) : []);
+
+  type('/');
+  await waitFor(() => expect(menuItems()).toHaveLength(7));
+  type('/st');
+  await waitFor(() => expect(menuItems()).toHaveLength(1));
+  expect(menuItems()[0]).toContain('/stats');
+  press('Enter');
+  await waitFor(() => expect(messages()).toHaveLength(1));
+  expect(messages()[0]).toMatchObject({ role: 'system', command: '/stats' });
+  expect(messages()[0].content).toContain('Msgs: 0');
+  expect(input).toHaveValue('');
+  expect(screen.getByRole('note', { name: 'Command result' })).toBeInTheDocument();
+
+  // the argument of /learn and /intent autocompletes too
+  type('/learn ');
+  await waitFor(() => expect(menuItems()).toHaveLength(2));
+  press('ArrowDown');
+  await waitFor(() => expect(within(menu()).getByRole('option', { selected: true })).toHaveTextContent('off'));
+  press('Escape');
+  await waitFor(() => expect(menuItems()).toHaveLength(0));
+
+  await send(chat, 'hello there');
+  await waitFor(() => expect(updates).toHaveLength(1));
+  type('/intent weat');
+  await waitFor(() => expect(menuItems()).toHaveLength(1));
+  press('Enter');
+  await waitFor(() => expect(updates).toHaveLength(2));
+  expect(updates[1].reason).toBe('command');
+  expect(messages().find(m => m.role === 'assistant').feedback).toEqual({ rating: 'down', correctedIntent: 'weather' });
+  expect(messages()[messages().length - 1].content).toMatch(/^Trained "hello there" as/);
+
+  type('/nope');
+  press('Enter');
+  await waitFor(() => expect(messages()[messages().length - 1].command).toBe('/nope'));
+  expect(messages()[messages().length - 1].content).toBe('Unknown command /nope. Type /help for the list.');
+});
+
+test('editing, regenerating and deleting messages branch the chat and take back learning', async () => {
+  const updates = [];
+  const { chat, messages } = renderChat({
+    storageNamespace: 'branches-test',
+    onLearningUpdate: (update) => updates.push(update.reason),
+  });
+  const contents = () => messages().map(m => m.content);
+  // action buttons are disabled while a reply streams
+  const enabled = (label, i = 0) => expect(screen.getAllByLabelText(label)[i]).toBeEnabled();
+
+  await send(chat, 'hello there');
+  await waitFor(() => {
+    expect(updates).toHaveLength(1);
+    enabled('Edit message');
+  });
+
+  fireEvent.click(screen.getAllByLabelText('Edit message')[0]);
+  const editor = screen.getByLabelText('Edited message');
+  fireEvent.change(editor, { target: { value: 'what is the weather' } });
+  fireEvent.keyDown(editor, { key: 'Enter' });
+  await waitFor(() => {
+    expect(updates).toHaveLength(3);
+    enabled('Previous version');
+  });
+  expect(contents()[0]).toBe('what is the weather');
+  expect(updates).toEqual(['message', 'branch', 'message']);
+  expect(screen.getByLabelText('Version 2 of 2')).toBeInTheDocument();
+
+  // the first version comes back with its learning
+  fireEvent.click(screen.getAllByLabelText('Previous version')[0]);
+  await waitFor(() => expect(updates).toHaveLength(5));
+  expect(contents()[0]).toBe('hello there');
+  expect(messages()[1].intent).toBe('greeting');
+  expect(updates.slice(3)).toEqual(['branch', 'branch']);
+
+  fireEvent.click(screen.getAllByLabelText('Regenerate reply')[0]);
+  await waitFor(() => {
+    expect(updates).toHaveLength(7);
+    enabled('Delete message', 1);
+  });
+  expect(screen.getByLabelText('Version 3 of 3')).toBeInTheDocument();
+
+  fireEvent.click(screen.getAllByLabelText('Delete message')[1]);
+  await waitFor(() => {
+    expect(messages()).toHaveLength(1);
+    expect(updates).toHaveLength(8);
+  });
+  expect(updates[7]).toBe('branch');
+}, 15000);
+
+test('a reply stopped while it is typed out keeps its learning, so deleting it takes that back', async () => {
+  const updates = [];
+  const { chat, messages } = renderChat({
+    storageNamespace: 'stop-test',
+    onLearningUpdate: (update) => updates.push(update.reason),
+  });
+  await waitFor(() => expect(chat.current).toBeTruthy());
+  act(() => {
+    chat.current.send('hello there');
+  });
+
+  // learning is applied before the reply is typed out; stop it midway
+  await waitFor(() => expect(updates).toEqual(['message']));
+  fireEvent.click(await screen.findByLabelText('Stop generating'));
+  await waitFor(() => expect(replied(messages())).toBe(true));
+  expect(messages()[1]).toMatchObject({
+    truncated: true,
+    intent: 'greeting',
+    learning: expect.any(Array),
+    features: expect.any(Array),
+  });
+
+  fireEvent.click(screen.getAllByLabelText('Delete message')[1]);
+  await waitFor(() => expect(updates).toEqual(['message', 'branch']));
+  expect(messages()).toHaveLength(1);
+});
+
+test('the conversation exports as a transcript and imports back', async () => {
+  const downloads = [];
+  stubGlobal(URL, 'createObjectURL', (blob) => {
+    downloads.push(blob);
+    return 'blob:transcript';
+  });
+  stubGlobal(URL, 'revokeObjectURL', () => {});
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+  const blobText = (blob) => new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+  const { chat, messages } = renderChat({ storageNamespace: 'transcript-test' });
+  await send(chat, 'hello there');
+  const exportJson = screen.getByLabelText('Export the conversation as JSON');
+  await waitFor(() => {
+    expect(replied(messages())).toBe(true);
+    expect(exportJson).toBeEnabled();
+  });
+
+  fireEvent.click(exportJson);
+  const doc = JSON.parse(await blobText(downloads[0]));
+  expect(doc.format).toBe('smartgpt-transcript');
+  expect(doc.messages).toEqual([
+    { role: 'user', content: 'hello there', createdAt: expect.any(String) },
+    expect.objectContaining({ role: 'assistant', intent: 'greeting', confidence: expect.any(Number) }),
+  ]);
+  expect(doc.messages[1]).not.toHaveProperty('features');
+
+  fireEvent.click(screen.getByLabelText('Export the conversation as Markdown'));
+  expect(downloads[1].type).toBe('text/markdown');
+  expect(await blobText(downloads[1])).toContain('**You** · ');
+  expect(screen.getByText('Transcript exported as Markdown')).toBeInTheDocument();
+
+  // importing replaces the parent's messages with the transcript's
+  const file = new File([JSON.stringify({ ...doc, messages: doc.messages.slice(0, 1) })], 'chat.json');
+  fireEvent.change(screen.getByLabelText('Transcript file'), { target: { files: [file] } });
+  await waitFor(() => expect(messages()).toHaveLength(1));
+  expect(messages()[0]).toEqual({ role: 'user', content: 'hello there', createdAt: Date.parse(doc.messages[0].createdAt) });
+  expect(screen.getByText('Imported 1 message from chat.json')).toBeInTheDocument();
+});
+
+test('search finds messages across the conversation with filters and jumps to a result', async () => {
+  const scrolled = [];
+  stubGlobal(HTMLElement.prototype, 'scrollIntoView', function scrollIntoView() {
+    scrolled.push(this.getAttribute('data-message-index'));
+  });
+  const { chat, messages } = renderChat({ storageNamespace: 'search-test' });
+
+  await send(chat, 'hello there');
+  await send(chat, 'what is the weather like');
+  await waitFor(() => {
+    expect(messages()).toHaveLength(4);
+    expect(replied(messages())).toBe(true);
+  });
+
+  fireEvent.click(screen.getByLabelText('Search all conversations'));
+  const query = screen.getByLabelText('Search text');
+  const results = () => within(screen.getByLabelText('Search results')).queryAllByRole('button');
+  fireEvent.change(query, { target: { value: 'weath' } });
+  await waitFor(() => expect(results().length).toBeGreaterThan(0));
+  expect(results()[0].querySelector('mark')).toHaveTextContent('weather');
+  expect(results()[0]).toHaveTextContent('You');
+
+  // only replies
+  const [role] = within(screen.getByRole('search')).getAllByRole('combobox');
+  fireEvent.change(role, { target: { value: 'assistant' } });
+  fireEvent.change(query, { target: { value: 'hello there' } });
+  await waitFor(() => expect(screen.getByText('No messages found')).toBeInTheDocument());
+
+  fireEvent.change(role, { target: { value: 'user' } });
+  await waitFor(() => expect(results()).toHaveLength(1));
+  fireEvent.click(results()[0]);
+  await waitFor(() => expect(scrolled).toEqual(['0']));
+});
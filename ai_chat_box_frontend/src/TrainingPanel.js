@@ -0,0 +1,215 @@
+import React, { useRef } from 'react';
+import { useI18n } from './i18n';
+import { TRAINING_ALGORITHMS } from './training';
+
+/**
+ * TrainingPanel - batch training from a labelled file: algorithm, epochs and
+ * validation split, progress per epoch, then an accuracy preview with the
+ * choice to replace or merge into the current weights. The parent runs the
+ * training (see training/) and applies the result.
+ */
+
+const styles = {
+  panel: {
+    width: '100%',
+    marginTop: 8,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+  },
+  bar: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    flexWrap: 'wrap',
+  },
+  label: {
+    fontSize: 13,
+    color: 'var(--text-secondary, #374151)',
+  },
+  button: {
+    fontSize: 13,
+    fontWeight: 600,
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+  },
+  primary: {
+    background: '#2563EB',
+    border: '1px solid #2563EB',
+    color: '#ffffff',
+  },
+  control: {
+    fontSize: 13,
+    padding: '4px 6px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+  },
+  number: {
+    width: 56,
+  },
+  status: {
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+  },
+  preview: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 6,
+    padding: 10,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    borderRadius: 10,
+    background: '#ffffff',
+    fontSize: 13,
+    color: 'var(--text-primary, #111827)',
+  },
+  scores: {
+    fontWeight: 600,
+  },
+  progress: {
+    flex: 1,
+    minWidth: 120,
+  },
+};
+
+const percent = (x) => (x === null || x === undefined ? '–' : `${(x * 100).toFixed(1)}%`);
+
+// PUBLIC_INTERFACE
+export default function TrainingPanel({ options, onOptionsChange, training, status, onTrain, onCancel, onApply, onDiscard }) {
+  /** PUBLIC_INTERFACE
+   * `options` are { algorithm, epochs, validationSplit } and `onOptionsChange(patch)`
+   * updates them. `training` is null or `{ name, progress, result }` (progress and
+   * result from trainBatch). `onTrain(file)` starts, `onCancel()` stops, and
+   * `onApply('replace' | 'merge')` or `onDiscard()` end a finished run.
+   */
+  const { t } = useI18n();
+  const fileRef = useRef(null);
+  const running = !!training && !training.result;
+  const progress = training?.progress;
+  const result = training?.result;
+
+  return (
+    <div style={styles.panel} role="group" aria-label={t('training.label')}>
+      <div style={styles.bar}>
+        <button
+          type="button"
+          style={styles.button}
+          onClick={() => fileRef.current?.click()}
+          disabled={!!training}
+          aria-label={t('training.trainLabel')}
+          title={t('training.trainTitle')}
+        >
+          {t('training.train')}
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept=".jsonl,.ndjson,.csv,application/x-ndjson,text/csv"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) onTrain(file);
+            e.target.value = '';
+          }}
+          style={{ display: 'none' }}
+          aria-label={t('training.file')}
+        />
+        <label style={styles.label}>
+          {t('training.algorithm')}{' '}
+          <select
+            value={options.algorithm}
+            onChange={(e) => onOptionsChange({ algorithm: e.target.value })}
+            disabled={!!training}
+            style={styles.control}
+          >
+            {TRAINING_ALGORITHMS.map(a => (
+              <option key={a} value={a}>{t(`training.${a}`)}</option>
+            ))}
+          </select>
+        </label>
+        <label style={styles.label}>
+          {t('training.epochs')}{' '}
+          <input
+            type="number"
+            min={1}
+            max={100}
+            value={options.epochs}
+            onChange={(e) => onOptionsChange({ epochs: Math.max(1, Math.min(100, Math.round(Number(e.target.value) || 1))) })}
+            disabled={!!training}
+            style={{ ...styles.control, ...styles.number }}
+          />
+        </label>
+        <label style={styles.label}>
+          {t('training.validation')}{' '}
+          <input
+            type="number"
+            min={0}
+            max={50}
+            step={5}
+            value={Math.round(options.validationSplit * 100)}
+            onChange={(e) => onOptionsChange({ validationSplit: Math.max(0, Math.min(50, Number(e.target.value) || 0)) / 100 })}
+            disabled={!!training}
+            style={{ ...styles.control, ...styles.number }}
+          />
+        </label>
+        {status ? <span style={styles.status} aria-live="polite">{status}</span> : null}
+      </div>
+
+      {running ? (
+        <div style={styles.bar}>
+          <progress
+            style={styles.progress}
+            value={progress?.epoch || 0}
+            max={progress?.epochs || options.epochs}
+            aria-label={t('training.progressLabel')}
+          />
+          <span style={styles.status} aria-live="polite">
+            {progress
+              ? t('training.progress', {
+                epoch: progress.epoch,
+                epochs: progress.epochs,
+                train: percent(progress.trainAccuracy),
+                validation: percent(progress.validationAccuracy),
+              })
+              : t('training.preparing', { name: training.name })}
+          </span>
+          <button type="button" style={styles.button} onClick={onCancel}>
+            {t('training.cancel')}
+          </button>
+        </div>
+      ) : null}
+
+      {result ? (
+        <div style={styles.preview} aria-label={t('training.preview')}>
+          <div>
+            {t(result.previewOn === 'validation' ? 'training.previewValidation' : 'training.previewTraining', {
+              count: result.previewOn === 'validation' ? result.validated : result.trained,
+            })}
+          </div>
+          <div style={styles.scores}>
+            {t('training.previewScores', {
+              current: percent(result.preview.current),
+              replaced: percent(result.preview.replaced),
+              merged: percent(result.preview.merged),
+            })}
+          </div>
+          <div style={styles.bar}>
+            <button type="button" style={{ ...styles.button, ...styles.primary }} onClick={() => onApply('replace')}>
+              {t('training.replace')}
+            </button>
+            <button type="button" style={styles.button} onClick={() => onApply('merge')}>
+              {t('training.merge')}
+            </button>
+            <button type="button" style={styles.button} onClick={onDiscard}>
+              {t('training.discard')}
+            </button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
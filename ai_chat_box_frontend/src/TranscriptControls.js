@@ -0,0 +1,91 @@
+import React, { useRef } from 'react';
+import { useI18n } from './i18n';
+
+/**
+ * TranscriptControls - export the open conversation as Markdown, HTML or JSON,
+ * and import a JSON transcript as a conversation. The parent builds the files
+ * and opens the import (see transcript/).
+ */
+
+export const TRANSCRIPT_EXPORT_FORMATS = ['markdown', 'html', 'json'];
+
+const styles = {
+  bar: {
+    width: '100%',
+    marginTop: 8,
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    flexWrap: 'wrap',
+  },
+  label: {
+    fontSize: 13,
+    color: 'var(--text-secondary, #374151)',
+  },
+  button: {
+    fontSize: 13,
+    fontWeight: 600,
+    padding: '6px 10px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+    cursor: 'pointer',
+  },
+  status: {
+    fontSize: 12,
+    color: 'var(--text-secondary, #6B7280)',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function TranscriptControls({ status, disabled, onExport, onImport }) {
+  /** PUBLIC_INTERFACE
+   * `onExport(format)` downloads the conversation in one of TRANSCRIPT_EXPORT_FORMATS;
+   * `onImport(file)` receives the chosen transcript file. `disabled` holds both while
+   * a reply is in progress.
+   */
+  const { t } = useI18n();
+  const fileRef = useRef(null);
+
+  return (
+    <div style={styles.bar} role="group" aria-label={t('transcript.label')}>
+      <span style={styles.label}>{t('transcript.export')}</span>
+      {TRANSCRIPT_EXPORT_FORMATS.map(format => (
+        <button
+          key={format}
+          type="button"
+          style={styles.button}
+          onClick={() => onExport(format)}
+          disabled={disabled}
+          aria-label={t('transcript.exportLabel', { format: t(`transcript.${format}`) })}
+        >
+          {t(`transcript.${format}`)}
+        </button>
+      ))}
+      <button
+        type="button"
+        style={styles.button}
+        onClick={() => fileRef.current?.click()}
+        disabled={disabled}
+        aria-label={t('transcript.importLabel')}
+        title={t('transcript.importTitle')}
+      >
+        {t('transcript.import')}
+      </button>
+      <input
+        ref={fileRef}
+        type="file"
+        accept="application/json,.json"
+        onChange={(e) => {
+          const file = e.target.files?.[0];
+          if (file) onImport(file);
+          e.target.value = '';
+        }}
+        style={{ display: 'none' }}
+        aria-label={t('transcript.file')}
+      />
+      {status ? <span style={styles.status} aria-live="polite">{status}</span> : null}
+    </div>
+  );
+}
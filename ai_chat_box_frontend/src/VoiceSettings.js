@@ -0,0 +1,112 @@
+import React, { useEffect, useState } from 'react';
+import { useI18n } from './i18n';
+import { MAX_SPEECH_RATE, MIN_SPEECH_RATE } from './speech';
+
+/**
+ * VoiceSettings - settings bar for spoken replies (on/off, voice, rate) and for
+ * sending dictated messages automatically. Controls for an API the browser
+ * lacks are left out; without either API the bar renders nothing.
+ */
+
+const styles = {
+  bar: {
+    width: '100%',
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 8,
+    flexWrap: 'wrap',
+  },
+  label: {
+    fontSize: 13,
+    color: 'var(--text-secondary, #374151)',
+  },
+  checkbox: {
+    marginInlineEnd: 6,
+  },
+  control: {
+    fontSize: 13,
+    padding: '4px 6px',
+    borderRadius: 8,
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    color: 'var(--text-primary, #111827)',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function VoiceSettings({ support, settings, onChange }) {
+  /** PUBLIC_INTERFACE
+   * `support` comes from getSpeechSupport; `onChange(patch)` receives the changed
+   * fields of the voice settings.
+   */
+  const { t } = useI18n();
+  const { Recognition, synthesis } = support;
+  const [voices, setVoices] = useState(() => synthesis?.getVoices() || []);
+
+  // Browsers may load their voice list after the page
+  useEffect(() => {
+    if (!synthesis?.addEventListener) return undefined;
+    const refresh = () => setVoices(synthesis.getVoices());
+    synthesis.addEventListener('voiceschanged', refresh);
+    return () => synthesis.removeEventListener('voiceschanged', refresh);
+  }, [synthesis]);
+
+  if (!Recognition && !synthesis) return null;
+
+  return (
+    <div style={styles.bar} role="group" aria-label={t('voice.label')}>
+      {synthesis ? (
+        <>
+          <label style={styles.label}>
+            <input
+              type="checkbox"
+              checked={settings.speakReplies}
+              onChange={() => onChange({ speakReplies: !settings.speakReplies })}
+              style={styles.checkbox}
+            />
+            {t('voice.speak')}
+          </label>
+          <label style={styles.label}>
+            {t('voice.voice')}{' '}
+            <select
+              value={settings.voiceURI}
+              onChange={(e) => onChange({ voiceURI: e.target.value })}
+              style={styles.control}
+              aria-label={t('voice.voiceLabel')}
+            >
+              <option value="">{t('voice.defaultVoice')}</option>
+              {voices.map(v => (
+                <option key={v.voiceURI} value={v.voiceURI}>{`${v.name} (${v.lang})`}</option>
+              ))}
+            </select>
+          </label>
+          <label style={styles.label}>
+            {t('voice.rate')}{' '}
+            <input
+              type="number"
+              min={MIN_SPEECH_RATE}
+              max={MAX_SPEECH_RATE}
+              step="0.1"
+              value={settings.rate}
+              onChange={(e) => onChange({ rate: Number(e.target.value) })}
+              style={{ ...styles.control, width: 56 }}
+              aria-label={t('voice.rateLabel')}
+            />
+          </label>
+        </>
+      ) : null}
+      {Recognition ? (
+        <label style={styles.label}>
+          <input
+            type="checkbox"
+            checked={settings.autoSend}
+            onChange={() => onChange({ autoSend: !settings.autoSend })}
+            style={styles.checkbox}
+          />
+          {t('voice.autoSend')}
+        </label>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { DEFAULT_SKILL_PACK } from './skillPack';
+
+/**
+ * Conversation branches and the learning recorded on messages.
+ *
+ * The messages array is always the visible path. Editing or regenerating from
+ * message `i` forks there: the message at `i` starts the new path and carries
+ *   branches: { tails: [{ messages, context } | null], active }
+ * where each tail is another path from `i` to the end, with the conversation
+ * context it ended in. `tails[active]` is null; that path is the one showing.
+ *
+ * Assistant messages record the learning applied for them as
+ *   learning: [{ intent, direction, lr }]
+ * (over the message's `features`), so a path that is left can be unlearned and
+ * re-learned when it is shown again.
+ */
+
+// PUBLIC_INTERFACE
+/** `{ index, count }` of a fork message's branches, or null when it has none. */
+export function branchOf(message) {
+  if (!message?.branches) return null;
+  return { index: message.branches.active, count: message.branches.tails.length };
+}
+
+// Split the fork message from its branches and snapshot the showing path as a tail
+function snapshot(messages, index, context) {
+  const { branches, ...current } = messages[index];
+  const tails = branches ? branches.tails.slice() : [null];
+  const active = branches ? branches.active : 0;
+  tails[active] = { messages: [current, ...messages.slice(index + 1)], context };
+  return { tails, active };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Replace messages[index] and everything after it with `message`, keeping the
+ * replaced path (which ended in `context`) as a branch. Returns the new messages.
+ */
+export function forkMessages(messages, index, message, context) {
+  const { tails } = snapshot(messages, index, context);
+  return [
+    ...messages.slice(0, index),
+    { ...message, branches: { tails: [...tails, null], active: tails.length } },
+  ];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Show branch `target` of the fork at `index`. The showing path ended in `context`.
+ * Returns { messages, context, left, entered } (`left` and `entered` are the
+ * paths from `index` on), or null when there is no such branch.
+ */
+export function switchBranch(messages, index, target, context) {
+  const fork = messages[index];
+  if (!fork?.branches || target === fork.branches.active || !fork.branches.tails[target]) return null;
+  const { tails, active } = snapshot(messages, index, context);
+  const { messages: entered, context: nextContext } = tails[target];
+  tails[target] = null;
+  const [head, ...rest] = entered;
+  return {
+    messages: [...messages.slice(0, index), { ...head, branches: { tails, active: target } }, ...rest],
+    context: nextContext,
+    left: tails[active].messages,
+    entered,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Add learning `updates` ([{ intent, direction }] applied at rate `lr`) to a message's record. */
+export function recordLearning(message, updates, lr) {
+  return { ...message, learning: [...(message.learning || []), ...updates.map(u => ({ ...u, lr }))] };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The learning recorded on `messages` as weight adjustments, one per rate:
+ * [{ packId, features, updates: [{ intent, direction }], lr }]. With `undo` the
+ * directions are reversed. Undoing is exact unless a weight reached the clamp range;
+ * the mild decay of other intents after a message is not undone.
+ */
+export function learningAdjustments(messages, { undo = false } = {}) {
+  const adjustments = [];
+  for (const m of messages) {
+    if (!m.learning?.length || !m.features) continue;
+    const byRate = new Map();
+    for (const { intent, direction, lr } of m.learning) {
+      byRate.set(lr, [...(byRate.get(lr) || []), { intent, direction: undo ? -direction : direction }]);
+    }
+    for (const [lr, updates] of byRate) {
+      adjustments.push({ packId: m.packId || DEFAULT_SKILL_PACK.id, features: m.features, updates, lr });
+    }
+  }
+  return adjustments;
+}
@@ -0,0 +1,51 @@
+import { branchOf, forkMessages, learningAdjustments, recordLearning, switchBranch } from './branches';
+
+const reply = (content, intent, learning) => ({ role: 'assistant', content, intent, features: [1, 2], packId: 'default', learning });
+const start = [
+  { role: 'assistant', content: 'Hi' },
+  { role: 'user', content: 'hello' },
+  reply('Hello!', 'greeting', [{ intent: 'greeting', direction: 1, lr: 0.1 }]),
+];
+
+test('forking keeps the replaced path as a branch that can be switched back', () => {
+  const forked = forkMessages(start, 1, { role: 'user', content: 'weather?' }, { turn: 1 });
+  expect(forked.map(m => m.content)).toEqual(['Hi', 'weather?']);
+  expect(branchOf(forked[1])).toEqual({ index: 1, count: 2 });
+  expect(branchOf(forked[0])).toBeNull();
+
+  const withReply = [...forked, reply('Sunny', 'weather')];
+  const back = switchBranch(withReply, 1, 0, { turn: 2 });
+  expect(back.messages.map(m => m.content)).toEqual(['Hi', 'hello', 'Hello!']);
+  expect(branchOf(back.messages[1])).toEqual({ index: 0, count: 2 });
+  expect(back.context).toEqual({ turn: 1 });
+  expect(back.left.map(m => m.content)).toEqual(['weather?', 'Sunny']);
+  expect(back.entered.map(m => m.content)).toEqual(['hello', 'Hello!']);
+
+  const again = switchBranch(back.messages, 1, 1, back.context);
+  expect(again.messages.map(m => m.content)).toEqual(['Hi', 'weather?', 'Sunny']);
+  expect(again.context).toEqual({ turn: 2 });
+  expect(switchBranch(again.messages, 1, 1, again.context)).toBeNull();
+  expect(switchBranch(again.messages, 1, 5, again.context)).toBeNull();
+
+  // forking an existing fork adds a third branch
+  const third = forkMessages(again.messages, 1, { role: 'user', content: 'joke?' }, again.context);
+  expect(branchOf(third[1])).toEqual({ index: 2, count: 3 });
+});
+
+test('recorded learning turns into adjustments that undo it', () => {
+  const rated = recordLearning(start[2], [{ intent: 'weather', direction: 1 }, { intent: 'greeting', direction: -1 }], 0.2);
+  expect(learningAdjustments([start[0], rated])).toEqual([
+    { packId: 'default', features: [1, 2], updates: [{ intent: 'greeting', direction: 1 }], lr: 0.1 },
+    {
+      packId: 'default',
+      features: [1, 2],
+      updates: [{ intent: 'weather', direction: 1 }, { intent: 'greeting', direction: -1 }],
+      lr: 0.2,
+    },
+  ]);
+  expect(learningAdjustments([rated], { undo: true }).map(a => a.updates)).toEqual([
+    [{ intent: 'greeting', direction: -1 }],
+    [{ intent: 'weather', direction: -1 }, { intent: 'greeting', direction: 1 }],
+  ]);
+  expect(learningAdjustments([{ role: 'user', content: 'hello' }])).toEqual([]);
+});
@@ -0,0 +1,220 @@
+import { buildVocabulary, createVocabularyIndex, vectorize } from './tokenizer';
+import { createAbortError } from '../engines/streaming';
+
+/**
+ * Small trainable TF.js text classifier.
+ * - Bag-of-words input -> dense (ReLU) -> dropout -> dense softmax over intents
+ * - Trained in the browser on example utterances per intent, with a held-out
+ *   validation split reported after every epoch
+ * - Saved/loaded through tf.io (IndexedDB by default); the vocabulary, labels and a
+ *   hash of the training data travel with the model as user-defined metadata
+ *
+ * Functions take the `tf` namespace as their first argument so TensorFlow.js can
+ * stay lazily loaded by the caller.
+ */
+
+export const MODEL_URL = 'indexeddb://smarttalk-intent-classifier';
+
+export const DEFAULT_TRAINING_OPTIONS = {
+  epochs: 60,
+  batchSize: 16,
+  validationSplit: 0.2,
+  hiddenUnits: 24,
+  dropout: 0.2,
+  learningRate: 0.02,
+  seed: 42,
+};
+
+// Small deterministic PRNG so the train/validation split is stable across runs
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Short stable hash of the training data; a saved model is reused only if it matches. */
+export function datasetVersion(data) {
+  const text = JSON.stringify(data.intents.map(d => [d.key, d.examples]));
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Turn `{ intents: [{ key, examples }] }` into shuffled train/validation sets.
+ * Every intent keeps at least one example in the training set.
+ */
+export function prepareDataset(data, { validationSplit = 0.2, seed = 42 } = {}) {
+  const labels = data.intents.map(d => d.key);
+  const random = mulberry32(seed);
+  const train = [];
+  const validation = [];
+  data.intents.forEach((intent, label) => {
+    const examples = intent.examples.map(text => ({ text, label }));
+    for (let i = examples.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [examples[i], examples[j]] = [examples[j], examples[i]];
+    }
+    const holdOut = Math.min(Math.round(examples.length * validationSplit), examples.length - 1);
+    validation.push(...examples.slice(0, holdOut));
+    train.push(...examples.slice(holdOut));
+  });
+  const vocabulary = buildVocabulary(train.map(e => e.text));
+  return { labels, vocabulary, train, validation };
+}
+
+function toTensors(tf, examples, vocabularyIndex, numClasses) {
+  const xs = tf.tensor2d(
+    examples.map(e => Array.from(vectorize(e.text, vocabularyIndex))),
+    [examples.length, vocabularyIndex.size]
+  );
+  const ys = tf.oneHot(tf.tensor1d(examples.map(e => e.label), 'int32'), numClasses).toFloat();
+  return { xs, ys };
+}
+
+// PUBLIC_INTERFACE
+/** Build and compile the bag-of-words -> softmax model. */
+export function buildModel(tf, inputSize, numClasses, options = {}) {
+  const { hiddenUnits, dropout, learningRate } = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+  const model = tf.sequential();
+  model.add(tf.layers.dense({ inputShape: [inputSize], units: hiddenUnits, activation: 'relu' }));
+  if (dropout > 0) model.add(tf.layers.dropout({ rate: dropout }));
+  model.add(tf.layers.dense({ units: numClasses, activation: 'softmax' }));
+  model.compile({
+    optimizer: tf.train.adam(learningRate),
+    loss: 'categoricalCrossentropy',
+    metrics: ['accuracy'],
+  });
+  return model;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Wrap a trained or loaded LayersModel with its preprocessing metadata.
+ * `predict(text)` returns [{ intent, probability }] sorted best-first.
+ */
+export function createClassifier(tf, model, meta) {
+  const vocabularyIndex = createVocabularyIndex(meta.vocabulary);
+  return {
+    model,
+    labels: meta.labels,
+    vocabulary: meta.vocabulary,
+    datasetVersion: meta.datasetVersion,
+    validationAccuracy: meta.validationAccuracy,
+    predict(text) {
+      const probs = tf.tidy(() => {
+        const x = tf.tensor2d([Array.from(vectorize(text, vocabularyIndex))], [1, vocabularyIndex.size]);
+        return model.predict(x).dataSync();
+      });
+      return meta.labels
+        .map((intent, i) => ({ intent, probability: probs[i] }))
+        .sort((a, b) => b.probability - a.probability);
+    },
+    async save(url = MODEL_URL) {
+      model.setUserDefinedMetadata({
+        labels: meta.labels,
+        vocabulary: meta.vocabulary,
+        datasetVersion: meta.datasetVersion,
+        validationAccuracy: meta.validationAccuracy,
+      });
+      return model.save(url);
+    },
+    dispose() {
+      model.dispose();
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Train a classifier on `data`. `onProgress` receives
+ * { epoch, epochs, loss, accuracy, valAccuracy } after every epoch; aborting
+ * `signal` stops training after the current epoch and rejects with an AbortError.
+ */
+export async function trainTextClassifier(tf, data, { onProgress, signal, ...options } = {}) {
+  const opts = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+  const { labels, vocabulary, train, validation } = prepareDataset(data, opts);
+  const vocabularyIndex = createVocabularyIndex(vocabulary);
+  const model = buildModel(tf, vocabulary.length, labels.length, opts);
+
+  const trainSet = toTensors(tf, train, vocabularyIndex, labels.length);
+  const valSet = validation.length ? toTensors(tf, validation, vocabularyIndex, labels.length) : null;
+  let valAccuracy = null;
+  try {
+    await model.fit(trainSet.xs, trainSet.ys, {
+      epochs: opts.epochs,
+      batchSize: opts.batchSize,
+      shuffle: true,
+      verbose: 0,
+      validationData: valSet ? [valSet.xs, valSet.ys] : undefined,
+      callbacks: {
+        onEpochEnd: async (epoch, logs) => {
+          if (signal?.aborted) {
+            model.stopTraining = true;
+            return;
+          }
+          valAccuracy = valSet ? logs.val_acc : null;
+          onProgress?.({
+            epoch: epoch + 1,
+            epochs: opts.epochs,
+            loss: logs.loss,
+            accuracy: logs.acc,
+            valAccuracy,
+          });
+          // Yield so the UI can paint progress between epochs
+          await tf.nextFrame();
+        },
+      },
+    });
+  } finally {
+    tf.dispose([trainSet.xs, trainSet.ys, ...(valSet ? [valSet.xs, valSet.ys] : [])]);
+  }
+  if (signal?.aborted) {
+    model.dispose();
+    throw createAbortError();
+  }
+
+  return createClassifier(tf, model, {
+    labels,
+    vocabulary,
+    datasetVersion: datasetVersion(data),
+    validationAccuracy: valAccuracy,
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Load a classifier saved with `classifier.save()`. `source` is a tf.io URL or
+ * IO handler. Resolves null when nothing usable is stored there.
+ */
+export async function loadTextClassifier(tf, source = MODEL_URL) {
+  let model;
+  try {
+    model = await tf.loadLayersModel(source);
+  } catch {
+    return null;
+  }
+  const meta = model.getUserDefinedMetadata();
+  if (!meta || !Array.isArray(meta.labels) || !Array.isArray(meta.vocabulary)) {
+    model.dispose();
+    return null;
+  }
+  return createClassifier(tf, model, meta);
+}
+
+// PUBLIC_INTERFACE
+/** Run TF.js on the plain-JS CPU backend (small models gain nothing from WebGL). */
+export async function selectCpuBackend(tf) {
+  if (tf.getBackend() !== 'cpu') await tf.setBackend('cpu');
+  await tf.ready();
+}
@@ -0,0 +1,55 @@
+import * as tf from '@tensorflow/tfjs';
+import TRAINING_DATA from './trainingData.json';
+import { buildVocabulary, createVocabularyIndex, tokenize, vectorize } from './tokenizer';
+import {
+  datasetVersion,
+  loadTextClassifier,
+  prepareDataset,
+  trainTextClassifier,
+  selectCpuBackend,
+} from './textClassifier';
+
+beforeAll(() => selectCpuBackend(tf));
+
+test('tokenizes and vectorizes text as a bag of words', () => {
+  expect(tokenize("Hey, what's UP?!")).toEqual(['hey', "what's", 'up']);
+  const vocabulary = buildVocabulary(['hi there', 'hi you']);
+  expect(vocabulary[0]).toBe('hi');
+  expect(Array.from(vectorize('you HI unknown', createVocabularyIndex(vocabulary)))).toEqual([1, 0, 1]);
+});
+
+test('splits every intent into train and validation examples', () => {
+  const { labels, train, validation } = prepareDataset(TRAINING_DATA, { validationSplit: 0.2, seed: 1 });
+  expect(labels).toEqual(TRAINING_DATA.intents.map(d => d.key));
+  labels.forEach((_, label) => {
+    expect(train.some(e => e.label === label)).toBe(true);
+    expect(validation.some(e => e.label === label)).toBe(true);
+  });
+  const total = TRAINING_DATA.intents.reduce((n, d) => n + d.examples.length, 0);
+  expect(train.length + validation.length).toBe(total);
+});
+
+test('trains, reports progress and round-trips through tf.io', async () => {
+  const progress = [];
+  const classifier = await trainTextClassifier(tf, TRAINING_DATA, {
+    epochs: 40,
+    onProgress: p => progress.push(p),
+  });
+  expect(progress).toHaveLength(40);
+  expect(progress[39]).toMatchObject({ epoch: 40, epochs: 40 });
+  expect(typeof progress[39].valAccuracy).toBe('number');
+  expect(classifier.predict('hello there')[0].intent).toBe('greeting');
+  expect(classifier.predict('thank you so much')[0].intent).toBe('thanks');
+
+  let artifacts = null;
+  await classifier.save(tf.io.withSaveHandler(async a => {
+    artifacts = a;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+  const loaded = await loadTextClassifier(tf, tf.io.fromMemory(artifacts));
+  expect(loaded.labels).toEqual(classifier.labels);
+  expect(loaded.datasetVersion).toBe(datasetVersion(TRAINING_DATA));
+  expect(loaded.predict('hello there')[0].intent).toBe('greeting');
+  classifier.dispose();
+  loaded.dispose();
+});
@@ -0,0 +1,48 @@
+import { tokenize as tokenizeText } from '../nlp/tokenizer';
+
+/**
+ * Text preprocessing for the TF.js intent classifier: tokenisation, vocabulary
+ * building and bag-of-words vectors.
+ */
+
+// PUBLIC_INTERFACE
+/** Split text into lowercase tokens: Unicode words plus emoji and emoticons. */
+export function tokenize(text) {
+  return tokenizeText(text, { punctuation: false });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Build a vocabulary from training texts: the `maxSize` most frequent tokens
+ * seen at least `minCount` times, most frequent first (ties alphabetical).
+ */
+export function buildVocabulary(texts, { maxSize = 2000, minCount = 1 } = {}) {
+  const counts = new Map();
+  for (const text of texts) {
+    for (const token of tokenize(text)) counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, maxSize)
+    .map(([token]) => token);
+}
+
+// PUBLIC_INTERFACE
+/** Map each vocabulary token to its position in the vector. */
+export function createVocabularyIndex(vocabulary) {
+  return new Map(vocabulary.map((token, i) => [token, i]));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Binary bag-of-words vector for `text`. Tokens outside the vocabulary are ignored.
+ */
+export function vectorize(text, vocabularyIndex) {
+  const vec = new Float32Array(vocabularyIndex.size);
+  for (const token of tokenize(text)) {
+    const i = vocabularyIndex.get(token);
+    if (i !== undefined) vec[i] = 1;
+  }
+  return vec;
+}
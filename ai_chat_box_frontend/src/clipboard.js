@@ -0,0 +1,31 @@
+/**
+ * Clipboard helper with a fallback for browsers without the async Clipboard API
+ * (or pages served without a secure context).
+ */
+
+// PUBLIC_INTERFACE
+/** Copy `text` to the clipboard; resolves true on success. */
+export async function copyToClipboard(text) {
+  try {
+    if (navigator.clipboard?.writeText) {
+      await navigator.clipboard.writeText(text);
+      return true;
+    }
+  } catch {
+    // fall back below
+  }
+  try {
+    const area = document.createElement('textarea');
+    area.value = text;
+    area.setAttribute('readonly', '');
+    area.style.position = 'fixed';
+    area.style.opacity = '0';
+    document.body.appendChild(area);
+    area.select();
+    const ok = document.execCommand('copy');
+    area.remove();
+    return ok;
+  } catch {
+    return false;
+  }
+}
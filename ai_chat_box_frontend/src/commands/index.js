@@ -0,0 +1 @@
+export { SLASH_COMMANDS, parseSlashCommand, suggestSlashCommands } from './slashCommands';
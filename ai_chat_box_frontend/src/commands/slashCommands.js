@@ -0,0 +1,62 @@
+/**
+ * Slash commands typed into the composer, such as `/stats` or `/learn off`.
+ *
+ * A message starting with `/` is a command and never reaches the response engine.
+ * This module only parses and suggests; SmartChatGPT runs the commands and shows
+ * their results as `role: 'system'` messages.
+ */
+
+// `options` lists the values the command's argument can take, for autocomplete
+export const SLASH_COMMANDS = [
+  { name: 'help', usage: '/help' },
+  { name: 'reset', usage: '/reset' },
+  { name: 'learn', usage: '/learn on|off', options: () => ['on', 'off'] },
+  { name: 'export', usage: '/export' },
+  { name: 'clear', usage: '/clear' },
+  { name: 'intent', usage: '/intent <name>', options: ({ intents = [] }) => intents },
+  { name: 'stats', usage: '/stats' },
+];
+
+const findCommand = (name) => SLASH_COMMANDS.find(c => c.name === name) || null;
+
+// PUBLIC_INTERFACE
+/**
+ * Read a composer message as a command: { name, argument, command } where
+ * `command` is the SLASH_COMMANDS entry (null for an unknown name). Returns null
+ * for messages that are not commands.
+ */
+export function parseSlashCommand(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed.startsWith('/')) return null;
+  const [word = '', ...rest] = trimmed.slice(1).split(/\s+/);
+  const name = word.toLowerCase();
+  return { name, argument: rest.join(' '), command: findCommand(name) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Autocomplete for the composer: [{ text, command }] where `text` replaces the
+ * input. Command names are suggested until the first space, then the argument
+ * options (`intents` feeds `/intent`). Commands taking an argument complete with
+ * a trailing space.
+ */
+export function suggestSlashCommands(input, { intents = [] } = {}) {
+  const value = String(input || '');
+  if (!value.startsWith('/')) return [];
+  const space = value.indexOf(' ');
+
+  if (space === -1) {
+    const prefix = value.slice(1).toLowerCase();
+    return SLASH_COMMANDS
+      .filter(c => c.name.startsWith(prefix))
+      .map(c => ({ text: `/${c.name}${c.options ? ' ' : ''}`, command: c }));
+  }
+
+  const command = findCommand(value.slice(1, space).toLowerCase());
+  if (!command?.options) return [];
+  const prefix = value.slice(space + 1).trimStart().toLowerCase();
+  if (prefix.includes(' ')) return [];
+  return command.options({ intents })
+    .filter(option => option.toLowerCase().startsWith(prefix))
+    .map(option => ({ text: `/${command.name} ${option}`, command }));
+}
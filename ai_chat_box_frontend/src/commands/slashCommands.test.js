@@ -0,0 +1,20 @@
+import { SLASH_COMMANDS, parseSlashCommand, suggestSlashCommands } from './index';
+
+test('messages starting with a slash parse as commands', () => {
+  expect(parseSlashCommand('hello')).toBeNull();
+  expect(parseSlashCommand('  /Learn   off ')).toEqual({ name: 'learn', argument: 'off', command: SLASH_COMMANDS[2] });
+  expect(parseSlashCommand('/intent order status')).toMatchObject({ name: 'intent', argument: 'order status' });
+  expect(parseSlashCommand('/bogus')).toEqual({ name: 'bogus', argument: '', command: null });
+});
+
+test('suggestions complete command names, then their arguments', () => {
+  const texts = (input) => suggestSlashCommands(input, { intents: ['greeting', 'weather'] }).map(s => s.text);
+  expect(texts('hi')).toEqual([]);
+  expect(texts('/')).toHaveLength(SLASH_COMMANDS.length);
+  expect(texts('/re')).toEqual(['/reset']);
+  expect(texts('/in')).toEqual(['/intent ']);
+  expect(texts('/learn ')).toEqual(['/learn on', '/learn off']);
+  expect(texts('/intent w')).toEqual(['/intent weather']);
+  expect(texts('/stats now')).toEqual([]);
+  expect(texts('/intent weather again')).toEqual([]);
+});
@@ -0,0 +1,101 @@
+import { hasIndexedDB, openDatabase, requestToPromise, withStore } from './idb';
+
+/**
+ * Conversation persistence for SmartChatGPT.
+ * A conversation record is:
+ *   { id, title, createdAt, updatedAt, pinned, messages, context }
+ * Stored in IndexedDB (`smartgpt_conversations` / `conversations`), with an
+ * in-memory fallback when IndexedDB is unavailable. Records created in a storage
+ * namespace other than the default one also carry `namespace`.
+ */
+
+const DB_NAME = 'smartgpt_conversations';
+const DB_VERSION = 1;
+const STORE = 'conversations';
+
+export const DEFAULT_TITLE = 'New chat';
+
+const memoryStore = new Map();
+
+function db() {
+  return openDatabase(DB_NAME, DB_VERSION, (database) => {
+    if (!database.objectStoreNames.contains(STORE)) {
+      const store = database.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('updatedAt', 'updatedAt');
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Create a new (unsaved) conversation record. */
+export function createConversation({
+  messages = [],
+  context = { lastIntent: null, history: [] },
+  title = DEFAULT_TITLE,
+  namespace = '',
+} = {}) {
+  const now = Date.now();
+  return {
+    ...(namespace ? { namespace } : {}),
+    id: `c_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    title,
+    createdAt: now,
+    updatedAt: now,
+    pinned: false,
+    messages,
+    context,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Derive a short title from the first user message. */
+export function titleFromMessages(messages, maxLength = 40) {
+  const first = (messages || []).find(m => m.role === 'user' && m.content);
+  if (!first) return DEFAULT_TITLE;
+  const text = first.content.replace(/\s+/g, ' ').trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+// PUBLIC_INTERFACE
+/** Order for the sidebar: pinned first, then most recently updated. */
+export function sortConversations(list) {
+  return [...list].sort((a, b) => (Number(!!b.pinned) - Number(!!a.pinned)) || (b.updatedAt - a.updatedAt));
+}
+
+// PUBLIC_INTERFACE
+/** Load every stored conversation (full records) of a storage namespace, sorted for display. */
+export async function listConversations(namespace = '') {
+  const all = hasIndexedDB()
+    ? await withStore(db(), STORE, 'readonly', (store) => requestToPromise(store.getAll()))
+    : [...memoryStore.values()];
+  return sortConversations((all || []).filter(c => (c.namespace || '') === namespace));
+}
+
+// PUBLIC_INTERFACE
+/** Load one conversation by id, or null. */
+export async function getConversation(id) {
+  if (!hasIndexedDB()) return memoryStore.get(id) || null;
+  const rec = await withStore(db(), STORE, 'readonly', (store) => requestToPromise(store.get(id)));
+  return rec || null;
+}
+
+// PUBLIC_INTERFACE
+/** Insert or replace a conversation record. */
+export async function saveConversation(conversation) {
+  if (!hasIndexedDB()) {
+    memoryStore.set(conversation.id, conversation);
+    return conversation;
+  }
+  await withStore(db(), STORE, 'readwrite', (store) => requestToPromise(store.put(conversation)));
+  return conversation;
+}
+
+// PUBLIC_INTERFACE
+/** Remove a conversation by id. */
+export async function deleteConversation(id) {
+  if (!hasIndexedDB()) {
+    memoryStore.delete(id);
+    return;
+  }
+  await withStore(db(), STORE, 'readwrite', (store) => requestToPromise(store.delete(id)));
+}
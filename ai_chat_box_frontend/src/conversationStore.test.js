@@ -0,0 +1,52 @@
+import {
+  DEFAULT_TITLE,
+  createConversation,
+  deleteConversation,
+  getConversation,
+  listConversations,
+  saveConversation,
+  sortConversations,
+  titleFromMessages,
+} from './conversationStore';
+
+test('titleFromMessages uses the first user message', () => {
+  expect(titleFromMessages([{ role: 'assistant', content: 'Hi' }])).toBe(DEFAULT_TITLE);
+  expect(titleFromMessages([{ role: 'user', content: '  plan   my project ' }])).toBe('plan my project');
+  expect(titleFromMessages([{ role: 'user', content: 'x'.repeat(60) }], 10)).toBe(`${'x'.repeat(9)}…`);
+});
+
+test('sortConversations puts pinned first, then most recent', () => {
+  const list = [
+    { id: 'a', pinned: false, updatedAt: 3 },
+    { id: 'b', pinned: true, updatedAt: 1 },
+    { id: 'c', pinned: false, updatedAt: 5 },
+  ];
+  expect(sortConversations(list).map(c => c.id)).toEqual(['b', 'c', 'a']);
+});
+
+test('conversations round-trip through the store', async () => {
+  const conversation = createConversation({ messages: [{ role: 'user', content: 'hi' }], context: { lastIntent: 'greeting', history: ['hi'] } });
+  await saveConversation(conversation);
+  expect(await getConversation(conversation.id)).toEqual(conversation);
+  expect((await listConversations()).map(c => c.id)).toContain(conversation.id);
+
+  await deleteConversation(conversation.id);
+  expect(await getConversation(conversation.id)).toBeNull();
+});
+
+test('listConversations only returns the requested namespace', async () => {
+  const plain = createConversation({ messages: [] });
+  const scoped = createConversation({ messages: [], namespace: 'support' });
+  expect(scoped.namespace).toBe('support');
+  expect('namespace' in plain).toBe(false);
+  await saveConversation(plain);
+  await saveConversation(scoped);
+
+  const ids = async (namespace) => (await listConversations(namespace)).map(c => c.id);
+  expect(await ids()).toContain(plain.id);
+  expect(await ids()).not.toContain(scoped.id);
+  expect(await ids('support')).toEqual([scoped.id]);
+
+  await deleteConversation(plain.id);
+  await deleteConversation(scoped.id);
+});
@@ -0,0 +1,164 @@
+import { createEngine, createIntentEngine, createOpenAIEngine, createTfjsEngine } from './index';
+import { chatCompletionsUrl } from './openAIEngine';
+import { createZeroWeights } from '../intentModel';
+import { addToIndex, createIndex } from '../knowledge/bm25';
+import { simulateStream } from './streaming';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom does not provide the encoding API used by the SSE reader
+global.TextDecoder = global.TextDecoder || TextDecoder;
+
+function sseBody(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(c => encoder.encode(c));
+  return {
+    getReader: () => ({
+      read: async () => (queue.length ? { value: queue.shift(), done: false } : { value: undefined, done: true }),
+      releaseLock: () => {},
+    }),
+  };
+}
+
+test('intent engine returns a reply with the decided intent and features', async () => {
+  const engine = createIntentEngine({ getWeights: createZeroWeights });
+  const reply = await engine.respond({ text: 'hello there', context: { lastIntent: null, history: [] }, history: [] });
+  expect(reply.intent).toBe('greeting');
+  expect(reply.features).toBeInstanceOf(Float32Array);
+  expect(reply.content).toMatch(/Hi there/);
+});
+
+test('intent engine answers unsure questions from the knowledge base with citations', async () => {
+  const index = addToIndex(createIndex(), {
+    id: 'faq', name: 'faq.md', chunks: [{ chunk: 0, heading: 'Refunds', text: 'Refunds are issued within 14 days of a return.' }],
+  });
+  const engine = createIntentEngine({ getWeights: createZeroWeights, getKnowledge: () => index });
+  const context = { lastIntent: null, history: [] };
+
+  const reply = await engine.respond({ text: 'when are refunds issued', context, history: [] });
+  expect(reply.intent).toBeUndefined();
+  expect(reply.content).toContain('Refunds are issued within 14 days of a return. [1]');
+  expect(reply.citations).toEqual([expect.objectContaining({ ref: 1, docName: 'faq.md', chunk: 0 })]);
+
+  // Confident intents still answer themselves
+  expect((await engine.respond({ text: 'hello there', context, history: [] })).intent).toBe('greeting');
+});
+
+test('createEngine falls back to the intent engine for unknown ids', () => {
+  expect(createEngine('nope').id).toBe('intent');
+});
+
+test('chatCompletionsUrl normalises base URLs', () => {
+  expect(chatCompletionsUrl('http://localhost:8000/')).toBe('http://localhost:8000/v1/chat/completions');
+  expect(chatCompletionsUrl('http://localhost:8000/v1')).toBe('http://localhost:8000/v1/chat/completions');
+});
+
+test('openai engine posts history and returns the first choice', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({
+    ok: true,
+    json: async () => ({ choices: [{ message: { role: 'assistant', content: 'Hi from the server' } }] }),
+  });
+  const engine = createOpenAIEngine({ baseUrl: 'http://mock', model: 'm', systemPrompt: '', fetchImpl });
+  const reply = await engine.respond({
+    text: 'second',
+    history: [{ role: 'user', content: 'first' }, { role: 'assistant', content: 'ok' }],
+  });
+
+  expect(reply).toEqual({ content: 'Hi from the server' });
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe('http://mock/v1/chat/completions');
+  expect(JSON.parse(init.body).messages).toEqual([
+    { role: 'user', content: 'first' },
+    { role: 'assistant', content: 'ok' },
+    { role: 'user', content: 'second' },
+  ]);
+});
+
+test('openai engine surfaces HTTP errors', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+  const engine = createOpenAIEngine({ baseUrl: 'http://mock', fetchImpl });
+  await expect(engine.respond({ text: 'hi' })).rejects.toThrow('503');
+});
+
+test('openai engine streams SSE deltas through onToken', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({
+    ok: true,
+    headers: { get: () => 'text/event-stream' },
+    body: sseBody([
+      'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+      'data: {"choices":[{"delta":{"content":"lo"}}]}\n\ndata: [DONE]\n\n',
+    ]),
+  });
+  const engine = createOpenAIEngine({ baseUrl: 'http://mock', fetchImpl });
+  const tokens = [];
+  const reply = await engine.respond({ text: 'hi', onToken: t => tokens.push(t) });
+
+  expect(tokens).toEqual(['Hel', 'lo']);
+  expect(reply.content).toBe('Hello');
+  expect(JSON.parse(fetchImpl.mock.calls[0][1].body).stream).toBe(true);
+});
+
+test('simulateStream emits word chunks and stops on abort', async () => {
+  const chunks = [];
+  await simulateStream('one two three', c => chunks.push(c), { minDelay: 0, maxDelay: 0 });
+  expect(chunks).toEqual(['one ', 'two ', 'three']);
+
+  const controller = new AbortController();
+  controller.abort();
+  await expect(simulateStream('never', () => {}, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+});
+
+test('tfjs engine trains its classifier and answers by intent', async () => {
+  const statuses = [];
+  const engine = createTfjsEngine({ onTrainingProgress: s => statuses.push(s), trainingOptions: { epochs: 40 } });
+  const reply = await engine.respond({ text: 'hi there', context: {}, history: [] });
+  expect(reply.intent).toBe('greeting');
+  expect(reply.content).toMatch(/Hi there/);
+  expect(statuses.some(s => s.phase === 'training' && s.epoch === 40)).toBe(true);
+  expect(statuses[statuses.length - 1]).toMatchObject({ phase: 'ready', source: 'trained' });
+});
+
+test('tfjs engine replies in the requested locale', async () => {
+  let probability = 0.9;
+  const client = {
+    call: jest.fn(async (method) => (method === 'classifier.predict' ? [{ intent: 'greeting', probability }] : { source: 'storage' })),
+  };
+  const engine = createTfjsEngine({ client });
+  expect((await engine.respond({ text: 'hola', locale: 'es' })).content).toMatch(/¡Hola!/);
+  expect((await engine.respond({ text: '   ', locale: 'es' })).content).toBe('Aquí estoy cuando quieras.');
+
+  probability = 0.1;
+  const unsure = await engine.respond({ text: 'ما هذا؟', locale: 'ar' });
+  expect(unsure.intent).toBeNull();
+  expect(unsure.content).toMatch(/مثير للاهتمام/);
+  // locales without translations use the training data's own replies
+  expect((await engine.respond({ text: 'hmm', locale: 'fr' })).content).toMatch(/Got it/);
+});
+
+test('intent engine asks for clarification when the top intents are close', async () => {
+  const engine = createIntentEngine({ getWeights: createZeroWeights });
+  const reply = await engine.respond({ text: 'what is the weather like?', context: { history: [] }, history: [] });
+  expect(reply.intent).toBeUndefined();
+  expect(reply.clarification.options.map(o => o.intent)).toContain('weather');
+
+  const direct = createIntentEngine({ getWeights: createZeroWeights, getClarification: () => ({ enabled: false }) });
+  expect((await direct.respond({ text: 'what is the weather like?', context: { history: [] }, history: [] })).intent).toBeTruthy();
+});
+
+test('intent engine replies in the requested locale', async () => {
+  const engine = createIntentEngine({ getWeights: createZeroWeights });
+  const reply = await engine.respond({ text: 'hola', context: { history: [] }, history: [], locale: 'es' });
+  expect(reply.intent).toBe('greeting');
+  expect(reply.locale).toBe('es');
+  expect(reply.content).toMatch(/¡Hola!/);
+
+  const unsure = await engine.respond({ text: 'كيف الطقس؟', context: { history: [] }, history: [], locale: 'ar' });
+  expect(unsure.locale).toBe('ar');
+});
+
+test('intent engine fills response templates from extracted entities', async () => {
+  const engine = createIntentEngine({ getWeights: createZeroWeights });
+  const reply = await engine.respond({ text: 'Hi, my name is Ada', context: { history: [] }, history: [] });
+  expect(reply.intent).toBe('introduction');
+  expect(reply.entities).toEqual([expect.objectContaining({ type: 'name', value: 'Ada' })]);
+  expect(reply.content).toMatch(/Nice to meet you, Ada/);
+});
@@ -0,0 +1,50 @@
+import { createIntentEngine } from './intentEngine';
+import { createTfjsEngine } from './tfjsEngine';
+import { createOpenAIEngine } from './openAIEngine';
+
+/**
+ * Response engines - interchangeable reply generators for the chat UI.
+ *
+ * An engine is a plain object:
+ *   { id, label, streaming?, respond({ text, context, history, signal, onToken, locale }) => Promise<reply> }
+ * - text: the user's message (already trimmed)
+ * - context: short-lived conversation context ({ lastIntent, history })
+ * - history: earlier chat messages as [{ role: 'user' | 'assistant', content }]
+ * - signal: optional AbortSignal to cancel the request
+ * - onToken: optional callback; streaming engines (`streaming: true`) call it with
+ *   each text delta as it arrives, others ignore it and return the whole reply
+ * - locale: language to answer in (e.g. "es"); engines that cannot choose ignore it
+ *
+ * A reply is { content, intent?, confidence?, features?, entities?, clarification?, citations?, locale? }.
+ * Only the engine the online learner can train (the intent classifier) returns
+ * `features`, the entities found in the text, `clarification` when it asks the
+ * user to pick an intent, `citations` when it answers from the knowledge base
+ * and the `locale` it answered in; the TF.js engine reports the intent its own
+ * classifier picked and its softmax probability.
+ */
+
+export { createIntentEngine, createTfjsEngine, createOpenAIEngine };
+
+// Engines selectable from the UI
+export const ENGINE_OPTIONS = [
+  { id: 'intent', label: 'Intent classifier' },
+  { id: 'tfjs', label: 'TF.js pipeline' },
+  { id: 'openai', label: 'OpenAI-compatible' },
+];
+
+// PUBLIC_INTERFACE
+/**
+ * Create an engine by id. Options are passed through to the engine factory;
+ * unknown ids fall back to the intent classifier.
+ */
+export function createEngine(id, options = {}) {
+  switch (id) {
+    case 'tfjs':
+      return createTfjsEngine(options);
+    case 'openai':
+      return createOpenAIEngine(options);
+    case 'intent':
+    default:
+      return createIntentEngine(options);
+  }
+}
@@ -0,0 +1,97 @@
+import {
+  clarificationOptions,
+  generateResponseForIntent,
+  updateContext,
+  createZeroWeights,
+} from '../intentModel';
+import { translate } from '../i18n/translate';
+import { composeKnowledgeAnswer } from '../knowledge/answer';
+import { DEFAULT_SKILL_PACK } from '../skillPack';
+import { getIntelligenceClient } from '../worker/client';
+
+// True when the top intent won on its base bias alone (no feature or weight spoke for it)
+function isBiasOnly(top, pack) {
+  const intent = pack.intents.find(i => i.key === top.key);
+  return Math.abs(top.score - (intent?.baseBias || 0)) < 1e-6;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Local intent classifier engine: features + learned weights + baseline rules.
+ * `getWeights` and `getPack` return the current weight matrix and skill pack so
+ * learning and pack switches are picked up live. Scoring runs on the
+ * intelligence worker (`client`, shared by default).
+ *
+ * When the calibrated probabilities are too close or too low (see
+ * `getClarification`, defaults in DEFAULT_CLARIFICATION) the engine asks instead
+ * of guessing: the reply has no `intent` but `clarification.options`
+ * ([{ intent, probability }]) for the UI to offer.
+ *
+ * `getKnowledge` returns the knowledge base index (or null). When the classifier
+ * is unsure, lands on the pack's fallback intent or picks an intent on its bias
+ * alone, matching passages answer first: the reply then carries `citations` and no `intent`.
+ *
+ * Replies, clarifying questions and knowledge answers are written in the
+ * requested `locale` (the pack's own language by default) and report it as `locale`.
+ */
+export function createIntentEngine({
+  getPack = () => DEFAULT_SKILL_PACK,
+  getWeights = () => createZeroWeights(getPack()),
+  getClarification = () => ({}),
+  getKnowledge = () => null,
+  client = getIntelligenceClient(),
+} = {}) {
+  return {
+    id: 'intent',
+    label: 'Intent classifier',
+    async respond({ text, context = {}, signal, locale }) {
+      const pack = getPack();
+      const replyLocale = locale || pack.locale;
+      const { features, entities, ranked } = await client.call('intent.score', { text, weights: getWeights(), pack }, { signal });
+
+      const options = clarificationOptions(ranked, pack, getClarification());
+      const index = getKnowledge();
+      const unsure = options || ranked[0].key === pack.fallbackIntent || isBiasOnly(ranked[0], pack);
+      if (unsure && index?.chunks.length) {
+        const hits = await client.call('knowledge.search', { query: text, index }, { signal });
+        if (hits.length) {
+          return {
+            ...composeKnowledgeAnswer(text, hits, replyLocale),
+            features,
+            entities,
+            ranked,
+            packId: pack.id,
+            locale: replyLocale,
+          };
+        }
+      }
+
+      if (options) {
+        return {
+          content: translate(replyLocale, 'clarify.prompt'),
+          features,
+          entities,
+          ranked,
+          packId: pack.id,
+          clarification: { options, chosen: null },
+          locale: replyLocale,
+        };
+      }
+
+      const intent = ranked[0].key;
+
+      // Respond biased by the chosen intent, seen through the updated context
+      const nextContext = updateContext(context, text, intent, entities);
+      return {
+        content: generateResponseForIntent(intent, nextContext, pack, replyLocale),
+        intent,
+        confidence: ranked[0].probability,
+        features,
+        entities,
+        ranked,
+        packId: pack.id,
+        locale: replyLocale,
+      };
+    },
+  };
+}
@@ -0,0 +1,97 @@
+import { readEventStream } from './streaming';
+
+/**
+ * OpenAI-compatible HTTP engine: POSTs to `<baseUrl>/v1/chat/completions`.
+ * Works with any server implementing that endpoint (self-hosted model servers,
+ * local mock servers, proxies). Defaults come from REACT_APP_LLM_* env vars.
+ * When the caller passes `onToken`, the request asks for `stream: true` and the
+ * SSE deltas are forwarded as they arrive.
+ */
+
+export const DEFAULT_OPENAI_SETTINGS = {
+  baseUrl: process.env.REACT_APP_LLM_BASE_URL || 'http://localhost:8000',
+  model: process.env.REACT_APP_LLM_MODEL || 'local-model',
+  apiKey: process.env.REACT_APP_LLM_API_KEY || '',
+  systemPrompt: 'You are SmartChatGPT, a concise and friendly assistant.',
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Build the chat completions URL from a base URL. Accepts bases with or without
+ * a trailing slash or `/v1` suffix.
+ */
+export function chatCompletionsUrl(baseUrl) {
+  const base = (baseUrl || '').trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+  return `${base}/v1/chat/completions`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Map chat history plus the new user text to the chat completions `messages` array.
+ */
+export function toChatMessages(text, history = [], systemPrompt = '') {
+  const prior = history
+    .filter(m => (m.role === 'user' || m.role === 'assistant') && m.content)
+    .map(m => ({ role: m.role, content: m.content }));
+  const system = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+  return [...system, ...prior, { role: 'user', content: text }];
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Create the OpenAI-compatible engine. `fetchImpl` can be injected for tests.
+ * The engine streams natively, so callers should not animate its replies.
+ */
+export function createOpenAIEngine(options = {}) {
+  const { baseUrl, model, apiKey, systemPrompt, temperature, fetchImpl } = {
+    ...DEFAULT_OPENAI_SETTINGS,
+    ...options,
+  };
+
+  return {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    streaming: true,
+    async respond({ text, history = [], signal, onToken }) {
+      const doFetch = fetchImpl || window.fetch.bind(window);
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+      const stream = typeof onToken === 'function';
+      const body = { model, messages: toChatMessages(text, history, systemPrompt), stream };
+      if (typeof temperature === 'number') body.temperature = temperature;
+
+      const res = await doFetch(chatCompletionsUrl(baseUrl), {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal,
+      });
+      if (!res.ok) {
+        throw new Error(`Chat completions request failed with status ${res.status}`);
+      }
+
+      // Servers that ignore `stream` answer with plain JSON; handle both
+      const contentType = res.headers?.get?.('content-type') || '';
+      if (stream && res.body && contentType.includes('text/event-stream')) {
+        let content = '';
+        await readEventStream(res.body, (data) => {
+          const delta = JSON.parse(data)?.choices?.[0]?.delta?.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+        });
+        return { content };
+      }
+
+      const data = await res.json();
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('Chat completions response did not include message content');
+      }
+      if (stream) onToken(content);
+      return { content };
+    },
+  };
+}
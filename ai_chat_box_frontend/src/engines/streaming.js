@@ -0,0 +1,85 @@
+/**
+ * Streaming helpers shared by the engines and the chat UI.
+ * - Abort-aware delays and AbortError helpers
+ * - Server-Sent Events parsing over a fetch ReadableStream
+ * - Word-chunked playback of a finished reply for local engines
+ */
+
+// PUBLIC_INTERFACE
+/** Create an Error that looks like the one fetch throws when aborted. */
+export function createAbortError() {
+  const err = new Error('The operation was aborted.');
+  err.name = 'AbortError';
+  return err;
+}
+
+// PUBLIC_INTERFACE
+/** True when the error came from an AbortController signal. */
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+// PUBLIC_INTERFACE
+/** Resolve after `ms`, rejecting with an AbortError if `signal` fires first. */
+export function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(createAbortError());
+    };
+    const id = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read a `text/event-stream` body and call `onData` with each `data:` payload.
+ * Stops at the OpenAI-style `[DONE]` sentinel or when the stream ends.
+ */
+export async function readEventStream(body, onData) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newline = buffer.indexOf('\n');
+      while (newline >= 0) {
+        const line = buffer.slice(0, newline).replace(/\r$/, '');
+        buffer = buffer.slice(newline + 1);
+        if (line.startsWith('data:')) {
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') return;
+          if (data) onData(data);
+        }
+        newline = buffer.indexOf('\n');
+      }
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Play back a finished reply word by word through `onToken`, so local engines
+ * render like streamed ones. Rejects with an AbortError when `signal` fires.
+ */
+export async function simulateStream(text, onToken, { signal, minDelay = 25, maxDelay = 60 } = {}) {
+  const chunks = (text || '').match(/\S+\s*|\s+/g) || [];
+  for (const chunk of chunks) {
+    await delay(minDelay + Math.random() * (maxDelay - minDelay), signal);
+    onToken(chunk);
+  }
+}
@@ -0,0 +1,84 @@
+import TRAINING_DATA from '../classifier/trainingData.json';
+import { MODEL_URL } from '../classifier/textClassifier';
+import { translate } from '../i18n/translate';
+import { getIntelligenceClient } from '../worker/client';
+
+/**
+ * TF.js pipeline engine (the SmartTalk ChatBot processor).
+ *
+ * Replies are picked by a small text classifier (src/classifier) trained in the
+ * browser on the example utterances in trainingData.json. The trained model is
+ * stored with tf.io and reused on the next visit unless the examples changed.
+ * Training and inference run on the intelligence worker, where TensorFlow.js is
+ * loaded lazily. Replies are written in the requested locale when the training
+ * data's `locales` section translates them, and in its own strings otherwise.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Create the TF.js engine. The classifier is loaded (or trained) on first use and
+ * reused afterwards.
+ *
+ * Options:
+ * - onTrainingProgress(status): called with
+ *   { phase: 'loading' | 'training' | 'ready' | 'error', epoch?, epochs?, loss?,
+ *     accuracy?, valAccuracy?, source?: 'storage' | 'trained', error? }
+ * - trainingData: { threshold, fallbackResponses, intents: [{ key, response, examples }],
+ *     locales?: { [code]: { fallbackResponses?, intents?: { [key]: { response } } } } }
+ * - modelUrl: tf.io URL the model is saved to and loaded from
+ * - trainingOptions: overrides for the classifier's training options (epochs, ...)
+ * - client: intelligence worker client (shared by default)
+ */
+export function createTfjsEngine({
+  onTrainingProgress,
+  trainingData = TRAINING_DATA,
+  modelUrl = MODEL_URL,
+  trainingOptions = {},
+  client = getIntelligenceClient(),
+} = {}) {
+  let ready = null;
+  let fallbackTurn = 0;
+  const report = (status) => onTrainingProgress?.(status);
+  const responses = new Map(trainingData.intents.map(d => [d.key, d.response]));
+  const config = { trainingData, modelUrl, trainingOptions };
+
+  // Load or train the classifier; concurrent callers share the same promise.
+  function prepare({ retrain = false, signal } = {}) {
+    if (ready && !retrain) return ready;
+    ready = client.call('classifier.prepare', { ...config, retrain }, { signal, onProgress: report }).then(
+      (result) => {
+        report({ phase: 'ready', ...result });
+        return result;
+      },
+      (e) => {
+        ready = null;
+        report({ phase: 'error', error: e?.message || String(e) });
+        throw e;
+      }
+    );
+    return ready;
+  }
+
+  return {
+    id: 'tfjs',
+    label: 'TF.js pipeline',
+    prepare: (options) => prepare(options),
+    retrain: (options) => prepare({ ...options, retrain: true }),
+    async respond({ text: rawText, signal, locale }) {
+      // Simple safety check
+      const text = (rawText || '').trim();
+      if (!text) return { content: translate(locale, 'smarttalk.empty') };
+
+      await prepare();
+      const [best] = await client.call('classifier.predict', { ...config, text }, { signal });
+      const local = trainingData.locales?.[locale];
+      if (best.probability < (trainingData.threshold ?? 0.5)) {
+        const fallbacks = local?.fallbackResponses || trainingData.fallbackResponses;
+        const content = fallbacks[fallbackTurn++ % fallbacks.length];
+        return { content, intent: null, confidence: best.probability };
+      }
+      const content = local?.intents?.[best.intent]?.response || responses.get(best.intent);
+      return { content, intent: best.intent, confidence: best.probability };
+    },
+  };
+}
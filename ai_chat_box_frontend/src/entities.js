@@ -0,0 +1,199 @@
+/**
+ * Entity (slot) extraction for user messages.
+ * - Built-in types: name ("my name is…"), email, url, date, time, number
+ * - List entities declared by a skill pack: a name plus values with synonyms
+ *
+ * Each entity is { type, value, text, start, end }: `value` is normalised (ISO date,
+ * 24h "HH:MM" time, Number, canonical list value, capitalised name) and `text` is
+ * the span as typed. Spans never overlap; earlier extractors win.
+ *
+ * Slots are the first value of each type ({ name, date, ... }); they fill response
+ * templates and are carried forward in the conversation context.
+ */
+
+export const BUILTIN_ENTITY_TYPES = ['name', 'email', 'url', 'date', 'time', 'number'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight',
+  'nine', 'ten', 'eleven', 'twelve'];
+
+const MONTH_RE = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+// Words that follow "call me" / "I'm" but are not names
+const NOT_NAMES = new Set(['back', 'later', 'now', 'soon', 'maybe', 'tomorrow', 'today', 'again',
+  'sure', 'fine', 'good', 'great', 'ok', 'okay', 'here', 'not', 'just', 'so', 'very', 'a', 'an', 'the']);
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDate = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const addDays = (d, days) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + days);
+const monthIndex = (word) => MONTHS.findIndex(m => m.startsWith(word.toLowerCase().slice(0, 3)));
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+function validDate(year, month, day) {
+  const d = new Date(year, month, day);
+  return d.getFullYear() === year && d.getMonth() === month && d.getDate() === day ? isoDate(d) : null;
+}
+
+// Collect regex matches as candidate entities; `toValue` may return null to skip one
+function scan(text, re, type, toValue) {
+  const found = [];
+  for (const m of text.matchAll(re)) {
+    const span = m.groups?.span ?? m[0];
+    const start = m.index + m[0].indexOf(span);
+    const value = toValue(m);
+    if (value !== null && value !== undefined) found.push({ type, value, text: span, start, end: start + span.length });
+  }
+  return found;
+}
+
+function extractNames(text) {
+  const found = [];
+  const re = /\b(?:my name is|my name's|call me|i am called|i'm called)\s+([a-z][a-z'-]*)(\s+[a-z][a-z'-]*)?/gi;
+  for (const m of text.matchAll(re)) {
+    if (NOT_NAMES.has(m[1].toLowerCase())) continue;
+    // A second word is part of the name only when typed capitalised ("Ada Lovelace")
+    const surname = m[2] && /^\s+[A-Z]/.test(m[2]) && !NOT_NAMES.has(m[2].trim().toLowerCase()) ? m[2] : '';
+    const span = m[1] + surname;
+    const start = m.index + m[0].length - (m[2] || '').length - m[1].length;
+    found.push({
+      type: 'name',
+      value: span.split(/\s+/).map(capitalize).join(' '),
+      text: span,
+      start,
+      end: start + span.length,
+    });
+  }
+  // "I'm Ada" only counts when the name is capitalised ("I'm tired" is not a name)
+  found.push(...scan(text, /\b(?:I'm|I am)\s+(?<span>[A-Z][a-z'-]+)\b/g, 'name', (m) => (
+    NOT_NAMES.has(m.groups.span.toLowerCase()) ? null : m.groups.span
+  )));
+  return found;
+}
+
+function extractDates(text, now) {
+  const year = now.getFullYear();
+  const found = [];
+  found.push(...scan(text, /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, 'date', m => validDate(+m[1], m[2] - 1, +m[3])));
+  // Slashed dates read month/day unless the first part cannot be a month
+  found.push(...scan(text, /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/g, 'date', (m) => {
+    let [month, day] = [+m[1], +m[2]];
+    if (month > 12) [month, day] = [day, month];
+    const y = m[3] ? (m[3].length === 2 ? 2000 + +m[3] : +m[3]) : year;
+    return validDate(y, month - 1, day);
+  }));
+  found.push(...scan(text, new RegExp(`\\b${MONTH_RE}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'gi'), 'date',
+    m => validDate(m[3] ? +m[3] : year, monthIndex(m[1]), +m[2])));
+  found.push(...scan(text, new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE}\\.?(?:,?\\s+(\\d{4}))?\\b`, 'gi'), 'date',
+    m => validDate(m[3] ? +m[3] : year, monthIndex(m[2]), +m[1])));
+  found.push(...scan(text, /\b(today|tonight|tomorrow|yesterday)\b/gi, 'date', (m) => {
+    const offset = { today: 0, tonight: 0, tomorrow: 1, yesterday: -1 }[m[1].toLowerCase()];
+    return isoDate(addDays(now, offset));
+  }));
+  found.push(...scan(text, new RegExp(`\\b(?:(next|this)\\s+)?(${WEEKDAYS.join('|')})\\b`, 'gi'), 'date', (m) => {
+    const target = WEEKDAYS.indexOf(m[2].toLowerCase());
+    let days = (target - now.getDay() + 7) % 7;
+    if (m[1]?.toLowerCase() === 'next' && days === 0) days = 7;
+    return isoDate(addDays(now, days));
+  }));
+  return found;
+}
+
+function extractTimes(text) {
+  const to24 = (hour, minute, meridiem) => {
+    let h = hour % 12;
+    if (!meridiem) h = hour;
+    else if (meridiem.toLowerCase().startsWith('p')) h += 12;
+    return h < 24 && minute < 60 ? `${pad(h)}:${pad(minute)}` : null;
+  };
+  return [
+    ...scan(text, /\b(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?(?![\w:])/gi, 'time', m => to24(+m[1], +m[2], m[3])),
+    ...scan(text, /\b(\d{1,2})\s*([ap]\.?m\.?)(?!\w)/gi, 'time', m => (+m[1] >= 1 && +m[1] <= 12 ? to24(+m[1], 0, m[2]) : null)),
+    ...scan(text, /\b(noon|midday|midnight)\b/gi, 'time', m => (m[1].toLowerCase() === 'midnight' ? '00:00' : '12:00')),
+  ];
+}
+
+function extractNumbers(text) {
+  return [
+    ...scan(text, /(?:^|[^\w.-])(?<span>-?\d{1,3}(?:,\d{3})+(?:\.\d+)?|-?\d+(?:\.\d+)?)\b/g, 'number',
+      m => Number(m.groups.span.replace(/,/g, ''))),
+    ...scan(text, new RegExp(`\\b(${NUMBER_WORDS.join('|')})\\b`, 'gi'), 'number', m => NUMBER_WORDS.indexOf(m[1].toLowerCase())),
+  ];
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function extractListEntities(text, lists) {
+  const found = [];
+  for (const list of lists) {
+    // Longest phrases first so "express shipping" beats "express"
+    const phrases = list.values
+      .flatMap(v => [v.value, ...(v.synonyms || [])].map(p => ({ phrase: p, value: v.value })))
+      .sort((a, b) => b.phrase.length - a.phrase.length);
+    for (const { phrase, value } of phrases) {
+      found.push(...scan(text, new RegExp(`(?:^|\\W)(?<span>${escapeRegExp(phrase)})(?!\\w)`, 'gi'), list.name, () => value));
+    }
+  }
+  return found;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Extract entities from `text`.
+ * Options: `lists` - list entities [{ name, values: [{ value, synonyms? }] }];
+ * `now` - reference Date (or timestamp) for relative dates such as "tomorrow".
+ */
+export function extractEntities(text, { lists = [], now = new Date() } = {}) {
+  const source = text || '';
+  const reference = now instanceof Date ? now : new Date(now);
+  // Order matters: earlier groups claim their spans first
+  const groups = [
+    scan(source, /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, 'email', m => m[0].toLowerCase()),
+    scan(source, /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+[^\s<>"')\].,!?;:]/gi, 'url',
+      m => (m[0].toLowerCase().startsWith('www.') ? `https://${m[0]}` : m[0])),
+    extractNames(source),
+    extractDates(source, reference),
+    extractTimes(source),
+    extractListEntities(source, lists),
+    extractNumbers(source),
+  ];
+
+  const taken = [];
+  const overlaps = (e) => taken.some(t => e.start < t.end && t.start < e.end);
+  for (const group of groups) {
+    // within a group prefer earlier, then longer spans
+    group.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    for (const entity of group) {
+      if (!overlaps(entity)) taken.push(entity);
+    }
+  }
+  return taken.sort((a, b) => a.start - b.start);
+}
+
+// PUBLIC_INTERFACE
+/** First value of each entity type: { name: 'Ada', date: '2026-05-01', ... }. */
+export function slotsFromEntities(entities) {
+  const slots = {};
+  for (const { type, value } of entities || []) {
+    if (!(type in slots)) slots[type] = value;
+  }
+  return slots;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Fill `{slot}` and `{slot|default}` placeholders from `values`.
+ * Returns null when a placeholder without a default has no value, so callers
+ * can fall back to a template that does not need it.
+ */
+export function renderTemplate(template, values = {}) {
+  let missing = false;
+  const out = template.replace(/\{([a-zA-Z_][\w.]*)(?:\|([^}]*))?\}/g, (match, key, fallback) => {
+    const value = key.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), values);
+    if (value !== undefined && value !== null && value !== '') return String(value);
+    if (fallback !== undefined) return fallback;
+    missing = true;
+    return match;
+  });
+  return missing ? null : out;
+}
@@ -0,0 +1,43 @@
+import { extractEntities, renderTemplate, slotsFromEntities } from './entities';
+
+// Monday 19 October 2026, 10:00 local time
+const now = new Date(2026, 9, 19, 10, 0);
+const summary = (text, options = {}) => extractEntities(text, { now, ...options }).map(e => [e.type, e.value]);
+
+test('extracts names from introductions only', () => {
+  expect(summary('hi, my name is ada Lovelace')).toEqual([['name', 'Ada Lovelace']]);
+  expect(summary("I'm Grace")).toEqual([['name', 'Grace']]);
+  expect(summary("I'm tired")).toEqual([]);
+  expect(summary('call me back later')).toEqual([]);
+});
+
+test('normalises dates and times', () => {
+  expect(summary('meet me tomorrow at 5pm')).toEqual([['date', '2026-10-20'], ['time', '17:00']]);
+  expect(summary('on March 5th, 2027 at 17:30')).toEqual([['date', '2027-03-05'], ['time', '17:30']]);
+  expect(summary('next friday at noon')).toEqual([['date', '2026-10-23'], ['time', '12:00']]);
+  expect(summary('due 2026-12-01 or 31/12')).toEqual([['date', '2026-12-01'], ['date', '2026-12-31']]);
+});
+
+test('extracts emails, URLs and numbers without overlaps', () => {
+  expect(summary('mail Bob@Example.com or see www.example.com/help.')).toEqual([
+    ['email', 'bob@example.com'],
+    ['url', 'https://www.example.com/help'],
+  ]);
+  expect(summary('order #12345 has 3 items worth 1,200.50')).toEqual([
+    ['number', 12345], ['number', 3], ['number', 1200.5],
+  ]);
+  expect(summary('two tickets for 10:30')).toEqual([['number', 2], ['time', '10:30']]);
+});
+
+test('matches list entities by value or synonym', () => {
+  const lists = [{ name: 'carrier', values: [{ value: 'FedEx', synonyms: ['fed ex'] }, { value: 'UPS' }] }];
+  expect(summary('sent with Fed Ex, not ups', { lists })).toEqual([['carrier', 'FedEx'], ['carrier', 'UPS']]);
+});
+
+test('slots keep the first value per type and fill templates', () => {
+  const slots = slotsFromEntities([{ type: 'number', value: 7 }, { type: 'number', value: 9 }, { type: 'name', value: 'Ada' }]);
+  expect(slots).toEqual({ number: 7, name: 'Ada' });
+  expect(renderTemplate('Nice to meet you, {name}!', slots)).toBe('Nice to meet you, Ada!');
+  expect(renderTemplate('Hi {nickname|friend}', slots)).toBe('Hi friend');
+  expect(renderTemplate('Order {order}', slots)).toBeNull();
+});
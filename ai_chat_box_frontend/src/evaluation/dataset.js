@@ -0,0 +1,106 @@
+/**
+ * Labelled utterance files for the offline evaluation. Two formats:
+ * - JSONL: one `{ "text": "...", "intent": "..." }` object per line
+ * - CSV: a header row naming `text` and `intent` columns (other columns are
+ *   ignored), then one row per utterance; fields may be double-quoted
+ * Blank lines are skipped. Examples keep their 1-based `line` for error reports.
+ */
+
+const FORMATS = { jsonl: 'jsonl', ndjson: 'jsonl', csv: 'csv' };
+
+// PUBLIC_INTERFACE
+/** Format of a dataset file from its name: 'jsonl' | 'csv', or null if unsupported. */
+export function datasetFormat(name) {
+  const ext = (String(name || '').match(/\.([a-z0-9]+)$/i) || [])[1];
+  return FORMATS[(ext || '').toLowerCase()] || null;
+}
+
+// Split CSV text into rows of fields, with the line each row starts on
+function csvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(f => f.trim())) rows.push({ line: rowLine, fields: row });
+    row = [];
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\n') {
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+  }
+  if (quoted) throw new Error(`Line ${rowLine}: unterminated quoted field`);
+  endRow();
+  return rows;
+}
+
+function parseCsv(text) {
+  const [header, ...rows] = csvRows(text);
+  if (!header) return [];
+  const names = header.fields.map(f => f.trim().toLowerCase());
+  const textAt = names.indexOf('text');
+  const intentAt = names.indexOf('intent');
+  if (textAt < 0 || intentAt < 0) throw new Error('CSV header must name a "text" and an "intent" column');
+  return rows.map(({ line, fields }) => ({ line, text: fields[textAt] ?? '', intent: (fields[intentAt] ?? '').trim() }));
+}
+
+function parseJsonl(text) {
+  const examples = [];
+  text.split('\n').forEach((raw, i) => {
+    if (!raw.trim()) return;
+    let item;
+    try {
+      item = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`Line ${i + 1}: invalid JSON (${e.message})`);
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) throw new Error(`Line ${i + 1}: expected a JSON object`);
+    examples.push({ line: i + 1, text: item.text, intent: typeof item.intent === 'string' ? item.intent.trim() : item.intent });
+  });
+  return examples;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Parse a labelled utterance file into [{ line, text, intent }]. `format` is
+ * 'jsonl' or 'csv'; without it a file starting with "{" is read as JSONL.
+ * Throws with the line number when an entry is malformed or lacks text or intent.
+ */
+export function parseEvalDataset(text, { format } = {}) {
+  const source = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const kind = format || (source.trimStart().startsWith('{') ? 'jsonl' : 'csv');
+  const examples = kind === 'jsonl' ? parseJsonl(source) : parseCsv(source);
+  for (const { line, text: utterance, intent } of examples) {
+    if (typeof utterance !== 'string' || !utterance.trim()) throw new Error(`Line ${line}: missing text`);
+    if (typeof intent !== 'string' || !intent) throw new Error(`Line ${line}: missing intent`);
+  }
+  if (!examples.length) throw new Error('The dataset has no examples');
+  return examples;
+}
@@ -0,0 +1,95 @@
+import { extractFeatures, scoreIntents } from '../intentModel';
+import { DEFAULT_SKILL_PACK } from '../skillPack';
+
+/**
+ * Offline evaluation of the intent classifier: every labelled example is run
+ * through extractFeatures and scoreIntents with a fixed weights snapshot, and
+ * the top-scoring intent is compared with the label. No weights are updated.
+ */
+
+const ratio = (a, b) => (b ? a / b : 0);
+const f1Score = (precision, recall) => (precision + recall ? (2 * precision * recall) / (precision + recall) : 0);
+
+// PUBLIC_INTERFACE
+/**
+ * Evaluate `examples` ([{ text, intent, line? }], see parseEvalDataset) against
+ * `weights` (a weight matrix for `pack`). Returns
+ *   {
+ *     total, correct, accuracy, macroF1,
+ *     labels: [intentKey],                   // pack intents, then labels the pack lacks
+ *     unknownLabels: [intentKey],
+ *     intents: { intentKey: { precision, recall, f1, support, predicted } },
+ *     confusion: number[expected][predicted],  // indexed like `labels`
+ *     errors: [{ line, text, expected, predicted }],
+ *   }
+ */
+export function evaluateIntents(examples, weights, pack = DEFAULT_SKILL_PACK) {
+  const packLabels = pack.intents.map(d => d.key);
+  const unknownLabels = [...new Set(examples.map(e => e.intent))].filter(key => !packLabels.includes(key));
+  const labels = [...packLabels, ...unknownLabels];
+  const at = Object.fromEntries(labels.map((key, i) => [key, i]));
+  const confusion = labels.map(() => labels.map(() => 0));
+  const errors = [];
+
+  for (const example of examples) {
+    const predicted = scoreIntents(weights, extractFeatures(example.text, pack), pack)[0]?.key;
+    confusion[at[example.intent]][at[predicted]] += 1;
+    if (predicted !== example.intent) {
+      errors.push({ line: example.line ?? null, text: example.text, expected: example.intent, predicted });
+    }
+  }
+
+  const intents = {};
+  labels.forEach((key, i) => {
+    const truePositives = confusion[i][i];
+    const support = confusion[i].reduce((sum, n) => sum + n, 0);
+    const predicted = confusion.reduce((sum, row) => sum + row[i], 0);
+    const precision = ratio(truePositives, predicted);
+    const recall = ratio(truePositives, support);
+    intents[key] = { precision, recall, f1: f1Score(precision, recall), support, predicted };
+  });
+  const supported = labels.filter(key => intents[key].support > 0);
+  const correct = examples.length - errors.length;
+  return {
+    total: examples.length,
+    correct,
+    accuracy: ratio(correct, examples.length),
+    macroF1: ratio(supported.reduce((sum, key) => sum + intents[key].f1, 0), supported.length),
+    labels,
+    unknownLabels,
+    intents,
+    confusion,
+    errors,
+  };
+}
+
+const percent = (x) => `${(x * 100).toFixed(1)}%`;
+const pad = (value, width) => String(value).padStart(width);
+
+// PUBLIC_INTERFACE
+/** Plain-text report (summary, per-intent table, confusion matrix) for consoles and logs. */
+export function formatEvalReport(report) {
+  const { labels, intents, confusion } = report;
+  const nameWidth = Math.max(8, ...labels.map(key => key.length));
+  const lines = [
+    `Accuracy: ${percent(report.accuracy)} (${report.correct}/${report.total})  Macro F1: ${report.macroF1.toFixed(3)}`,
+    '',
+    `${'intent'.padEnd(nameWidth)}  precision  recall     f1  support`,
+  ];
+  for (const key of labels) {
+    const m = intents[key];
+    if (!m.support && !m.predicted) continue;
+    lines.push(`${key.padEnd(nameWidth)}  ${pad(m.precision.toFixed(3), 9)}  ${pad(m.recall.toFixed(3), 6)}  ${pad(m.f1.toFixed(3), 5)}  ${pad(m.support, 7)}`);
+  }
+
+  // confusion matrix over the labels that occur, numbered to keep columns narrow
+  const shown = labels.map((_, i) => i).filter(i => intents[labels[i]].support || intents[labels[i]].predicted);
+  const cellWidth = Math.max(3, String(report.total).length + 1);
+  lines.push('', 'Confusion (rows: expected, columns: predicted)');
+  lines.push(`${''.padEnd(nameWidth + 4)}${shown.map((_, c) => pad(c + 1, cellWidth)).join('')}`);
+  shown.forEach((i, r) => {
+    lines.push(`${pad(r + 1, 2)}. ${labels[i].padEnd(nameWidth)}${shown.map(j => pad(confusion[i][j], cellWidth)).join('')}`);
+  });
+  if (report.unknownLabels.length) lines.push('', `Labels not in the skill pack: ${report.unknownLabels.join(', ')}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,81 @@
+import fs from 'fs';
+import path from 'path';
+import { createZeroWeights, extractFeatures, updateWeights } from '../intentModel';
+import { DEFAULT_SKILL_PACK } from '../skillPack';
+import { datasetFormat, evaluateIntents, formatEvalReport, parseEvalDataset } from './index';
+
+const defaultDataset = () => parseEvalDataset(fs.readFileSync(path.join(__dirname, 'defaultPack.eval.jsonl'), 'utf8'));
+
+test('reads JSONL and CSV datasets', () => {
+  expect(datasetFormat('utterances.JSONL')).toBe('jsonl');
+  expect(datasetFormat('utterances.csv')).toBe('csv');
+  expect(datasetFormat('notes.txt')).toBeNull();
+
+  const jsonl = '{"text": "hello", "intent": "greeting"}\n\n{"text": "bye", "intent": " farewell "}\n';
+  expect(parseEvalDataset(jsonl)).toEqual([
+    { line: 1, text: 'hello', intent: 'greeting' },
+    { line: 3, text: 'bye', intent: 'farewell' },
+  ]);
+
+  const csv = 'id,intent,text\r\n1,weather,"will it rain, maybe?"\r\n2,name,"who are ""you"""\r\n3,greeting,"hi\nthere"\n';
+  expect(parseEvalDataset(csv, { format: 'csv' })).toEqual([
+    { line: 2, text: 'will it rain, maybe?', intent: 'weather' },
+    { line: 3, text: 'who are "you"', intent: 'name' },
+    { line: 4, text: 'hi\nthere', intent: 'greeting' },
+  ]);
+});
+
+test('reports malformed entries with their line', () => {
+  expect(() => parseEvalDataset('{"text": "hi", "intent": "greeting"}\n{oops}')).toThrow(/^Line 2: invalid JSON/);
+  expect(() => parseEvalDataset('{"text": "hi"}')).toThrow('Line 1: missing intent');
+  expect(() => parseEvalDataset('text,intent\n,greeting')).toThrow('Line 2: missing text');
+  expect(() => parseEvalDataset('utterance,label\nhi,greeting')).toThrow(/header must name/);
+  expect(() => parseEvalDataset('text,intent\n"hi,greeting')).toThrow('Line 2: unterminated quoted field');
+  expect(() => parseEvalDataset('text,intent\n')).toThrow('The dataset has no examples');
+});
+
+test('computes accuracy, per-intent scores and the confusion matrix', () => {
+  const examples = [
+    { text: 'hello', intent: 'greeting' },
+    { text: 'hi there', intent: 'greeting' },
+    { text: 'bye', intent: 'farewell' },
+    { text: 'how are you?', intent: 'smalltalk_status' },
+    { text: 'order status', intent: 'order_status' },
+  ];
+  const report = evaluateIntents(examples, createZeroWeights());
+  const at = (key) => report.labels.indexOf(key);
+  // without learned weights "how are you?" and the unknown label fall to the greeting bias
+  expect(report.errors.map(e => [e.expected, e.predicted])).toEqual([
+    ['smalltalk_status', 'greeting'],
+    ['order_status', 'greeting'],
+  ]);
+  expect(report).toMatchObject({ total: 5, correct: 3, accuracy: 0.6, unknownLabels: ['order_status'] });
+  expect(report.labels[report.labels.length - 1]).toBe('order_status');
+  expect(report.intents.greeting).toEqual({ precision: 0.5, recall: 1, f1: 2 / 3, support: 2, predicted: 4 });
+  expect(report.intents.farewell).toMatchObject({ precision: 1, recall: 1, f1: 1 });
+  expect(report.intents.smalltalk_status).toMatchObject({ precision: 0, recall: 0, f1: 0, support: 1 });
+  expect(report.confusion[at('smalltalk_status')][at('greeting')]).toBe(1);
+  expect(report.confusion[at('greeting')][at('greeting')]).toBe(2);
+  // macro F1 averages the intents that occur in the dataset
+  expect(report.macroF1).toBeCloseTo((2 / 3 + 1 + 0 + 0) / 4);
+
+  const text = formatEvalReport(report);
+  expect(text).toContain('Accuracy: 60.0% (3/5)  Macro F1: 0.417');
+  expect(text).toMatch(/greeting\s+0\.500\s+1\.000\s+0\.667\s+2/);
+  expect(text).toContain('Labels not in the skill pack: order_status');
+});
+
+test('the default pack dataset scores the rules-only baseline and improves with training', () => {
+  const examples = defaultDataset();
+  const baseline = evaluateIntents(examples, createZeroWeights());
+  // the rules and biases alone; raise this when a change improves them
+  expect(baseline.accuracy).toBeGreaterThanOrEqual(0.5);
+
+  let weights = createZeroWeights();
+  for (let epoch = 0; epoch < 3; epoch++) {
+    for (const { text, intent } of examples) {
+      weights = updateWeights(weights, intent, extractFeatures(text, DEFAULT_SKILL_PACK));
+    }
+  }
+  expect(evaluateIntents(examples, weights).accuracy).toBeGreaterThan(baseline.accuracy);
+});
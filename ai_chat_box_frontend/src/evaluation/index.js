@@ -0,0 +1,2 @@
+export { datasetFormat, parseEvalDataset } from './dataset';
+export { evaluateIntents, formatEvalReport } from './evaluate';
@@ -0,0 +1,34 @@
+/**
+ * Browser file helpers for exports and imports.
+ */
+
+// PUBLIC_INTERFACE
+/** Offer `text` as a file download named `filename`. */
+export function downloadTextFile(filename, text, type = 'application/json') {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// PUBLIC_INTERFACE
+/** Read a File as text (FileReader fallback for environments without File.text). */
+export function readFileText(file) {
+  if (typeof file.text === 'function') return file.text();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Timestamp suitable for file names, e.g. 2024-05-01T12-30-00. */
+export function fileTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, '-');
+}
@@ -0,0 +1,168 @@
+import { extractEntities } from '../entities';
+import { DEFAULT_LOCALE, translate } from '../i18n/translate';
+
+/**
+ * Dialog flows - declarative multi-turn forms driven by a small state machine.
+ *
+ * A flow is JSON: { id, name, triggerIntents, intro, steps, summary, cancelled }.
+ * Each step asks for one slot: { slot, label, prompt, reprompt?, validate, format? }
+ * where `validate` is one of
+ *   { type: 'choice', options: [{ value, synonyms? }] }
+ *   { type: 'text', minLength?, maxLength? }
+ *   { type: 'date', future? }           (any date the entity extractor understands)
+ *   { type: 'number', min?, max? }
+ *
+ * The running state lives in the conversation context as `context.flow`:
+ *   { id, step, values: { slot: value }, attempts }
+ * so an unfinished flow survives reloads and conversation switches. While it is
+ * set, user messages go to `advanceFlow` instead of the response engine.
+ * "back" returns to the previous question and "cancel" leaves the flow; both are
+ * understood in the chat language and in English (the flows' own wording), and
+ * buttons can dispatch them with `applyFlowAction`.
+ */
+
+// Messages that go back or cancel, per locale
+const FLOW_COMMANDS = {
+  en: {
+    cancel: /^(cancel|stop|quit|exit|abort|never ?mind|forget it)[.!]*$/i,
+    back: /^(back|go back|previous|undo)[.!]*$/i,
+  },
+  es: {
+    cancel: /^¡?(cancela|cancelar|para|parar|salir|olv[ií]dalo|d[ée]jalo)[.!]*$/i,
+    back: /^¡?(atr[aá]s|vuelve|volver|anterior|deshacer)[.!]*$/i,
+  },
+  ar: {
+    cancel: /^(إلغاء|الغاء|ألغِ|الغ|توقف|خروج|انس الأمر)[.!]*$/,
+    back: /^(رجوع|ارجع|عودة|السابق|تراجع)[.!]*$/,
+  },
+};
+
+// The command a message asks for ('back' | 'cancel'), if any
+function flowCommand(answer, locale) {
+  const sets = [FLOW_COMMANDS[locale], FLOW_COMMANDS[DEFAULT_LOCALE]].filter(Boolean);
+  if (sets.some(set => set.cancel.test(answer))) return 'cancel';
+  if (sets.some(set => set.back.test(answer))) return 'back';
+  return null;
+}
+
+// PUBLIC_INTERFACE
+/** The flow started by `intent`, if any. */
+export function findFlowForIntent(flows, intent) {
+  if (!intent) return null;
+  return flows.find(f => (f.triggerIntents || []).includes(intent)) || null;
+}
+
+// Check one answer against a step's rule: { ok, value } or { ok: false }
+function validateAnswer(step, text, now) {
+  const rule = step.validate || { type: 'text' };
+  const answer = text.trim();
+  switch (rule.type) {
+    case 'choice': {
+      const lower = answer.toLowerCase();
+      const match = rule.options.find(o => [o.value, ...(o.synonyms || [])].some(s => {
+        const phrase = s.toLowerCase();
+        return lower === phrase || new RegExp(`(^|\\W)${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(\\W|$)`).test(lower);
+      }));
+      return match ? { ok: true, value: match.value } : { ok: false };
+    }
+    case 'date': {
+      const date = extractEntities(answer, { now }).find(e => e.type === 'date');
+      if (!date) return { ok: false };
+      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      const [y, m, d] = date.value.split('-').map(Number);
+      if (rule.future && new Date(y, m - 1, d) < today) return { ok: false };
+      return { ok: true, value: date.value };
+    }
+    case 'number': {
+      const number = extractEntities(answer.replace(/\$/g, ''), { now }).find(e => e.type === 'number');
+      if (!number) return { ok: false };
+      const { value } = number;
+      if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) return { ok: false };
+      return { ok: true, value };
+    }
+    case 'text':
+    default: {
+      const { minLength = 1, maxLength = Infinity } = rule;
+      return answer.length >= minLength && answer.length <= maxLength ? { ok: true, value: answer } : { ok: false };
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Display form of a stored slot value, using the step's `format` ("${value}"); numbers are grouped for `locale`. */
+export function formatFlowValue(step, value, locale = DEFAULT_LOCALE) {
+  const text = typeof value === 'number' ? value.toLocaleString(locale) : String(value);
+  return step.format ? step.format.replace('{value}', text) : text;
+}
+
+function summarize(flow, values, locale) {
+  const lines = flow.steps.map(step => `- **${step.label || step.slot}:** ${formatFlowValue(step, values[step.slot], locale)}`);
+  return `${flow.summary}\n\n${lines.join('\n')}`;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Start `flow`. Returns { state, reply } with the intro and the first question.
+ */
+export function startFlow(flow) {
+  return {
+    state: { id: flow.id, step: 0, values: {}, attempts: 0 },
+    reply: `${flow.intro}\n\n${flow.steps[0].prompt}`,
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Go back to the previous question (`action` 'back') or leave the flow ('cancel').
+ * Returns the same shape as advanceFlow; `locale` is the language of the reply.
+ */
+export function applyFlowAction(flow, state, action, { locale = DEFAULT_LOCALE } = {}) {
+  if (action === 'cancel') {
+    return { state: null, reply: flow.cancelled, status: 'cancelled', values: state.values };
+  }
+  const previous = Math.max(0, state.step - 1);
+  const values = { ...state.values };
+  delete values[flow.steps[previous].slot];
+  const reply = state.step === 0
+    ? translate(locale, 'flow.firstQuestion', { prompt: flow.steps[0].prompt })
+    : translate(locale, 'flow.goingBack', { prompt: flow.steps[previous].prompt });
+  return { state: { ...state, step: previous, values, attempts: 0 }, reply, status: 'back', values };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Feed one user message to a running flow.
+ * Returns { state, reply, status, values } where `state` is null once the flow
+ * has ended and status is 'next' | 'reprompt' | 'back' | 'cancelled' | 'completed'.
+ * `now` is the reference date for relative and future dates; `locale` is the
+ * language of the chat (for commands, replies and number formatting).
+ */
+export function advanceFlow(flow, state, text, { now = new Date(), locale = DEFAULT_LOCALE } = {}) {
+  const answer = (text || '').trim();
+  const step = flow.steps[state.step];
+
+  const command = flowCommand(answer, locale);
+  if (command) return applyFlowAction(flow, state, command, { locale });
+
+  const result = validateAnswer(step, answer, now instanceof Date ? now : new Date(now));
+  if (!result.ok) {
+    return {
+      state: { ...state, attempts: state.attempts + 1 },
+      reply: translate(locale, 'flow.notUnderstood', { prompt: step.reprompt || step.prompt }),
+      status: 'reprompt',
+      values: state.values,
+    };
+  }
+
+  const values = { ...state.values, [step.slot]: result.value };
+  const nextStep = state.step + 1;
+  if (nextStep >= flow.steps.length) {
+    return { state: null, reply: summarize(flow, values, locale), status: 'completed', values };
+  }
+  return {
+    state: { ...state, step: nextStep, values, attempts: 0 },
+    reply: flow.steps[nextStep].prompt,
+    status: 'next',
+    values,
+  };
+}
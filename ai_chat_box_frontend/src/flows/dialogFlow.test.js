@@ -0,0 +1,79 @@
+import { BUILTIN_FLOWS, advanceFlow, applyFlowAction, findFlowForIntent, formatFlowValue, startFlow } from './index';
+
+// Monday 19 October 2026, 10:00 local time
+const now = new Date(2026, 9, 19, 10, 0);
+const flow = findFlowForIntent(BUILTIN_FLOWS, 'project_intake');
+
+// Answer each message in turn, returning the last result
+const run = (answers, locale) => answers.reduce(
+  ({ state }, text) => advanceFlow(flow, state, text, { now, locale }),
+  { state: startFlow(flow).state },
+);
+
+test('is triggered by its intents only', () => {
+  expect(flow.id).toBe('project_intake');
+  expect(findFlowForIntent(BUILTIN_FLOWS, 'greeting')).toBeNull();
+  expect(findFlowForIntent(BUILTIN_FLOWS, null)).toBeNull();
+});
+
+test('starts with the intro and the first question', () => {
+  const { state, reply } = startFlow(flow);
+  expect(state).toEqual({ id: 'project_intake', step: 0, values: {}, attempts: 0 });
+  expect(reply).toContain(flow.steps[0].prompt);
+});
+
+test('re-prompts on invalid answers and keeps the step', () => {
+  const first = run(['a spaceship']);
+  expect(first.status).toBe('reprompt');
+  expect(first.state).toMatchObject({ step: 0, attempts: 1 });
+  expect(first.reply).toContain(flow.steps[0].reprompt);
+
+  const pastDeadline = run(['website', 'React', 'last year on 2020-01-01']);
+  expect(pastDeadline.status).toBe('reprompt');
+  expect(pastDeadline.state.step).toBe(2);
+
+  expect(run(['website', 'React', 'next friday', 'nothing']).status).toBe('reprompt');
+});
+
+test('goes back to the previous question and can be cancelled', () => {
+  const back = run(['I need an iOS app', 'back']);
+  expect(back.status).toBe('back');
+  expect(back.state).toMatchObject({ step: 0, values: {} });
+  expect(run(['back']).reply).toContain('first question');
+
+  const cancelled = run(['api', 'Cancel']);
+  expect(cancelled).toMatchObject({ status: 'cancelled', state: null, reply: flow.cancelled });
+});
+
+test('completes with a summary of normalised values', () => {
+  const done = run(['A mobile app for Android', 'React Native + Firebase', 'next friday', '$12,500']);
+  expect(done.status).toBe('completed');
+  expect(done.state).toBeNull();
+  expect(done.values).toEqual({
+    type: 'Mobile app', stack: 'React Native + Firebase', deadline: '2026-10-23', budget: 12500,
+  });
+  expect(done.reply).toContain('- **Deadline:** 2026-10-23');
+  expect(done.reply).toContain('- **Budget:** $12,500');
+});
+
+test('understands commands and answers in the chat language', () => {
+  const back = run(['web app', 'atrás'], 'es');
+  expect(back).toMatchObject({ status: 'back', state: { step: 0 } });
+  expect(back.reply).toBe(`Claro, volvamos atrás. ${flow.steps[0].prompt}`);
+  expect(run(['a spaceship'], 'es').reply).toBe(`Perdona, no lo he entendido. ${flow.steps[0].reprompt}`);
+  expect(run(['إلغاء'], 'ar').status).toBe('cancelled');
+  // English commands work in every language, other languages' only in their own
+  expect(run(['cancel'], 'es').status).toBe('cancelled');
+  expect(run(['atrás']).status).toBe('reprompt');
+
+  expect(formatFlowValue(flow.steps[3], 12500, 'es')).toBe('$12.500');
+  expect(formatFlowValue(flow.steps[3], 12500)).toBe('$12,500');
+});
+
+test('buttons dispatch back and cancel without a message', () => {
+  const { state } = run(['api', 'React']);
+  expect(applyFlowAction(flow, state, 'back')).toMatchObject({ status: 'back', state: { step: 1, values: { type: 'API' } } });
+  expect(applyFlowAction(flow, startFlow(flow).state, 'back', { locale: 'es' }).reply)
+    .toBe(`Esta es la primera pregunta. ${flow.steps[0].prompt}`);
+  expect(applyFlowAction(flow, state, 'cancel')).toMatchObject({ status: 'cancelled', state: null, values: state.values });
+});
@@ -0,0 +1,7 @@
+import projectIntake from './projectIntake.json';
+
+export { advanceFlow, applyFlowAction, findFlowForIntent, formatFlowValue, startFlow } from './dialogFlow';
+
+// PUBLIC_INTERFACE
+/** Dialog flows shipped with the app. */
+export const BUILTIN_FLOWS = [projectIntake];
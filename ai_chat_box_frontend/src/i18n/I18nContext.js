@@ -0,0 +1,26 @@
+import React, { createContext, useContext, useMemo } from 'react';
+import { DEFAULT_LOCALE, createTranslator, localeDirection } from './translate';
+
+/**
+ * React binding for the string catalogs: components call useI18n() for
+ * { locale, dir, t }. Without a provider everything renders in English.
+ */
+
+const I18nContext = createContext(null);
+
+const FALLBACK = { locale: DEFAULT_LOCALE, dir: 'ltr', t: createTranslator(DEFAULT_LOCALE) };
+
+// PUBLIC_INTERFACE
+export function I18nProvider({ locale, children }) {
+  /** PUBLIC_INTERFACE
+   * Provides the translator for `locale` to the components below.
+   */
+  const value = useMemo(() => ({ locale, dir: localeDirection(locale), t: createTranslator(locale) }), [locale]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+// PUBLIC_INTERFACE
+/** The current { locale, dir, t(key, params) }. */
+export function useI18n() {
+  return useContext(I18nContext) || FALLBACK;
+}
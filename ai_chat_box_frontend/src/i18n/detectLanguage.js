@@ -0,0 +1,62 @@
+import { tokenize } from '../nlp/tokenizer';
+import { SUPPORTED_LOCALES } from './translate';
+
+/**
+ * Lightweight language identification for incoming chat messages.
+ * Script decides first (mostly Arabic letters -> "ar"); Latin-script text is
+ * scored by common function words per language plus a few spelling hints
+ * (ñ, accented vowels, ¿ and ¡ for Spanish). Short or neutral messages
+ * ("ok", "👍", "42") return null so callers keep their current locale.
+ */
+
+const ARABIC_RE = /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/g;
+const LETTER_RE = /\p{L}/gu;
+const SPANISH_HINT_RE = /[ñ¿¡áéíóú]/g;
+
+const COMMON_WORDS = {
+  en: [
+    'the', 'is', 'are', 'you', 'what', 'how', 'hello', 'hi', 'hey', 'thanks', 'thank', 'please', 'my', 'and',
+    'to', 'of', 'i', "i'm", 'it', 'can', 'do', 'does', 'weather', 'name', 'help', 'project', 'bye', 'goodbye',
+    'where', 'order', 'yes', 'with', 'for', 'this', 'that', 'your', 'want', 'need', 'who', 'have', 'will', 'good',
+  ],
+  es: [
+    'el', 'la', 'los', 'las', 'es', 'está', 'estás', 'qué', 'que', 'cómo', 'como', 'hola', 'gracias', 'por',
+    'favor', 'mi', 'y', 'de', 'del', 'un', 'una', 'yo', 'tú', 'usted', 'puedes', 'necesito', 'quiero', 'tiempo',
+    'clima', 'nombre', 'ayuda', 'proyecto', 'adiós', 'dónde', 'pedido', 'sí', 'con', 'para', 'buenos', 'días',
+    'llamo', 'soy', 'eres', 'hace', 'envío', 'reembolso', 'nuevo', 'quién', 'tengo', 'mañana', 'hoy',
+  ],
+};
+
+const WORD_SETS = Object.fromEntries(Object.entries(COMMON_WORDS).map(([code, words]) => [code, new Set(words)]));
+
+// PUBLIC_INTERFACE
+/**
+ * Guess the language of `text` among `locales` (codes, default: all supported).
+ * Returns { locale, confidence } with confidence in (0, 1], or null when there
+ * is not enough signal or two languages tie.
+ */
+export function detectLanguage(text, locales = SUPPORTED_LOCALES.map(l => l.code)) {
+  const value = String(text || '');
+  const letters = (value.match(LETTER_RE) || []).length;
+  if (!letters) return null;
+
+  const arabic = (value.match(ARABIC_RE) || []).length;
+  if (arabic / letters >= 0.5) {
+    return locales.includes('ar') ? { locale: 'ar', confidence: Math.min(1, arabic / letters) } : null;
+  }
+
+  const words = tokenize(value, { punctuation: false, emoji: false });
+  const scores = locales
+    .filter(code => WORD_SETS[code])
+    .map((code) => {
+      let score = words.filter(w => WORD_SETS[code].has(w)).length;
+      if (code === 'es') score += (value.toLowerCase().match(SPANISH_HINT_RE) || []).length;
+      return { locale: code, score };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (!best || best.score === 0 || (second && second.score === best.score)) return null;
+  const total = scores.reduce((sum, s) => sum + s.score, 0);
+  return { locale: best.locale, confidence: best.score / total };
+}
@@ -0,0 +1,39 @@
+import { SUPPORTED_LOCALES, getCatalog, localeDirection, resolveLocale, translate } from './translate';
+import { detectLanguage } from './detectLanguage';
+
+const baseKeys = (catalog) => new Set(Object.keys(catalog).map(k => k.replace(/_(zero|one|two|few|many|other)$/, '')));
+
+test('every locale translates every English string', () => {
+  const english = baseKeys(getCatalog('en'));
+  for (const { code } of SUPPORTED_LOCALES) {
+    expect([...baseKeys(getCatalog(code))].sort()).toEqual([...english].sort());
+  }
+});
+
+test('fills placeholders, picks plural forms and falls back to English, then the key', () => {
+  expect(translate('es', 'packs.loaded', { name: 'Soporte', version: '1.0.0' })).toBe('Cargado Soporte v1.0.0');
+  expect(translate('en', 'knowledge.added', { count: 1 })).toBe('Added 1 document');
+  expect(translate('en', 'knowledge.added', { count: 3 })).toBe('Added 3 documents');
+  expect(translate('ar', 'knowledge.added', { count: 2 })).toBe('تمت إضافة مستندين');
+  expect(translate('ar', 'knowledge.added', { count: 5 })).toBe('تمت إضافة 5 مستندات');
+  expect(translate('fr', 'chat.send')).toBe('Send');
+  expect(translate('es', 'no.such.key')).toBe('no.such.key');
+  expect(translate('en', 'chat.interrupted')).toBe('Interrupted: {error}');
+});
+
+test('resolves browser languages and writing direction', () => {
+  expect(resolveLocale(['fr-FR', 'es-MX', 'en'])).toBe('es');
+  expect(resolveLocale(['AR_eg'])).toBe('ar');
+  expect(resolveLocale(['de'])).toBe('en');
+  expect(localeDirection('ar')).toBe('rtl');
+  expect(localeDirection('es')).toBe('ltr');
+});
+
+test('detects the language of a message, or nothing when unsure', () => {
+  expect(detectLanguage('Hola, ¿qué tiempo hace hoy?').locale).toBe('es');
+  expect(detectLanguage('What is the weather like today?').locale).toBe('en');
+  expect(detectLanguage('مرحبا، كيف حالك؟')).toEqual({ locale: 'ar', confidence: 1 });
+  expect(detectLanguage('ok 👍')).toBeNull();
+  expect(detectLanguage('12:30')).toBeNull();
+  expect(detectLanguage('مرحبا', ['en', 'es'])).toBeNull();
+});
@@ -0,0 +1,11 @@
+export {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  createTranslator,
+  getCatalog,
+  localeDirection,
+  resolveLocale,
+  translate,
+} from './translate';
+export { detectLanguage } from './detectLanguage';
+export { I18nProvider, useI18n } from './I18nContext';
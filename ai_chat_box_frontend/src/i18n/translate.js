@@ -0,0 +1,73 @@
+import en from './locales/en.json';
+import es from './locales/es.json';
+import ar from './locales/ar.json';
+
+/**
+ * UI string catalogs and lookup.
+ * - One flat JSON catalog per locale in `locales/`, keyed "area.name"
+ * - `{param}` placeholders filled from the params object
+ * - Plurals as "key_one", "key_other" (plus "_zero", "_two", "_few", "_many"
+ *   where the language has them), picked with Intl.PluralRules from `params.count`
+ * Missing strings fall back to English, then to the key itself.
+ */
+
+// PUBLIC_INTERFACE
+/** Locales the UI ships with, in menu order; `dir` is the writing direction. */
+export const SUPPORTED_LOCALES = [
+  { code: 'en', label: 'English', dir: 'ltr' },
+  { code: 'es', label: 'Español', dir: 'ltr' },
+  { code: 'ar', label: 'العربية', dir: 'rtl' },
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, es, ar };
+
+// PUBLIC_INTERFACE
+/** The raw catalog of a supported locale (used by tests and tooling). */
+export function getCatalog(locale) {
+  return CATALOGS[locale] || null;
+}
+
+// PUBLIC_INTERFACE
+/** "rtl" or "ltr" for a locale code. */
+export function localeDirection(locale) {
+  return SUPPORTED_LOCALES.find(l => l.code === locale)?.dir || 'ltr';
+}
+
+// PUBLIC_INTERFACE
+/**
+ * First supported locale matching one of `candidates` (e.g. navigator.languages),
+ * comparing the language part only ("es-MX" -> "es"). Defaults to English.
+ */
+export function resolveLocale(candidates = []) {
+  for (const candidate of candidates) {
+    const language = String(candidate || '').toLowerCase().split(/[-_]/)[0];
+    if (CATALOGS[language]) return language;
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookup(catalog, locale, key, count) {
+  if (typeof count === 'number') {
+    const form = catalog[`${key}_${new Intl.PluralRules(locale).select(count)}`] ?? catalog[`${key}_other`];
+    if (form !== undefined) return form;
+  }
+  return catalog[key];
+}
+
+// PUBLIC_INTERFACE
+/** Translate `key` for `locale`, filling {param} placeholders from `params`. */
+export function translate(locale, key, params = {}) {
+  const code = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  const template = lookup(CATALOGS[code], code, key, params.count)
+    ?? lookup(CATALOGS[DEFAULT_LOCALE], DEFAULT_LOCALE, key, params.count)
+    ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// PUBLIC_INTERFACE
+/** Bind `translate` to a locale: t(key, params). */
+export function createTranslator(locale) {
+  return (key, params) => translate(locale, key, params);
+}
@@ -0,0 +1,60 @@
+/**
+ * Minimal promise wrapper over IndexedDB for the app's persistent stores.
+ * Each feature owns its own database; `openDatabase` caches the connection.
+ * When IndexedDB is unavailable (tests, private modes) callers fall back to memory.
+ */
+
+const connections = new Map();
+
+// PUBLIC_INTERFACE
+/** True when the environment provides IndexedDB. */
+export function hasIndexedDB() {
+  return typeof window !== 'undefined' && !!window.indexedDB;
+}
+
+// PUBLIC_INTERFACE
+/** Wrap an IDBRequest in a promise. */
+export function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Open (and cache) a database. `upgrade(db, oldVersion)` runs on version changes.
+ */
+export function openDatabase(name, version, upgrade) {
+  const key = `${name}@${version}`;
+  if (!connections.has(key)) {
+    const promise = new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(name, version);
+      req.onupgradeneeded = (e) => upgrade(req.result, e.oldVersion);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    connections.set(key, promise);
+    promise.catch(() => connections.delete(key));
+  }
+  return connections.get(key);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Run `fn(store)` in a transaction on `storeName` and resolve with its result
+ * once the transaction completes.
+ */
+export async function withStore(dbPromise, storeName, mode, fn) {
+  const db = await dbPromise;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let result;
+    Promise.resolve(fn(tx.objectStore(storeName)))
+      .then((r) => { result = r; })
+      .catch(reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
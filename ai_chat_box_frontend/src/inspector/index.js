@@ -0,0 +1,8 @@
+export {
+  DEFAULT_HISTORY,
+  loadLearningHistory,
+  persistLearningHistory,
+  recordSnapshot,
+  weightNorms,
+} from './learningHistory';
+export { clampedWeights, topFeatures, weightHeatmap } from './weightsView';
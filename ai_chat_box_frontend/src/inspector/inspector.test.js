@@ -0,0 +1,75 @@
+import { createZeroWeights } from '../intentModel';
+import { DEFAULT_SKILL_PACK } from '../skillPack';
+import {
+  clampedWeights,
+  loadLearningHistory,
+  persistLearningHistory,
+  recordSnapshot,
+  topFeatures,
+  weightHeatmap,
+  weightNorms,
+} from './index';
+
+const pack = DEFAULT_SKILL_PACK;
+
+const learned = () => {
+  const weights = createZeroWeights(pack);
+  const [greeting, weather] = [pack.intents[0].key, pack.intents[1].key];
+  weights[greeting][0] = 0.5;
+  weights[greeting][1] = -0.25;
+  weights[weather][pack.text.hashOffset + 3] = 2;
+  return { weights, greeting, weather };
+};
+
+test('the heatmap keeps the strongest features in pack order', () => {
+  const { weights, greeting, weather } = learned();
+  const heatmap = weightHeatmap(weights, pack, { limit: 2 });
+  expect(heatmap.features.map(f => f.name)).toEqual([pack.features[0].name, 'hash:3']);
+  expect(heatmap.features[1].hashed).toBe(true);
+  expect(heatmap.values[heatmap.intents.indexOf(greeting)]).toEqual([0.5, 0]);
+  expect(heatmap.values[heatmap.intents.indexOf(weather)]).toEqual([0, 2]);
+  expect(heatmap.max).toBe(2);
+
+  expect(weightHeatmap(createZeroWeights(pack), pack)).toMatchObject({ features: [], max: 0 });
+});
+
+test('top features are ranked by absolute weight', () => {
+  const { weights, greeting, weather } = learned();
+  const top = topFeatures(weights, pack);
+  expect(top[greeting]).toEqual([
+    { name: pack.features[0].name, weight: 0.5 },
+    { name: pack.features[1].name, weight: -0.25 },
+  ]);
+  expect(top[weather]).toEqual([{ name: 'hash:3', weight: 2 }]);
+  expect(clampedWeights(weights, 2)).toBe(1);
+});
+
+test('snapshots merge within the interval and carry weights and stats forward', () => {
+  const { weights, greeting } = learned();
+  const stats = { messages: 3, updates: 2, feedback: 1 };
+  let history = recordSnapshot([], { packId: 'default', weights, stats }, { now: 1000 });
+  history = recordSnapshot(history, { packId: 'default', intent: greeting }, { now: 2000 });
+  history = recordSnapshot(history, { packId: 'default', intent: greeting }, { now: 3000 });
+  expect(history).toHaveLength(1);
+  expect(history[0]).toMatchObject({ at: 1000, stats, intents: { [greeting]: 2 } });
+  expect(history[0].norms[greeting]).toBeCloseTo(Math.hypot(0.5, 0.25));
+
+  // a later interval starts a new snapshot that keeps the last norms and stats
+  history = recordSnapshot(history, { packId: 'default', intent: greeting }, { now: 70000 });
+  expect(history).toHaveLength(2);
+  expect(history[1]).toMatchObject({ at: 70000, stats, intents: { [greeting]: 1 }, norms: weightNorms(weights) });
+
+  // other packs never merge, and the history is capped
+  history = recordSnapshot(history, { packId: 'support' }, { now: 70001, limit: 2 });
+  expect(history.map(s => s.packId)).toEqual(['default', 'support']);
+  expect(history[1].stats).toEqual({ messages: 0, updates: 0, feedback: 0 });
+});
+
+test('history is stored per namespace', () => {
+  const history = recordSnapshot([], { packId: 'default', intent: 'greeting' }, { now: 5 });
+  persistLearningHistory(history, 'inspector-test');
+  expect(loadLearningHistory('inspector-test')).toEqual(history);
+  expect(loadLearningHistory('other')).toEqual([]);
+  localStorage.setItem('broken:smartgpt_learning_history_v1', '{');
+  expect(loadLearningHistory('broken')).toEqual([]);
+});
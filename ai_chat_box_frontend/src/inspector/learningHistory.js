@@ -0,0 +1,80 @@
+import { namespacedKey } from '../storage';
+
+/**
+ * Time series of learning snapshots behind the learning inspector, kept in
+ * localStorage next to the memory document. A snapshot is
+ *   { at, packId, stats: { messages, updates, feedback }, intents: { intentKey: count },
+ *     norms: { intentKey: number } }
+ * where `intents` counts how often each intent was chosen during the snapshot's
+ * interval and `norms` are the L2 norms of the weight rows at its end. Snapshots
+ * of one pack closer together than `interval` are merged, and only the last
+ * `limit` are kept.
+ */
+
+const STORAGE_KEY = 'smartgpt_learning_history_v1';
+
+export const DEFAULT_HISTORY = {
+  interval: 60 * 1000,
+  limit: 240,
+};
+
+const emptyStats = () => ({ messages: 0, updates: 0, feedback: 0 });
+
+// PUBLIC_INTERFACE
+/** L2 norm of each intent's weight row: { intentKey: number }. */
+export function weightNorms(weights) {
+  const norms = {};
+  for (const [intentKey, row] of Object.entries(weights || {})) {
+    let sum = 0;
+    for (const w of row) sum += w * w;
+    norms[intentKey] = Math.sqrt(sum);
+  }
+  return norms;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Add the learning state of `packId` to `history` (returns a new array).
+ * `weights` and `stats` default to the pack's last snapshot; `intent` counts one
+ * choice of that intent. Options: { now, interval, limit }.
+ */
+export function recordSnapshot(history, { packId, weights, stats, intent = null }, options = {}) {
+  const { now = Date.now(), interval, limit } = { ...DEFAULT_HISTORY, ...options };
+  const last = history[history.length - 1];
+  const previous = [...history].reverse().find(s => s.packId === packId);
+  const merge = last && last.packId === packId && now - last.at < interval;
+
+  const intents = { ...(merge ? last.intents : {}) };
+  if (intent) intents[intent] = (intents[intent] || 0) + 1;
+  const snapshot = {
+    at: merge ? last.at : now,
+    packId,
+    stats: stats
+      ? { messages: stats.messages || 0, updates: stats.updates || 0, feedback: stats.feedback || 0 }
+      : previous?.stats || emptyStats(),
+    intents,
+    norms: weights ? weightNorms(weights) : previous?.norms || {},
+  };
+  return [...(merge ? history.slice(0, -1) : history), snapshot].slice(-limit);
+}
+
+// PUBLIC_INTERFACE
+/** Load the snapshot history of a storage namespace; [] when absent or invalid. */
+export function loadLearningHistory(namespace = '') {
+  try {
+    const history = JSON.parse(localStorage.getItem(namespacedKey(STORAGE_KEY, namespace)) || '[]');
+    return Array.isArray(history) ? history.filter(s => s && Number.isFinite(s.at) && s.packId) : [];
+  } catch {
+    return [];
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Persist the snapshot history of a storage namespace. */
+export function persistLearningHistory(history, namespace = '') {
+  try {
+    localStorage.setItem(namespacedKey(STORAGE_KEY, namespace), JSON.stringify(history));
+  } catch {
+    // ignore quota or serialization errors for this demo
+  }
+}
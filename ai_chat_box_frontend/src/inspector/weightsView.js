@@ -0,0 +1,58 @@
+/**
+ * Views of the weight matrix ({ intentKey: number[] }, see intentModel.js) for
+ * the learning inspector. Packs with hashing have hundreds of features, so the
+ * heatmap keeps the columns with the largest weights.
+ */
+
+// PUBLIC_INTERFACE
+/**
+ * Intent × feature heatmap of the `limit` features with the largest absolute
+ * weight for any intent, in pack order. Returns
+ *   { intents: [key], features: [{ index, name, hashed }], values: number[intent][feature], max }
+ * where `max` is the largest absolute value shown (0 when nothing was learned).
+ */
+export function weightHeatmap(weights, pack, { limit = 24 } = {}) {
+  const intents = pack.intents.map(d => d.key).filter(key => weights[key]);
+  const strength = pack.features.map((_, i) => Math.max(0, ...intents.map(key => Math.abs(weights[key][i] || 0))));
+  const columns = strength
+    .map((value, index) => ({ value, index }))
+    .filter(c => c.value > 0)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, limit)
+    .map(c => c.index)
+    .sort((a, b) => a - b);
+  return {
+    intents,
+    features: columns.map(index => ({ index, name: pack.features[index].name, hashed: !!pack.features[index].hashed })),
+    values: intents.map(key => columns.map(index => weights[key][index] || 0)),
+    max: Math.max(0, ...columns.map(index => strength[index])),
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The `limit` most influential features of each intent, by absolute weight:
+ * { intentKey: [{ name, weight }] }.
+ */
+export function topFeatures(weights, pack, { limit = 5 } = {}) {
+  const top = {};
+  for (const { key } of pack.intents) {
+    const row = weights[key] || [];
+    top[key] = pack.features
+      .map((f, i) => ({ name: f.name, weight: row[i] || 0 }))
+      .filter(f => f.weight !== 0)
+      .sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight))
+      .slice(0, limit);
+  }
+  return top;
+}
+
+// PUBLIC_INTERFACE
+/** Number of weights at (or past) the clamp range, a sign that learning saturated. */
+export function clampedWeights(weights, clampRange) {
+  let count = 0;
+  for (const row of Object.values(weights || {})) {
+    for (const w of row) if (Math.abs(w) >= clampRange) count += 1;
+  }
+  return count;
+}
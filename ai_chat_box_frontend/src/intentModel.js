@@ -0,0 +1,327 @@
+import { DEFAULT_SKILL_PACK, localizedIntent } from './skillPack';
+import { extractEntities, renderTemplate, slotsFromEntities } from './entities';
+import { hashedFeatures } from './nlp/hashing';
+import { findPhrase, isWord, tokenize } from './nlp/tokenizer';
+import { translate } from './i18n/translate';
+
+/**
+ * Intent model shared by the response engines and SmartChatGPT.
+ * - Feature extraction, scoring and the online perceptron-like update
+ * - Response selection (with slot templates) and the short-lived conversation context
+ * - Weight (de)serialisation keyed by feature name
+ *
+ * Intents, features and rules come from a compiled skill pack (see skillPack.js);
+ * every function takes the pack as its last argument and defaults to the built-in one.
+ * Pure functions only; state (weights, context) is owned by the caller.
+ */
+
+// Utility: clamp a number
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+
+// PUBLIC_INTERFACE
+/**
+ * Create zero-initialized weight matrix: { intentKey: number[featureCount] }
+ */
+export function createZeroWeights(pack = DEFAULT_SKILL_PACK) {
+  const size = pack.features.length;
+  const w = {};
+  for (const intent of pack.intents) {
+    w[intent.key] = Array(size).fill(0);
+  }
+  return w;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Extract a dense feature vector for the input text.
+ * Token features fire (with their weight) when one of their phrases occurs as
+ * whole tokens of the text (so "hi" does not fire on "this"); length features
+ * fire when the word count is within their range; entity features fire when
+ * `entities` (extracted from the text unless given) has that type. Packs with
+ * hashing fill the trailing hashed n-gram slots.
+ * Returns Float32Array length = pack.features.length
+ */
+export function extractFeatures(textRaw, pack = DEFAULT_SKILL_PACK, entities = null) {
+  const tokens = tokenize(textRaw, { stem: pack.text?.stem });
+  const wc = tokens.filter(isWord).length;
+  const vec = new Float32Array(pack.features.length);
+  let entityTypes = null;
+
+  pack.features.forEach((spec, idx) => {
+    if (spec.hashed) return;
+    let hit;
+    if (spec.entity) {
+      if (!entityTypes) {
+        entityTypes = new Set((entities || extractEntities(textRaw, { lists: pack.entities })).map(e => e.type));
+      }
+      hit = entityTypes.has(spec.entity);
+    } else if (spec.length) {
+      const { min = 0, max = Infinity } = spec.length;
+      hit = wc >= min && wc <= max;
+    } else {
+      hit = spec.phrases.some(phrase => findPhrase(tokens, phrase) >= 0);
+    }
+    vec[idx] = hit ? spec.weight : 0;
+  });
+
+  if (pack.text?.hashing) vec.set(hashedFeatures(textRaw, pack.text.hashing), pack.text.hashOffset);
+
+  return vec;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Compute score for each intent: dot(W_i, x) + baseBias + ruleBias(features)
+ * Returns array of { key, score }
+ */
+export function scoreIntents(weights, features, pack = DEFAULT_SKILL_PACK) {
+  const scores = [];
+  for (const intent of pack.intents) {
+    const w = weights[intent.key] || [];
+    let dot = 0;
+    for (let i = 0; i < features.length; i++) {
+      dot += (w[i] || 0) * features[i];
+    }
+
+    // rule bias: add small bumps for rule-aligned features
+    const ruleFeats = pack.rules[intent.key] || [];
+    let ruleBonus = 0;
+    for (const fname of ruleFeats) {
+      const idx = pack.featureIndex[fname] ?? -1;
+      if (idx >= 0 && features[idx] > 0) {
+        ruleBonus += 0.15; // small nudge
+      }
+    }
+
+    const score = dot + (intent.baseBias || 0) + ruleBonus;
+    scores.push({ key: intent.key, score });
+  }
+  return scores.sort((a, b) => b.score - a.score);
+}
+
+// Softmax temperature for turning raw scores into probabilities. Scores are small
+// (rule nudges of 0.15, weights clamped to ±2), so a low temperature keeps a clear
+// winner confident while near-ties stay close to an even split.
+export const DEFAULT_TEMPERATURE = 0.1;
+
+// PUBLIC_INTERFACE
+/**
+ * Temperature-scaled softmax over ranked scores.
+ * Returns the same order as [{ key, score, probability }], probabilities summing to 1.
+ */
+export function calibrateScores(ranked, temperature = DEFAULT_TEMPERATURE) {
+  if (!ranked.length) return [];
+  const max = Math.max(...ranked.map(r => r.score));
+  const exps = ranked.map(r => Math.exp((r.score - max) / temperature));
+  const total = exps.reduce((a, b) => a + b, 0);
+  return ranked.map((r, i) => ({ ...r, probability: exps[i] / total }));
+}
+
+// When to ask instead of guessing: top probability under `minConfidence`, or the
+// runner-up within `minMargin` of it. Up to `maxOptions` intents are offered.
+export const DEFAULT_CLARIFICATION = {
+  enabled: true,
+  minConfidence: 0.35,
+  minMargin: 0.1,
+  maxOptions: 3,
+};
+
+// Online learning: `rate` reinforces the decided intent after each exchange while the
+// others decay by `decay`; `feedbackRate` applies 👍/👎, corrections and clarification
+// picks. Weights stay within ±clampRange. `enabled` is the learning toggle's default.
+export const DEFAULT_LEARNING = {
+  enabled: true,
+  rate: 0.1,
+  feedbackRate: 0.2,
+  decay: 0.01,
+  clampRange: 2.0,
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Decide whether calibrated scores are too uncertain to answer directly.
+ * Returns the intents to offer as [{ intent, probability }] (best first), or null
+ * when the top intent is clear enough. The pack's fallback intent is never offered.
+ */
+export function clarificationOptions(calibrated, pack = DEFAULT_SKILL_PACK, settings = {}) {
+  const { enabled, minConfidence, minMargin, maxOptions } = { ...DEFAULT_CLARIFICATION, ...settings };
+  if (!enabled || calibrated.length < 2) return null;
+  const [top, second] = calibrated;
+  if (top.probability >= minConfidence && top.probability - second.probability >= minMargin) return null;
+
+  const options = calibrated
+    .filter(r => r.key !== pack.fallbackIntent)
+    .slice(0, maxOptions)
+    .map(r => ({ intent: r.key, probability: r.probability }));
+  return options.length >= 2 ? options : null;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Online update: perceptron-like reinforcement for chosen intent.
+ * weights[intentChosen] += lr * features
+ * Optional mild decay for others.
+ */
+export function updateWeights(weights, intentKey, features, lr = 0.1, clampRange = 2.0, decay = 0.01) {
+  const featureCount = features.length;
+  const copy = { ...weights };
+
+  // reinforce chosen
+  const wChosen = (copy[intentKey] || Array(featureCount).fill(0)).slice();
+  for (let i = 0; i < featureCount; i++) {
+    const val = wChosen[i] + lr * features[i];
+    wChosen[i] = clamp(val, -clampRange, clampRange);
+  }
+  copy[intentKey] = wChosen;
+
+  // mild decay on others to avoid runaway bias
+  for (const key of Object.keys(copy)) {
+    if (key === intentKey) continue;
+    const w = copy[key].slice();
+    for (let i = 0; i < featureCount; i++) {
+      const v = w[i] * (1 - decay);
+      w[i] = Math.abs(v) < 1e-4 ? 0 : v;
+    }
+    copy[key] = w;
+  }
+  return copy;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Feedback update: move one intent toward (direction = 1) or away from
+ * (direction = -1) the given features. Unlike updateWeights there is no decay on
+ * other intents; explicit feedback only touches the intent it names.
+ */
+export function adjustWeights(weights, intentKey, features, direction, lr = 0.2, clampRange = 2.0) {
+  const featureCount = features.length;
+  const w = (weights[intentKey] || Array(featureCount).fill(0)).slice();
+  for (let i = 0; i < featureCount; i++) {
+    w[i] = clamp(w[i] + direction * lr * features[i], -clampRange, clampRange);
+  }
+  return { ...weights, [intentKey]: w };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Decide what a feedback action on an assistant message means for learning.
+ * action: { rating: 'up' | 'down' } or { correctedIntent }
+ * Returns { feedback, updates: [{ intent, direction }] }, or null when the action
+ * is not allowed (already rated, correcting to the same intent, ...).
+ * - 👍 reinforces the chosen intent; 👎 penalises it
+ * - a correction penalises the chosen intent (unless already 👎) and reinforces the right one
+ */
+export function resolveFeedback(message, action) {
+  if (!message?.intent || !message.features) return null;
+  const prev = message.feedback || {};
+
+  if (action.rating) {
+    if (prev.rating || prev.correctedIntent) return null;
+    return {
+      feedback: { ...prev, rating: action.rating },
+      updates: [{ intent: message.intent, direction: action.rating === 'up' ? 1 : -1 }],
+    };
+  }
+
+  const target = action.correctedIntent;
+  if (!target || target === message.intent || prev.correctedIntent || prev.rating === 'up') return null;
+  const updates = [{ intent: target, direction: 1 }];
+  if (prev.rating !== 'down') updates.unshift({ intent: message.intent, direction: -1 });
+  return { feedback: { ...prev, rating: 'down', correctedIntent: target }, updates };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Resolve the user's pick from a clarification question into a labelled learning signal.
+ * Returns { clarification, updates: [{ intent, direction }] }, or null when the message
+ * already has an answer or the pick was not offered. The picked intent is reinforced
+ * and the classifier's own top guess, if different, is penalised.
+ */
+export function resolveClarification(message, intent) {
+  const clarification = message?.clarification;
+  if (!clarification || clarification.chosen || !message.features) return null;
+  if (!clarification.options.some(o => o.intent === intent)) return null;
+  const updates = [{ intent, direction: 1 }];
+  const guess = clarification.options[0].intent;
+  if (guess !== intent) updates.push({ intent: guess, direction: -1 });
+  return { clarification: { ...clarification, chosen: intent }, updates };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Generate a response string for the chosen intent, with slight variants from context.
+ * The first of the intent's `templates` whose placeholders can all be filled from
+ * the context slots (plus `lastIntent`) replaces the plain `response`. With a
+ * `locale` the pack's definition for that language is used (see localizedIntent)
+ * and the contextual remarks are translated.
+ */
+export function generateResponseForIntent(intentKey, context, pack = DEFAULT_SKILL_PACK, locale = pack.locale) {
+  const def = localizedIntent(pack, intentKey, locale) || localizedIntent(pack, pack.fallbackIntent, locale);
+  const values = { lastIntent: context.lastIntent, ...context.slots };
+  const response = (def.templates || []).map(t => renderTemplate(t, values)).find(Boolean) || def.response;
+
+  // Tiny contextual variation
+  if (context.lastIntent === intentKey) {
+    return `${response} ${translate(locale, 'reply.sameTopic')}`;
+  }
+  if (intentKey === 'greeting' && context.history?.length > 0) {
+    return `${response} ${translate(locale, 'reply.welcomeBack')}`;
+  }
+  if (intentKey === 'generic_followup' && (context.lastIntent === 'project_context' || context.lastIntent === 'help')) {
+    return translate(locale, 'reply.followUp');
+  }
+  return response;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serialise weights keyed by feature name: { intentKey: { featureName: weight } }.
+ * Zero weights are omitted.
+ */
+export function weightsToNamed(weights, pack = DEFAULT_SKILL_PACK) {
+  const named = {};
+  for (const [intentKey, row] of Object.entries(weights || {})) {
+    const byName = {};
+    pack.features.forEach((f, i) => {
+      if (row[i]) byName[f.name] = row[i];
+    });
+    named[intentKey] = byName;
+  }
+  return named;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Rebuild a weight matrix for `pack` from named weights. Features are matched by
+ * name, so reordered or added features keep what was learned; unknown names are dropped.
+ */
+export function weightsFromNamed(named, pack = DEFAULT_SKILL_PACK) {
+  const weights = createZeroWeights(pack);
+  for (const intent of pack.intents) {
+    const byName = named?.[intent.key];
+    if (!byName || typeof byName !== 'object') continue;
+    pack.features.forEach((f, i) => {
+      const v = Number(byName[f.name]);
+      if (Number.isFinite(v)) weights[intent.key][i] = v;
+    });
+  }
+  return weights;
+}
+
+// PUBLIC_INTERFACE
+/** Carry weights over from one pack to another by intent key and feature name. */
+export function remapWeights(weights, fromPack, toPack) {
+  return weightsFromNamed(weightsToNamed(weights, fromPack), toPack);
+}
+
+// PUBLIC_INTERFACE
+// Simple context tracker (short-lived) to slightly vary responses.
+// Slots from the message's entities are merged over earlier ones and kept.
+export function updateContext(context, userText, decidedIntent, entities = []) {
+  const next = { ...context };
+  next.lastIntent = decidedIntent || context.lastIntent || null;
+  const history = (next.history || []).slice(-2);
+  next.history = [...history, userText];
+  next.slots = { ...context.slots, ...slotsFromEntities(entities) };
+  return next;
+}
@@ -0,0 +1,91 @@
+import {
+  adjustWeights,
+  calibrateScores,
+  clarificationOptions,
+  createZeroWeights,
+  generateResponseForIntent,
+  resolveClarification,
+  resolveFeedback,
+  updateContext,
+} from './intentModel';
+
+const message = { role: 'assistant', intent: 'greeting', features: [1, 0, 1] };
+
+test('adjustWeights moves only the named intent', () => {
+  const weights = { greeting: [0, 0, 0], weather: [0.5, 0.5, 0.5] };
+  const next = adjustWeights(weights, 'greeting', [1, 0, 1], -1, 0.2);
+  expect(next.greeting).toEqual([-0.2, 0, -0.2]);
+  expect(next.weather).toBe(weights.weather);
+});
+
+test('thumbs down penalises the chosen intent once', () => {
+  const res = resolveFeedback(message, { rating: 'down' });
+  expect(res.updates).toEqual([{ intent: 'greeting', direction: -1 }]);
+  expect(resolveFeedback({ ...message, feedback: res.feedback }, { rating: 'up' })).toBeNull();
+});
+
+test('a correction penalises the wrong intent and reinforces the right one', () => {
+  expect(resolveFeedback(message, { correctedIntent: 'weather' }).updates).toEqual([
+    { intent: 'greeting', direction: -1 },
+    { intent: 'weather', direction: 1 },
+  ]);
+  // after 👎 only the positive update is left to apply
+  const downvoted = { ...message, feedback: { rating: 'down' } };
+  expect(resolveFeedback(downvoted, { correctedIntent: 'weather' }).updates).toEqual([{ intent: 'weather', direction: 1 }]);
+  expect(resolveFeedback(message, { correctedIntent: 'greeting' })).toBeNull();
+});
+
+test('feedback needs the decided intent and features', () => {
+  expect(resolveFeedback({ role: 'assistant', content: 'hi' }, { rating: 'up' })).toBeNull();
+  expect(Object.keys(createZeroWeights())).toContain('greeting');
+});
+
+test('calibrateScores turns scores into probabilities in the same order', () => {
+  const calibrated = calibrateScores([{ key: 'a', score: 0.6 }, { key: 'b', score: 0.3 }, { key: 'c', score: 0.3 }]);
+  expect(calibrated.map(r => r.key)).toEqual(['a', 'b', 'c']);
+  expect(calibrated.reduce((n, r) => n + r.probability, 0)).toBeCloseTo(1);
+  expect(calibrated[0].probability).toBeGreaterThan(0.8);
+  expect(calibrated[1].probability).toBeCloseTo(calibrated[2].probability);
+});
+
+test('clarification is offered only for uncertain results and skips the fallback', () => {
+  const pack = { fallbackIntent: 'other' };
+  const clear = [{ key: 'a', probability: 0.8 }, { key: 'b', probability: 0.15 }, { key: 'other', probability: 0.05 }];
+  expect(clarificationOptions(clear, pack)).toBeNull();
+
+  const close = [{ key: 'a', probability: 0.45 }, { key: 'other', probability: 0.4 }, { key: 'b', probability: 0.15 }];
+  expect(clarificationOptions(close, pack)).toEqual([
+    { intent: 'a', probability: 0.45 },
+    { intent: 'b', probability: 0.15 },
+  ]);
+  expect(clarificationOptions(close, pack, { enabled: false })).toBeNull();
+  expect(clarificationOptions(clear, pack, { minConfidence: 0.9 })).not.toBeNull();
+});
+
+test('a clarification pick reinforces it and penalises the top guess once', () => {
+  const asked = {
+    role: 'assistant',
+    features: [1, 0, 1],
+    clarification: { options: [{ intent: 'weather', probability: 0.4 }, { intent: 'greeting', probability: 0.35 }], chosen: null },
+  };
+  const res = resolveClarification(asked, 'greeting');
+  expect(res.updates).toEqual([{ intent: 'greeting', direction: 1 }, { intent: 'weather', direction: -1 }]);
+  expect(res.clarification.chosen).toBe('greeting');
+  expect(resolveClarification({ ...asked, clarification: res.clarification }, 'weather')).toBeNull();
+  expect(resolveClarification(asked, 'farewell')).toBeNull();
+});
+
+test('responses use the first template whose slots are known', () => {
+  const pack = {
+    intents: [{ key: 'greeting', response: 'Hi!', templates: ['Hi {name}, about {date}?', 'Hi {name}!'] }],
+    fallbackIntent: 'greeting',
+  };
+  expect(generateResponseForIntent('greeting', { slots: {} }, pack)).toBe('Hi!');
+  expect(generateResponseForIntent('greeting', { slots: { name: 'Ada' } }, pack)).toBe('Hi Ada!');
+});
+
+test('updateContext carries slots forward', () => {
+  const first = updateContext({ history: [] }, 'my name is Ada', 'introduction', [{ type: 'name', value: 'Ada' }]);
+  const second = updateContext(first, 'tomorrow?', 'weather', [{ type: 'date', value: '2026-10-20' }]);
+  expect(second.slots).toEqual({ name: 'Ada', date: '2026-10-20' });
+});
@@ -0,0 +1,47 @@
+import { indexTerms } from './bm25';
+import { DEFAULT_LOCALE, translate } from '../i18n/translate';
+
+/**
+ * Turn retrieved passages into an extractive Markdown answer with numbered
+ * citations. Each hit contributes the sentences that mention the question's
+ * terms (or its opening words) followed by a [n] marker pointing at its source.
+ */
+
+const EXCERPT_WORDS = 60;
+
+// PUBLIC_INTERFACE
+/** Human-readable source of a passage, e.g. "guide.md › Setup (chunk 2)". */
+export function citationLabel({ docName, heading, chunk }, locale = DEFAULT_LOCALE) {
+  return `${docName}${heading ? ` › ${heading}` : ''} (${translate(locale, 'knowledge.chunk', { number: chunk + 1 })})`;
+}
+
+// PUBLIC_INTERFACE
+/** The most relevant sentences of `text` for `query`, at most about `maxWords` words. */
+export function excerpt(text, query, maxWords = EXCERPT_WORDS) {
+  const terms = new Set(indexTerms(query));
+  const sentences = (text.replace(/\s+/g, ' ').trim().match(/[^.!?]+(?:[.!?]+|$)/g) || []).map(s => s.trim());
+  const relevant = sentences.filter(s => indexTerms(s).some(t => terms.has(t)));
+  const words = (relevant.length ? relevant : sentences).join(' ').split(' ');
+  return words.length > maxWords ? `${words.slice(0, maxWords).join(' ')}…` : words.join(' ');
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Compose the reply for `hits` (from searchIndex), introduced in `locale`.
+ * Returns { content, citations } where citations are
+ * [{ ref, docId, docName, chunk, heading, score }], ref matching the [n]
+ * markers in the content.
+ */
+export function composeKnowledgeAnswer(query, hits, locale = DEFAULT_LOCALE) {
+  const citations = hits.map(({ docId, docName, chunk, heading, score }, i) => ({
+    ref: i + 1, docId, docName, chunk, heading, score,
+  }));
+  const passages = hits.map((hit, i) => `${excerpt(hit.text, query)} [${i + 1}]`);
+  const sources = citations.map(c => `${c.ref}. ${citationLabel(c, locale)}`);
+  const intro = translate(locale, 'knowledge.answer');
+  const heading = translate(locale, 'knowledge.sources');
+  return {
+    content: `${intro}\n\n${passages.join('\n\n')}\n\n**${heading}**\n\n${sources.join('\n')}`,
+    citations,
+  };
+}
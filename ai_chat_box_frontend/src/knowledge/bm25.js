@@ -0,0 +1,112 @@
+import { DEFAULT_STOPWORDS, tokenize } from '../nlp/tokenizer';
+
+/**
+ * BM25 passage index for the local knowledge base.
+ *
+ * The index is a plain JSON object so it can be stored in IndexedDB and sent to
+ * the intelligence worker:
+ *   { version, k1, b, totalLength,
+ *     df: { term: number of chunks containing it },
+ *     chunks: [{ docId, docName, chunk, heading, text, length, tf: { term: count } }] }
+ * Documents are added and removed incrementally; nothing is recomputed for the
+ * other documents.
+ */
+
+export const INDEX_VERSION = 2;
+
+export const DEFAULT_RETRIEVAL = { limit: 3, minCoverage: 0.5 };
+
+// Request phrasing on top of the usual stopwords
+const STOPWORDS = new Set([...DEFAULT_STOPWORDS, 'please', 'tell', 'know']);
+
+// Own entries only: terms like "constructor" must not find Object.prototype members.
+// (The index crosses to the worker and IndexedDB, so null-prototype objects would not last.)
+const own = (map, key) => (Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined);
+
+// PUBLIC_INTERFACE
+/** Index terms of a text: stemmed words without stopwords. */
+export function indexTerms(text) {
+  return tokenize(text, { punctuation: false, emoji: false, stem: true, stopwords: STOPWORDS });
+}
+
+// PUBLIC_INTERFACE
+/** An empty index. */
+export function createIndex({ k1 = 1.2, b = 0.75 } = {}) {
+  return { version: INDEX_VERSION, k1, b, totalLength: 0, df: {}, chunks: [] };
+}
+
+// PUBLIC_INTERFACE
+/** Remove every chunk of `docId`. Returns a new index. */
+export function removeFromIndex(index, docId) {
+  const df = { ...index.df };
+  let totalLength = index.totalLength;
+  const chunks = index.chunks.filter((c) => {
+    if (c.docId !== docId) return true;
+    totalLength -= c.length;
+    for (const term of Object.keys(c.tf)) {
+      df[term] -= 1;
+      if (df[term] <= 0) delete df[term];
+    }
+    return false;
+  });
+  return { ...index, df, totalLength, chunks };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Add (or replace) a document's chunks: `doc` is { id, name, chunks: [{ chunk, heading, text }] }.
+ * Headings are indexed with their passage. Returns a new index.
+ */
+export function addToIndex(index, doc) {
+  const base = removeFromIndex(index, doc.id);
+  const df = { ...base.df };
+  let totalLength = base.totalLength;
+  const added = doc.chunks.map(({ chunk, heading, text }) => {
+    const terms = indexTerms(`${heading || ''} ${text}`);
+    const tf = {};
+    for (const term of terms) tf[term] = (own(tf, term) || 0) + 1;
+    for (const term of Object.keys(tf)) df[term] = (own(df, term) || 0) + 1;
+    totalLength += terms.length;
+    return { docId: doc.id, docName: doc.name, chunk, heading: heading || '', text, length: terms.length, tf };
+  });
+  return { ...base, df, totalLength, chunks: [...base.chunks, ...added] };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Rank passages for `query` with BM25.
+ * Returns up to `limit` hits [{ docId, docName, chunk, heading, text, score, coverage }],
+ * best first. `coverage` is the share of the query's terms found in the passage;
+ * hits below `minCoverage` are dropped so a single shared word is not an answer.
+ */
+export function searchIndex(index, query, options = {}) {
+  const { limit, minCoverage } = { ...DEFAULT_RETRIEVAL, ...options };
+  const terms = [...new Set(indexTerms(query))];
+  const n = index?.chunks?.length || 0;
+  if (!terms.length || !n) return [];
+
+  const { k1, b } = index;
+  const avgLength = index.totalLength / n || 1;
+  const idf = Object.fromEntries(terms.map((t) => {
+    const df = own(index.df, t) || 0;
+    return [t, Math.log(1 + (n - df + 0.5) / (df + 0.5))];
+  }));
+
+  const hits = [];
+  for (const c of index.chunks) {
+    let score = 0;
+    let matched = 0;
+    for (const t of terms) {
+      const f = own(c.tf, t);
+      if (!f) continue;
+      matched += 1;
+      score += idf[t] * ((f * (k1 + 1)) / (f + k1 * (1 - b + (b * c.length) / avgLength)));
+    }
+    const coverage = matched / terms.length;
+    if (matched && coverage >= minCoverage) {
+      const { docId, docName, chunk, heading, text } = c;
+      hits.push({ docId, docName, chunk, heading, text, score, coverage });
+    }
+  }
+  return hits.sort((x, y) => y.score - x.score || x.chunk - y.chunk).slice(0, limit);
+}
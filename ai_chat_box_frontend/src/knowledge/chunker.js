@@ -0,0 +1,115 @@
+/**
+ * Document chunking for the local knowledge base.
+ * Documents are split into passages of roughly `maxWords` words along their
+ * natural boundaries: Markdown headings and paragraphs, blank-line separated
+ * text paragraphs, or one "path: value" line per JSON leaf. A paragraph longer
+ * than a chunk is cut into word windows overlapping by `overlap` words.
+ */
+
+export const DEFAULT_CHUNKING = { maxWords: 120, overlap: 20 };
+
+const FORMATS = { md: 'markdown', markdown: 'markdown', txt: 'text', text: 'text', json: 'json' };
+
+// PUBLIC_INTERFACE
+/** Format of a file from its name: 'markdown' | 'text' | 'json', or null if unsupported. */
+export function documentFormat(name) {
+  const ext = (String(name || '').match(/\.([a-z0-9]+)$/i) || [])[1];
+  return FORMATS[(ext || '').toLowerCase()] || null;
+}
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// Markdown/text -> [{ heading, text }] paragraphs; fenced code stays in one paragraph
+function paragraphs(text, markdown) {
+  const out = [];
+  let heading = '';
+  let lines = [];
+  let inFence = false;
+  const flush = () => {
+    const body = lines.join('\n').trim();
+    if (body) out.push({ heading, text: body });
+    lines = [];
+  };
+  for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+    if (markdown && /^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const headingMatch = markdown && !inFence && line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (headingMatch) {
+      flush();
+      heading = headingMatch[1];
+    } else if (!inFence && !line.trim()) {
+      flush();
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+  return out;
+}
+
+// JSON -> one paragraph per leaf value, e.g. "shipping.carriers[0]: DHL"
+function jsonParagraphs(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  const out = [];
+  const walk = (value, path) => {
+    if (Array.isArray(value)) {
+      value.forEach((v, i) => walk(v, `${path}[${i}]`));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([k, v]) => walk(v, path ? `${path}.${k}` : k));
+    } else if (value !== null && value !== undefined && value !== '') {
+      out.push({ heading: '', text: path ? `${path}: ${value}` : String(value) });
+    }
+  };
+  walk(data, '');
+  return out;
+}
+
+// Cut a long paragraph into overlapping word windows
+function windows(text, maxWords, overlap) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const step = Math.max(1, maxWords - overlap);
+  const out = [];
+  for (let start = 0; start < words.length; start += step) {
+    out.push(words.slice(start, start + maxWords).join(' '));
+    if (start + maxWords >= words.length) break;
+  }
+  return out;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Split a document into passages: [{ chunk, heading, text }] numbered from 0.
+ * Paragraphs under the same heading are packed together up to `maxWords`.
+ * Throws on invalid JSON.
+ */
+export function chunkDocument(text, format, options = {}) {
+  const { maxWords, overlap } = { ...DEFAULT_CHUNKING, ...options };
+  const parts = format === 'json' ? jsonParagraphs(text) : paragraphs(text, format === 'markdown');
+
+  const chunks = [];
+  let current = null;
+  const push = (heading, body) => chunks.push({ chunk: chunks.length, heading, text: body });
+  const flush = () => {
+    if (current) push(current.heading, current.texts.join('\n\n'));
+    current = null;
+  };
+
+  for (const { heading, text: body } of parts) {
+    const words = countWords(body);
+    if (words > maxWords) {
+      flush();
+      windows(body, maxWords, overlap).forEach(w => push(heading, w));
+      continue;
+    }
+    if (current && (current.heading !== heading || current.words + words > maxWords)) flush();
+    if (!current) current = { heading, texts: [], words: 0 };
+    current.texts.push(body);
+    current.words += words;
+  }
+  flush();
+  return chunks;
+}
@@ -0,0 +1,11 @@
+export { DEFAULT_RETRIEVAL, addToIndex, createIndex, removeFromIndex, searchIndex } from './bm25';
+export { DEFAULT_CHUNKING, chunkDocument, documentFormat } from './chunker';
+export { citationLabel, composeKnowledgeAnswer } from './answer';
+export {
+  MAX_DOCUMENT_LENGTH,
+  addDocument,
+  listDocuments,
+  loadKnowledgeIndex,
+  reindexDocument,
+  removeDocument,
+} from './knowledgeStore';
@@ -0,0 +1,112 @@
+import {
+  addDocument,
+  addToIndex,
+  chunkDocument,
+  composeKnowledgeAnswer,
+  createIndex,
+  documentFormat,
+  listDocuments,
+  loadKnowledgeIndex,
+  reindexDocument,
+  removeDocument,
+  removeFromIndex,
+  searchIndex,
+} from './index';
+
+const GUIDE = `# Setup
+
+Install Node 18 and run npm install.
+
+## Deployment
+
+Deploy with the deploy script. The script uploads the build folder to the CDN.
+
+\`\`\`sh
+npm run build
+
+npm run deploy
+\`\`\`
+`;
+
+test('detects supported formats from file names', () => {
+  expect(documentFormat('notes.MD')).toBe('markdown');
+  expect(documentFormat('a.txt')).toBe('text');
+  expect(documentFormat('faq.json')).toBe('json');
+  expect(documentFormat('image.png')).toBeNull();
+});
+
+test('chunks Markdown by heading and keeps code fences together', () => {
+  const chunks = chunkDocument(GUIDE, 'markdown');
+  expect(chunks.map(c => c.heading)).toEqual(['Setup', 'Deployment']);
+  expect(chunks[1].text).toContain('npm run build\n\nnpm run deploy');
+  expect(chunks.map(c => c.chunk)).toEqual([0, 1]);
+});
+
+test('splits long paragraphs into overlapping windows and flattens JSON', () => {
+  const words = Array.from({ length: 25 }, (_, i) => `w${i}`).join(' ');
+  const chunks = chunkDocument(words, 'text', { maxWords: 10, overlap: 2 });
+  expect(chunks.map(c => c.text.split(' ')[0])).toEqual(['w0', 'w8', 'w16']);
+  expect(chunks[2].text.split(' ').pop()).toBe('w24');
+
+  const json = chunkDocument('{"shipping":{"carriers":["DHL","UPS"],"days":3}}', 'json');
+  expect(json[0].text).toBe('shipping.carriers[0]: DHL\n\nshipping.carriers[1]: UPS\n\nshipping.days: 3');
+  expect(() => chunkDocument('{oops', 'json')).toThrow(/Invalid JSON/);
+});
+
+test('ranks passages with BM25 and updates the index incrementally', () => {
+  let index = addToIndex(createIndex(), { id: 'guide', name: 'guide.md', chunks: chunkDocument(GUIDE, 'markdown') });
+  index = addToIndex(index, { id: 'faq', name: 'faq.txt', chunks: [{ chunk: 0, text: 'Refunds are issued within 14 days.' }] });
+
+  const [top] = searchIndex(index, 'How do I deploy the build?');
+  expect(top).toMatchObject({ docId: 'guide', heading: 'Deployment', chunk: 1, coverage: 1 });
+  expect(searchIndex(index, 'refunds')[0].docName).toBe('faq.txt');
+  // Stopwords alone, or too few matching terms, are no answer
+  expect(searchIndex(index, 'what is the')).toEqual([]);
+  expect(searchIndex(index, 'refunds for spaceships and rockets')).toEqual([]);
+
+  const removed = removeFromIndex(index, 'faq');
+  expect(searchIndex(removed, 'refunds')).toEqual([]);
+  expect(removed.df.refunds).toBeUndefined();
+  expect(removed.totalLength).toBe(removed.chunks.reduce((n, c) => n + c.length, 0));
+  // Re-adding a document replaces its passages
+  expect(addToIndex(index, { id: 'faq', name: 'faq.txt', chunks: [{ chunk: 0, text: 'x' }] }).chunks).toHaveLength(3);
+});
+
+test('terms named like Object.prototype members are counted and ranked as usual', () => {
+  let index = addToIndex(createIndex(), {
+    id: 'api', name: 'api.md', chunks: [{ chunk: 0, text: 'The constructor takes a config. Call the constructor once.' }],
+  });
+  index = addToIndex(index, { id: 'faq', name: 'faq.txt', chunks: [{ chunk: 0, text: 'Refunds are issued within 14 days.' }] });
+  expect(index.df.constructor).toBe(1);
+  expect(index.chunks[0].tf.constructor).toBe(2);
+
+  const [top] = searchIndex(index, 'constructor config');
+  expect(top).toMatchObject({ docId: 'api', coverage: 1 });
+  expect(Number.isFinite(top.score)).toBe(true);
+  expect(searchIndex(index, 'constructor')).toHaveLength(1);
+  expect(searchIndex(removeFromIndex(index, 'api'), 'constructor')).toEqual([]);
+  expect(Object.keys(removeFromIndex(index, 'api').df)).not.toContain('constructor');
+});
+
+test('composes an extractive answer with numbered citations', () => {
+  const index = addToIndex(createIndex(), { id: 'guide', name: 'guide.md', chunks: chunkDocument(GUIDE, 'markdown') });
+  const { content, citations } = composeKnowledgeAnswer('install node', searchIndex(index, 'install node'));
+  expect(content).toContain('Install Node 18 and run npm install. [1]');
+  expect(content).toContain('1. guide.md › Setup (chunk 1)');
+  expect(citations).toEqual([expect.objectContaining({ ref: 1, docId: 'guide', chunk: 0, heading: 'Setup' })]);
+});
+
+test('stores, re-indexes and deletes documents', async () => {
+  const { document } = await addDocument({ name: 'guide.md', text: GUIDE });
+  expect(document).toMatchObject({ name: 'guide.md', format: 'markdown', chunkCount: 2 });
+  expect(document.text).toBeUndefined();
+  expect((await listDocuments()).map(d => d.id)).toEqual([document.id]);
+  expect(searchIndex(await loadKnowledgeIndex(), 'deploy script')[0].docId).toBe(document.id);
+
+  expect((await reindexDocument(document.id)).chunks).toHaveLength(2);
+  await expect(addDocument({ name: 'photo.png', text: 'x' })).rejects.toThrow(/Unsupported/);
+
+  await removeDocument(document.id);
+  expect(await listDocuments()).toEqual([]);
+  expect((await loadKnowledgeIndex()).chunks).toEqual([]);
+});
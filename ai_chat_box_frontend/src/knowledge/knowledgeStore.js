@@ -0,0 +1,140 @@
+import { hasIndexedDB, openDatabase, requestToPromise, withStore } from '../idb';
+import { INDEX_VERSION, addToIndex, createIndex, removeFromIndex } from './bm25';
+import { chunkDocument, documentFormat } from './chunker';
+
+/**
+ * Knowledge base persistence. Uploaded documents are kept with their source text
+ * so they can be re-chunked later:
+ *   { id, name, format, size, text, chunkCount, addedAt, indexedAt }
+ * and the BM25 index (see bm25.js) is stored next to them as one record, updated
+ * incrementally on every change. Stored in IndexedDB (`smartgpt_knowledge`),
+ * with an in-memory fallback when IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'smartgpt_knowledge';
+const DB_VERSION = 1;
+const DOCS = 'documents';
+const META = 'meta';
+const INDEX_KEY = 'bm25';
+
+// Largest document accepted, in characters
+export const MAX_DOCUMENT_LENGTH = 2000000;
+
+const memory = { docs: new Map(), index: null };
+
+// Document metadata shown in the management panel
+const describe = ({ id, name, format, size, chunkCount, addedAt, indexedAt }) => ({
+  id, name, format, size, chunkCount, addedAt, indexedAt,
+});
+
+function db() {
+  return openDatabase(DB_NAME, DB_VERSION, (database) => {
+    if (!database.objectStoreNames.contains(DOCS)) database.createObjectStore(DOCS, { keyPath: 'id' });
+    if (!database.objectStoreNames.contains(META)) database.createObjectStore(META, { keyPath: 'key' });
+  });
+}
+
+async function putDocument(doc) {
+  if (!hasIndexedDB()) {
+    memory.docs.set(doc.id, doc);
+    return;
+  }
+  await withStore(db(), DOCS, 'readwrite', (store) => requestToPromise(store.put(doc)));
+}
+
+async function getDocument(id) {
+  if (!hasIndexedDB()) return memory.docs.get(id) || null;
+  return (await withStore(db(), DOCS, 'readonly', (store) => requestToPromise(store.get(id)))) || null;
+}
+
+async function saveIndex(index) {
+  if (!hasIndexedDB()) {
+    memory.index = index;
+    return index;
+  }
+  await withStore(db(), META, 'readwrite', (store) => requestToPromise(store.put({ key: INDEX_KEY, index })));
+  return index;
+}
+
+async function allDocuments() {
+  if (!hasIndexedDB()) return [...memory.docs.values()];
+  return (await withStore(db(), DOCS, 'readonly', (store) => requestToPromise(store.getAll()))) || [];
+}
+
+// PUBLIC_INTERFACE
+/** Stored documents without their text, newest first. */
+export async function listDocuments() {
+  return (await allDocuments())
+    .map(describe)
+    .sort((a, b) => b.addedAt - a.addedAt);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The stored BM25 index (an empty one before the first upload). An index built
+ * by an older INDEX_VERSION (different tokenisation) is rebuilt from the stored
+ * documents.
+ */
+export async function loadKnowledgeIndex() {
+  const stored = hasIndexedDB()
+    ? (await withStore(db(), META, 'readonly', (store) => requestToPromise(store.get(INDEX_KEY))))?.index
+    : memory.index;
+  if (!stored) return createIndex();
+  if (stored.version === INDEX_VERSION) return stored;
+
+  let index = createIndex();
+  for (const doc of await allDocuments()) {
+    index = addToIndex(index, { id: doc.id, name: doc.name, chunks: chunkDocument(doc.text, doc.format) });
+  }
+  return saveIndex(index);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Chunk, index and store an uploaded document ({ name, text }).
+ * Throws for unsupported file types, empty or oversized documents and invalid JSON.
+ * Returns { document, index }.
+ */
+export async function addDocument({ name, text }) {
+  const format = documentFormat(name);
+  if (!format) throw new Error(`Unsupported file type: ${name} (use .md, .txt or .json)`);
+  if (text.length > MAX_DOCUMENT_LENGTH) throw new Error(`${name} is too large to index`);
+  const chunks = chunkDocument(text, format);
+  if (!chunks.length) throw new Error(`${name} has no text to index`);
+
+  const now = Date.now();
+  const doc = {
+    id: `d_${now.toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    format,
+    size: text.length,
+    text,
+    chunkCount: chunks.length,
+    addedAt: now,
+    indexedAt: now,
+  };
+  await putDocument(doc);
+  const index = await saveIndex(addToIndex(await loadKnowledgeIndex(), { id: doc.id, name, chunks }));
+  return { document: describe(doc), index };
+}
+
+// PUBLIC_INTERFACE
+/** Re-chunk and re-index a stored document (e.g. after chunking changes). Returns the new index. */
+export async function reindexDocument(id) {
+  const doc = await getDocument(id);
+  if (!doc) throw new Error('Document not found');
+  const chunks = chunkDocument(doc.text, doc.format);
+  await putDocument({ ...doc, chunkCount: chunks.length, indexedAt: Date.now() });
+  return saveIndex(addToIndex(await loadKnowledgeIndex(), { id, name: doc.name, chunks }));
+}
+
+// PUBLIC_INTERFACE
+/** Delete a document and its passages. Returns the new index. */
+export async function removeDocument(id) {
+  if (!hasIndexedDB()) {
+    memory.docs.delete(id);
+  } else {
+    await withStore(db(), DOCS, 'readwrite', (store) => requestToPromise(store.delete(id)));
+  }
+  return saveIndex(removeFromIndex(await loadKnowledgeIndex(), id));
+}
@@ -0,0 +1,239 @@
+import React, { useMemo, useState } from 'react';
+import { parseBlocks, stableMarkdownPrefix } from './parseMarkdown';
+import { highlight, resolveLanguage } from './highlight';
+import { copyToClipboard } from '../clipboard';
+import { useI18n } from '../i18n';
+
+/**
+ * MarkdownView - renders a chat reply as Markdown.
+ * - Builds React elements from the parsed AST (no innerHTML), so raw HTML in a
+ *   reply is shown as text and link URLs are restricted to safe schemes
+ * - Fenced code blocks get syntax highlighting and a copy-to-clipboard button
+ * - While `streaming`, unfinished Markdown at the end of the text is held back
+ */
+
+const TOKEN_COLORS = {
+  comment: { color: '#94A3B8', fontStyle: 'italic' },
+  string: { color: '#86EFAC' },
+  number: { color: '#FCD34D' },
+  keyword: { color: '#93C5FD', fontWeight: 600 },
+  literal: { color: '#FDBA74' },
+  tag: { color: '#F9A8D4' },
+  attr: { color: '#C4B5FD' },
+};
+
+const styles = {
+  root: {
+    whiteSpace: 'normal',
+  },
+  paragraph: {
+    margin: '0 0 8px',
+  },
+  heading: {
+    margin: '10px 0 6px',
+    lineHeight: 1.3,
+  },
+  list: {
+    margin: '0 0 8px',
+    paddingInlineStart: 22,
+  },
+  listItem: {
+    margin: '2px 0',
+  },
+  blockquote: {
+    margin: '0 0 8px',
+    padding: '2px 10px',
+    borderInlineStart: '3px solid #93C5FD',
+    color: 'var(--text-secondary, #4B5563)',
+  },
+  hr: {
+    border: 'none',
+    borderTop: '1px solid var(--border-color, #E5E7EB)',
+    margin: '10px 0',
+  },
+  inlineCode: {
+    fontFamily: 'source-code-pro, Menlo, Monaco, Consolas, monospace',
+    fontSize: '0.9em',
+    background: 'rgba(37,99,235,0.08)',
+    borderRadius: 4,
+    padding: '1px 4px',
+  },
+  link: {
+    color: '#2563EB',
+    textDecoration: 'underline',
+  },
+  tableWrap: {
+    overflowX: 'auto',
+    margin: '0 0 8px',
+  },
+  table: {
+    borderCollapse: 'collapse',
+    fontSize: 14,
+  },
+  cell: {
+    border: '1px solid var(--border-color, #E5E7EB)',
+    padding: '4px 8px',
+  },
+  codeBlock: {
+    margin: '0 0 8px',
+    borderRadius: 10,
+    overflow: 'hidden',
+    background: '#0F172A',
+  },
+  codeHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    padding: '4px 10px',
+    fontSize: 12,
+    color: '#CBD5E1',
+    background: '#1E293B',
+  },
+  copyButton: {
+    fontSize: 12,
+    padding: '2px 8px',
+    borderRadius: 6,
+    border: '1px solid #334155',
+    background: 'transparent',
+    color: '#E2E8F0',
+    cursor: 'pointer',
+  },
+  pre: {
+    margin: 0,
+    padding: '10px 12px',
+    overflowX: 'auto',
+    color: '#E5E7EB',
+    fontSize: 13,
+    lineHeight: 1.5,
+    fontFamily: 'source-code-pro, Menlo, Monaco, Consolas, monospace',
+    whiteSpace: 'pre',
+  },
+};
+
+function CodeBlock({ lang, text }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+  const tokens = useMemo(() => highlight(text, lang), [text, lang]);
+
+  const handleCopy = async () => {
+    const ok = await copyToClipboard(text);
+    setCopied(ok);
+    if (ok) setTimeout(() => setCopied(false), 1500);
+  };
+
+  return (
+    // Code reads left to right even inside right-to-left messages
+    <div style={styles.codeBlock} dir="ltr">
+      <div style={styles.codeHeader}>
+        <span>{resolveLanguage(lang) ? lang : (lang || 'text')}</span>
+        <button type="button" style={styles.copyButton} onClick={handleCopy} aria-label={t('code.copyLabel')}>
+          {copied ? t('code.copied') : t('code.copy')}
+        </button>
+      </div>
+      <pre style={styles.pre}>
+        <code>
+          {tokens.map((token, i) => (
+            token.type === 'plain' ? token.text : <span key={i} style={TOKEN_COLORS[token.type]}>{token.text}</span>
+          ))}
+        </code>
+      </pre>
+    </div>
+  );
+}
+
+function renderInline(nodes) {
+  return nodes.map((node, i) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'br':
+        return <br key={i} />;
+      case 'code':
+        return <code key={i} style={styles.inlineCode}>{node.value}</code>;
+      case 'strong':
+        return <strong key={i}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={i}>{renderInline(node.children)}</em>;
+      case 'del':
+        return <del key={i}>{renderInline(node.children)}</del>;
+      case 'link':
+        return (
+          <a key={i} href={node.href} target="_blank" rel="noopener noreferrer nofollow" style={styles.link}>
+            {renderInline(node.children)}
+          </a>
+        );
+      default:
+        return null;
+    }
+  });
+}
+
+function renderBlocks(blocks) {
+  return blocks.map((block, i) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${block.level}`;
+        const size = [0, 1.4, 1.25, 1.1, 1, 0.95, 0.9][block.level];
+        return <Tag key={i} style={{ ...styles.heading, fontSize: `${size}em` }}>{renderInline(block.children)}</Tag>;
+      }
+      case 'paragraph':
+        return <p key={i} style={styles.paragraph}>{renderInline(block.children)}</p>;
+      case 'list': {
+        const Tag = block.ordered ? 'ol' : 'ul';
+        return (
+          <Tag key={i} style={styles.list} start={block.ordered && block.start !== 1 ? block.start : undefined}>
+            {block.items.map((item, j) => (
+              <li key={j} style={styles.listItem}>
+                {/* tight items: render a lone paragraph inline */}
+                {item.length === 1 && item[0].type === 'paragraph'
+                  ? renderInline(item[0].children)
+                  : renderBlocks(item)}
+              </li>
+            ))}
+          </Tag>
+        );
+      }
+      case 'blockquote':
+        return <blockquote key={i} style={styles.blockquote}>{renderBlocks(block.children)}</blockquote>;
+      case 'code':
+        return <CodeBlock key={i} lang={block.lang} text={block.text} />;
+      case 'table':
+        return (
+          <div key={i} style={styles.tableWrap}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  {block.header.map((cell, c) => (
+                    <th key={c} style={{ ...styles.cell, textAlign: block.align[c] || 'left' }}>{renderInline(cell)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {block.rows.map((row, r) => (
+                  <tr key={r}>
+                    {row.map((cell, c) => (
+                      <td key={c} style={{ ...styles.cell, textAlign: block.align[c] || 'left' }}>{renderInline(cell)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      case 'hr':
+        return <hr key={i} style={styles.hr} />;
+      default:
+        return null;
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+export default function MarkdownView({ text, streaming = false }) {
+  /** PUBLIC_INTERFACE
+   * Render `text` as Markdown; pass `streaming` while the text is still arriving.
+   */
+  const source = streaming ? stableMarkdownPrefix(text) : text;
+  const blocks = useMemo(() => parseBlocks(source), [source]);
+  return <div style={styles.root} className="markdown-body">{renderBlocks(blocks)}</div>;
+}
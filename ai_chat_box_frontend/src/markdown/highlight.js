@@ -0,0 +1,153 @@
+/**
+ * Lightweight regex-based syntax highlighting for fenced code blocks.
+ * Splits code into [{ type, text }] tokens; types are
+ * comment | string | number | keyword | literal | tag | attr | plain.
+ * Unknown languages come back as a single plain token.
+ */
+
+const JS_KEYWORDS = 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield interface type enum implements private protected public readonly';
+const PY_KEYWORDS = 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield';
+const SH_KEYWORDS = 'if then else elif fi for while until do done case esac function in return export local echo cd exit set unset source';
+const CSS_KEYWORDS = 'important media supports keyframes import from to';
+
+const words = (list) => new Set(list.split(' '));
+
+const LANGUAGES = {
+  js: {
+    keywords: words(JS_KEYWORDS),
+    literals: words('true false null undefined NaN Infinity'),
+    lineComment: '//',
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'", '`'],
+  },
+  json: {
+    keywords: words(''),
+    literals: words('true false null'),
+    strings: ['"'],
+  },
+  py: {
+    keywords: words(PY_KEYWORDS),
+    literals: words('True False None'),
+    lineComment: '#',
+    strings: ['"', "'"],
+  },
+  sh: {
+    keywords: words(SH_KEYWORDS),
+    literals: words('true false'),
+    lineComment: '#',
+    strings: ['"', "'"],
+  },
+  css: {
+    keywords: words(CSS_KEYWORDS),
+    literals: words(''),
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"],
+  },
+  html: { markup: true },
+};
+
+const ALIASES = {
+  javascript: 'js', jsx: 'js', ts: 'js', typescript: 'js', tsx: 'js', mjs: 'js', cjs: 'js',
+  python: 'py', bash: 'sh', shell: 'sh', zsh: 'sh', console: 'sh',
+  scss: 'css', less: 'css', xml: 'html', svg: 'html', vue: 'html',
+};
+
+// Append a token, merging adjacent plain text
+function push(tokens, type, text) {
+  const last = tokens[tokens.length - 1];
+  if (type === 'plain' && last && last.type === 'plain') last.text += text;
+  else tokens.push({ type, text });
+}
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Build one sticky regex per language with a capture group per token type
+function compile(lang) {
+  if (lang.regex) return lang.regex;
+  const parts = [];
+  const types = [];
+  if (lang.blockComment) {
+    parts.push(`${escapeRe(lang.blockComment[0])}[\\s\\S]*?(?:${escapeRe(lang.blockComment[1])}|$)`);
+    types.push('comment');
+  }
+  if (lang.lineComment) {
+    parts.push(`${escapeRe(lang.lineComment)}.*`);
+    types.push('comment');
+  }
+  for (const q of lang.strings) {
+    const body = q === '`' ? '[\\s\\S]' : '.';
+    parts.push(`${q}(?:\\\\${body}|(?!${q})${q === '`' ? '[\\s\\S]' : '[^\\\\\\n]'})*(?:${q}|$)`);
+    types.push('string');
+  }
+  parts.push('\\b(?:0x[\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b');
+  types.push('number');
+  parts.push('[A-Za-z_$][\\w$]*');
+  types.push('word');
+  lang.regex = { re: new RegExp(parts.map(p => `(${p})`).join('|'), 'g'), types };
+  return lang.regex;
+}
+
+function highlightMarkup(code) {
+  const tokens = [];
+  const re = /(<!--[\s\S]*?(?:-->|$))|(<\/?[A-Za-z][\w:-]*)|([\w:-]+)(?==)|("[^"]*"|'[^']*')|(\/?>)/g;
+  let last = 0;
+  let m;
+  let inTag = false;
+  while ((m = re.exec(code))) {
+    if (m.index > last) push(tokens, 'plain', code.slice(last, m.index));
+    if (m[1]) push(tokens, 'comment', m[1]);
+    else if (m[2]) {
+      push(tokens, 'tag', m[2]);
+      inTag = true;
+    } else if (m[3]) push(tokens, inTag ? 'attr' : 'plain', m[3]);
+    else if (m[4]) push(tokens, inTag ? 'string' : 'plain', m[4]);
+    else if (m[5]) {
+      push(tokens, 'tag', m[5]);
+      inTag = false;
+    }
+    last = re.lastIndex;
+  }
+  if (last < code.length) push(tokens, 'plain', code.slice(last));
+  return tokens;
+}
+
+// PUBLIC_INTERFACE
+/** Resolve a fence info string (e.g. "tsx") to a supported language id, or null. */
+export function resolveLanguage(lang) {
+  const key = (lang || '').toLowerCase();
+  if (LANGUAGES[key]) return key;
+  return ALIASES[key] || null;
+}
+
+// PUBLIC_INTERFACE
+/** Tokenise `code` for highlighting; returns [{ type, text }]. */
+export function highlight(code, lang) {
+  const id = resolveLanguage(lang);
+  if (!id) return [{ type: 'plain', text: code }];
+  const def = LANGUAGES[id];
+  if (def.markup) return highlightMarkup(code);
+
+  const { re, types } = compile(def);
+  re.lastIndex = 0;
+  const tokens = [];
+  let last = 0;
+  let m;
+  while ((m = re.exec(code))) {
+    if (m[0] === '') {
+      re.lastIndex++;
+      continue;
+    }
+    if (m.index > last) push(tokens, 'plain', code.slice(last, m.index));
+    const group = m.slice(1).findIndex(g => g !== undefined);
+    let type = types[group];
+    if (type === 'word') {
+      if (def.keywords.has(m[0])) type = 'keyword';
+      else if (def.literals.has(m[0])) type = 'literal';
+      else type = 'plain';
+    }
+    tokens.push({ type, text: m[0] });
+    last = re.lastIndex;
+  }
+  if (last < code.length) push(tokens, 'plain', code.slice(last));
+  return tokens;
+}
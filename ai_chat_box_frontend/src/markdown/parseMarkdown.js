@@ -0,0 +1,443 @@
+/**
+ * Small Markdown parser for chat replies (a practical subset of CommonMark + GFM):
+ * headings, paragraphs, ordered/unordered lists, blockquotes, fenced code, tables,
+ * horizontal rules; inline code, strong, emphasis, strikethrough, links and autolinks.
+ *
+ * Produces a plain AST that MarkdownView turns into React elements. Raw HTML is
+ * never interpreted: it stays text and React escapes it, and link URLs are limited
+ * to safe schemes.
+ */
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const HR_RE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^ {0,3}>\s?(.*)$/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/;
+
+const SAFE_URL_RE = /^(https?:|mailto:)/i;
+const SCHEME_RE = /^[a-z][a-z0-9+.-]*:/i;
+
+// PUBLIC_INTERFACE
+/**
+ * Return the URL if it is safe to link to (http, https, mailto or relative), else null.
+ */
+export function sanitizeUrl(url) {
+  const href = (url || '').trim();
+  if (!href) return null;
+  // Strip characters browsers ignore inside schemes, e.g. "java\nscript:"
+  const normalized = Array.from(href)
+    .filter(ch => ch.charCodeAt(0) > 0x1F && ch.charCodeAt(0) !== 0x7F && !/\s/.test(ch))
+    .join('');
+  if (SAFE_URL_RE.test(normalized)) return href;
+  if (SCHEME_RE.test(normalized)) return null;
+  return href;
+}
+
+const splitRow = (line) => {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  const cells = [''];
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cells[cells.length - 1] += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += row[i];
+    }
+  }
+  return cells.map(cell => cell.trim());
+};
+
+const isTableStart = (lines, i) => lines[i].includes('|') && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes('-');
+
+const startsBlock = (lines, i) => {
+  const line = lines[i];
+  return FENCE_RE.test(line) || HEADING_RE.test(line) || HR_RE.test(line) || QUOTE_RE.test(line)
+    || LIST_RE.test(line) || isTableStart(lines, i);
+};
+
+const indentOf = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_RE);
+  const ordered = /\d/.test(first[2]);
+  const baseIndent = first[1].length;
+  const items = [];
+  let i = start;
+
+  while (i < lines.length) {
+    const m = lines[i].match(LIST_RE);
+    if (!m || m[1].length !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+    const contentIndent = baseIndent + m[2].length + 1;
+    const itemLines = [m[3]];
+    i++;
+    // Continuation: indented lines (nested lists, wrapped text) and lazy paragraph lines
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        const next = lines[i + 1];
+        if (next !== undefined && next.trim() && indentOf(next) >= contentIndent) {
+          itemLines.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) >= contentIndent) {
+        itemLines.push(line.replace(/^\s+/, (ws) => ws.slice(Math.min(ws.length, contentIndent))));
+        i++;
+      } else if (!startsBlock(lines, i) && indentOf(line) > baseIndent) {
+        itemLines.push(line.trim());
+        i++;
+      } else if (!startsBlock(lines, i) && itemLines[itemLines.length - 1] !== '' && !LIST_RE.test(line)) {
+        itemLines.push(line.trim());
+        i++;
+      } else {
+        break;
+      }
+    }
+    items.push(parseBlocks(itemLines.join('\n')));
+    // Blank lines between items keep the list going
+    if (i < lines.length && !lines[i].trim()) {
+      const next = lines[i + 1];
+      const nm = next && next.match(LIST_RE);
+      if (nm && nm[1].length === baseIndent && /\d/.test(nm[2]) === ordered) i++;
+    }
+  }
+  const startNumber = ordered ? parseInt(first[2], 10) : undefined;
+  return { block: { type: 'list', ordered, start: startNumber, items }, next: i };
+}
+
+// PUBLIC_INTERFACE
+/** Parse block-level Markdown into an array of nodes. */
+export function parseBlocks(text) {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_RE);
+    if (fence) {
+      const marker = fence[1];
+      const body = [];
+      i++;
+      while (i < lines.length) {
+        const close = lines[i].match(/^ {0,3}(`{3,}|~{3,})\s*$/);
+        if (close && close[1][0] === marker[0] && close[1].length >= marker.length) break;
+        body.push(lines[i]);
+        i++;
+      }
+      const closed = i < lines.length;
+      i++;
+      blocks.push({ type: 'code', lang: fence[2].toLowerCase(), text: body.join('\n'), closed });
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2] || '') });
+      i++;
+      continue;
+    }
+
+    if (HR_RE.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const body = [];
+      while (i < lines.length && lines[i].trim()) {
+        const q = lines[i].match(QUOTE_RE);
+        body.push(q ? q[1] : lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(body.join('\n')) });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map((cell) => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+      });
+      i += 2;
+      const rows = [];
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitRow(lines[i]);
+        rows.push(header.map((_, c) => parseInline(cells[c] || '')));
+        i++;
+      }
+      blocks.push({ type: 'table', align, header: header.map(h => parseInline(h)), rows });
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const { block, next } = parseList(lines, i);
+      blocks.push(block);
+      i = next;
+      continue;
+    }
+
+    const para = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+      para.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(para.join('\n')) });
+  }
+  return blocks;
+}
+
+const isWordChar = (ch) => !!ch && /[\p{L}\p{N}_]/u.test(ch);
+
+// Find the closing delimiter for an inline span starting at `from`
+function findClose(text, delim, from) {
+  let i = from;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (text[i] === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      i = end < 0 ? i + run.length : end + run.length;
+      continue;
+    }
+    if (text.startsWith(delim, i) && i > from && !/\s/.test(text[i - 1])) {
+      // single-char delimiters must not be part of a double one
+      if (delim.length === 1 && (text[i + 1] === delim || text[i - 1] === delim)) {
+        i += 1;
+        continue;
+      }
+      if (delim === '_' && isWordChar(text[i + 1])) {
+        i += 1;
+        continue;
+      }
+      return i;
+    }
+    i++;
+  }
+  return -1;
+}
+
+// Find the `]` matching the `[` at `open`, honouring nesting and escapes
+function findBracket(text, open) {
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '[') {
+      depth++;
+    } else if (text[i] === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+const AUTOLINK_RE = /^(https?:\/\/[^\s<>]+[^\s<>.,;:!?'")\]])/i;
+
+// PUBLIC_INTERFACE
+/** Parse inline Markdown into an array of nodes. */
+export function parseInline(text) {
+  const nodes = [];
+  let buffer = '';
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const rest = text.slice(i);
+
+    if (ch === '\\' && /[!-/:-@[-`{-~]/.test(text[i + 1] || '')) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === '\n') {
+      flush();
+      nodes.push({ type: 'br' });
+      i++;
+      continue;
+    }
+
+    if (ch === '`') {
+      const run = rest.match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end >= 0) {
+        flush();
+        nodes.push({ type: 'code', value: text.slice(i + run.length, end).replace(/^ (.*) $/s, '$1') });
+        i = end + run.length;
+        continue;
+      }
+      buffer += run;
+      i += run.length;
+      continue;
+    }
+
+    const double = rest.startsWith('**') ? '**' : rest.startsWith('__') ? '__' : rest.startsWith('~~') ? '~~' : null;
+    if (double && text[i + 2] && !/\s/.test(text[i + 2]) && !(double === '__' && isWordChar(text[i - 1]))) {
+      const end = findClose(text, double, i + 2);
+      if (end > i + 2) {
+        flush();
+        nodes.push({ type: double === '~~' ? 'del' : 'strong', children: parseInline(text.slice(i + 2, end)) });
+        i = end + 2;
+        continue;
+      }
+    }
+
+    if ((ch === '*' || ch === '_') && text[i + 1] && !/\s/.test(text[i + 1]) && text[i + 1] !== ch
+      && !(ch === '_' && isWordChar(text[i - 1]))) {
+      const end = findClose(text, ch, i + 1);
+      if (end > i + 1) {
+        flush();
+        nodes.push({ type: 'em', children: parseInline(text.slice(i + 1, end)) });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (ch === '[' || (ch === '!' && text[i + 1] === '[')) {
+      const open = ch === '!' ? i + 1 : i;
+      const close = findBracket(text, open);
+      const target = close >= 0 ? text.slice(close + 1).match(/^\(\s*<?([^\s()<>]*(?:\([^\s()]*\)[^\s()<>]*)*)>?(?:\s+"[^"]*")?\s*\)/) : null;
+      if (target) {
+        flush();
+        const label = text.slice(open + 1, close);
+        const href = sanitizeUrl(target[1]);
+        // Images are shown as links: never load remote content from a reply
+        const children = parseInline(label || target[1]);
+        nodes.push(href ? { type: 'link', href, children } : { type: 'text', value: label });
+        i = close + 1 + target[0].length;
+        continue;
+      }
+    }
+
+    if ((ch === 'h' || ch === 'H') && !isWordChar(text[i - 1])) {
+      const m = rest.match(AUTOLINK_RE);
+      if (m) {
+        flush();
+        nodes.push({ type: 'link', href: m[1], children: [{ type: 'text', value: m[1] }] });
+        i += m[1].length;
+        continue;
+      }
+    }
+
+    buffer += ch;
+    i++;
+  }
+  flush();
+  return nodes;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Trim a partially streamed reply so it never renders half-open Markdown:
+ * an unterminated code fence is closed, and an unclosed inline span (`code`,
+ * **strong**, *em*, ~~del~~ or a [link]( in progress) at the end is held back
+ * until its closing delimiter arrives.
+ */
+export function stableMarkdownPrefix(text) {
+  const src = text || '';
+  const lines = src.split('\n');
+
+  // Inside an open fence: close it so the partial code renders as a code block
+  let fenceOpen = null;
+  let lastBlockStart = 0;
+  let offset = 0;
+  lines.forEach((line) => {
+    const m = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (m) {
+      if (!fenceOpen) fenceOpen = m[1];
+      else if (m[1][0] === fenceOpen[0] && m[1].length >= fenceOpen.length && !line.trim().slice(m[1].length)) fenceOpen = null;
+    }
+    if (!fenceOpen && !line.trim()) lastBlockStart = offset + line.length + 1;
+    offset += line.length + 1;
+  });
+  if (fenceOpen) {
+    const lastLine = lines[lines.length - 1];
+    // Hold back a closing fence that is still being typed
+    const body = /^ {0,3}[`~]{1,}$/.test(lastLine) && lines.length > 1 ? lines.slice(0, -1).join('\n') : src;
+    return `${body}\n${fenceOpen}`;
+  }
+
+  // A fence or heading marker still being typed on the last line
+  const lastLine = lines[lines.length - 1];
+  if (/^ {0,3}(`{1,2}|~{1,2}|#{1,6})$/.test(lastLine)) return src.slice(0, src.length - lastLine.length);
+
+  // Scan the last block for unclosed inline openers
+  const block = src.slice(lastBlockStart);
+  const stack = [];
+  let i = 0;
+  while (i < block.length) {
+    const ch = block[i];
+    if (ch === '\\') {
+      i += 2;
+      continue;
+    }
+    if (ch === '`') {
+      const run = block.slice(i).match(/^`+/)[0];
+      const end = block.indexOf(run, i + run.length);
+      if (end < 0) {
+        stack.push({ delim: run, at: i });
+        break;
+      }
+      i = end + run.length;
+      continue;
+    }
+    const two = block.slice(i, i + 2);
+    const delim = two === '**' || two === '__' || two === '~~' ? two : (ch === '*' || ch === '_') ? ch : null;
+    if (delim) {
+      const top = stack[stack.length - 1];
+      const intraword = delim[0] === '_' && isWordChar(block[i - 1]) && isWordChar(block[i + delim.length]);
+      if (top && top.delim === delim) {
+        stack.pop();
+      } else if (!intraword && block[i + delim.length] && !/\s/.test(block[i + delim.length])) {
+        stack.push({ delim, at: i });
+      } else if (!intraword && i + delim.length >= block.length) {
+        // opener typed as the very last character
+        stack.push({ delim, at: i });
+      }
+      i += delim.length;
+      continue;
+    }
+    if (ch === '[') {
+      const close = findBracket(block, i);
+      if (close < 0) {
+        stack.push({ delim: '[', at: i });
+        break;
+      }
+      if (block[close + 1] === '(' && block.indexOf(')', close) < 0) {
+        stack.push({ delim: '[', at: i });
+        break;
+      }
+      i = close + 1;
+      continue;
+    }
+    i++;
+  }
+  if (!stack.length) return src;
+  return src.slice(0, lastBlockStart + stack[0].at).replace(/[ \t]+$/, '');
+}
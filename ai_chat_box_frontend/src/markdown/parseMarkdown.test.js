@@ -0,0 +1,51 @@
+import { parseBlocks, parseInline, sanitizeUrl, stableMarkdownPrefix } from './parseMarkdown';
+import { highlight } from './highlight';
+
+test('parses headings, lists, code fences and tables', () => {
+  const blocks = parseBlocks([
+    '# Title',
+    '',
+    '- one',
+    '- two',
+    '',
+    '```js',
+    'const a = 1;',
+    '```',
+    '',
+    '| a | b |',
+    '|:--|--:|',
+    '| 1 | 2 |',
+  ].join('\n'));
+  expect(blocks.map(b => b.type)).toEqual(['heading', 'list', 'code', 'table']);
+  expect(blocks[1].items).toHaveLength(2);
+  expect(blocks[2]).toMatchObject({ lang: 'js', text: 'const a = 1;', closed: true });
+  expect(blocks[3].align).toEqual(['left', 'right']);
+});
+
+test('parses inline formatting and keeps raw HTML as text', () => {
+  const nodes = parseInline('**bold** and `code` <b>x</b>');
+  expect(nodes[0]).toMatchObject({ type: 'strong' });
+  expect(nodes.find(n => n.type === 'code').value).toBe('code');
+  expect(nodes[nodes.length - 1]).toEqual({ type: 'text', value: ' <b>x</b>' });
+});
+
+test('drops unsafe link targets', () => {
+  expect(sanitizeUrl('https://example.com')).toBe('https://example.com');
+  expect(sanitizeUrl('/docs')).toBe('/docs');
+  expect(sanitizeUrl('javascript:alert(1)')).toBeNull();
+  expect(sanitizeUrl(' JaVa\tScript:alert(1)')).toBeNull();
+  expect(sanitizeUrl('data:text/html;base64,xx')).toBeNull();
+  expect(parseInline('[x](javascript:alert(1))')).toEqual([{ type: 'text', value: 'x' }]);
+});
+
+test('holds back unfinished markdown while streaming', () => {
+  expect(stableMarkdownPrefix('Hello **wor')).toBe('Hello');
+  expect(stableMarkdownPrefix('```js\nconst a')).toBe('```js\nconst a\n```');
+  expect(stableMarkdownPrefix('Done **here**.')).toBe('Done **here**.');
+});
+
+test('highlights keywords, strings and comments', () => {
+  const types = highlight('const s = "x"; // hi', 'js').map(t => t.type);
+  expect(types).toEqual(expect.arrayContaining(['keyword', 'string', 'comment']));
+  expect(highlight('plain', 'unknown')).toEqual([{ type: 'plain', text: 'plain' }]);
+});
@@ -0,0 +1,252 @@
+import { createZeroWeights, weightsFromNamed, weightsToNamed } from './intentModel';
+import { DEFAULT_SKILL_PACK } from './skillPack';
+import { namespacedKey } from './storage';
+
+/**
+ * Learned memory as a versioned JSON document, used both for localStorage
+ * persistence and for export/import between browsers.
+ *
+ *   {
+ *     format: 'smartgpt-memory',
+ *     schemaVersion: 1,
+ *     exportedAt: ISO date,
+ *     skillPack: { id, version },           // pack active when saved
+ *     weights: { intentKey: { featureName: weight } },   // also for intents and
+ *                                                       // features other packs have
+ *     stats: { messages, updates, feedback },
+ *     settings: { learningEnabled, skillPackId, engine? },
+ *   }
+ *
+ * Older data is upgraded by MIGRATIONS, one schema version at a time. Version 0
+ * is the set of legacy localStorage keys (`*_v1`, plus the named weights key).
+ *
+ * Learning state is { weights, stats, learningEnabled, carried? } where `weights`
+ * is the matrix of the active pack and `carried` holds the named weights it has
+ * no place for (learned under another pack), so switching back restores them.
+ */
+
+export const MEMORY_FORMAT = 'smartgpt-memory';
+export const MEMORY_SCHEMA_VERSION = 1;
+
+// Storage keys
+const LS_KEYS = {
+  memory: 'smartgpt_memory',
+  legacyWeights: 'smartgpt_intent_weights_v1',
+  legacyNamedWeights: 'smartgpt_intent_weights_v2',
+  legacyStats: 'smartgpt_stats_v1',
+  legacyLearnEnabled: 'smartgpt_learning_enabled_v1',
+};
+
+const emptyStats = () => ({ messages: 0, updates: 0, feedback: 0 });
+
+// Feature order of the index-based `_v1` weight rows, as the original app wrote them.
+// Frozen: the packs' feature lists have grown and been reordered since.
+const LEGACY_FEATURES = Object.freeze([
+  'kw_hello', 'kw_how_are_you', 'kw_weather', 'kw_name', 'kw_thanks', 'kw_bye', 'kw_project', 'kw_help',
+  'cue_question', 'cue_exclaim', 'sent_pos', 'sent_neg', 'len_short', 'len_medium', 'len_long',
+]);
+
+// localStorage values are JSON strings; exported dumps may hold parsed values
+const parseMaybeJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+/**
+ * Version 0 -> 1: legacy localStorage keys to the memory document.
+ * Index-based v1 weights are read in LEGACY_FEATURES order; rows with the wrong
+ * length are dropped, as the old loader did.
+ */
+function migrateLegacyKeys(legacy) {
+  let weights = {};
+  const named = parseMaybeJson(legacy[LS_KEYS.legacyNamedWeights]);
+  const indexed = parseMaybeJson(legacy[LS_KEYS.legacyWeights]);
+  if (named && typeof named === 'object') {
+    weights = named;
+  } else if (indexed && typeof indexed === 'object') {
+    for (const [intentKey, row] of Object.entries(indexed)) {
+      if (!Array.isArray(row) || row.length !== LEGACY_FEATURES.length) continue;
+      weights[intentKey] = Object.fromEntries(LEGACY_FEATURES
+        .map((name, i) => [name, Number(row[i])])
+        .filter(([, value]) => Number.isFinite(value) && value !== 0));
+    }
+  }
+
+  const stats = parseMaybeJson(legacy[LS_KEYS.legacyStats]);
+  const learningEnabled = parseMaybeJson(legacy[LS_KEYS.legacyLearnEnabled]);
+  return {
+    format: MEMORY_FORMAT,
+    schemaVersion: 1,
+    exportedAt: new Date().toISOString(),
+    skillPack: { id: DEFAULT_SKILL_PACK.id, version: DEFAULT_SKILL_PACK.version },
+    weights,
+    stats: { ...emptyStats(), ...(stats || {}) },
+    settings: { learningEnabled: learningEnabled ?? true, skillPackId: DEFAULT_SKILL_PACK.id },
+  };
+}
+
+// MIGRATIONS[n] upgrades a version-n document to version n + 1
+const MIGRATIONS = [migrateLegacyKeys];
+
+const isLegacySnapshot = (doc) => Object.values(LS_KEYS).some(key => key !== LS_KEYS.memory && key in doc);
+
+function validateDocument(doc) {
+  if (!doc.weights || typeof doc.weights !== 'object' || Array.isArray(doc.weights)) {
+    throw new Error('Memory document has no weights object');
+  }
+  for (const [intentKey, row] of Object.entries(doc.weights)) {
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      throw new Error(`Memory weights for "${intentKey}" must be keyed by feature name`);
+    }
+    for (const [name, value] of Object.entries(row)) {
+      if (!Number.isFinite(value)) throw new Error(`Memory weight ${intentKey}.${name} is not a number`);
+    }
+  }
+  for (const [key, value] of Object.entries(doc.stats || {})) {
+    if (!Number.isFinite(value)) throw new Error(`Memory stat "${key}" is not a number`);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Upgrade any supported memory document (or legacy key snapshot) to the current
+ * schema version and validate it. Throws with a readable message otherwise.
+ */
+export function migrateMemoryDocument(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('Memory file must contain a JSON object');
+  }
+  let doc = input;
+  let version;
+  if (doc.format === MEMORY_FORMAT) {
+    version = doc.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) throw new Error('Memory document has an invalid schemaVersion');
+    if (version > MEMORY_SCHEMA_VERSION) {
+      throw new Error(`Memory schema v${version} is newer than this app supports (v${MEMORY_SCHEMA_VERSION})`);
+    }
+  } else if (isLegacySnapshot(doc)) {
+    version = 0;
+  } else {
+    throw new Error('Not a SmartChatGPT memory file');
+  }
+
+  for (; version < MEMORY_SCHEMA_VERSION; version++) {
+    doc = MIGRATIONS[version](doc);
+  }
+  validateDocument(doc);
+  return {
+    ...doc,
+    stats: { ...emptyStats(), ...(doc.stats || {}) },
+    settings: { learningEnabled: true, ...(doc.settings || {}) },
+  };
+}
+
+// Named weights of learning state for `pack`, with the carried ones
+function namedWeightsOf({ weights, carried }, pack) {
+  const named = weightsToNamed(weights, pack);
+  for (const [intentKey, row] of Object.entries(carried || {})) {
+    named[intentKey] = { ...row, ...named[intentKey] };
+  }
+  return named;
+}
+
+// The named weights `pack` has no intent or feature for, or null if there are none
+function unmappedWeights(named, pack) {
+  const features = new Set(pack.features.map(f => f.name));
+  const rest = {};
+  for (const [intentKey, row] of Object.entries(named || {})) {
+    const known = pack.intents.some(intent => intent.key === intentKey);
+    const kept = Object.entries(row).filter(([name]) => !known || !features.has(name));
+    if (kept.length) rest[intentKey] = Object.fromEntries(kept);
+  }
+  return Object.keys(rest).length ? rest : null;
+}
+
+// Learning state from named weights; `carried` is only set when something is carried
+function stateFromNamed(named, pack, rest) {
+  const carried = unmappedWeights(named, pack);
+  return { weights: weightsFromNamed(named, pack), ...rest, ...(carried ? { carried } : {}) };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Move learning state to another pack. Weights are matched by intent key and feature
+ * name; the ones `toPack` lacks are carried along for a later switch back.
+ */
+export function switchMemoryPack(state, fromPack, toPack) {
+  const { stats, learningEnabled } = state;
+  return stateFromNamed(namedWeightsOf(state, fromPack), toPack, { stats, learningEnabled });
+}
+
+// PUBLIC_INTERFACE
+/** Build a memory document from the in-memory learning state. */
+export function createMemoryDocument({ weights, stats, learningEnabled, carried }, pack, extraSettings = {}) {
+  return {
+    format: MEMORY_FORMAT,
+    schemaVersion: MEMORY_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    skillPack: { id: pack.id, version: pack.version },
+    weights: namedWeightsOf({ weights, carried }, pack),
+    stats: { ...emptyStats(), ...stats },
+    settings: { learningEnabled, skillPackId: pack.id, ...extraSettings },
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Turn a (migrated) memory document into learning state for `pack`. */
+export function memoryFromDocument(doc, pack) {
+  return stateFromNamed(doc.weights, pack, {
+    stats: { ...emptyStats(), ...doc.stats },
+    learningEnabled: doc.settings?.learningEnabled ?? true,
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Parse and migrate an exported memory file's text. */
+export function parseMemoryDocument(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Memory file is not valid JSON (${e.message})`);
+  }
+  return migrateMemoryDocument(json);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Load learning state from localStorage; returns safe defaults if absent or invalid.
+ * Falls back to (and migrates) the legacy keys when no memory document exists yet.
+ * `namespace` selects the storage namespace (see namespacedKey); `learningEnabled`
+ * is the toggle's state when nothing is stored.
+ */
+export function loadMemory(pack, { namespace = '', learningEnabled = true } = {}) {
+  try {
+    const json = localStorage.getItem(namespacedKey(LS_KEYS.memory, namespace));
+    if (json) return memoryFromDocument(migrateMemoryDocument(JSON.parse(json)), pack);
+
+    // legacy keys predate namespaces
+    const legacy = {};
+    for (const key of [LS_KEYS.legacyWeights, LS_KEYS.legacyNamedWeights, LS_KEYS.legacyStats, LS_KEYS.legacyLearnEnabled]) {
+      const value = localStorage.getItem(key);
+      if (value !== null) legacy[key] = value;
+    }
+    if (!namespace && Object.keys(legacy).length) return memoryFromDocument(migrateMemoryDocument(legacy), pack);
+  } catch {
+    // fall through to defaults
+  }
+  return createEmptyMemory(pack, learningEnabled);
+}
+
+// PUBLIC_INTERFACE
+/** Persist learning state to localStorage as a memory document. */
+export function persistMemory(state, pack, namespace = '') {
+  try {
+    localStorage.setItem(namespacedKey(LS_KEYS.memory, namespace), JSON.stringify(createMemoryDocument(state, pack)));
+  } catch {
+    // ignore quota or serialization errors for this demo
+  }
+}
+
+// PUBLIC_INTERFACE
+/** Fresh learning state (used by "Reset Learning"). */
+export function createEmptyMemory(pack, learningEnabled = true) {
+  return { weights: createZeroWeights(pack), stats: emptyStats(), learningEnabled };
+}
@@ -0,0 +1,87 @@
+import {
+  MEMORY_SCHEMA_VERSION,
+  createMemoryDocument,
+  loadMemory,
+  memoryFromDocument,
+  migrateMemoryDocument,
+  parseMemoryDocument,
+  persistMemory,
+  switchMemoryPack,
+} from './memory';
+import { BUILTIN_SKILL_PACKS, DEFAULT_SKILL_PACK } from './skillPack';
+import { createZeroWeights } from './intentModel';
+
+const pack = DEFAULT_SKILL_PACK;
+const helloIdx = pack.featureIndex.kw_hello;
+
+afterEach(() => localStorage.clear());
+
+test('legacy _v1 localStorage keys migrate to a named-weight document', () => {
+  // the original app's rows: 15 features, kw_hello first and len_long last
+  const legacyRow = [0.5, 0, 0, 0, 0, 0, 0, 0.25, 0, 0, 0, 0, 0, 0, -0.75];
+  localStorage.setItem('smartgpt_intent_weights_v1', JSON.stringify({ greeting: legacyRow, weather: [1, 2] }));
+  localStorage.setItem('smartgpt_stats_v1', JSON.stringify({ messages: 4, updates: 3 }));
+  localStorage.setItem('smartgpt_learning_enabled_v1', 'false');
+
+  const state = loadMemory(pack);
+  expect(state.weights.greeting[helloIdx]).toBe(0.5);
+  expect(state.weights.greeting[pack.featureIndex.kw_help]).toBe(0.25);
+  expect(state.weights.greeting[pack.featureIndex.len_long]).toBe(-0.75);
+  expect(state.weights.greeting.filter(Boolean)).toHaveLength(3);
+  expect(state.weights.weather.every(v => v === 0)).toBe(true);
+  expect(state.stats).toEqual({ messages: 4, updates: 3, feedback: 0 });
+  expect(state.learningEnabled).toBe(false);
+});
+
+test('memory round-trips through localStorage and export', () => {
+  const weights = createZeroWeights(pack);
+  weights.farewell[helloIdx] = -0.3;
+  const state = { weights, stats: { messages: 2, updates: 1, feedback: 1 }, learningEnabled: true };
+  persistMemory(state, pack);
+  expect(loadMemory(pack)).toEqual(state);
+
+  const doc = createMemoryDocument(state, pack, { engine: { engineId: 'intent' } });
+  expect(doc.schemaVersion).toBe(MEMORY_SCHEMA_VERSION);
+  expect(doc.weights.farewell).toEqual({ kw_hello: -0.3 });
+  expect(memoryFromDocument(parseMemoryDocument(JSON.stringify(doc)), pack)).toEqual(state);
+});
+
+test('a storage namespace keeps memory apart from the default one', () => {
+  const weights = createZeroWeights(pack);
+  weights.greeting[helloIdx] = 0.7;
+  const state = { weights, stats: { messages: 1, updates: 1, feedback: 0 }, learningEnabled: true };
+  persistMemory(state, pack, 'support');
+  expect(loadMemory(pack, { namespace: 'support' })).toEqual(state);
+  expect(loadMemory(pack, { namespace: 'sales' }).weights.greeting[helloIdx]).toBe(0);
+  expect(loadMemory(pack, { namespace: 'sales', learningEnabled: false }).learningEnabled).toBe(false);
+  expect(loadMemory(pack).weights.greeting[helloIdx]).not.toBe(0.7);
+});
+
+test('switching packs and back keeps what only one of them has', () => {
+  const support = BUILTIN_SKILL_PACKS.find(p => p.id === 'support');
+  const onlyDefault = pack.intents.find(intent => !support.intents.some(i => i.key === intent.key)).key;
+  const weights = createZeroWeights(pack);
+  weights[onlyDefault][helloIdx] = 0.4;
+  weights.greeting[helloIdx] = 0.6;
+  const state = { weights, stats: { messages: 3, updates: 2, feedback: 0 }, learningEnabled: true };
+
+  const switched = switchMemoryPack(state, pack, support);
+  expect(switched.weights[onlyDefault]).toBeUndefined();
+  expect(switched.carried[onlyDefault]).toEqual({ kw_hello: 0.4 });
+
+  // the carried weights survive a reload while the other pack is active
+  persistMemory(switched, support);
+  const back = switchMemoryPack(loadMemory(support), support, pack);
+  expect(back.weights).toEqual(weights);
+  expect(back.stats).toEqual(state.stats);
+  expect(back.carried).toBeUndefined();
+});
+
+test('unsupported or malformed documents are rejected', () => {
+  expect(() => migrateMemoryDocument({ format: 'smartgpt-memory', schemaVersion: MEMORY_SCHEMA_VERSION + 1, weights: {} }))
+    .toThrow(/newer/);
+  expect(() => migrateMemoryDocument({ hello: 1 })).toThrow(/Not a SmartChatGPT memory file/);
+  expect(() => migrateMemoryDocument({ format: 'smartgpt-memory', schemaVersion: 1, weights: { greeting: [1, 2] } }))
+    .toThrow(/keyed by feature name/);
+  expect(() => parseMemoryDocument('{')).toThrow(/not valid JSON/);
+});
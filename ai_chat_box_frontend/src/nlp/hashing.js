@@ -0,0 +1,79 @@
+import { DEFAULT_STOPWORDS, isWord, tokenize } from './tokenizer';
+
+/**
+ * Hashed n-gram features ("the hashing trick"): word n-grams and character
+ * n-grams of the text are hashed into a fixed number of slots, so a classifier
+ * can learn from any vocabulary without a feature list or a stored dictionary.
+ * Colliding n-grams simply share a slot. The vector is L2-normalised and scaled
+ * by `weight`, so long messages do not outweigh the hand-written features.
+ */
+
+export const DEFAULT_HASHING = {
+  size: 256,
+  wordNgrams: [1, 2],
+  charNgrams: [3, 4],
+  weight: 1,
+  stem: true,
+  stopwords: DEFAULT_STOPWORDS,
+};
+
+// PUBLIC_INTERFACE
+/** 32-bit FNV-1a hash of a string (unsigned). */
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// PUBLIC_INTERFACE
+/** Word n-grams of `tokens` for every n in [min, max], joined with spaces. */
+export function wordNgrams(tokens, [min, max] = [1, 1]) {
+  const grams = [];
+  for (let n = min; n <= max; n++) {
+    for (let i = 0; i + n <= tokens.length; i++) grams.push(tokens.slice(i, i + n).join(' '));
+  }
+  return grams;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Character n-grams of each word for every n in [min, max]. Words are padded
+ * with "<" and ">" so prefixes and suffixes get their own grams.
+ */
+export function charNgrams(words, [min, max] = [3, 3]) {
+  const grams = [];
+  for (const word of words) {
+    const chars = Array.from(`<${word}>`);
+    for (let n = min; n <= max; n++) {
+      for (let i = 0; i + n <= chars.length; i++) grams.push(chars.slice(i, i + n).join(''));
+    }
+  }
+  return grams;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Hashed feature vector of `text` (Float32Array of `size`). Word n-grams use the
+ * stemmed, stopword-free tokens (emoji included); character n-grams use the
+ * unstemmed words. Either range may be null to skip that kind.
+ */
+export function hashedFeatures(text, options = {}) {
+  const { size, wordNgrams: wordRange, charNgrams: charRange, weight, stem, stopwords } = { ...DEFAULT_HASHING, ...options };
+  const vec = new Float32Array(size);
+  const add = (prefix, grams) => {
+    for (const gram of grams) vec[hashString(prefix + gram) % size] += 1;
+  };
+  if (wordRange) add('w:', wordNgrams(tokenize(text, { punctuation: false, stem, stopwords }), wordRange));
+  if (charRange) add('c:', charNgrams(tokenize(text, { punctuation: false, emoji: false }).filter(isWord), charRange));
+
+  let norm = 0;
+  for (let i = 0; i < size; i++) norm += vec[i] * vec[i];
+  if (norm > 0) {
+    const scale = weight / Math.sqrt(norm);
+    for (let i = 0; i < size; i++) vec[i] *= scale;
+  }
+  return vec;
+}
@@ -0,0 +1,26 @@
+import { charNgrams, hashString, hashedFeatures, wordNgrams } from './hashing';
+
+test('builds word and character n-grams', () => {
+  expect(wordNgrams(['track', 'my', 'parcel'], [1, 2])).toEqual(['track', 'my', 'parcel', 'track my', 'my parcel']);
+  expect(charNgrams(['hey'], [3, 4])).toEqual(['<he', 'hey', 'ey>', '<hey', 'hey>']);
+  expect(charNgrams(['日本'], [3, 3])).toEqual(['<日本', '日本>']);
+});
+
+test('hashes into a fixed-size, normalised vector', () => {
+  expect(hashString('abc')).toBe(hashString('abc'));
+  expect(hashString('abc')).not.toBe(hashString('abd'));
+
+  const vec = hashedFeatures('Track my parcel please', { size: 64, weight: 2 });
+  expect(vec).toBeInstanceOf(Float32Array);
+  expect(vec).toHaveLength(64);
+  const norm = Math.sqrt(vec.reduce((n, v) => n + v * v, 0));
+  expect(norm).toBeCloseTo(2);
+  expect(hashedFeatures('', { size: 8 }).every(v => v === 0)).toBe(true);
+});
+
+test('similar texts share hashed features, unrelated ones barely do', () => {
+  const dot = (a, b) => a.reduce((n, v, i) => n + v * b[i], 0);
+  const a = hashedFeatures('where is my parcel', { size: 512 });
+  expect(dot(a, hashedFeatures('where are my parcels?', { size: 512 }))).toBeGreaterThan(0.6);
+  expect(dot(a, hashedFeatures('sunny weather today', { size: 512 }))).toBeLessThan(0.2);
+});
@@ -0,0 +1,2 @@
+export { DEFAULT_STOPWORDS, findPhrase, isWord, stem, tokenize } from './tokenizer';
+export { DEFAULT_HASHING, charNgrams, hashString, hashedFeatures, wordNgrams } from './hashing';
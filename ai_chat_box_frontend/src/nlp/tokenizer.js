@@ -0,0 +1,97 @@
+/**
+ * Text tokenisation shared by the intent features, the TF.js classifier and the
+ * knowledge base.
+ *
+ * Text is NFKC-normalised and lowercased, then split into:
+ * - words: runs of Unicode letters, marks and digits, with inner apostrophes kept
+ *   ("don't", "l'été")
+ * - emoticons such as :) ;-( :D, and emoji (including ZWJ sequences, variation
+ *   selectors and skin tones) as single tokens, unless `emoji` is false
+ * - "?" and "!" as tokens (the Arabic "؟" counts as "?"), unless `punctuation` is
+ *   false; other punctuation is dropped
+ * Words can then be stemmed (`stem`) and filtered against a stopword list.
+ */
+
+const TOKEN_RE = new RegExp([
+  "[\\p{L}\\p{M}\\p{N}]+(?:'[\\p{L}\\p{M}\\p{N}]+)*",
+  '[:;]-?[()dp](?![\\p{L}\\p{N}])',
+  '\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier}|\\u200D\\p{Extended_Pictographic})*',
+  '[?!]',
+].join('|'), 'gu');
+
+const WORD_RE = /^[\p{L}\p{M}\p{N}]/u;
+
+// PUBLIC_INTERFACE
+/** Common English words that carry little meaning on their own. */
+export const DEFAULT_STOPWORDS = Object.freeze([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'did', 'do', 'does',
+  'for', 'from', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on',
+  'or', 'our', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'whom', 'why', 'will', 'with',
+  'would', 'you', 'your',
+]);
+
+// PUBLIC_INTERFACE
+/** True for word tokens (as opposed to punctuation, emoticons and emoji). */
+export function isWord(token) {
+  return WORD_RE.test(token);
+}
+
+const VOWEL_RE = /[aeiouy]/;
+
+// PUBLIC_INTERFACE
+/**
+ * Light English suffix stripping ("forecasts" -> "forecast", "running" -> "run",
+ * "replies" -> "reply"). Short words and words outside a-z are left alone.
+ */
+export function stem(word) {
+  if (word.length <= 3 || !/^[a-z']+$/.test(word)) return word;
+  if (word.endsWith("'s")) return word.slice(0, -2);
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  for (const suffix of ['ing', 'ed']) {
+    const base = word.slice(0, -suffix.length);
+    if (word.endsWith(suffix) && base.length >= 3 && VOWEL_RE.test(base)) {
+      // running -> run, but keep "ll"/"ss" endings (spelled -> spell)
+      return /([^aeioulsz])\1$/.test(base) ? base.slice(0, -1) : base;
+    }
+  }
+  if (word.endsWith('ly') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Split text into tokens. Options:
+ * - punctuation (true): keep "?" and "!"
+ * - emoji (true): keep emoji and emoticons
+ * - stem (false): stem words
+ * - stopwords (null): words to drop (matched before stemming), as an array or Set
+ */
+export function tokenize(text, { punctuation = true, emoji = true, stem: useStem = false, stopwords = null } = {}) {
+  const normalized = String(text || '').normalize('NFKC').toLowerCase().replace(/[‘’ʼ]/g, "'").replace(/\u061F/g, '?');
+  const drop = stopwords && !(stopwords instanceof Set) ? new Set(stopwords) : stopwords;
+  const tokens = [];
+  for (const [token] of normalized.matchAll(TOKEN_RE)) {
+    if (isWord(token)) {
+      if (drop?.has(token)) continue;
+      tokens.push(useStem ? stem(token) : token);
+    } else if (token === '?' || token === '!') {
+      if (punctuation) tokens.push(token);
+    } else if (emoji) {
+      tokens.push(token);
+    }
+  }
+  return tokens;
+}
+
+// PUBLIC_INTERFACE
+/** Index of the first occurrence of the token sequence `phrase` in `tokens`, or -1. */
+export function findPhrase(tokens, phrase) {
+  if (!phrase.length) return -1;
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((t, j) => tokens[i + j] === t)) return i;
+  }
+  return -1;
+}
@@ -0,0 +1,31 @@
+import { DEFAULT_STOPWORDS, findPhrase, stem, tokenize } from './tokenizer';
+
+test('splits on Unicode word boundaries and keeps contractions', () => {
+  expect(tokenize("Don’t   panic, Zoë! Ça va? naïve café 東京")).toEqual([
+    "don't", 'panic', 'zoë', '!', 'ça', 'va', '?', 'naïve', 'café', '東京',
+  ]);
+  expect(tokenize('ＦＵＬＬＷＩＤＴＨ text')).toEqual(['fullwidth', 'text']);
+  expect(tokenize('')).toEqual([]);
+});
+
+test('keeps emoji, emoticons, "?" and "!" as tokens unless turned off', () => {
+  expect(tokenize('great :) 👍🏽 thanks!!! 👩‍💻')).toEqual(['great', ':)', '👍🏽', 'thanks', '!', '!', '!', '👩‍💻']);
+  expect(tokenize('ok :-( why?', { punctuation: false, emoji: false })).toEqual(['ok', 'why']);
+  // URLs and times are not emoticons
+  expect(tokenize('see http://x.io at 10:30')).toEqual(['see', 'http', 'x', 'io', 'at', '10', '30']);
+});
+
+test('stems words and drops stopwords on request', () => {
+  expect(['forecasts', 'running', 'replies', 'spelled', 'classes', 'bus', 'this', 'quickly'].map(stem))
+    .toEqual(['forecast', 'run', 'reply', 'spell', 'class', 'bus', 'this', 'quick']);
+  expect(tokenize('What is the weather forecasts for Paris?', { stem: true, stopwords: DEFAULT_STOPWORDS }))
+    .toEqual(['weather', 'forecast', 'paris', '?']);
+});
+
+test('findPhrase matches whole token sequences only', () => {
+  const tokens = tokenize('so which one is this, you know how are you');
+  expect(findPhrase(tokens, ['hi'])).toBe(-1);
+  expect(findPhrase(tokens, ['yo'])).toBe(-1);
+  expect(findPhrase(tokens, ['how', 'are', 'you'])).toBe(7);
+  expect(findPhrase(tokens, [])).toBe(-1);
+});
@@ -0,0 +1,10 @@
+export {
+  DEFAULT_SEARCH,
+  SEARCH_INDEX_VERSION,
+  createSearchIndex,
+  highlightMatches,
+  indexConversation,
+  removeConversationFromIndex,
+  searchMessages,
+  searchTerms,
+} from './messageSearch';
@@ -0,0 +1,201 @@
+import { tokenize } from '../nlp/tokenizer';
+
+/**
+ * Full-text search over the messages of every conversation.
+ *
+ * The index is a plain JSON object:
+ *   { version,
+ *     messages: { key: { conversationId, index, role, intent, createdAt, content, terms } },
+ *     postings: { term: [key] } }
+ * with one entry per message, keyed `${conversationId}#${index}`. A message's
+ * intent is the one decided for it (after corrections and clarification picks);
+ * user messages take the intent of the reply they got, so filtering by intent
+ * finds both sides of an exchange.
+ *
+ * indexConversation updates the entries of one conversation and only tokenises
+ * messages that are new or changed, so it can run on every change of the open
+ * conversation. Messages still being typed are left out until they are final.
+ */
+
+export const SEARCH_INDEX_VERSION = 1;
+
+export const DEFAULT_SEARCH = { limit: 50, snippetLength: 160 };
+
+// longest word a snippet grows by to keep it whole
+const MAX_WORD = 24;
+
+const WORD_RE = /[\p{L}\p{M}\p{N}]+(?:['‘’ʼ][\p{L}\p{M}\p{N}]+)*/gu;
+
+// PUBLIC_INTERFACE
+/** Search terms of a text: stemmed words (stopwords are kept, they may be what is looked for). */
+export function searchTerms(text) {
+  return tokenize(text, { punctuation: false, emoji: false, stem: true });
+}
+
+// PUBLIC_INTERFACE
+/** An empty search index. */
+export function createSearchIndex() {
+  return { version: SEARCH_INDEX_VERSION, messages: {}, postings: {} };
+}
+
+const keyOf = (conversationId, index) => `${conversationId}#${index}`;
+
+// Own entries only: terms like "constructor" must not find Object.prototype members
+const own = (map, key) => (Object.prototype.hasOwnProperty.call(map, key) ? map[key] : undefined);
+
+// The intent decided for messages[i] (see above), or null
+function messageIntent(messages, i) {
+  const m = messages[i];
+  const decided = (message) => message?.feedback?.correctedIntent || message?.intent || message?.clarification?.chosen || null;
+  if (m.role === 'assistant') return decided(m);
+  if (m.role === 'user' && messages[i + 1]?.role === 'assistant') return decided(messages[i + 1]);
+  return null;
+}
+
+const sameEntry = (entry, { role, intent, createdAt, content }) => (
+  entry.role === role && entry.intent === intent && entry.createdAt === createdAt && entry.content === content
+);
+
+// Remove `keys` and their postings; `messages` and `postings` are copies owned by the caller
+function dropEntries(messages, postings, keys) {
+  for (const key of keys) {
+    for (const term of messages[key].terms) {
+      const rest = postings[term].filter(k => k !== key);
+      if (rest.length) {
+        postings[term] = rest;
+      } else {
+        delete postings[term];
+      }
+    }
+    delete messages[key];
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Bring the entries of a conversation ({ id, messages }) up to date. Returns a new
+ * index, or the same index when nothing changed.
+ */
+export function indexConversation(index, { id, messages }) {
+  const stale = [];
+  const fresh = [];
+  messages.forEach((m, i) => {
+    if (m.typingId || typeof m.content !== 'string') return;
+    const entry = {
+      conversationId: id,
+      index: i,
+      role: m.role,
+      intent: messageIntent(messages, i),
+      createdAt: Number.isFinite(m.createdAt) ? m.createdAt : null,
+      content: m.content,
+    };
+    const current = own(index.messages, keyOf(id, i));
+    if (current && sameEntry(current, entry)) return;
+    if (current) stale.push(keyOf(id, i));
+    fresh.push(entry);
+  });
+  // entries past the end, or for a message now being typed
+  for (const [key, entry] of Object.entries(index.messages)) {
+    if (entry.conversationId === id && (entry.index >= messages.length || messages[entry.index].typingId)) stale.push(key);
+  }
+  if (!stale.length && !fresh.length) return index;
+
+  const next = { ...index, messages: { ...index.messages }, postings: { ...index.postings } };
+  dropEntries(next.messages, next.postings, stale);
+  for (const entry of fresh) {
+    const key = keyOf(id, entry.index);
+    const terms = [...new Set(searchTerms(entry.content))];
+    next.messages[key] = { ...entry, terms };
+    for (const term of terms) next.postings[term] = [...(own(next.postings, term) || []), key];
+  }
+  return next;
+}
+
+// PUBLIC_INTERFACE
+/** Remove every entry of conversation `id`. Returns a new index. */
+export function removeConversationFromIndex(index, id) {
+  const keys = Object.keys(index.messages).filter(key => index.messages[key].conversationId === id);
+  if (!keys.length) return index;
+  const next = { ...index, messages: { ...index.messages }, postings: { ...index.postings } };
+  dropEntries(next.messages, next.postings, keys);
+  return next;
+}
+
+// Keys of the messages containing `term`; the last word of a query also matches as a
+// prefix, so results follow the query while it is being typed
+function matchingKeys(index, term, prefix) {
+  if (!prefix) return new Set(own(index.postings, term) || []);
+  const keys = new Set();
+  for (const [indexed, list] of Object.entries(index.postings)) {
+    if (indexed.startsWith(term)) list.forEach(key => keys.add(key));
+  }
+  return keys;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Find messages matching every word of `query` and the filters:
+ * { role, intent, from, to (timestamps, inclusive), limit }. With an empty query
+ * the filters alone select messages; with neither nothing is returned. Results
+ * are [{ conversationId, index, role, intent, createdAt, content }], newest first.
+ */
+export function searchMessages(index, query, { role = null, intent = null, from = null, to = null, limit } = {}) {
+  const terms = searchTerms(query);
+  const filtered = role || intent || from !== null || to !== null;
+  if (!terms.length && !filtered) return [];
+
+  let keys = null;
+  terms.forEach((term, i) => {
+    const found = matchingKeys(index, term, i === terms.length - 1);
+    keys = keys ? new Set([...keys].filter(key => found.has(key))) : found;
+  });
+  const candidates = keys ? [...keys].map(key => index.messages[key]) : Object.values(index.messages);
+  const results = candidates.filter(e => (
+    (!role || e.role === role)
+    && (!intent || e.intent === intent)
+    && (from === null || (e.createdAt !== null && e.createdAt >= from))
+    && (to === null || (e.createdAt !== null && e.createdAt <= to))
+  ));
+  results.sort((a, b) => (b.createdAt ?? -Infinity) - (a.createdAt ?? -Infinity)
+    || a.conversationId.localeCompare(b.conversationId)
+    || a.index - b.index);
+  return results.slice(0, limit ?? DEFAULT_SEARCH.limit).map(e => ({
+    conversationId: e.conversationId, index: e.index, role: e.role, intent: e.intent, createdAt: e.createdAt, content: e.content,
+  }));
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Cut `text` around the first word matching `query` (as searchMessages matches it)
+ * and mark the matching words. Returns [{ text, match }] segments, with "…" where
+ * text was cut off.
+ */
+export function highlightMatches(text, query, { length = DEFAULT_SEARCH.snippetLength } = {}) {
+  const terms = searchTerms(query);
+  const ranges = [];
+  for (const found of text.matchAll(WORD_RE)) {
+    const [word] = searchTerms(found[0]);
+    const hit = word && terms.some((term, i) => word === term || (i === terms.length - 1 && word.startsWith(term)));
+    if (hit) ranges.push([found.index, found.index + found[0].length]);
+  }
+
+  // a window of `length` characters that starts a little before the first match
+  const first = ranges[0]?.[0] ?? 0;
+  let start = text.length <= length ? 0 : Math.max(0, Math.min(first - Math.floor(length / 4), text.length - length));
+  let end = Math.min(text.length, start + length);
+  // do not cut words in half (unless they are very long)
+  for (let i = 0; i < MAX_WORD && start > 0 && /\S/.test(text[start - 1]); i++) start -= 1;
+  for (let i = 0; i < MAX_WORD && end < text.length && /\S/.test(text[end]); i++) end += 1;
+
+  const segments = start > 0 ? [{ text: '…', match: false }] : [];
+  let at = start;
+  for (const [from, to] of ranges) {
+    if (to <= start || from >= end) continue;
+    if (from > at) segments.push({ text: text.slice(at, from), match: false });
+    segments.push({ text: text.slice(Math.max(from, at), to), match: true });
+    at = to;
+  }
+  if (at < end) segments.push({ text: text.slice(at, end), match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+  return segments;
+}
@@ -0,0 +1,115 @@
+import {
+  createSearchIndex,
+  highlightMatches,
+  indexConversation,
+  removeConversationFromIndex,
+  searchMessages,
+} from './index';
+
+const day = (d, hour = 12) => Date.UTC(2024, 4, d, hour);
+
+const weekend = {
+  id: 'c1',
+  messages: [
+    { role: 'assistant', content: 'Hello! How can I help?', createdAt: day(1) },
+    { role: 'user', content: 'Will it rain on Saturday?', createdAt: day(1) },
+    { role: 'assistant', content: 'Rain is forecast, bring an umbrella.', createdAt: day(1), intent: 'weather' },
+  ],
+};
+
+const orders = {
+  id: 'c2',
+  messages: [
+    { role: 'user', content: 'Where is my umbrella order?', createdAt: day(3) },
+    {
+      role: 'assistant',
+      content: 'It ships tomorrow.',
+      createdAt: day(3),
+      intent: 'weather',
+      feedback: { rating: 'down', correctedIntent: 'order_status' },
+    },
+  ],
+};
+
+const build = () => [weekend, orders].reduce(indexConversation, createSearchIndex());
+
+test('finds messages with every query word, newest first, with the last word as a prefix', () => {
+  const index = build();
+  const found = (query, filters) => searchMessages(index, query, filters).map(r => `${r.conversationId}#${r.index}`);
+  expect(found('umbrella')).toEqual(['c2#0', 'c1#2']);
+  expect(found('umbrellas rain')).toEqual(['c1#2']);
+  // "forecasting" and "raining" stem to the indexed words
+  expect(found('raining forecasting')).toEqual(['c1#2']);
+  expect(found('umbr')).toEqual(['c2#0', 'c1#2']);
+  expect(found('umbr order')).toEqual([]);
+  expect(found('snow')).toEqual([]);
+  expect(found('  ')).toEqual([]);
+  expect(searchMessages(index, 'umbrella')[0]).toEqual({
+    conversationId: 'c2', index: 0, role: 'user', intent: 'order_status', createdAt: day(3), content: 'Where is my umbrella order?',
+  });
+});
+
+test('filters by role, decided intent and date range, also without a query', () => {
+  const index = build();
+  const found = (query, filters) => searchMessages(index, query, filters).map(r => `${r.conversationId}#${r.index}`);
+  expect(found('umbrella', { role: 'assistant' })).toEqual(['c1#2']);
+  // user messages take their reply's intent; corrections replace the decided intent
+  expect(found('', { intent: 'weather' })).toEqual(['c1#1', 'c1#2']);
+  expect(found('', { intent: 'order_status' })).toEqual(['c2#0', 'c2#1']);
+  expect(found('umbrella', { from: day(2, 0), to: day(4, 0) })).toEqual(['c2#0']);
+  expect(found('', { to: day(2, 0), role: 'user' })).toEqual(['c1#1']);
+});
+
+test('updates incrementally and only re-indexes what changed', () => {
+  let index = build();
+  expect(indexConversation(index, weekend)).toBe(index);
+
+  // a reply being typed is not indexed until it is final
+  const typing = { ...weekend, messages: [...weekend.messages, { role: 'assistant', content: 'Snow', typingId: 'x' }] };
+  expect(indexConversation(index, typing)).toBe(index);
+  const final = { ...weekend, messages: [...weekend.messages, { role: 'assistant', content: 'Snow later', createdAt: day(2) }] };
+  const next = indexConversation(index, final);
+  expect(next.messages['c1#1']).toBe(index.messages['c1#1']);
+  expect(searchMessages(next, 'snow').map(r => r.index)).toEqual([3]);
+
+  // edits and deletions drop the old words
+  index = indexConversation(next, { id: 'c1', messages: [{ role: 'user', content: 'Will it snow?', createdAt: day(1) }] });
+  expect(searchMessages(index, 'rain')).toEqual([]);
+  expect(searchMessages(index, 'snow').map(r => r.content)).toEqual(['Will it snow?']);
+  expect(Object.keys(index.messages).filter(key => key.startsWith('c1#'))).toEqual(['c1#0']);
+
+  index = removeConversationFromIndex(index, 'c2');
+  expect(searchMessages(index, 'umbrella')).toEqual([]);
+  expect(Object.keys(index.postings).sort()).toEqual(['it', 'snow', 'will']);
+});
+
+test('words named like Object.prototype members index and search as usual', () => {
+  const chat = { id: 'c3', messages: [{ role: 'user', content: 'Call the constructor valueOf toString', createdAt: day(5) }] };
+  let index = indexConversation(createSearchIndex(), chat);
+  expect(searchMessages(index, 'constructor').map(r => r.index)).toEqual([0]);
+  expect(searchMessages(index, 'constructor tostring').map(r => r.index)).toEqual([0]);
+  expect(searchMessages(createSearchIndex(), 'constructor')).toEqual([]);
+  expect(searchMessages(index, 'constructor', { role: 'assistant' })).toEqual([]);
+
+  index = indexConversation(index, { ...chat, messages: [...chat.messages, { role: 'user', content: 'constructor again' }] });
+  expect(searchMessages(index, 'hasOwnProperty constructor')).toEqual([]);
+  expect(searchMessages(index, 'again constructor').map(r => r.index)).toEqual([1]);
+  expect(Object.keys(removeConversationFromIndex(index, 'c3').postings)).toEqual([]);
+});
+
+test('highlights matches in a snippet around the first one', () => {
+  const text = 'Rain is forecast, bring an umbrella.';
+  expect(highlightMatches(text, 'umbrellas rain')).toEqual([
+    { text: 'Rain', match: true },
+    { text: ' is forecast, bring an ', match: false },
+    { text: 'umbrella', match: true },
+    { text: '.', match: false },
+  ]);
+
+  const long = `${'word '.repeat(40)}the umbrella is here ${'more '.repeat(40)}`;
+  const segments = highlightMatches(long, 'umb', { length: 40 });
+  expect(segments[0]).toEqual({ text: '…', match: false });
+  expect(segments[segments.length - 1]).toEqual({ text: '…', match: false });
+  expect(segments.filter(s => s.match).map(s => s.text)).toEqual(['umbrella']);
+  expect(segments.map(s => s.text).join('').length).toBeLessThan(60);
+});
@@ -0,0 +1,255 @@
+import SKILL_PACK_SCHEMA from './skillPacks/schema.json';
+import defaultPackJson from './skillPacks/default.json';
+import supportPackJson from './skillPacks/support.json';
+import { readFileText } from './fileUtils';
+import { BUILTIN_ENTITY_TYPES } from './entities';
+import { DEFAULT_HASHING } from './nlp/hashing';
+import { DEFAULT_STOPWORDS, tokenize } from './nlp/tokenizer';
+
+/**
+ * Skill packs - versioned JSON definitions of intents, features and rules.
+ * - Validation against `skillPacks/schema.json` plus cross-reference checks
+ * - Compilation into the shape the intent model scores with
+ * - Built-in packs and loaders for files and URLs
+ *
+ * A feature matches either when any of its `tokens` (a word, phrase, "?", "!",
+ * emoticon or emoji) appears in the tokenised text as whole tokens, with
+ * `length: { min, max }` when the word count falls in that range, or with
+ * `entity` when an entity of that type (built-in or a pack list entity) is found.
+ * Intents may list response `templates` with {slot} placeholders.
+ *
+ * The optional `text` section configures tokenisation: `stem` matches tokens
+ * by stem, and `hashing` ({ size, wordNgrams, charNgrams, weight }) appends
+ * `size` hashed n-gram features named "hash:<slot>" (stopwords from `stopwords`
+ * are left out of the word n-grams), so the classifier can learn any vocabulary.
+ *
+ * `locale` names the language of the pack's own strings ("en" by default).
+ * `locales` adds other languages: per locale, `intents` override an intent's
+ * `label`, `response` and `templates`, and `features` list extra tokens for
+ * token features. Extra tokens fire the same feature, so weights learned in one
+ * language carry over to the others.
+ */
+
+export { SKILL_PACK_SCHEMA };
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+// Validate `value` against the subset of JSON Schema the pack schema uses
+function checkSchema(value, schema, path, errors) {
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    return;
+  }
+  if (schema.type) {
+    const actual = typeOf(value);
+    const ok = actual === schema.type || (schema.type === 'number' && actual === 'integer');
+    if (!ok) {
+      errors.push(`${path} must be of type ${schema.type}`);
+      return;
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push(`${path} must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path} must match ${schema.pattern}`);
+  }
+  if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (typeof value === 'number' && typeof schema.maximum === 'number' && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems && value.length > schema.maxItems) errors.push(`${path} must have at most ${schema.maxItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => checkSchema(item, schema.items, `${path}[${i}]`, errors));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (schema.properties && schema.properties[key]) {
+        checkSchema(child, schema.properties[key], `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkSchema(child, schema.additionalProperties, `${path}.${key}`, errors);
+      }
+    }
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validate a skill pack. Returns { valid, errors } where errors are readable strings.
+ */
+export function validateSkillPack(json) {
+  const errors = [];
+  checkSchema(json, SKILL_PACK_SCHEMA, 'pack', errors);
+  if (errors.length) return { valid: false, errors };
+
+  // Cross-reference checks the schema cannot express
+  const intentKeys = new Set();
+  json.intents.forEach((intent, i) => {
+    if (intentKeys.has(intent.key)) errors.push(`pack.intents[${i}].key "${intent.key}" is duplicated`);
+    intentKeys.add(intent.key);
+  });
+  const entityTypes = new Set(BUILTIN_ENTITY_TYPES);
+  (json.entities || []).forEach((entity, i) => {
+    if (entityTypes.has(entity.name)) errors.push(`pack.entities[${i}].name "${entity.name}" is duplicated or built in`);
+    entityTypes.add(entity.name);
+  });
+  const featureNames = new Set();
+  json.features.forEach((feature, i) => {
+    if (featureNames.has(feature.name)) errors.push(`pack.features[${i}].name "${feature.name}" is duplicated`);
+    featureNames.add(feature.name);
+    if (!feature.tokens && !feature.length && !feature.entity) {
+      errors.push(`pack.features[${i}] needs "tokens", "length" or "entity"`);
+    }
+    if (feature.entity && !entityTypes.has(feature.entity)) {
+      errors.push(`pack.features[${i}].entity refers to unknown entity "${feature.entity}"`);
+    }
+    (feature.tokens || []).forEach((token, j) => {
+      if (!tokenize(token).length) errors.push(`pack.features[${i}].tokens[${j}] has nothing to match`);
+    });
+  });
+  const tokenFeatures = new Set(json.features.filter(f => f.tokens).map(f => f.name));
+  for (const [code, locale] of Object.entries(json.locales || {})) {
+    if (!/^[a-z]{2,3}$/.test(code)) errors.push(`pack.locales.${code} is not a language code`);
+    for (const key of Object.keys(locale.intents || {})) {
+      if (!intentKeys.has(key)) errors.push(`pack.locales.${code}.intents.${key} refers to an unknown intent`);
+    }
+    for (const [name, tokens] of Object.entries(locale.features || {})) {
+      if (!tokenFeatures.has(name)) errors.push(`pack.locales.${code}.features.${name} refers to unknown token feature "${name}"`);
+      tokens.forEach((token, j) => {
+        if (!tokenize(token).length) errors.push(`pack.locales.${code}.features.${name}[${j}] has nothing to match`);
+      });
+    }
+  }
+  for (const key of ['wordNgrams', 'charNgrams']) {
+    const range = json.text?.hashing?.[key];
+    if (range && range[0] > range[1]) errors.push(`pack.text.hashing.${key} must be [min, max]`);
+  }
+  for (const [intentKey, names] of Object.entries(json.rules || {})) {
+    if (!intentKeys.has(intentKey)) errors.push(`pack.rules.${intentKey} refers to an unknown intent`);
+    names.forEach((name) => {
+      if (!featureNames.has(name)) errors.push(`pack.rules.${intentKey} refers to unknown feature "${name}"`);
+    });
+  }
+  if (json.fallbackIntent && !intentKeys.has(json.fallbackIntent)) {
+    errors.push('pack.fallbackIntent refers to an unknown intent');
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Validate and compile a pack JSON into { id, name, version, locale, locales,
+ * intents, features, rules, entities, fallbackIntent, text, featureIndex, source }.
+ * Feature `phrases` cover the tokens of every locale. Hashed n-gram slots follow
+ * the pack's own features, starting at `text.hashOffset`.
+ * Throws on invalid packs.
+ */
+export function compileSkillPack(json) {
+  const { valid, errors } = validateSkillPack(json);
+  if (!valid) {
+    throw new Error(`Invalid skill pack: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? '; …' : ''}`);
+  }
+  const stem = !!json.text?.stem;
+  const hashing = json.text?.hashing
+    ? { ...DEFAULT_HASHING, ...json.text.hashing, stem, stopwords: json.text.stopwords || DEFAULT_STOPWORDS }
+    : null;
+  const locales = json.locales || {};
+  const allTokens = (f) => [
+    ...(f.tokens || []),
+    ...Object.values(locales).flatMap(l => l.features?.[f.name] || []),
+  ];
+  const features = [
+    // `phrases` are the tokens (in every locale) pre-tokenised the way messages are
+    ...json.features.map(f => ({ tokens: [], weight: 1, ...f, phrases: allTokens(f).map(t => tokenize(t, { stem })) })),
+    ...Array.from({ length: hashing ? hashing.size : 0 }, (_, i) => ({ name: `hash:${i}`, hashed: true, tokens: [], phrases: [] })),
+  ];
+  const featureIndex = {};
+  features.forEach((f, i) => { featureIndex[f.name] = i; });
+  return {
+    id: json.id,
+    name: json.name,
+    version: json.version,
+    description: json.description || '',
+    locale: json.locale || 'en',
+    locales,
+    intents: json.intents.map(i => ({ baseBias: 0, ...i })),
+    features,
+    rules: json.rules || {},
+    entities: json.entities || [],
+    fallbackIntent: json.fallbackIntent || json.intents[json.intents.length - 1].key,
+    text: { stem, hashing, hashOffset: json.features.length },
+    featureIndex,
+    source: json,
+  };
+}
+
+// PUBLIC_INTERFACE
+export const DEFAULT_SKILL_PACK = compileSkillPack(defaultPackJson);
+
+// PUBLIC_INTERFACE
+/** Packs shipped with the app, in display order. */
+export const BUILTIN_SKILL_PACKS = [DEFAULT_SKILL_PACK, compileSkillPack(supportPackJson)];
+
+// PUBLIC_INTERFACE
+/**
+ * An intent's definition in `locale`: the pack's own definition with that
+ * locale's label, response and templates laid over it. A localized `response`
+ * without `templates` drops the untranslated templates. Null for unknown keys.
+ */
+export function localizedIntent(pack, key, locale) {
+  const def = pack.intents.find(d => d.key === key);
+  const local = def && locale && locale !== pack.locale ? pack.locales?.[locale]?.intents?.[key] : null;
+  if (!local) return def || null;
+  return {
+    ...def,
+    ...local,
+    templates: local.templates || (local.response ? [] : def.templates),
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Display label for an intent in `locale`: its `label`, else the key in sentence case. */
+export function intentLabel(pack, key, locale) {
+  const def = localizedIntent(pack, key, locale);
+  if (def?.label) return def.label;
+  const words = (key || '').replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// PUBLIC_INTERFACE
+/** Parse JSON text and compile it as a skill pack. */
+export function parseSkillPack(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Skill pack is not valid JSON (${e.message})`);
+  }
+  return compileSkillPack(json);
+}
+
+// PUBLIC_INTERFACE
+/** Read a skill pack from a File (e.g. from an <input type="file">). */
+export async function readSkillPackFile(file) {
+  return parseSkillPack(await readFileText(file));
+}
+
+// PUBLIC_INTERFACE
+/** Fetch a skill pack from a URL. */
+export async function fetchSkillPack(url, fetchImpl) {
+  const doFetch = fetchImpl || window.fetch.bind(window);
+  const res = await doFetch(url);
+  if (!res.ok) throw new Error(`Could not load skill pack (status ${res.status})`);
+  return parseSkillPack(await res.text());
+}
@@ -0,0 +1,135 @@
+import defaultPackJson from './skillPacks/default.json';
+import {
+  compileSkillPack, validateSkillPack, fetchSkillPack, intentLabel, BUILTIN_SKILL_PACKS,
+} from './skillPack';
+import {
+  extractFeatures, generateResponseForIntent, weightsFromNamed, weightsToNamed, createZeroWeights, remapWeights,
+  scoreIntents, updateWeights,
+} from './intentModel';
+
+test('built-in packs validate', () => {
+  for (const pack of BUILTIN_SKILL_PACKS) {
+    expect(validateSkillPack(pack.source)).toEqual({ valid: true, errors: [] });
+  }
+});
+
+test('schema and cross-reference errors are reported', () => {
+  const bad = {
+    ...defaultPackJson,
+    version: 'one',
+    extra: true,
+    rules: { greeting: ['kw_missing'] },
+  };
+  const { valid, errors } = validateSkillPack(bad);
+  expect(valid).toBe(false);
+  expect(errors).toEqual(expect.arrayContaining([
+    expect.stringMatching(/pack\.version must match/),
+    'pack.extra is not allowed',
+  ]));
+
+  const badRef = { ...defaultPackJson, rules: { nope: ['kw_hello'], greeting: ['kw_missing'] } };
+  expect(validateSkillPack(badRef).errors).toEqual([
+    'pack.rules.nope refers to an unknown intent',
+    'pack.rules.greeting refers to unknown feature "kw_missing"',
+  ]);
+  expect(() => compileSkillPack({})).toThrow(/Invalid skill pack/);
+});
+
+test('entity features fire on extracted entities and must reference known types', () => {
+  const support = BUILTIN_SKILL_PACKS.find(p => p.id === 'support');
+  const feats = extractFeatures('shipped with fed ex, order 42', support);
+  expect(feats[support.featureIndex.ent_carrier]).toBe(1);
+  expect(feats[support.featureIndex.ent_number]).toBe(1);
+  expect(extractFeatures('hello', support)[support.featureIndex.ent_number]).toBe(0);
+
+  const bad = { ...defaultPackJson, features: [...defaultPackJson.features, { name: 'ent_x', entity: 'planet' }] };
+  expect(validateSkillPack(bad).errors).toEqual(['pack.features[' + defaultPackJson.features.length + '].entity refers to unknown entity "planet"']);
+});
+
+test('length features bucket by word count', () => {
+  const pack = compileSkillPack(defaultPackJson);
+  const feats = extractFeatures('hello', pack);
+  expect(feats[pack.featureIndex.kw_hello]).toBe(1);
+  expect(feats[pack.featureIndex.len_short]).toBe(1);
+  expect(feats[pack.featureIndex.len_medium]).toBe(0);
+});
+
+test('keyword features match whole tokens, stems and emoji', () => {
+  const pack = compileSkillPack(defaultPackJson);
+  const fires = (text, name) => extractFeatures(text, pack)[pack.featureIndex[name]] === 1;
+  expect(fires('which one is this?', 'kw_hello')).toBe(false);
+  expect(fires('are you there', 'kw_hello')).toBe(false);
+  expect(fires('Hi!', 'kw_hello')).toBe(true);
+  expect(fires('any forecasts?', 'kw_weather')).toBe(true);
+  expect(fires('love it 👍', 'sent_pos')).toBe(true);
+  expect(fires('hello :)', 'len_short')).toBe(true);
+
+  const bad = { ...defaultPackJson, features: [...defaultPackJson.features, { name: 'kw_dots', tokens: ['...'] }] };
+  expect(validateSkillPack(bad).errors).toEqual([`pack.features[${defaultPackJson.features.length}].tokens[0] has nothing to match`]);
+});
+
+test('hashed n-gram features let the classifier learn new vocabulary', () => {
+  const pack = compileSkillPack(defaultPackJson);
+  const { hashOffset, hashing } = pack.text;
+  expect(pack.features).toHaveLength(hashOffset + hashing.size);
+  expect(pack.features[hashOffset].name).toBe('hash:0');
+
+  // No keyword covers "umbrella"; a few labelled examples are enough
+  let weights = createZeroWeights(pack);
+  for (let i = 0; i < 5; i++) {
+    weights = updateWeights(weights, 'weather', extractFeatures('should I bring an umbrella', pack), 0.3, 2, 0);
+  }
+  expect(scoreIntents(weights, extractFeatures('umbrella needed?', pack), pack)[0].key).toBe('weather');
+  expect(Object.keys(weightsToNamed(weights, pack).weather).some(name => name.startsWith('hash:'))).toBe(true);
+  expect(validateSkillPack({ ...defaultPackJson, text: { hashing: { size: 100000 } } }).errors)
+    .toEqual(['pack.text.hashing.size must be <= 4096']);
+});
+
+test('weights survive reordering and added features', () => {
+  const pack = compileSkillPack(defaultPackJson);
+  const weights = createZeroWeights(pack);
+  weights.greeting[pack.featureIndex.kw_hello] = 0.7;
+
+  const reordered = compileSkillPack({
+    ...defaultPackJson,
+    features: [{ name: 'kw_new', tokens: ['new'] }, ...[...defaultPackJson.features].reverse()],
+  });
+  const remapped = remapWeights(weights, pack, reordered);
+  expect(remapped.greeting[reordered.featureIndex.kw_hello]).toBe(0.7);
+  expect(remapped.greeting[reordered.featureIndex.kw_new]).toBe(0);
+  expect(weightsFromNamed(weightsToNamed(weights, pack), pack)).toEqual(weights);
+});
+
+test('fetchSkillPack validates what it downloads', async () => {
+  const ok = jest.fn().mockResolvedValue({ ok: true, text: async () => JSON.stringify({ ...defaultPackJson, id: 'remote' }) });
+  expect((await fetchSkillPack('http://packs/remote.json', ok)).id).toBe('remote');
+
+  const notJson = jest.fn().mockResolvedValue({ ok: true, text: async () => '<html>' });
+  await expect(fetchSkillPack('http://packs/x', notJson)).rejects.toThrow(/not valid JSON/);
+});
+
+test('localized keywords fire the same features and intents answer in the requested locale', () => {
+  const pack = compileSkillPack(defaultPackJson);
+  const fires = (text, name) => extractFeatures(text, pack)[pack.featureIndex[name]] === 1;
+  expect(fires('¡Hola!', 'kw_hello')).toBe(true);
+  expect(fires('مرحبا', 'kw_hello')).toBe(true);
+
+  expect(generateResponseForIntent('greeting', { history: [] }, pack, 'es')).toBe('¡Hola! 👋 ¿En qué puedo ayudarte hoy?');
+  expect(generateResponseForIntent('farewell', { history: [], slots: { name: 'Ada' } }, pack, 'ar')).toMatch(/^مع السلامة يا Ada/);
+  expect(generateResponseForIntent('greeting', { history: [{}] }, pack, 'es')).toMatch(/¿Seguimos\?$/);
+  // locales the pack doesn't cover keep its own strings
+  expect(generateResponseForIntent('greeting', { history: [] }, pack, 'fr')).toBe('Hi there! 👋 How can I help you today?');
+  expect(intentLabel(pack, 'greeting', 'ar')).toBe('تحية');
+  expect(intentLabel(pack, 'greeting')).toBe('Greeting');
+
+  const bad = {
+    ...defaultPackJson,
+    locales: { es: { intents: { nope: { response: 'x' } }, features: { kw_nope: ['x'], len_short: ['x'] } }, Spanish: {} },
+  };
+  expect(validateSkillPack(bad).errors).toEqual([
+    'pack.locales.es.intents.nope refers to an unknown intent',
+    'pack.locales.es.features.kw_nope refers to unknown token feature "kw_nope"',
+    'pack.locales.es.features.len_short refers to unknown token feature "len_short"',
+    'pack.locales.Spanish is not a language code',
+  ]);
+});
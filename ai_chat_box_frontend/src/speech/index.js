@@ -0,0 +1,10 @@
+export {
+  DEFAULT_VOICE_SETTINGS,
+  MAX_SPEECH_RATE,
+  MIN_SPEECH_RATE,
+  createDictation,
+  createSpeaker,
+  getSpeechSupport,
+  normalizeVoiceSettings,
+  toSpeakableText,
+} from './speech';
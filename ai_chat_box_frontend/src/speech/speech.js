@@ -0,0 +1,128 @@
+/**
+ * Voice input and spoken replies on top of the Web Speech API.
+ *
+ * Everything takes the browser objects from a `support` value (see
+ * getSpeechSupport), so tests can pass mocks instead of a real window.
+ */
+
+// speakReplies: read assistant replies aloud; muted: silence them for now without
+// turning the option off; voiceURI: '' for the browser's default voice
+export const DEFAULT_VOICE_SETTINGS = {
+  speakReplies: false,
+  muted: false,
+  voiceURI: '',
+  rate: 1,
+  autoSend: false,
+};
+
+export const MIN_SPEECH_RATE = 0.5;
+export const MAX_SPEECH_RATE = 2;
+
+// A sentence ends at terminal punctuation followed by whitespace, or at a line break
+const SENTENCE_END = /[.!?。！？؟]+\s+|\n+/g;
+
+// PUBLIC_INTERFACE
+/**
+ * The speech objects a window provides: { Recognition, synthesis, Utterance }.
+ * Each is null when the browser lacks it; `synthesis` also needs `Utterance`.
+ */
+export function getSpeechSupport(win = typeof window === 'undefined' ? {} : window) {
+  const Utterance = win.SpeechSynthesisUtterance || null;
+  return {
+    Recognition: win.SpeechRecognition || win.webkitSpeechRecognition || null,
+    synthesis: (Utterance && win.speechSynthesis) || null,
+    Utterance,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Merge stored voice settings over the defaults, keeping the rate in range. */
+export function normalizeVoiceSettings(settings = {}) {
+  const merged = { ...DEFAULT_VOICE_SETTINGS, ...settings };
+  const rate = Number(merged.rate);
+  return {
+    ...merged,
+    rate: Number.isFinite(rate) ? Math.min(MAX_SPEECH_RATE, Math.max(MIN_SPEECH_RATE, rate)) : DEFAULT_VOICE_SETTINGS.rate,
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Reply Markdown as plain text to read aloud: no code blocks, link targets or markup. */
+export function toSpeakableText(text) {
+  return String(text || '')
+    .replace(/```[\s\S]*?(```|$)/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`#>~|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// End of the last complete sentence in `text` after `from`, or `from` when there is none
+function lastSentenceEnd(text, from) {
+  SENTENCE_END.lastIndex = from;
+  let end = from;
+  for (let match = SENTENCE_END.exec(text); match; match = SENTENCE_END.exec(text)) {
+    end = match.index + match[0].length;
+  }
+  return end;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Read one reply aloud while it is being typed. Call `update(text, done)` with the
+ * text shown so far; each complete sentence is queued as it appears, and the rest
+ * once `done` is true. Options: { voiceURI, rate, lang }.
+ */
+export function createSpeaker({ synthesis, Utterance }, { voiceURI = '', rate = 1, lang } = {}) {
+  let spoken = 0;
+
+  const say = (chunk) => {
+    const text = toSpeakableText(chunk);
+    if (!text) return;
+    const utterance = new Utterance(text);
+    utterance.rate = rate;
+    if (lang) utterance.lang = lang;
+    const voice = voiceURI ? synthesis.getVoices().find(v => v.voiceURI === voiceURI) : null;
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+    synthesis.speak(utterance);
+  };
+
+  return {
+    update(text, done = false) {
+      const end = done ? text.length : lastSentenceEnd(text, spoken);
+      if (end <= spoken) return;
+      say(text.slice(spoken, end));
+      spoken = end;
+    },
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Listen for one utterance with a SpeechRecognition constructor.
+ * `onText(text, isFinal)` receives the transcript so far, `onError(code)` the
+ * recognition error code and `onEnd()` fires when listening stops.
+ * Returns { start, stop }.
+ */
+export function createDictation(Recognition, { lang, onText, onError, onEnd } = {}) {
+  const recognition = new Recognition();
+  if (lang) recognition.lang = lang;
+  recognition.interimResults = true;
+  recognition.continuous = false;
+
+  recognition.onresult = (event) => {
+    const results = Array.from(event.results);
+    const text = results.map(result => result[0].transcript).join('').trim();
+    onText?.(text, results.every(result => result.isFinal));
+  };
+  recognition.onerror = (event) => onError?.(event.error);
+  recognition.onend = () => onEnd?.();
+
+  return {
+    start: () => recognition.start(),
+    stop: () => recognition.stop(),
+  };
+}
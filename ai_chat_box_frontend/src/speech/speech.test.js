@@ -0,0 +1,102 @@
+import {
+  DEFAULT_VOICE_SETTINGS,
+  createDictation,
+  createSpeaker,
+  getSpeechSupport,
+  normalizeVoiceSettings,
+  toSpeakableText,
+} from './index';
+
+class FakeUtterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+const fakeSynthesis = () => ({
+  spoken: [],
+  speak(utterance) {
+    this.spoken.push(utterance);
+  },
+  getVoices: () => [{ voiceURI: 'es-voice', name: 'Lucía', lang: 'es-ES' }],
+});
+
+class FakeRecognition {
+  constructor() {
+    FakeRecognition.last = this;
+    this.started = false;
+  }
+
+  start() {
+    this.started = true;
+  }
+
+  stop() {
+    this.started = false;
+    this.onend?.();
+  }
+
+  // Deliver results as [[transcript, isFinal], ...]
+  hear(results) {
+    this.onresult({ results: results.map(([transcript, isFinal]) => Object.assign([{ transcript }], { isFinal })) });
+  }
+}
+
+test('speech support is read from the window and missing APIs are null', () => {
+  const synthesis = fakeSynthesis();
+  expect(getSpeechSupport({ webkitSpeechRecognition: FakeRecognition, speechSynthesis: synthesis, SpeechSynthesisUtterance: FakeUtterance }))
+    .toEqual({ Recognition: FakeRecognition, synthesis, Utterance: FakeUtterance });
+  expect(getSpeechSupport({ speechSynthesis: synthesis })).toEqual({ Recognition: null, synthesis: null, Utterance: null });
+
+  expect(normalizeVoiceSettings()).toEqual(DEFAULT_VOICE_SETTINGS);
+  expect(normalizeVoiceSettings({ rate: 9, muted: true })).toMatchObject({ rate: 2, muted: true });
+  expect(normalizeVoiceSettings({ rate: 'fast' }).rate).toBe(1);
+});
+
+test('replies are read aloud sentence by sentence as they are typed', () => {
+  const synthesis = fakeSynthesis();
+  const speaker = createSpeaker({ synthesis, Utterance: FakeUtterance }, { rate: 1.5, lang: 'en' });
+
+  speaker.update('Hello **there**');
+  expect(synthesis.spoken).toEqual([]);
+  speaker.update('Hello **there**. How can I');
+  expect(synthesis.spoken.map(u => u.text)).toEqual(['Hello there.']);
+  expect(synthesis.spoken[0]).toMatchObject({ rate: 1.5, lang: 'en' });
+  speaker.update('Hello **there**. How can I help?\n\n```js\nrun()\n```\nSee [the docs](https://x.example)', true);
+  expect(synthesis.spoken.map(u => u.text)).toEqual(['Hello there.', 'How can I help? See the docs']);
+  speaker.update('Hello **there**. How can I help?', true);
+  expect(synthesis.spoken).toHaveLength(2);
+
+  const spanish = createSpeaker({ synthesis, Utterance: FakeUtterance }, { voiceURI: 'es-voice', lang: 'en' });
+  spanish.update('Hola.', true);
+  expect(synthesis.spoken[2]).toMatchObject({ text: 'Hola.', lang: 'es-ES', voice: { name: 'Lucía' } });
+
+  expect(toSpeakableText('# Title\n> quoted `code`')).toBe('Title quoted code');
+});
+
+test('dictation reports interim and final transcripts', () => {
+  const heard = [];
+  const errors = [];
+  let ended = false;
+  const dictation = createDictation(FakeRecognition, {
+    lang: 'es',
+    onText: (text, isFinal) => heard.push([text, isFinal]),
+    onError: (code) => errors.push(code),
+    onEnd: () => {
+      ended = true;
+    },
+  });
+  const recognition = FakeRecognition.last;
+  expect(recognition).toMatchObject({ lang: 'es', interimResults: true, continuous: false });
+
+  dictation.start();
+  expect(recognition.started).toBe(true);
+  recognition.hear([['hello', false]]);
+  recognition.hear([['hello ', true], ['there ', true]]);
+  expect(heard).toEqual([['hello', false], ['hello there', true]]);
+
+  recognition.onerror({ error: 'not-allowed' });
+  expect(errors).toEqual(['not-allowed']);
+  dictation.stop();
+  expect(ended).toBe(true);
+});
@@ -0,0 +1,9 @@
+// PUBLIC_INTERFACE
+/**
+ * localStorage key of `key` in a storage namespace. The default (empty) namespace
+ * keeps the plain keys; others prefix them, so several SmartChatGPT instances on
+ * one page keep separate settings and memory.
+ */
+export function namespacedKey(key, namespace = '') {
+  return namespace ? `${namespace}:${key}` : key;
+}
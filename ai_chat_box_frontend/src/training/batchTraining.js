@@ -0,0 +1,180 @@
+import { DEFAULT_TEMPERATURE, calibrateScores, createZeroWeights, extractFeatures, scoreIntents } from '../intentModel';
+import { delay } from '../engines/streaming';
+
+/**
+ * Batch training of the intent classifier from labelled examples
+ * ([{ text, intent }], see evaluation/dataset.js), to bootstrap weights that
+ * online learning would take many messages to reach.
+ *
+ * Training starts from zero weights and runs `epochs` passes over the training
+ * split in a fresh shuffled order each time. Scores include the pack's rules and
+ * biases, as at inference. Two update rules:
+ * - 'perceptron': on a mistake, the label's weights move toward the features
+ *   and the wrongly predicted intent's weights move away from them
+ * - 'logistic': softmax regression on the calibrated probabilities; every
+ *   intent moves by (target - probability), so confident mistakes cost most
+ * Weights stay within ±clampRange like online updates.
+ */
+
+export const TRAINING_ALGORITHMS = ['perceptron', 'logistic'];
+
+export const DEFAULT_BATCH_TRAINING = {
+  algorithm: 'perceptron',
+  epochs: 10,
+  learningRate: 0.1,
+  validationSplit: 0.2,
+  clampRange: 2,
+  seed: 1,
+};
+
+const clamp = (x, lo, hi) => Math.max(lo, Math.min(hi, x));
+
+// PUBLIC_INTERFACE
+/** Seeded pseudo-random numbers in [0, 1) (mulberry32), so runs can be repeated. */
+export function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// PUBLIC_INTERFACE
+/** A shuffled copy of `list` (Fisher-Yates with `random`). */
+export function shuffled(list, random = Math.random) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Hold out `validationSplit` (0..0.5) of the examples, chosen at random per intent
+ * so every intent with at least two examples is represented in both parts.
+ */
+export function splitExamples(examples, validationSplit, random = Math.random) {
+  const byIntent = new Map();
+  for (const example of examples) byIntent.set(example.intent, [...(byIntent.get(example.intent) || []), example]);
+  const train = [];
+  const validation = [];
+  for (const group of byIntent.values()) {
+    const mixed = shuffled(group, random);
+    const held = group.length > 1 ? Math.min(group.length - 1, Math.round(group.length * validationSplit)) : 0;
+    validation.push(...mixed.slice(0, held));
+    train.push(...mixed.slice(held));
+  }
+  return { train, validation };
+}
+
+// PUBLIC_INTERFACE
+/** Add trained weights onto current ones, clamped to ±clampRange. */
+export function mergeWeights(current, trained, clampRange = DEFAULT_BATCH_TRAINING.clampRange) {
+  const merged = {};
+  for (const key of new Set([...Object.keys(current), ...Object.keys(trained)])) {
+    const a = current[key] || [];
+    const b = trained[key] || [];
+    merged[key] = Array.from({ length: Math.max(a.length, b.length) }, (_, i) => clamp((a[i] || 0) + (b[i] || 0), -clampRange, clampRange));
+  }
+  return merged;
+}
+
+// Share of `set` ([{ features, intent }]) whose top-scoring intent is the label
+function accuracyOf(weights, set, pack) {
+  if (!set.length) return null;
+  let correct = 0;
+  for (const { features, intent } of set) {
+    if (scoreIntents(weights, features, pack)[0]?.key === intent) correct += 1;
+  }
+  return correct / set.length;
+}
+
+// Move one intent's weights by `step` × features
+function nudge(row, features, step, clampRange) {
+  for (let i = 0; i < features.length; i++) {
+    if (features[i]) row[i] = clamp(row[i] + step * features[i], -clampRange, clampRange);
+  }
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Train weights for `pack` on `examples`. Options (see DEFAULT_BATCH_TRAINING):
+ * { algorithm, epochs, learningRate, validationSplit, clampRange, seed }, plus
+ * `current` weights to preview against. Examples whose intent is not in the pack
+ * are skipped. `onProgress({ epoch, epochs, trainAccuracy, validationAccuracy, loss })`
+ * follows each epoch; `loss` is the mean cross-entropy (logistic) or the share of
+ * mistakes (perceptron). Aborting `signal` stops between epochs. Resolves
+ *   { weights, merged, preview: { current, replaced, merged }, previewOn: 'validation' | 'training',
+ *     history: [progress], trained: count, validated: count, skipped: [intentKey] }
+ * where the preview holds the accuracy of each choice on the held-out examples
+ * (or on the training examples when nothing is held out).
+ */
+export async function trainBatch(examples, pack, options = {}, { signal, onProgress } = {}) {
+  const { algorithm, epochs, learningRate, validationSplit, clampRange, seed, current } = { ...DEFAULT_BATCH_TRAINING, ...options };
+  if (!TRAINING_ALGORITHMS.includes(algorithm)) throw new Error(`Unknown training algorithm "${algorithm}"`);
+  const known = new Set(pack.intents.map(d => d.key));
+  const usable = examples.filter(e => known.has(e.intent));
+  const skipped = [...new Set(examples.filter(e => !known.has(e.intent)).map(e => e.intent))];
+  if (!usable.length) throw new Error('No examples are labelled with intents of this skill pack');
+
+  const random = createRandom(seed);
+  const withFeatures = usable.map(e => ({ intent: e.intent, features: extractFeatures(e.text, pack) }));
+  const { train, validation } = splitExamples(withFeatures, clamp(validationSplit, 0, 0.5), random);
+
+  const weights = createZeroWeights(pack);
+  const history = [];
+  for (let epoch = 1; epoch <= epochs; epoch++) {
+    let loss = 0;
+    for (const { features, intent } of shuffled(train, random)) {
+      const ranked = scoreIntents(weights, features, pack);
+      if (algorithm === 'perceptron') {
+        const predicted = ranked[0].key;
+        if (predicted !== intent) {
+          loss += 1;
+          nudge(weights[intent], features, learningRate, clampRange);
+          nudge(weights[predicted], features, -learningRate, clampRange);
+        }
+      } else {
+        for (const { key, probability } of calibrateScores(ranked, DEFAULT_TEMPERATURE)) {
+          const target = key === intent ? 1 : 0;
+          if (target) loss -= Math.log(Math.max(probability, 1e-12));
+          nudge(weights[key], features, learningRate * (target - probability), clampRange);
+        }
+      }
+    }
+    const progress = {
+      epoch,
+      epochs,
+      trainAccuracy: accuracyOf(weights, train, pack),
+      validationAccuracy: accuracyOf(weights, validation, pack),
+      loss: train.length ? loss / train.length : 0,
+    };
+    history.push(progress);
+    onProgress?.(progress);
+    // let progress through and cancellation in, also when running in-thread
+    await delay(0, signal);
+  }
+
+  const previewSet = validation.length ? validation : train;
+  const base = current || createZeroWeights(pack);
+  const merged = mergeWeights(base, weights, clampRange);
+  return {
+    weights,
+    merged,
+    preview: {
+      current: accuracyOf(base, previewSet, pack),
+      replaced: accuracyOf(weights, previewSet, pack),
+      merged: accuracyOf(merged, previewSet, pack),
+    },
+    previewOn: validation.length ? 'validation' : 'training',
+    history,
+    trained: train.length,
+    validated: validation.length,
+    skipped,
+  };
+}
@@ -0,0 +1,9 @@
+export {
+  DEFAULT_BATCH_TRAINING,
+  TRAINING_ALGORITHMS,
+  createRandom,
+  mergeWeights,
+  shuffled,
+  splitExamples,
+  trainBatch,
+} from './batchTraining';
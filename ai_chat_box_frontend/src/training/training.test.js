@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import { createZeroWeights } from '../intentModel';
+import { DEFAULT_SKILL_PACK } from '../skillPack';
+import { parseEvalDataset } from '../evaluation';
+import { createRandom, mergeWeights, shuffled, splitExamples, trainBatch } from './index';
+
+const pack = DEFAULT_SKILL_PACK;
+const dataset = () => parseEvalDataset(fs.readFileSync(path.join(__dirname, '../evaluation/defaultPack.eval.jsonl'), 'utf8'));
+
+test('shuffling and splitting are repeatable with a seed and keep every intent', () => {
+  const list = Array.from({ length: 10 }, (_, i) => i);
+  expect(shuffled(list, createRandom(7))).toEqual(shuffled(list, createRandom(7)));
+  expect(shuffled(list, createRandom(7)).sort((a, b) => a - b)).toEqual(list);
+
+  const examples = dataset();
+  const { train, validation } = splitExamples(examples, 0.25, createRandom(1));
+  expect(train.length + validation.length).toBe(examples.length);
+  const intents = new Set(examples.map(e => e.intent));
+  expect(new Set(train.map(e => e.intent))).toEqual(intents);
+  expect(new Set(validation.map(e => e.intent))).toEqual(intents);
+  // a single example always stays in training
+  expect(splitExamples([{ text: 'hi', intent: 'greeting' }], 0.5).validation).toEqual([]);
+});
+
+test('merging adds trained weights onto current ones within the clamp range', () => {
+  const current = { greeting: [1.5, -1, 0] };
+  const trained = { greeting: [1, 0.5, 0], weather: [0, 0, 0.3] };
+  expect(mergeWeights(current, trained, 2)).toEqual({ greeting: [2, -0.5, 0], weather: [0, 0, 0.3] });
+});
+
+test('the perceptron learns from mistakes with negative updates and previews each choice', async () => {
+  const examples = [
+    { text: 'how are you?', intent: 'smalltalk_status' },
+    { text: 'hows it going', intent: 'smalltalk_status' },
+    { text: 'hello', intent: 'greeting' },
+  ];
+  const progress = [];
+  const result = await trainBatch(examples, pack, { epochs: 4, validationSplit: 0 }, { onProgress: (p) => progress.push(p) });
+  expect(progress.map(p => p.epoch)).toEqual([1, 2, 3, 4]);
+  expect(progress[0].validationAccuracy).toBeNull();
+  expect(progress[progress.length - 1]).toMatchObject({ trainAccuracy: 1, loss: 0 });
+  // "how are you?" was first taken for a greeting, so greeting moved away from its features
+  const howAreYou = pack.featureIndex.kw_how_are_you;
+  expect(result.weights.smalltalk_status[howAreYou]).toBeGreaterThan(0);
+  expect(result.weights.greeting[howAreYou]).toBeLessThan(0);
+  expect(result).toMatchObject({ previewOn: 'training', trained: 3, validated: 0, skipped: [] });
+  expect(result.preview).toEqual({ current: 1 / 3, replaced: 1, merged: 1 });
+});
+
+test('logistic regression holds out a validation split and beats the untrained baseline', async () => {
+  const result = await trainBatch(dataset(), pack, { algorithm: 'logistic', validationSplit: 0.3, epochs: 8 });
+  expect(result.previewOn).toBe('validation');
+  expect(result.validated).toBeGreaterThan(0);
+  expect(result.history).toHaveLength(8);
+  expect(result.history[7].loss).toBeLessThan(result.history[0].loss);
+  expect(result.preview.replaced).toBeGreaterThan(result.preview.current);
+  // merging onto zero weights gives the trained weights
+  expect(result.merged).toEqual(result.weights);
+
+  // the same seed trains the same weights
+  const again = await trainBatch(dataset(), pack, { algorithm: 'logistic', validationSplit: 0.3, epochs: 8 });
+  expect(again.weights).toEqual(result.weights);
+});
+
+test('skips unknown labels and rejects unusable input', async () => {
+  const result = await trainBatch([
+    { text: 'hello', intent: 'greeting' },
+    { text: 'refund please', intent: 'refund' },
+  ], pack, { epochs: 1, current: createZeroWeights(pack) });
+  expect(result.skipped).toEqual(['refund']);
+  expect(result.trained).toBe(1);
+
+  await expect(trainBatch([{ text: 'refund', intent: 'refund' }], pack)).rejects.toThrow(/No examples/);
+  await expect(trainBatch(dataset(), pack, { algorithm: 'svm' })).rejects.toThrow('Unknown training algorithm "svm"');
+});
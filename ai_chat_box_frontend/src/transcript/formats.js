@@ -0,0 +1,198 @@
+import { parseBlocks } from '../markdown/parseMarkdown';
+
+/**
+ * Readable renderings of a transcript document (see transcript.js): Markdown,
+ * and a standalone HTML page with inline styles and no scripts. Replies are
+ * rendered through the chat's Markdown parser, so the page shows them as the
+ * chat did; all text is escaped and link URLs are limited to safe schemes.
+ *
+ * Options for both:
+ *   labels       words for roles and message details (see DEFAULT_TRANSCRIPT_LABELS)
+ *   intentLabel  (key) => display name of an intent
+ *   formatDate   (isoDate) => display text of a timestamp
+ *   lang, dir    page language and direction (HTML only)
+ */
+
+export const DEFAULT_TRANSCRIPT_LABELS = {
+  untitled: 'Conversation',
+  exported: 'Exported',
+  user: 'You',
+  assistant: 'Assistant',
+  system: 'System',
+  intent: 'Intent',
+  helpful: 'Helpful',
+  notHelpful: 'Not helpful',
+  correctedTo: 'Corrected to',
+  clarifiedAs: 'Clarified as',
+  truncated: 'Cut short',
+};
+
+const defaultFormatDate = (iso) => `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+
+const resolveOptions = ({ labels, intentLabel, formatDate, ...rest } = {}) => ({
+  labels: { ...DEFAULT_TRANSCRIPT_LABELS, ...labels },
+  intentLabel: intentLabel || (key => key),
+  formatDate: formatDate || defaultFormatDate,
+  ...rest,
+});
+
+const titleOf = (doc, { labels }) => doc.title || labels.untitled;
+
+// Details shown next to a message's role: time, decided intent, feedback
+function messageDetails(message, { labels, intentLabel, formatDate }) {
+  const details = [];
+  if (message.createdAt) details.push(formatDate(message.createdAt));
+  if (message.intent) {
+    const confidence = typeof message.confidence === 'number' ? ` (${Math.round(message.confidence * 100)}%)` : '';
+    details.push(`${labels.intent}: ${intentLabel(message.intent)}${confidence}`);
+  }
+  if (message.clarification?.chosen) details.push(`${labels.clarifiedAs}: ${intentLabel(message.clarification.chosen)}`);
+  const { rating, correctedIntent } = message.feedback || {};
+  if (rating) details.push(rating === 'up' ? labels.helpful : labels.notHelpful);
+  if (correctedIntent) details.push(`${labels.correctedTo}: ${intentLabel(correctedIntent)}`);
+  if (message.truncated) details.push(labels.truncated);
+  return details;
+}
+
+// PUBLIC_INTERFACE
+/** Render a transcript as Markdown, one section per message. */
+export function transcriptToMarkdown(doc, options) {
+  const opts = resolveOptions(options);
+  const lines = [`# ${titleOf(doc, opts)}`, ''];
+  if (doc.exportedAt) lines.push(`_${opts.labels.exported} ${opts.formatDate(doc.exportedAt)}_`, '');
+  for (const message of doc.messages) {
+    const heading = [`**${opts.labels[message.role]}**`, ...messageDetails(message, opts)].join(' · ');
+    lines.push('---', '', heading, '');
+    if (message.command) lines.push(`\`${message.command}\``, '');
+    lines.push(message.content, '');
+  }
+  return lines.join('\n');
+}
+
+const ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, ch => ESCAPES[ch]);
+
+function inlineHtml(nodes) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return escapeHtml(node.value);
+      case 'br':
+        return '<br>';
+      case 'code':
+        return `<code>${escapeHtml(node.value)}</code>`;
+      case 'strong':
+      case 'em':
+      case 'del':
+        return `<${node.type}>${inlineHtml(node.children)}</${node.type}>`;
+      case 'link':
+        return `<a href="${escapeHtml(node.href)}" rel="noopener noreferrer nofollow">${inlineHtml(node.children)}</a>`;
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function blocksHtml(blocks) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${inlineHtml(block.children)}</h${block.level}>`;
+      case 'paragraph':
+        return `<p>${inlineHtml(block.children)}</p>`;
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.items.map(item => (item.length === 1 && item[0].type === 'paragraph'
+          ? inlineHtml(item[0].children)
+          : blocksHtml(item)));
+        return `<${tag}${start}>${items.map(item => `<li>${item}</li>`).join('')}</${tag}>`;
+      }
+      case 'blockquote':
+        return `<blockquote>${blocksHtml(block.children)}</blockquote>`;
+      case 'code': {
+        const lang = block.lang ? ` class="language-${escapeHtml(block.lang)}"` : '';
+        return `<pre dir="ltr"><code${lang}>${escapeHtml(block.text)}</code></pre>`;
+      }
+      case 'table': {
+        const cell = (tag, c, content) => {
+          const align = block.align[c] ? ` style="text-align:${block.align[c]}"` : '';
+          return `<${tag}${align}>${inlineHtml(content)}</${tag}>`;
+        };
+        const head = `<tr>${block.header.map((content, c) => cell('th', c, content)).join('')}</tr>`;
+        const rows = block.rows.map(row => `<tr>${row.map((content, c) => cell('td', c, content)).join('')}</tr>`);
+        return `<table><thead>${head}</thead><tbody>${rows.join('')}</tbody></table>`;
+      }
+      case 'hr':
+        return '<hr>';
+      default:
+        return '';
+    }
+  }).join('\n');
+}
+
+const PAGE_STYLE = `
+body { margin: 0; padding: 24px 16px; background: #f9fafb; color: #111827;
+  font: 15px/1.5 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; }
+main { max-width: 760px; margin: 0 auto; }
+h1 { font-size: 1.5em; margin: 0 0 4px; }
+.exported { color: #6B7280; font-size: 13px; margin: 0 0 20px; }
+.message { margin: 0 0 12px; padding: 10px 14px; border-radius: 12px; background: #fff; border: 1px solid #E5E7EB; }
+.message.user { background: #EFF6FF; border-color: #BFDBFE; }
+.message.system { background: #FFFBEB; border-color: #FDE68A; font-size: 14px; }
+.details { color: #6B7280; font-size: 12px; margin-bottom: 4px; }
+.role { color: #2563EB; font-weight: 600; }
+.content p { margin: 0 0 8px; }
+.content > :last-child { margin-bottom: 0; }
+.plain { white-space: pre-wrap; }
+code { font-family: Menlo, Monaco, Consolas, monospace; font-size: 0.9em; }
+pre { background: #0F172A; color: #E5E7EB; padding: 10px 12px; border-radius: 8px; overflow-x: auto; }
+blockquote { margin: 0 0 8px; padding: 2px 10px; border-inline-start: 3px solid #93C5FD; color: #4B5563; }
+table { border-collapse: collapse; margin: 0 0 8px; }
+th, td { border: 1px solid #E5E7EB; padding: 4px 8px; }
+a { color: #2563EB; }
+`;
+
+// PUBLIC_INTERFACE
+/** Render a transcript as a standalone HTML page. */
+export function transcriptToHtml(doc, options) {
+  const opts = resolveOptions(options);
+  const title = escapeHtml(titleOf(doc, opts));
+  const messages = doc.messages.map((message) => {
+    const details = messageDetails(message, opts).map(escapeHtml);
+    const command = message.command ? `<p><code>${escapeHtml(message.command)}</code></p>` : '';
+    // User messages are shown as typed, replies and system messages as Markdown
+    const content = message.role === 'user'
+      ? `<div class="plain">${escapeHtml(message.content)}</div>`
+      : blocksHtml(parseBlocks(message.content));
+    return [
+      `<section class="message ${message.role}">`,
+      `<div class="details"><span class="role">${escapeHtml(opts.labels[message.role])}</span>${details.map(d => ` · ${d}`).join('')}</div>`,
+      `<div class="content" dir="auto">${command}${content}</div>`,
+      '</section>',
+    ].join('\n');
+  });
+  const exported = doc.exportedAt
+    ? `<p class="exported">${escapeHtml(`${opts.labels.exported} ${opts.formatDate(doc.exportedAt)}`)}</p>`
+    : '';
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(opts.lang || 'en')}" dir="${opts.dir === 'rtl' ? 'rtl' : 'ltr'}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${title}</title>`,
+    `<style>${PAGE_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    '<main>',
+    `<h1>${title}</h1>`,
+    exported,
+    ...messages,
+    '</main>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,8 @@
+export {
+  TRANSCRIPT_FORMAT,
+  TRANSCRIPT_SCHEMA_VERSION,
+  conversationFromTranscript,
+  createTranscript,
+  parseTranscript,
+} from './transcript';
+export { DEFAULT_TRANSCRIPT_LABELS, transcriptToHtml, transcriptToMarkdown } from './formats';
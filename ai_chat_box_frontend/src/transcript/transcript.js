@@ -0,0 +1,121 @@
+/**
+ * Conversation transcripts as a versioned JSON document, for export and for
+ * importing a session back to resume or review it.
+ *
+ *   {
+ *     format: 'smartgpt-transcript',
+ *     schemaVersion: 1,
+ *     exportedAt: ISO date,
+ *     title, createdAt, updatedAt,          // ISO dates or null
+ *     skillPack: { id, version },           // pack active when exported
+ *     context: { lastIntent, history, slots, flow? },
+ *     messages: [{ role, content, createdAt, intent?, confidence?, feedback?,
+ *                  clarification?, entities?, citations?, flow?, command?, ... }],
+ *   }
+ *
+ * Only what describes the conversation is kept: feature vectors, branches and
+ * learning records are internal to the classifier and stay out, so imported
+ * messages can be read and continued but do not teach it again.
+ */
+
+export const TRANSCRIPT_FORMAT = 'smartgpt-transcript';
+export const TRANSCRIPT_SCHEMA_VERSION = 1;
+
+const ROLES = ['user', 'assistant', 'system'];
+
+// Message fields carried by a transcript, besides role, content and createdAt
+const MESSAGE_FIELDS = [
+  'intent', 'confidence', 'packId', 'locale', 'feedback', 'clarification',
+  'entities', 'citations', 'flow', 'command', 'truncated', 'error',
+];
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const toIso = (ms) => (Number.isFinite(ms) ? new Date(ms).toISOString() : null);
+
+const fromIso = (iso) => {
+  const ms = typeof iso === 'string' ? Date.parse(iso) : NaN;
+  return Number.isNaN(ms) ? undefined : ms;
+};
+
+const pick = (message) => Object.fromEntries(
+  MESSAGE_FIELDS.filter(key => message[key] !== undefined && message[key] !== null).map(key => [key, message[key]]),
+);
+
+// PUBLIC_INTERFACE
+/**
+ * Build a transcript document from a conversation record
+ * ({ title, createdAt, updatedAt, messages, context }, see conversationStore)
+ * and the active skill pack. Messages still being typed are left out.
+ */
+export function createTranscript({ title, createdAt, updatedAt, messages = [], context }, pack) {
+  return {
+    format: TRANSCRIPT_FORMAT,
+    schemaVersion: TRANSCRIPT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    title: title || null,
+    createdAt: toIso(createdAt),
+    updatedAt: toIso(updatedAt),
+    skillPack: pack ? { id: pack.id, version: pack.version } : null,
+    context: context || null,
+    messages: messages.filter(m => !m.typingId).map(m => ({
+      role: m.role,
+      content: m.content,
+      createdAt: toIso(m.createdAt),
+      ...pick(m),
+    })),
+  };
+}
+
+function validateMessages(messages) {
+  if (!Array.isArray(messages)) throw new Error('Transcript has no messages list');
+  messages.forEach((m, i) => {
+    if (!isObject(m)) throw new Error(`Message ${i + 1} is not an object`);
+    if (!ROLES.includes(m.role)) throw new Error(`Message ${i + 1} has an unknown role "${m.role}"`);
+    if (typeof m.content !== 'string') throw new Error(`Message ${i + 1} has no text content`);
+  });
+}
+
+// PUBLIC_INTERFACE
+/** Parse and validate an exported transcript file's text. */
+export function parseTranscript(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Transcript file is not valid JSON (${e.message})`);
+  }
+  if (!isObject(doc) || doc.format !== TRANSCRIPT_FORMAT) throw new Error('Not a SmartChatGPT transcript file');
+  const version = doc.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) throw new Error('Transcript has an invalid schemaVersion');
+  if (version > TRANSCRIPT_SCHEMA_VERSION) {
+    throw new Error(`Transcript schema v${version} is newer than this app supports (v${TRANSCRIPT_SCHEMA_VERSION})`);
+  }
+  validateMessages(doc.messages);
+  if (doc.context !== undefined && doc.context !== null && !isObject(doc.context)) {
+    throw new Error('Transcript context must be an object');
+  }
+  return doc;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Turn a parsed transcript into the parts of a conversation record:
+ * { title, messages, context } with timestamps back in milliseconds.
+ * `context` is null when the transcript has none.
+ */
+export function conversationFromTranscript(doc) {
+  return {
+    title: typeof doc.title === 'string' && doc.title.trim() ? doc.title.trim() : null,
+    messages: doc.messages.map((m) => {
+      const createdAt = fromIso(m.createdAt);
+      return {
+        role: m.role,
+        content: m.content,
+        ...(createdAt === undefined ? {} : { createdAt }),
+        ...pick(m),
+      };
+    }),
+    context: isObject(doc.context) ? doc.context : null,
+  };
+}
@@ -0,0 +1,103 @@
+import { DEFAULT_SKILL_PACK } from '../skillPack';
+import {
+  conversationFromTranscript,
+  createTranscript,
+  parseTranscript,
+  transcriptToHtml,
+  transcriptToMarkdown,
+} from './index';
+
+const at = (minute) => Date.UTC(2024, 4, 1, 12, minute);
+
+const conversation = () => ({
+  title: 'Weekend plans',
+  createdAt: at(0),
+  updatedAt: at(3),
+  context: { lastIntent: 'weather', history: ['will it rain?'], slots: {} },
+  messages: [
+    { role: 'user', content: 'will it rain? <b>', createdAt: at(1), contextBefore: { history: [] }, entities: [] },
+    {
+      role: 'assistant',
+      content: 'Maybe **bring** an umbrella.',
+      createdAt: at(2),
+      intent: 'weather',
+      confidence: 0.874,
+      features: [1, 0, 1],
+      packId: 'default',
+      feedback: { rating: 'down', correctedIntent: 'small_talk' },
+      learning: [{ intent: 'weather', direction: 1, lr: 0.1 }],
+      branches: { index: 0, list: [] },
+    },
+    { role: 'system', content: 'Learning is **on**.', command: '/learn on', createdAt: at(3) },
+    { role: 'assistant', content: 'Still typ', typingId: 'abc' },
+  ],
+});
+
+test('a transcript keeps roles, timestamps, intents and feedback but not classifier internals', () => {
+  const doc = createTranscript(conversation(), DEFAULT_SKILL_PACK);
+  expect(doc).toMatchObject({
+    format: 'smartgpt-transcript',
+    schemaVersion: 1,
+    title: 'Weekend plans',
+    createdAt: '2024-05-01T12:00:00.000Z',
+    skillPack: { id: DEFAULT_SKILL_PACK.id, version: DEFAULT_SKILL_PACK.version },
+    context: { lastIntent: 'weather' },
+  });
+  expect(doc.messages).toHaveLength(3);
+  expect(doc.messages[1]).toEqual({
+    role: 'assistant',
+    content: 'Maybe **bring** an umbrella.',
+    createdAt: '2024-05-01T12:02:00.000Z',
+    intent: 'weather',
+    confidence: 0.874,
+    packId: 'default',
+    feedback: { rating: 'down', correctedIntent: 'small_talk' },
+  });
+  expect(doc.messages[0]).not.toHaveProperty('contextBefore');
+});
+
+test('an exported transcript imports back into a conversation', () => {
+  const doc = parseTranscript(JSON.stringify(createTranscript(conversation(), DEFAULT_SKILL_PACK)));
+  const restored = conversationFromTranscript(doc);
+  expect(restored.title).toBe('Weekend plans');
+  expect(restored.context).toEqual(conversation().context);
+  expect(restored.messages.map(m => m.createdAt)).toEqual([at(1), at(2), at(3)]);
+  expect(restored.messages[2]).toEqual({ role: 'system', content: 'Learning is **on**.', command: '/learn on', createdAt: at(3) });
+
+  // messages without a timestamp (saved before timestamps existed) stay without one
+  const old = conversationFromTranscript(parseTranscript(JSON.stringify(createTranscript({ messages: [{ role: 'user', content: 'hi' }] }))));
+  expect(old).toEqual({ title: null, messages: [{ role: 'user', content: 'hi' }], context: null });
+});
+
+test('rejects files that are not usable transcripts', () => {
+  const valid = createTranscript(conversation(), DEFAULT_SKILL_PACK);
+  const text = (patch) => JSON.stringify({ ...valid, ...patch });
+  expect(() => parseTranscript('{oops')).toThrow(/^Transcript file is not valid JSON/);
+  expect(() => parseTranscript(JSON.stringify({ format: 'smartgpt-memory', schemaVersion: 1 }))).toThrow('Not a SmartChatGPT transcript file');
+  expect(() => parseTranscript(text({ schemaVersion: 2 }))).toThrow('Transcript schema v2 is newer than this app supports (v1)');
+  expect(() => parseTranscript(text({ messages: null }))).toThrow('Transcript has no messages list');
+  expect(() => parseTranscript(text({ messages: [{ role: 'bot', content: 'hi' }] }))).toThrow('Message 1 has an unknown role "bot"');
+  expect(() => parseTranscript(text({ messages: [{ role: 'user' }] }))).toThrow('Message 1 has no text content');
+  expect(() => parseTranscript(text({ context: [] }))).toThrow('Transcript context must be an object');
+});
+
+test('renders Markdown and a standalone, escaped HTML page', () => {
+  const doc = { ...createTranscript(conversation(), DEFAULT_SKILL_PACK), exportedAt: '2024-05-02T08:00:00.000Z' };
+  const options = { intentLabel: key => key.toUpperCase(), labels: { user: 'Me' } };
+
+  const markdown = transcriptToMarkdown(doc, options);
+  expect(markdown.startsWith('# Weekend plans\n\n_Exported 2024-05-02 08:00 UTC_\n')).toBe(true);
+  expect(markdown).toContain('**Me** · 2024-05-01 12:01 UTC\n\nwill it rain? <b>\n');
+  expect(markdown).toContain('**Assistant** · 2024-05-01 12:02 UTC · Intent: WEATHER (87%) · Not helpful · Corrected to: SMALL_TALK');
+  expect(markdown).toContain('**System** · 2024-05-01 12:03 UTC\n\n`/learn on`\n\nLearning is **on**.');
+
+  const html = transcriptToHtml({ ...doc, title: 'A <title>' }, { ...options, lang: 'ar', dir: 'rtl' });
+  expect(html.startsWith('<!DOCTYPE html>\n<html lang="ar" dir="rtl">')).toBe(true);
+  expect(html).toContain('<title>A &lt;title&gt;</title>');
+  expect(html).not.toContain('<script');
+  expect(html).toContain('<div class="plain">will it rain? &lt;b&gt;</div>');
+  expect(html).toContain('<p>Maybe <strong>bring</strong> an umbrella.</p>');
+  expect(html).toContain('Intent: WEATHER (87%)');
+  expect(transcriptToHtml({ messages: [{ role: 'assistant', content: '[x](javascript:alert(1)) `a<b`' }] }))
+    .toContain('<p>x <code>a&lt;b</code></p>');
+});
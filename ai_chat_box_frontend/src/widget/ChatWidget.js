@@ -0,0 +1,96 @@
+import React from 'react';
+import SmartChatGPT from '../SmartChatGPT';
+import { useI18n } from '../i18n';
+
+// Colours behind the chat's CSS variables; set on the widget so host page styles don't leak in
+const THEME_VARIABLES = {
+  light: {
+    '--bg-primary': '#f9fafb',
+    '--bg-secondary': '#ffffff',
+    '--text-primary': '#111827',
+    '--text-secondary': '#4B5563',
+    '--border-color': '#E5E7EB',
+  },
+  dark: {
+    '--bg-primary': '#111827',
+    '--bg-secondary': '#1F2937',
+    '--text-primary': '#F9FAFB',
+    '--text-secondary': '#9CA3AF',
+    '--border-color': '#374151',
+  },
+};
+
+const styles = {
+  root: {
+    position: 'fixed',
+    bottom: 20,
+    zIndex: 2147483000,
+    fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', 'Helvetica Neue', sans-serif",
+    fontSize: 15,
+    color: 'var(--text-primary, #111827)',
+  },
+  panel: {
+    position: 'absolute',
+    bottom: 72,
+    width: 'min(400px, calc(100vw - 40px))',
+    height: 'min(620px, calc(100vh - 110px))',
+    flexDirection: 'column',
+    borderRadius: 16,
+    overflow: 'hidden',
+    border: '1px solid var(--border-color, #E5E7EB)',
+    background: 'var(--bg-secondary, #ffffff)',
+    boxShadow: '0 20px 40px rgba(17, 24, 39, 0.2)',
+  },
+  launcher: {
+    width: 56,
+    height: 56,
+    borderRadius: 9999,
+    border: 'none',
+    background: '#2563EB',
+    color: '#ffffff',
+    fontSize: 24,
+    cursor: 'pointer',
+    boxShadow: '0 8px 20px rgba(37,99,235,0.35)',
+  },
+};
+
+// PUBLIC_INTERFACE
+export default function ChatWidget({ config, skillPack, open, onToggle, chatRef, onMessage }) {
+  /** PUBLIC_INTERFACE
+   * Floating launcher bubble with a collapsible SmartChatGPT panel. The chat stays
+   * mounted while the panel is closed, so replies keep streaming and `send` works.
+   */
+  const { t } = useI18n();
+  const side = config.position === 'bottom-left' ? 'left' : 'right';
+
+  return (
+    <div style={{ ...styles.root, ...THEME_VARIABLES[config.theme], [side]: 20 }}>
+      <div
+        role="dialog"
+        aria-label={config.title}
+        style={{ ...styles.panel, [side]: 0, display: open ? 'flex' : 'none' }}
+      >
+        <SmartChatGPT
+          ref={chatRef}
+          layout="panel"
+          title={config.title}
+          greeting={config.greeting || undefined}
+          skillPack={skillPack}
+          storageNamespace={config.storageNamespace}
+          showSettings={config.showSettings}
+          onMessage={onMessage}
+        />
+      </div>
+      <button
+        type="button"
+        style={styles.launcher}
+        onClick={onToggle}
+        aria-expanded={open}
+        aria-label={open ? t('widget.close') : t('widget.open')}
+        title={t('widget.label')}
+      >
+        {open ? '✕' : '💬'}
+      </button>
+    </div>
+  );
+}
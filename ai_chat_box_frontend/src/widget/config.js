@@ -0,0 +1,97 @@
+/**
+ * Configuration of the embeddable chat widget.
+ *
+ * Options come from the element's attributes, a JSON object in its `config`
+ * attribute, and a `<script type="application/json">` child, in that order of
+ * precedence. JSON uses the camelCase option names below; attributes use the
+ * kebab-case names in WIDGET_ATTRIBUTES.
+ */
+
+export const WIDGET_THEMES = ['light', 'dark'];
+export const WIDGET_POSITIONS = ['bottom-right', 'bottom-left'];
+
+export const DEFAULT_WIDGET_CONFIG = {
+  title: 'SmartChatGPT',
+  // empty: the chat's translated default greeting
+  greeting: '',
+  theme: 'light',
+  // id of an installed pack, or the URL of a pack JSON to fetch and install
+  skillPack: '',
+  position: 'bottom-right',
+  open: false,
+  showSettings: false,
+  // origins besides the page's own that may send commands and receive events
+  allowedOrigins: [],
+  // keeps this widget's settings, memory and conversations apart (see SmartChatGPT)
+  storageNamespace: '',
+};
+
+// attribute name -> option name
+const ATTRIBUTE_OPTIONS = {
+  title: 'title',
+  greeting: 'greeting',
+  theme: 'theme',
+  'skill-pack': 'skillPack',
+  position: 'position',
+  open: 'open',
+  settings: 'showSettings',
+  'allowed-origins': 'allowedOrigins',
+  'storage-namespace': 'storageNamespace',
+};
+
+export const WIDGET_ATTRIBUTES = [...Object.keys(ATTRIBUTE_OPTIONS), 'config'];
+
+// A present boolean attribute is true unless it says "false"
+const toBoolean = (value) => value === true || (typeof value === 'string' && value.trim().toLowerCase() !== 'false');
+
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+  .map(v => String(v).trim())
+  .filter(Boolean);
+
+// PUBLIC_INTERFACE
+/** True when a skill pack option names a pack JSON to fetch rather than an installed pack id. */
+export function isSkillPackUrl(value) {
+  return /^(https?:)?\/\/|^\.{0,2}\/|\.json$/i.test(value || '');
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Merge attribute values (`{ attributeName: string }`) and JSON sources
+ * (strings, lowest precedence first) over the defaults.
+ * Returns { config, errors }; invalid values are reported and replaced by defaults.
+ */
+export function parseWidgetConfig(attributes = {}, jsonSources = []) {
+  const errors = [];
+  const merged = {};
+  for (const source of jsonSources) {
+    if (!source || !source.trim()) continue;
+    try {
+      const json = JSON.parse(source);
+      if (!json || typeof json !== 'object' || Array.isArray(json)) throw new Error('expected an object');
+      Object.assign(merged, json);
+    } catch (e) {
+      errors.push(`Widget config is not valid JSON: ${e.message}`);
+    }
+  }
+  for (const [name, option] of Object.entries(ATTRIBUTE_OPTIONS)) {
+    if (attributes[name] != null) merged[option] = attributes[name];
+  }
+
+  const config = { ...DEFAULT_WIDGET_CONFIG };
+  for (const [option, value] of Object.entries(merged)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_WIDGET_CONFIG, option)) {
+      errors.push(`Unknown widget option "${option}"`);
+    } else if (option === 'open' || option === 'showSettings') {
+      config[option] = toBoolean(value);
+    } else if (option === 'allowedOrigins') {
+      config.allowedOrigins = toList(value);
+    } else if (option === 'theme' && !WIDGET_THEMES.includes(value)) {
+      errors.push(`Widget theme must be one of ${WIDGET_THEMES.join(', ')}`);
+    } else if (option === 'position' && !WIDGET_POSITIONS.includes(value)) {
+      errors.push(`Widget position must be one of ${WIDGET_POSITIONS.join(', ')}`);
+    } else {
+      config[option] = String(value);
+    }
+  }
+  return { config, errors };
+}
@@ -0,0 +1,194 @@
+import React from 'react';
+import ReactDOM from 'react-dom/client';
+import ChatWidget from './ChatWidget';
+import { WIDGET_ATTRIBUTES, isSkillPackUrl, parseWidgetConfig } from './config';
+import { EVENT_TYPE, WIDGET_EVENTS, isTrustedOrigin, parseCommand, toWidgetMessage } from './protocol';
+import { I18nProvider, resolveLocale } from '../i18n';
+import { fetchSkillPack } from '../skillPack';
+
+export const DEFAULT_TAG_NAME = 'smart-chat-widget';
+
+// Keep the host page's inherited styles (font, colour, line height) out of the shadow tree
+const SHADOW_CSS = ':host { all: initial; }';
+
+/**
+ * Build the custom element class. It is created on demand so that importing
+ * this module never touches HTMLElement outside a browser.
+ */
+function createWidgetClass() {
+  return class SmartChatWidget extends HTMLElement {
+    static get observedAttributes() {
+      return WIDGET_ATTRIBUTES;
+    }
+
+    constructor() {
+      super();
+      this._root = null;
+      this._chat = null;
+      this._pending = [];
+      this._listeners = new Map();
+      this._skillPack = undefined;
+      this._setChat = this._setChat.bind(this);
+      this._onWindowMessage = this._onWindowMessage.bind(this);
+    }
+
+    connectedCallback() {
+      if (!this.shadowRoot) {
+        const shadow = this.attachShadow({ mode: 'open' });
+        const style = document.createElement('style');
+        style.textContent = SHADOW_CSS;
+        this._container = document.createElement('div');
+        shadow.append(style, this._container);
+      }
+      this._readConfig();
+      if (this._config.open && !this.hasAttribute('open')) this.setAttribute('open', '');
+      this._root = ReactDOM.createRoot(this._container);
+      window.addEventListener('message', this._onWindowMessage);
+      this._loadSkillPack().then(() => this._render());
+    }
+
+    disconnectedCallback() {
+      window.removeEventListener('message', this._onWindowMessage);
+      this._root?.unmount();
+      this._root = null;
+      this._chat = null;
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+      if (!this._root) return;
+      if (name === 'open') {
+        if ((oldValue === null) !== (newValue === null)) this._emit(newValue === null ? 'close' : 'open');
+      } else {
+        this._readConfig();
+      }
+      this._render();
+    }
+
+    // PUBLIC_INTERFACE
+    /** Whether the chat panel is showing (reflected by the `open` attribute). */
+    get isOpen() {
+      return this.hasAttribute('open');
+    }
+
+    // PUBLIC_INTERFACE
+    open() {
+      this.setAttribute('open', '');
+    }
+
+    // PUBLIC_INTERFACE
+    close() {
+      this.removeAttribute('open');
+    }
+
+    // PUBLIC_INTERFACE
+    toggle() {
+      if (this.isOpen) this.close();
+      else this.open();
+    }
+
+    // PUBLIC_INTERFACE
+    /**
+     * Send `text` as the user. Messages wait for the chat to load and for any reply
+     * in progress; the promise resolves once this message's reply is complete.
+     */
+    send(text) {
+      if (this._chat) return this._chat.send(text);
+      return new Promise((resolve) => this._pending.push({ text, resolve }));
+    }
+
+    // PUBLIC_INTERFACE
+    /**
+     * Call `handler(detail)` for each `event` (see WIDGET_EVENTS). Returns a
+     * function that removes the handler.
+     */
+    subscribe(event, handler) {
+      if (!WIDGET_EVENTS.includes(event)) throw new Error(`Unknown widget event: ${event}`);
+      const handlers = this._listeners.get(event) || new Set();
+      handlers.add(handler);
+      this._listeners.set(event, handlers);
+      return () => handlers.delete(handler);
+    }
+
+    _readConfig() {
+      const attributes = {};
+      for (const name of WIDGET_ATTRIBUTES) {
+        if (this.hasAttribute(name)) attributes[name] = this.getAttribute(name);
+      }
+      const inline = this.querySelector('script[type="application/json"]');
+      const { config, errors } = parseWidgetConfig(attributes, [inline?.textContent, attributes.config]);
+      this._config = config;
+      for (const message of errors) this._emit('error', { message });
+    }
+
+    // A pack URL is fetched (and validated) once, before the chat first renders
+    async _loadSkillPack() {
+      const { skillPack } = this._config;
+      if (!isSkillPackUrl(skillPack)) {
+        this._skillPack = skillPack || undefined;
+        return;
+      }
+      try {
+        this._skillPack = await fetchSkillPack(new URL(skillPack, document.baseURI).href);
+      } catch (e) {
+        this._emit('error', { message: `Skill pack ${skillPack} failed to load: ${e.message}` });
+      }
+    }
+
+    _render() {
+      this._root?.render(
+        <I18nProvider locale={resolveLocale(navigator.languages || [navigator.language])}>
+          <ChatWidget
+            config={this._config}
+            skillPack={this._skillPack}
+            open={this.isOpen}
+            onToggle={() => this.toggle()}
+            chatRef={this._setChat}
+            onMessage={(message) => this._emit('message', toWidgetMessage(message))}
+          />
+        </I18nProvider>
+      );
+    }
+
+    // Receives the chat's ref handle once its conversation has loaded
+    _setChat(handle) {
+      this._chat = handle;
+      if (!handle) return;
+      this._emit('ready', {});
+      for (const { text, resolve } of this._pending.splice(0)) resolve(handle.send(text));
+    }
+
+    _onWindowMessage(event) {
+      if (!isTrustedOrigin(event.origin, this._config.allowedOrigins)) return;
+      const command = parseCommand(event.data);
+      if (!command || (command.widget && command.widget !== this.id)) return;
+      if (command.action === 'send') this.send(command.text);
+      else this[command.action]();
+    }
+
+    // Notify subscribers, DOM listeners (`smartchat:<event>`) and postMessage listeners
+    _emit(event, detail) {
+      for (const handler of this._listeners.get(event) || []) handler(detail);
+      this.dispatchEvent(new CustomEvent(`smartchat:${event}`, { detail, bubbles: true, composed: true }));
+
+      const message = { type: EVENT_TYPE, event, detail, widget: this.id || null };
+      window.postMessage(message, window.location.origin);
+      if (window.parent !== window) {
+        for (const origin of this._config.allowedOrigins) window.parent.postMessage(message, origin);
+      }
+    }
+  };
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Register the chat widget custom element (default `<smart-chat-widget>`) and
+ * return its class. Safe to call more than once.
+ */
+export function defineChatWidget(tagName = DEFAULT_TAG_NAME, registry = window.customElements) {
+  if (!registry) return null;
+  const existing = registry.get(tagName);
+  if (existing) return existing;
+  const WidgetClass = createWidgetClass();
+  registry.define(tagName, WidgetClass);
+  return WidgetClass;
+}
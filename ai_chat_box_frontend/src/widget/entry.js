@@ -0,0 +1,5 @@
+import { defineChatWidget } from './element';
+
+// Entry of the embeddable widget bundle (built by scripts/buildWidget.js and loaded by
+// public/widget.js): it only registers <smart-chat-widget>, without the app or its CSS.
+defineChatWidget();
@@ -0,0 +1,18 @@
+export { default as ChatWidget } from './ChatWidget';
+export {
+  DEFAULT_WIDGET_CONFIG,
+  WIDGET_ATTRIBUTES,
+  WIDGET_POSITIONS,
+  WIDGET_THEMES,
+  isSkillPackUrl,
+  parseWidgetConfig,
+} from './config';
+export { DEFAULT_TAG_NAME, defineChatWidget } from './element';
+export {
+  COMMAND_TYPES,
+  EVENT_TYPE,
+  WIDGET_EVENTS,
+  isTrustedOrigin,
+  parseCommand,
+  toWidgetMessage,
+} from './protocol';
@@ -0,0 +1,65 @@
+/**
+ * postMessage protocol between a host page (or its parent frame) and the chat widget.
+ *
+ * host -> widget
+ *   { type: 'smartchat:open' }                        open the panel
+ *   { type: 'smartchat:close' }                       close the panel
+ *   { type: 'smartchat:toggle' }                      open or close it
+ *   { type: 'smartchat:send', text }                  send `text` as the user
+ * widget -> host
+ *   { type: 'smartchat:event', event, detail, widget }
+ *
+ * Commands may carry `widget` (an element id) to address one of several widgets.
+ * They are accepted from the page's own origin and the widget's allowed origins.
+ * Events are the ones in WIDGET_EVENTS; `widget` is the element id (or null).
+ */
+
+export const COMMAND_TYPES = {
+  OPEN: 'smartchat:open',
+  CLOSE: 'smartchat:close',
+  TOGGLE: 'smartchat:toggle',
+  SEND: 'smartchat:send',
+};
+
+export const EVENT_TYPE = 'smartchat:event';
+
+// ready: the chat can take messages; message: detail is a widget message (see toWidgetMessage)
+export const WIDGET_EVENTS = ['ready', 'open', 'close', 'message', 'error'];
+
+// PUBLIC_INTERFACE
+/**
+ * Read a command from postMessage data: { action, text?, widget? } or null when
+ * the data is not a well-formed widget command.
+ */
+export function parseCommand(data) {
+  if (!data || typeof data !== 'object') return null;
+  const action = Object.keys(COMMAND_TYPES).find(k => COMMAND_TYPES[k] === data.type)?.toLowerCase();
+  if (!action) return null;
+  if (action === 'send' && (typeof data.text !== 'string' || !data.text.trim())) return null;
+  return {
+    action,
+    ...(action === 'send' ? { text: data.text } : {}),
+    ...(typeof data.widget === 'string' ? { widget: data.widget } : {}),
+  };
+}
+
+// PUBLIC_INTERFACE
+/** Whether messages from `origin` may command the widget. */
+export function isTrustedOrigin(origin, allowedOrigins = [], ownOrigin = window.location.origin) {
+  return origin === ownOrigin || allowedOrigins.includes(origin);
+}
+
+// PUBLIC_INTERFACE
+/**
+ * The part of a chat message shared with the host page: role and content, plus
+ * the decided intent, cited sources and error when present.
+ */
+export function toWidgetMessage({ role, content, intent, citations, error }) {
+  return {
+    role,
+    content,
+    ...(intent ? { intent } : {}),
+    ...(citations ? { citations } : {}),
+    ...(error ? { error } : {}),
+  };
+}
@@ -0,0 +1,109 @@
+import { DEFAULT_WIDGET_CONFIG, isSkillPackUrl, parseWidgetConfig } from './config';
+import { COMMAND_TYPES, isTrustedOrigin, parseCommand, toWidgetMessage } from './protocol';
+import { defineChatWidget } from './element';
+
+const waitFor = async (check, timeout = 4000) => {
+  const started = Date.now();
+  for (;;) {
+    if (check()) return;
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for the widget');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+test('widget config merges attributes over JSON over defaults and reports bad values', () => {
+  const { config, errors } = parseWidgetConfig(
+    {
+      title: 'Acme help',
+      open: '',
+      'allowed-origins': 'https://a.example, https://b.example',
+      'storage-namespace': 'acme',
+      theme: 'neon',
+    },
+    ['{ "title": "Inline", "greeting": "Hey!", "position": "bottom-left", "showSettings": true }', '{ "nope": 1 }', '{'],
+  );
+  expect(config).toEqual({
+    ...DEFAULT_WIDGET_CONFIG,
+    title: 'Acme help',
+    greeting: 'Hey!',
+    position: 'bottom-left',
+    open: true,
+    showSettings: true,
+    allowedOrigins: ['https://a.example', 'https://b.example'],
+    storageNamespace: 'acme',
+  });
+  expect(errors).toEqual([
+    expect.stringMatching(/^Widget config is not valid JSON/),
+    'Unknown widget option "nope"',
+    'Widget theme must be one of light, dark',
+  ]);
+  expect(parseWidgetConfig({ open: 'false' }).config.open).toBe(false);
+
+  expect(isSkillPackUrl('support')).toBe(false);
+  expect(isSkillPackUrl('/packs/acme.json')).toBe(true);
+  expect(isSkillPackUrl('https://cdn.example/pack')).toBe(true);
+});
+
+test('postMessage commands are parsed and only trusted origins may send them', () => {
+  expect(parseCommand({ type: COMMAND_TYPES.OPEN })).toEqual({ action: 'open' });
+  expect(parseCommand({ type: COMMAND_TYPES.SEND, text: 'hi', widget: 'help' })).toEqual({ action: 'send', text: 'hi', widget: 'help' });
+  expect(parseCommand({ type: COMMAND_TYPES.SEND, text: '  ' })).toBeNull();
+  expect(parseCommand({ type: 'smartchat:explode' })).toBeNull();
+  expect(parseCommand('smartchat:open')).toBeNull();
+
+  expect(isTrustedOrigin('http://localhost', [], 'http://localhost')).toBe(true);
+  expect(isTrustedOrigin('https://evil.example', ['https://a.example'], 'http://localhost')).toBe(false);
+  expect(isTrustedOrigin('https://a.example', ['https://a.example'], 'http://localhost')).toBe(true);
+
+  expect(toWidgetMessage({ role: 'assistant', content: 'Hi', intent: 'greeting', features: [1, 0] }))
+    .toEqual({ role: 'assistant', content: 'Hi', intent: 'greeting' });
+});
+
+test('the custom element opens, closes and chats through its JS and postMessage APIs', async () => {
+  defineChatWidget('test-chat-widget');
+  expect(defineChatWidget('test-chat-widget')).toBe(customElements.get('test-chat-widget'));
+
+  const widget = document.createElement('test-chat-widget');
+  widget.id = 'help';
+  widget.setAttribute('title', 'Acme help');
+  widget.setAttribute('greeting', 'Welcome to Acme!');
+  const events = [];
+  for (const event of ['ready', 'open', 'close', 'message']) {
+    widget.subscribe(event, detail => events.push([event, detail]));
+  }
+  expect(() => widget.subscribe('explode', () => {})).toThrow('Unknown widget event: explode');
+  const reply = widget.send('hello');
+  document.body.appendChild(widget);
+
+  await waitFor(() => widget.shadowRoot.querySelector('[role="dialog"] h1'));
+  const dialog = widget.shadowRoot.querySelector('[role="dialog"]');
+  expect(dialog.getAttribute('aria-label')).toBe('Acme help');
+  expect(dialog.style.display).toBe('none');
+  expect(dialog.textContent).toContain('Welcome to Acme!');
+  // settings bars stay hidden unless the widget asks for them
+  expect(widget.shadowRoot.querySelector('[aria-label="Learning controls"]')).toBeNull();
+
+  await reply;
+  await waitFor(() => events.some(([event, m]) => event === 'message' && m.role === 'assistant'));
+  expect(events.filter(([event]) => event !== 'message').map(([event]) => event)).toEqual(['ready']);
+  expect(events.filter(([event]) => event === 'message').map(([, m]) => [m.role, m.intent])).toEqual([
+    ['user', undefined],
+    ['assistant', 'greeting'],
+  ]);
+
+  widget.shadowRoot.querySelector('button[aria-label="Open chat"]').click();
+  await waitFor(() => dialog.style.display === 'flex');
+  expect(widget.isOpen).toBe(true);
+
+  // commands from other origins are ignored; the page's own origin and the right id work
+  window.dispatchEvent(new MessageEvent('message', { data: { type: COMMAND_TYPES.CLOSE }, origin: 'https://evil.example' }));
+  window.dispatchEvent(new MessageEvent('message', { data: { type: COMMAND_TYPES.CLOSE, widget: 'other' }, origin: window.location.origin }));
+  expect(widget.isOpen).toBe(true);
+  const closed = new Promise(resolve => widget.addEventListener('smartchat:close', resolve));
+  window.dispatchEvent(new MessageEvent('message', { data: { type: COMMAND_TYPES.CLOSE, widget: 'help' }, origin: window.location.origin }));
+  await closed;
+  expect(widget.isOpen).toBe(false);
+  expect(events.map(([event]) => event).slice(-2)).toEqual(['open', 'close']);
+
+  widget.remove();
+});
@@ -0,0 +1,145 @@
+import { createAbortError } from '../engines/streaming';
+import { MESSAGE_TYPES, createDispatcher, deserializeError } from './protocol';
+import { createHandlers } from './handlers';
+
+/**
+ * Client for the intelligence worker.
+ * `call(method, params, { signal, onProgress })` sends a request and resolves with
+ * its result. Aborting `signal` sends a cancel message and rejects with an AbortError.
+ *
+ * When Web Workers are unavailable (tests, older browsers) or the worker fails to
+ * start, the same handlers run in-thread behind the same protocol.
+ */
+
+// In-thread transport: a dispatcher whose replies are delivered asynchronously,
+// like messages from a real worker.
+function createInlineTransport(onMessage) {
+  const dispatch = createDispatcher(createHandlers(), (message) => {
+    setTimeout(() => onMessage(message), 0);
+  });
+  return {
+    mode: 'inline',
+    post: (message) => {
+      dispatch(message);
+    },
+    terminate: () => {},
+  };
+}
+
+async function createWorkerTransport(onMessage, onFailure, spawn) {
+  const worker = await spawn();
+  worker.onmessage = (event) => onMessage(event.data);
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    onFailure(new Error(event.message || 'Intelligence worker crashed'));
+  };
+  return {
+    mode: 'worker',
+    post: (message) => worker.postMessage(message),
+    terminate: () => worker.terminate(),
+  };
+}
+
+const defaultSpawn = async () => {
+  const { spawnIntelligenceWorker } = await import('./spawnWorker');
+  return spawnIntelligenceWorker();
+};
+
+// PUBLIC_INTERFACE
+/**
+ * Create a client. Options:
+ * - inline: force the in-thread fallback
+ * - spawnWorker: () => Worker | Promise<Worker>, for custom bundling or tests
+ */
+export function createIntelligenceClient({ inline = typeof Worker === 'undefined', spawnWorker = defaultSpawn } = {}) {
+  const pending = new Map();
+  let nextId = 1;
+  let transportPromise = null;
+
+  const handleMessage = (message) => {
+    const entry = pending.get(message?.id);
+    if (!entry) return;
+    switch (message.type) {
+      case MESSAGE_TYPES.PROGRESS:
+        entry.onProgress?.(message.progress);
+        break;
+      case MESSAGE_TYPES.RESULT:
+        entry.settle();
+        entry.resolve(message.result);
+        break;
+      case MESSAGE_TYPES.ERROR:
+        entry.settle();
+        entry.reject(deserializeError(message.error));
+        break;
+      default:
+        break;
+    }
+  };
+
+  // The worker died: fail what was in flight and serve later calls in-thread
+  const handleFailure = (error) => {
+    for (const entry of [...pending.values()]) {
+      entry.settle();
+      entry.reject(error);
+    }
+    transportPromise?.then(t => t.terminate(), () => {});
+    transportPromise = Promise.resolve(createInlineTransport(handleMessage));
+  };
+
+  function getTransport() {
+    if (!transportPromise) {
+      transportPromise = inline
+        ? Promise.resolve(createInlineTransport(handleMessage))
+        : createWorkerTransport(handleMessage, handleFailure, spawnWorker)
+          .catch(() => createInlineTransport(handleMessage));
+    }
+    return transportPromise;
+  }
+
+  return {
+    /** Resolves 'worker' or 'inline' once the transport is up. */
+    mode: () => getTransport().then(t => t.mode),
+
+    call(method, params = {}, { signal, onProgress } = {}) {
+      if (signal?.aborted) return Promise.reject(createAbortError());
+      const id = nextId++;
+      return new Promise((resolve, reject) => {
+        let transport = null;
+        const onAbort = () => {
+          pending.delete(id);
+          transport?.post({ type: MESSAGE_TYPES.CANCEL, id });
+          reject(createAbortError());
+        };
+        const settle = () => {
+          pending.delete(id);
+          signal?.removeEventListener('abort', onAbort);
+        };
+        pending.set(id, { resolve, reject, onProgress, settle });
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        getTransport().then((t) => {
+          transport = t;
+          if (!pending.has(id)) return; // cancelled before the transport was ready
+          t.post({ type: MESSAGE_TYPES.REQUEST, id, method, params });
+        }, (e) => {
+          settle();
+          reject(e);
+        });
+      });
+    },
+
+    terminate() {
+      transportPromise?.then(t => t.terminate(), () => {});
+      transportPromise = null;
+    },
+  };
+}
+
+let sharedClient = null;
+
+// PUBLIC_INTERFACE
+/** The app-wide client; all engines share one worker. */
+export function getIntelligenceClient() {
+  if (!sharedClient) sharedClient = createIntelligenceClient();
+  return sharedClient;
+}
@@ -0,0 +1,113 @@
+import { createIntelligenceClient } from './client';
+import { createDispatcher, MESSAGE_TYPES } from './protocol';
+import { isAbortError } from '../engines/streaming';
+import { createZeroWeights, extractFeatures } from '../intentModel';
+import { DEFAULT_SKILL_PACK } from '../skillPack';
+
+// Minimal Worker stand-in that serves the protocol with the given handlers
+function fakeWorker(handlers) {
+  const worker = {
+    posted: [],
+    terminate: jest.fn(),
+    postMessage(message) {
+      worker.posted.push(message);
+      dispatch(message);
+    },
+  };
+  const dispatch = createDispatcher(handlers, (message) => {
+    setTimeout(() => worker.onmessage({ data: message }), 0);
+  });
+  return worker;
+}
+
+test('inline client scores intents and applies learning updates', async () => {
+  const client = createIntelligenceClient({ inline: true });
+  expect(await client.mode()).toBe('inline');
+  const weights = createZeroWeights(DEFAULT_SKILL_PACK);
+  const { ranked, features } = await client.call('intent.score', { text: 'hello there', weights, pack: DEFAULT_SKILL_PACK });
+  expect(ranked[0].key).toBe('greeting');
+
+  const next = await client.call('intent.adjust', { weights, features, updates: [{ intent: 'weather', direction: 1 }] });
+  expect(next.weather.some(w => w > 0)).toBe(true);
+  expect(weights.weather.every(w => w === 0)).toBe(true);
+});
+
+test('batch training reports progress per epoch and can be cancelled', async () => {
+  const client = createIntelligenceClient({ inline: true });
+  const examples = [
+    { text: 'how are you?', intent: 'smalltalk_status' },
+    { text: 'will it rain', intent: 'weather' },
+    { text: 'hello', intent: 'greeting' },
+  ];
+  const progress = [];
+  const result = await client.call('intent.train', {
+    examples, pack: DEFAULT_SKILL_PACK, options: { epochs: 3, validationSplit: 0 },
+  }, { onProgress: (p) => progress.push(p.epoch) });
+  expect(progress).toEqual([1, 2, 3]);
+  expect(result.preview.replaced).toBe(1);
+
+  const controller = new AbortController();
+  const error = await client.call('intent.train', { examples, pack: DEFAULT_SKILL_PACK, options: { epochs: 50 } }, {
+    signal: controller.signal,
+    onProgress: () => controller.abort(),
+  }).catch(e => e);
+  expect(isAbortError(error)).toBe(true);
+});
+
+test('unknown methods reject with an error', async () => {
+  const client = createIntelligenceClient({ inline: true });
+  await expect(client.call('nope')).rejects.toThrow('Unknown method: nope');
+});
+
+test('requests get ids, progress events and results over a worker', async () => {
+  const worker = fakeWorker({
+    count: async ({ to }, { onProgress }) => {
+      for (let i = 1; i <= to; i++) onProgress({ i });
+      return to;
+    },
+  });
+  const client = createIntelligenceClient({ inline: false, spawnWorker: () => worker });
+  const progress = [];
+  const [a, b] = await Promise.all([
+    client.call('count', { to: 2 }, { onProgress: p => progress.push(p) }),
+    client.call('count', { to: 1 }),
+  ]);
+  expect([a, b]).toEqual([2, 1]);
+  expect(progress).toEqual([{ i: 1 }, { i: 2 }]);
+  expect(await client.mode()).toBe('worker');
+  const ids = worker.posted.map(m => m.id);
+  expect(new Set(ids).size).toBe(2);
+});
+
+test('aborting a call sends a cancel message and rejects', async () => {
+  let sawAbort = false;
+  const worker = fakeWorker({
+    slow: (params, { signal }) => new Promise((resolve) => {
+      signal.addEventListener('abort', () => {
+        sawAbort = true;
+        resolve('late');
+      });
+    }),
+  });
+  const client = createIntelligenceClient({ inline: false, spawnWorker: () => worker });
+  const controller = new AbortController();
+  const pending = client.call('slow', {}, { signal: controller.signal });
+  await client.mode();
+  await new Promise(r => setTimeout(r, 0));
+  controller.abort();
+  const error = await pending.catch(e => e);
+  expect(isAbortError(error)).toBe(true);
+  expect(worker.posted.map(m => m.type)).toEqual([MESSAGE_TYPES.REQUEST, MESSAGE_TYPES.CANCEL]);
+  expect(sawAbort).toBe(true);
+});
+
+test('falls back to running in-thread when the worker cannot start', async () => {
+  const client = createIntelligenceClient({
+    inline: false,
+    spawnWorker: () => { throw new Error('no workers here'); },
+  });
+  const features = extractFeatures('bye', DEFAULT_SKILL_PACK);
+  const next = await client.call('intent.update', { weights: createZeroWeights(), intent: 'farewell', features });
+  expect(next.farewell.some(w => w > 0)).toBe(true);
+  expect(await client.mode()).toBe('inline');
+});
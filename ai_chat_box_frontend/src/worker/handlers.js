@@ -0,0 +1,122 @@
+import { extractFeatures, scoreIntents, calibrateScores, updateWeights, adjustWeights } from '../intentModel';
+import { extractEntities } from '../entities';
+import { searchIndex } from '../knowledge/bm25';
+import { trainBatch } from '../training/batchTraining';
+import {
+  DEFAULT_TRAINING_OPTIONS,
+  MODEL_URL,
+  datasetVersion,
+  loadTextClassifier,
+  trainTextClassifier,
+  selectCpuBackend,
+} from '../classifier/textClassifier';
+
+/**
+ * Methods served by the intelligence worker (and by the in-thread fallback).
+ * Each handler is `(params, { signal, onProgress }) => result | Promise<result>`.
+ *
+ * Intent classifier (stateless; the UI owns the weights and the compiled pack):
+ * - 'intent.score'  { text, weights, pack, temperature?, now? }
+ *     -> { features, entities, ranked: [{ key, score, probability }] }
+ * - 'intent.update' { weights, intent, features, lr?, clampRange?, decay? } -> weights
+ * - 'intent.adjust' { weights, features, updates: [{ intent, direction }], lr?, clampRange? } -> weights
+ * - 'intent.train' { examples, pack, weights?, options? } -> see trainBatch (`weights`
+ *     are the current ones, for the preview); progress: { epoch, epochs, trainAccuracy, validationAccuracy, loss }
+ * - 'entities.extract' { text, lists?, now? } -> [{ type, value, text, start, end }]
+ *
+ * Knowledge base (stateless; the UI owns the stored index):
+ * - 'knowledge.search' { query, index, limit?, minCoverage? }
+ *     -> [{ docId, docName, chunk, heading, text, score, coverage }]
+ *
+ * TF.js text classifier (kept alive per model URL):
+ * - 'classifier.prepare' { trainingData, modelUrl?, trainingOptions?, retrain? }
+ *     -> { source, valAccuracy }; progress: { phase, epoch?, epochs?, loss?, accuracy?, valAccuracy? }
+ * - 'classifier.predict' { text, trainingData, modelUrl?, trainingOptions? } -> [{ intent, probability }]
+ */
+
+let tfPromise = null;
+function loadTf() {
+  if (!tfPromise) tfPromise = import('@tensorflow/tfjs');
+  return tfPromise;
+}
+
+// PUBLIC_INTERFACE
+/** Create a fresh handler map with its own classifier cache. */
+export function createHandlers() {
+  // modelUrl -> Promise<{ classifier, source }>
+  const classifiers = new Map();
+
+  async function buildClassifier({ trainingData, modelUrl, trainingOptions = {} }, retrain, signal, onProgress) {
+    const tf = await loadTf();
+    await selectCpuBackend(tf);
+
+    if (!retrain) {
+      onProgress({ phase: 'loading' });
+      const stored = await loadTextClassifier(tf, modelUrl);
+      if (stored && stored.datasetVersion === datasetVersion(trainingData)) {
+        return { classifier: stored, source: 'storage' };
+      }
+      stored?.dispose();
+    }
+
+    onProgress({ phase: 'training', epoch: 0, epochs: trainingOptions.epochs || DEFAULT_TRAINING_OPTIONS.epochs });
+    const trained = await trainTextClassifier(tf, trainingData, {
+      ...trainingOptions,
+      signal,
+      onProgress: (p) => onProgress({ phase: 'training', ...p }),
+    });
+    try {
+      await trained.save(modelUrl);
+    } catch {
+      // ignore storage errors (private mode, no IndexedDB); the model still works in memory
+    }
+    return { classifier: trained, source: 'trained' };
+  }
+
+  // Load or train the classifier for a model URL; concurrent callers share the same promise.
+  function ensureClassifier(config, { retrain = false, signal, onProgress = () => {} } = {}) {
+    const key = config.modelUrl || MODEL_URL;
+    const current = classifiers.get(key);
+    if (current && !retrain) return current;
+
+    const next = buildClassifier({ ...config, modelUrl: key }, retrain, signal, onProgress);
+    classifiers.set(key, next);
+    next.then(
+      ({ classifier }) => current?.then(prev => prev.classifier !== classifier && prev.classifier.dispose(), () => {}),
+      () => {
+        // Keep serving the previous model if a retrain fails or is cancelled
+        if (classifiers.get(key) !== next) return;
+        if (current) classifiers.set(key, current);
+        else classifiers.delete(key);
+      }
+    );
+    return next;
+  }
+
+  return {
+    'intent.score': ({ text, weights, pack, temperature, now }) => {
+      const entities = extractEntities(text, { lists: pack.entities, now });
+      const features = extractFeatures(text, pack, entities);
+      return { features, entities, ranked: calibrateScores(scoreIntents(weights, features, pack), temperature) };
+    },
+    'intent.train': ({ examples, pack, weights, options }, { signal, onProgress }) => (
+      trainBatch(examples, pack, { ...options, current: weights }, { signal, onProgress })
+    ),
+    'entities.extract': ({ text, lists, now }) => extractEntities(text, { lists, now }),
+    'intent.update': ({ weights, intent, features, lr = 0.1, clampRange = 2, decay = 0.01 }) => (
+      updateWeights(weights, intent, features, lr, clampRange, decay)
+    ),
+    'intent.adjust': ({ weights, features, updates, lr, clampRange }) => (
+      updates.reduce((w, { intent, direction }) => adjustWeights(w, intent, features, direction, lr, clampRange), weights)
+    ),
+    'knowledge.search': ({ query, index, ...options }) => searchIndex(index, query, options),
+    'classifier.prepare': async ({ retrain = false, ...config }, { signal, onProgress }) => {
+      const { classifier, source } = await ensureClassifier(config, { retrain, signal, onProgress });
+      return { source, valAccuracy: classifier.validationAccuracy };
+    },
+    'classifier.predict': async ({ text, ...config }) => {
+      const { classifier } = await ensureClassifier(config);
+      return classifier.predict(text);
+    },
+  };
+}
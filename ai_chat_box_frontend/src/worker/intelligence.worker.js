@@ -0,0 +1,14 @@
+/* eslint-disable no-restricted-globals */
+import { createDispatcher } from './protocol';
+import { createHandlers } from './handlers';
+
+/**
+ * Dedicated worker running intent scoring, online learning and the TF.js
+ * classifier off the UI thread. See protocol.js for the message format.
+ */
+
+const dispatch = createDispatcher(createHandlers(), (message) => self.postMessage(message));
+
+self.onmessage = (event) => {
+  dispatch(event.data);
+};
@@ -0,0 +1,82 @@
+import { createAbortError } from '../engines/streaming';
+
+/**
+ * Message protocol between the UI thread and the intelligence worker.
+ *
+ * UI -> worker
+ *   { type: 'request', id, method, params }  start a call
+ *   { type: 'cancel', id }                   abort a running call
+ * worker -> UI
+ *   { type: 'progress', id, progress }       zero or more, before the outcome
+ *   { type: 'result', id, result }           success
+ *   { type: 'error', id, error }             failure ({ name, message }; AbortError when cancelled)
+ *
+ * `id` is chosen by the caller and unique per client. Methods are the keys of
+ * the handler map (see handlers.js); params and results must be structured-cloneable.
+ */
+
+export const MESSAGE_TYPES = {
+  REQUEST: 'request',
+  CANCEL: 'cancel',
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  ERROR: 'error',
+};
+
+// PUBLIC_INTERFACE
+/** Convert an Error into a cloneable { name, message } payload. */
+export function serializeError(e) {
+  return { name: e?.name || 'Error', message: e?.message || String(e) };
+}
+
+// PUBLIC_INTERFACE
+/** Rebuild an Error from a payload; AbortErrors stay recognisable via isAbortError. */
+export function deserializeError(payload) {
+  if (payload?.name === 'AbortError') return createAbortError();
+  const error = new Error(payload?.message || 'Worker request failed');
+  if (payload?.name) error.name = payload.name;
+  return error;
+}
+
+// PUBLIC_INTERFACE
+/**
+ * Serve protocol messages with a handler map. Handlers are called as
+ * `handler(params, { signal, onProgress })` and may return a value or a promise.
+ * `post(message)` sends protocol messages back to the caller.
+ * Returns the function to feed incoming messages to.
+ */
+export function createDispatcher(handlers, post) {
+  const running = new Map();
+
+  return async function dispatch(message) {
+    if (!message || typeof message !== 'object') return;
+    const { type, id } = message;
+
+    if (type === MESSAGE_TYPES.CANCEL) {
+      running.get(id)?.abort();
+      return;
+    }
+    if (type !== MESSAGE_TYPES.REQUEST) return;
+
+    const handler = Object.prototype.hasOwnProperty.call(handlers, message.method) ? handlers[message.method] : null;
+    if (!handler) {
+      post({ type: MESSAGE_TYPES.ERROR, id, error: { name: 'Error', message: `Unknown method: ${message.method}` } });
+      return;
+    }
+
+    const controller = new AbortController();
+    running.set(id, controller);
+    const onProgress = (progress) => {
+      if (!controller.signal.aborted) post({ type: MESSAGE_TYPES.PROGRESS, id, progress });
+    };
+    try {
+      const result = await handler(message.params || {}, { signal: controller.signal, onProgress });
+      if (controller.signal.aborted) throw createAbortError();
+      post({ type: MESSAGE_TYPES.RESULT, id, result });
+    } catch (e) {
+      post({ type: MESSAGE_TYPES.ERROR, id, error: serializeError(e) });
+    } finally {
+      running.delete(id);
+    }
+  };
+}
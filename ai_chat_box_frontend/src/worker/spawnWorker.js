@@ -0,0 +1,8 @@
+// PUBLIC_INTERFACE
+/**
+ * Start the intelligence worker. Kept in its own module and imported lazily:
+ * `import.meta.url` lets webpack bundle the worker, but Jest cannot parse it.
+ */
+export function spawnIntelligenceWorker() {
+  return new Worker(new URL('./intelligence.worker.js', import.meta.url));
+}